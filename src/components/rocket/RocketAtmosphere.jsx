@@ -0,0 +1,78 @@
+// 大気モデル (国際標準大気 + 発射地点の条件) 関連の関数
+import { ATMOSPHERE_CONSTANTS, DEFAULT_LAUNCH_SITE } from './RocketConstants';
+
+const {
+  seaLevelTemperature, seaLevelPressure, lapseRate, tropopauseAltitude,
+  gasConstant, vaporGasConstant, heatCapacityRatio, gravity
+} = ATMOSPHERE_CONSTANTS;
+
+// ISAの気温 (K) を計算する関数 (成層圏下部は一定温度)
+const getIsaTemperature = (geometricAltitude) => {
+  const h = Math.min(geometricAltitude, tropopauseAltitude);
+  return seaLevelTemperature - lapseRate * h;
+};
+
+// ISAの気圧 (Pa) を計算する関数
+const getIsaPressure = (geometricAltitude) => {
+  const exponent = gravity / (gasConstant * lapseRate);
+  if (geometricAltitude <= tropopauseAltitude) {
+    return seaLevelPressure * Math.pow(getIsaTemperature(geometricAltitude) / seaLevelTemperature, exponent);
+  }
+
+  const tropopauseTemperature = getIsaTemperature(tropopauseAltitude);
+  const tropopausePressure = seaLevelPressure * Math.pow(tropopauseTemperature / seaLevelTemperature, exponent);
+  return tropopausePressure * Math.exp(-gravity * (geometricAltitude - tropopauseAltitude) / (gasConstant * tropopauseTemperature));
+};
+
+// 飽和水蒸気圧 (Pa) を計算する関数 (Tetensの式)
+const getSaturationVaporPressure = (temperatureCelsius) => {
+  return 610.78 * Math.exp(17.27 * temperatureCelsius / (temperatureCelsius + 237.3));
+};
+
+// 発射地点の条件を既定値で補完する関数
+export const normalizeLaunchSite = (launchSite) => {
+  const site = { ...DEFAULT_LAUNCH_SITE, ...(launchSite || {}) };
+  return {
+    elevation: isNaN(site.elevation) ? DEFAULT_LAUNCH_SITE.elevation : Number(site.elevation),
+    temperature: isNaN(site.temperature) ? DEFAULT_LAUNCH_SITE.temperature : Number(site.temperature),
+    humidity: isNaN(site.humidity) ? DEFAULT_LAUNCH_SITE.humidity : Math.max(0, Math.min(100, Number(site.humidity)))
+  };
+};
+
+// 発射地点からの高度 (m) における大気状態を計算する関数
+// 発射地点の気温とISAの差を全高度に一律で加え、湿度は水蒸気分圧として密度に反映する
+export const getAtmosphere = (altitude = 0, launchSite = DEFAULT_LAUNCH_SITE) => {
+  const site = normalizeLaunchSite(launchSite);
+  const safeAltitude = isNaN(altitude) ? 0 : Math.max(0, altitude);
+  const geometricAltitude = site.elevation + safeAltitude;
+
+  // 発射地点での実測気温とISA気温の差
+  const temperatureOffset = (site.temperature + 273.15) - getIsaTemperature(site.elevation);
+
+  const temperature = getIsaTemperature(geometricAltitude) + temperatureOffset; // K
+  const temperatureCelsius = temperature - 273.15;
+  const pressure = getIsaPressure(geometricAltitude); // Pa
+
+  // 水蒸気分圧と乾燥空気分圧から密度を計算
+  const vaporPressure = Math.min(pressure, (site.humidity / 100) * getSaturationVaporPressure(temperatureCelsius));
+  const density = (pressure - vaporPressure) / (gasConstant * temperature) + vaporPressure / (vaporGasConstant * temperature);
+
+  const speedOfSound = Math.sqrt(heatCapacityRatio * gasConstant * temperature);
+
+  return {
+    altitude: geometricAltitude,
+    temperature,
+    temperatureCelsius,
+    pressure,
+    density,
+    speedOfSound
+  };
+};
+
+// 空気密度 (kg/m³) のみを取得する関数
+export const getAirDensity = (altitude = 0, launchSite = DEFAULT_LAUNCH_SITE) => {
+  return getAtmosphere(altitude, launchSite).density;
+};
+
+// 標準海面の空気密度 (kg/m³) - 経験係数を密度比で補正する際の基準
+export const STANDARD_AIR_DENSITY = getAirDensity(0);
@@ -0,0 +1,166 @@
+// Barrowman法による静安定解析 (部品ごとのCNαと圧力中心) 関連の関数
+// 長さはすべてmm、圧力中心はノーズ先端からの距離、CNαは基準面積 (ボディ断面積) あたりの値 (1/rad)
+import { BARROWMAN_CONSTANTS } from './RocketConstants';
+import { getFinNormalForceFactor, getFinPlanform } from './RocketFinGeometry';
+import { getNoseRadius, calculateNoseProfile } from './RocketNoseGeometry';
+
+// 数値積分の分割数
+const PROFILE_SEGMENTS = 50;
+
+// 半径分布から側面投影面積 (mm²) とその図心位置 (mm) を台形則で求める関数
+const integratePlanform = (radiusAt, start, length) => {
+  let area = 0;
+  let moment = 0;
+  const h = length / PROFILE_SEGMENTS;
+  for (let i = 0; i < PROFILE_SEGMENTS; i++) {
+    const x0 = i * h;
+    const x1 = x0 + h;
+    const stripArea = (radiusAt(x0) + radiusAt(x1)) * h; // 2r の台形則
+    area += stripArea;
+    moment += stripArea * (start + (x0 + x1) / 2);
+  }
+  return { area, centroid: area > 0 ? moment / area : start + length / 2 };
+};
+
+// 拡張Barrowman法のボディ揚力 CNα = K * (A_plan / A_ref) * α
+const calculateBodyLift = (planform, referenceArea, angleOfAttack) => {
+  return BARROWMAN_CONSTANTS.bodyLiftK * (planform.area / referenceArea) * angleOfAttack;
+};
+
+// ノーズのCNαと圧力中心
+const calculateNoseComponent = (rocketParams) => {
+  const { noseHeight } = rocketParams;
+  const planform = integratePlanform((x) => getNoseRadius(rocketParams, x), 0, noseHeight);
+
+  return {
+    key: 'nose',
+    name: 'ノーズ',
+    cnAlpha: 2, // ノーズ基部径 = 基準径
+    cp: calculateNoseProfile(rocketParams).cp, // 半径分布から求めた体積による
+    planform
+  };
+};
+
+// トランジション (ショルダー・ボートテール) のCNαと圧力中心
+// transition: { name, position (前端のノーズ先端からの距離), length, foreDiameter, aftDiameter }
+const calculateTransitionComponent = (transition, referenceDiameter, index) => {
+  const { position = 0, length = 0, foreDiameter = referenceDiameter, aftDiameter = referenceDiameter } = transition;
+
+  const cnAlpha = 2 * (Math.pow(aftDiameter / referenceDiameter, 2) - Math.pow(foreDiameter / referenceDiameter, 2));
+
+  // 前後の径が等しい場合は揚力を生まないため、圧力中心は中央とする
+  const diameterRatio = foreDiameter / aftDiameter;
+  const cp = Math.abs(1 - diameterRatio * diameterRatio) > 1e-9
+    ? position + (length / 3) * (1 + (1 - diameterRatio) / (1 - diameterRatio * diameterRatio))
+    : position + length / 2;
+
+  const planform = integratePlanform(
+    (x) => (foreDiameter + (aftDiameter - foreDiameter) * (x / length)) / 2,
+    position,
+    length
+  );
+
+  return {
+    key: `transition-${index}`,
+    name: transition.name || (aftDiameter < foreDiameter ? 'ボートテール' : 'ショルダー'),
+    cnAlpha,
+    cp,
+    planform
+  };
+};
+
+// フィンのCNαと圧力中心 (胴体干渉係数を含む)
+// 翼幅・面積・翼弦中央線・MACは平面形の外形から求める (台形では従来の式と一致)
+const calculateFinComponent = (rocketParams) => {
+  const { noseHeight, bodyHeight, bodyWidth, finBaseWidth, finCount = 3 } = rocketParams;
+  // フィン取付部の胴体径 (部品ツリーで指定がない場合は基準径)
+  const finBodyDiameter = rocketParams.finBodyDiameter ?? bodyWidth;
+  const planform = getFinPlanform(rocketParams);
+  const span = planform.span;
+
+  const interference = 1 + (finBodyDiameter / 2) / (span + finBodyDiameter / 2);
+  // 枚数の係数は取付角とフィン同士の干渉を考慮 (3枚・4枚では枚数と一致)
+  // 台形の 2L/(Cr+Ct) は一般の平面形では 翼幅×翼弦中央線の長さ/面積 となる
+  const finCnAlpha = (4 * getFinNormalForceFactor(finCount) * Math.pow(span / bodyWidth, 2)) /
+    (1 + Math.sqrt(1 + Math.pow(span * planform.midChordLength / planform.area, 2)));
+
+  // フィン付け根前縁位置 (指定がない場合はフィン後縁をボディ後端に揃える)
+  const rootLeadingEdge = rocketParams.finPosition ?? (noseHeight + bodyHeight - finBaseWidth);
+  const cp = rootLeadingEdge + planform.cpX;
+
+  return {
+    key: 'fins',
+    name: `フィン (${finCount}枚)`,
+    cnAlpha: interference * finCnAlpha,
+    cp
+  };
+};
+
+// 機体全体のBarrowman解析
+// options.includeBodyLift: 拡張Barrowman法のボディ揚力を含める (既定は rocketParams.includeBodyLift)
+// options.angleOfAttack: ボディ揚力を評価する迎角 (度)
+export const calculateBarrowmanStability = (rocketParams, options = {}) => {
+  const { noseHeight, bodyHeight, bodyWidth, transitions = [] } = rocketParams;
+  // 部品ツリーのボディチューブ (指定がない場合はノーズ後方の1本)
+  const bodyTubes = rocketParams.bodyTubes?.length
+    ? rocketParams.bodyTubes
+    : [{ name: 'ボディチューブ', position: noseHeight, length: bodyHeight, diameter: bodyWidth }];
+  const includeBodyLift = options.includeBodyLift ?? rocketParams.includeBodyLift ?? false;
+  const angleOfAttack = (options.angleOfAttack ?? BARROWMAN_CONSTANTS.bodyLiftAngleOfAttack) * Math.PI / 180;
+
+  const referenceDiameter = bodyWidth;
+  const referenceArea = Math.PI * Math.pow(referenceDiameter / 2, 2);
+
+  const nose = calculateNoseComponent(rocketParams);
+  const transitionComponents = transitions
+    .filter(transition => transition && transition.length > 0)
+    .map((transition, index) => calculateTransitionComponent(transition, referenceDiameter, index));
+
+  // ボディチューブは迎角なしの線形理論では揚力を生まない
+  const bodyTubeComponents = bodyTubes.map((tube, index) => ({
+    key: `body-${index}`,
+    name: tube.name || 'ボディチューブ',
+    cnAlpha: 0,
+    cp: tube.position + tube.length / 2,
+    planform: { area: tube.length * tube.diameter, centroid: tube.position + tube.length / 2 }
+  }));
+
+  const components = [nose, ...bodyTubeComponents, ...transitionComponents].map(component => {
+    if (!includeBodyLift) return component;
+
+    // ボディ揚力は側面投影面積の図心に作用するとして、ポテンシャル流の揚力と合成
+    const bodyLift = calculateBodyLift(component.planform, referenceArea, angleOfAttack);
+    const cnAlpha = component.cnAlpha + bodyLift;
+    const cp = Math.abs(cnAlpha) > 1e-9
+      ? (component.cnAlpha * component.cp + bodyLift * component.planform.centroid) / cnAlpha
+      : component.cp;
+    return { ...component, cnAlpha, cp, bodyLift };
+  });
+
+  // ボディ (ノーズ・ボディチューブ・トランジション) 全体の側面投影面積と図心
+  const bodyPlanformArea = components.reduce((sum, component) => sum + component.planform.area, 0);
+  const bodyPlanform = {
+    area: bodyPlanformArea,
+    centroid: bodyPlanformArea > 0
+      ? components.reduce((sum, component) => sum + component.planform.area * component.planform.centroid, 0) / bodyPlanformArea
+      : noseHeight + bodyHeight / 2
+  };
+
+  components.push(calculateFinComponent(rocketParams));
+
+  const cnAlpha = components.reduce((sum, component) => sum + component.cnAlpha, 0);
+  const centerOfPressure = components.reduce((sum, component) => sum + component.cnAlpha * component.cp, 0) / cnAlpha;
+
+  if (!isFinite(centerOfPressure)) {
+    console.error('Barrowman法の圧力中心を計算できません:', components);
+  }
+
+  return {
+    components: components.map(({ planform, ...component }) => component),
+    cnAlpha,
+    centerOfPressure,
+    referenceDiameter,
+    bodyPlanform,
+    includeBodyLift
+  };
+};
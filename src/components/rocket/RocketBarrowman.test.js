@@ -0,0 +1,67 @@
+import { calculateBarrowmanStability } from './RocketBarrowman';
+import { calculateCenterOfPressure, calculateAerodynamicCenter, calculateStaticMargin } from './RocketPhysics';
+
+// 円錐ノーズ・台形4枚フィンの基準機体 (寸法はmm)
+// 手計算の値 (Barrowman, "The Practical Calculation of the Aerodynamic Characteristics of Slender Finned Vehicles"):
+//   ノーズ: CNα = 2、CP = 2/3 × 70 = 46.67
+//   フィン: Lf = √(50² + (40 + 15 - 35)²) = 53.85、CNα = 16 (50/25)² / (1 + √(1 + (2 × 53.85 / 100)²)) = 25.915
+//           干渉係数 1 + 12.5 / 62.5 = 1.2 → 31.098
+//           CP = 付け根前縁 330 + 40 × 130 / 300 + (100 - 2100 / 100) / 6 = 360.5
+const REFERENCE_ROCKET = {
+  noseShape: 'cone',
+  noseHeight: 70,
+  bodyHeight: 330,
+  bodyWidth: 25,
+  finShape: 'trapezoid',
+  finCount: 4,
+  finHeight: 50,
+  finBaseWidth: 70,
+  finTipWidth: 30,
+  finSweepLength: 40,
+  finThickness: 2,
+  centerOfGravity: 250
+};
+
+const FIN_CN_ALPHA = 1.2 * 16 * 4 / (1 + Math.sqrt(1 + Math.pow(2 * Math.sqrt(2900) / 100, 2)));
+const FIN_CP = 330 + 40 * 130 / 300 + (100 - 2100 / 100) / 6;
+
+describe('calculateBarrowmanStability', () => {
+  const result = calculateBarrowmanStability(REFERENCE_ROCKET);
+  const nose = result.components.find(component => component.key === 'nose');
+  const fins = result.components.find(component => component.key === 'fins');
+
+  test('ノーズのCNαと圧力中心', () => {
+    expect(nose.cnAlpha).toBe(2);
+    expect(nose.cp).toBeCloseTo(70 * 2 / 3, 0);
+  });
+
+  test('フィンのCNαと圧力中心 (胴体干渉を含む)', () => {
+    expect(fins.cnAlpha).toBeCloseTo(FIN_CN_ALPHA, 2);
+    expect(fins.cp).toBeCloseTo(FIN_CP, 1);
+  });
+
+  test('機体全体のCNαと圧力中心はCNαで重み付けした合成', () => {
+    expect(result.cnAlpha).toBeCloseTo(2 + FIN_CN_ALPHA, 2);
+    expect(result.centerOfPressure).toBeCloseTo((2 * 70 * 2 / 3 + FIN_CN_ALPHA * FIN_CP) / (2 + FIN_CN_ALPHA), 0);
+  });
+
+  test('ボディ揚力を含めると圧力中心は前進する', () => {
+    const withBodyLift = calculateBarrowmanStability(REFERENCE_ROCKET, { includeBodyLift: true });
+    expect(withBodyLift.cnAlpha).toBeGreaterThan(result.cnAlpha);
+    expect(withBodyLift.centerOfPressure).toBeLessThan(result.centerOfPressure);
+  });
+});
+
+describe('圧力中心を使う関数', () => {
+  test('すべて Barrowman法の圧力中心を返す', () => {
+    const { centerOfPressure } = calculateBarrowmanStability(REFERENCE_ROCKET);
+    const cpData = calculateCenterOfPressure(REFERENCE_ROCKET);
+    expect(cpData.centerOfPressure).toBe(centerOfPressure);
+    expect(cpData.finCp).toBeCloseTo(FIN_CP, 1);
+    expect(calculateAerodynamicCenter(REFERENCE_ROCKET).aerodynamicCenter).toBe(centerOfPressure);
+
+    const margins = calculateStaticMargin(REFERENCE_ROCKET);
+    expect(margins.standardStaticMargin).toBeCloseTo((centerOfPressure - 250) / 25, 6);
+    expect(margins.stabilityStaticMargin).toBe(margins.standardStaticMargin);
+  });
+});
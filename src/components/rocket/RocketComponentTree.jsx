@@ -0,0 +1,294 @@
+// 機体構成 (部品ツリー) 関連の関数
+// 部品は配列で管理し、外形部品 (ノーズ・ボディチューブ・トランジション) は配列順に機軸方向へ積み重ねる
+// 取付部品 (フィン・ランチラグ・内部質量・回収装置) の position はノーズ先端からの距離 (mm)
+import { ROCKET_PART_TYPES, CANOPY_LIBRARY, NOSE_PROFILE } from './RocketConstants';
+import { normalizeFinCount, getEquivalentTrapezoid } from './RocketFinGeometry';
+import { getNoseRadius } from './RocketNoseGeometry';
+
+// 削除できない (最低1つ必要な) 部品の種類
+const REQUIRED_PART_TYPES = ['noseCone', 'bodyTube', 'finSet', 'recovery'];
+
+// 部品の種類ごとの既定値 (長さ・直径はmm、質量はg)
+const PART_DEFAULTS = {
+  noseCone: {
+    shape: 'ogive', length: 57, diameter: 31, thickness: 1.5, material: 'plastic',
+    exponent: NOSE_PROFILE.exponent.default, ogiveRatio: NOSE_PROFILE.ogiveRatio.default // べき級数の指数・セカントオジブの曲率半径比
+  },
+  bodyTube: { length: 255, diameter: 31, thickness: 0.5, material: 'paper' },
+  transition: { length: 30, foreDiameter: 31, aftDiameter: 24, thickness: 1, material: 'plastic' },
+  finSet: {
+    count: 3, span: 57.5, rootChord: 65, tipChord: 25, sweepLength: 82.5, thickness: 1.5,
+    cantAngle: 0, // カント角 (度) - 機軸に対するフィンの取付角、ロール運動を生む
+    shape: 'trapezoid', points: [], // 平面形 (自由形状の場合は points に付け根前縁からの座標列 mm)
+    material: 'light_veneer',
+    position: null // nullの場合はフィン後縁を機体後端に揃える
+  },
+  launchLug: { length: 30, diameter: 5, thickness: 0.5, position: 180, material: 'paper' },
+  massItem: { name: 'ペイロード', mass: 10, length: 20, position: 100 },
+  recovery: {
+    deviceType: 'main', parachute: 'φ300', canopyThickness: 0.035,
+    streamerLength: 500, streamerWidth: 50, // ストリーマーの場合の寸法
+    trigger: { type: 'motorDelay', delay: 0, altitude: 100, eventId: null }, // 放出条件
+    length: 40, diameter: 25, position: 90, material: 'nylon'
+  },
+  shockCord: { cordLength: 600, cordDiameter: 3, length: 20, position: 70, material: 'elastic' },
+  ballast: { length: 10, diameter: 20, position: 57, material: 'clay' }
+};
+
+let nextPartId = 1;
+
+// 新しい部品を作成する関数
+export const createRocketPart = (type, overrides = {}) => {
+  if (!ROCKET_PART_TYPES[type]) {
+    throw new Error(`未対応の部品の種類です: ${type}`);
+  }
+  return {
+    id: `${type}-${nextPartId++}`,
+    type,
+    name: ROCKET_PART_TYPES[type].name,
+    measuredMass: null, // 実測質量 (g) - nullの場合は材料と寸法から計算
+    ...PART_DEFAULTS[type],
+    ...overrides
+  };
+};
+
+// 既定の機体構成 (従来の既定値と同じ寸法)
+export const createDefaultRocketTree = () => [
+  createRocketPart('noseCone'),
+  createRocketPart('bodyTube'),
+  createRocketPart('finSet'),
+  createRocketPart('launchLug'),
+  createRocketPart('shockCord'),
+  createRocketPart('recovery', { name: 'パラシュート' })
+];
+
+const isStackPart = (part) => ROCKET_PART_TYPES[part.type]?.isStack;
+
+// ノーズ部品の形状を半径分布の計算に渡すパラメータ
+export const getNoseConeParams = (part) => ({
+  noseShape: part.shape,
+  noseHeight: part.length,
+  bodyWidth: part.diameter,
+  noseExponent: part.exponent ?? NOSE_PROFILE.exponent.default,
+  noseOgiveRatio: part.ogiveRatio ?? NOSE_PROFILE.ogiveRatio.default
+});
+
+// フィン部品の平面形パラメータ (自由形状は座標列の寸法をそのまま使う)
+export const getFinSetParams = (part) => ({
+  finShape: part.shape || 'trapezoid',
+  finPoints: part.points || [],
+  finHeight: part.shape === 'freeform' ? null : part.span,
+  finBaseWidth: part.rootChord,
+  finTipWidth: part.tipChord,
+  finSweepLength: part.sweepLength
+});
+
+// フィン部品の形状を台形の式で扱うための等価な台形 (台形の場合は入力値そのもの)
+const getFinSetGeometry = (part) => getEquivalentTrapezoid(getFinSetParams(part));
+
+// 外形部品の前端・後端の直径
+const getForeDiameter = (part) => part.type === 'transition' ? part.foreDiameter : part.diameter;
+const getAftDiameter = (part) => part.type === 'transition' ? part.aftDiameter : part.diameter;
+
+// 各部品の位置を確定する関数 (外形部品は前端位置を順に積算)
+export const layoutRocketTree = (tree) => {
+  let stackPosition = 0;
+  const stackParts = [];
+  tree.filter(isStackPart).forEach(part => {
+    stackParts.push({ ...part, position: stackPosition });
+    stackPosition += part.length;
+  });
+  const stackLength = stackPosition;
+
+  const attachedParts = tree.filter(part => !isStackPart(part)).map(part => {
+    if (part.type === 'finSet' && (part.position === null || part.position === undefined)) {
+      return { ...part, position: stackLength - getFinSetGeometry(part).finBaseWidth };
+    }
+    return { ...part };
+  });
+
+  return { stackParts, attachedParts, stackLength };
+};
+
+// 機軸上の位置 (ノーズ先端からmm) での外形直径を取得する関数
+export const getDiameterAt = (layout, position) => {
+  const part = layout.stackParts.find(p => position >= p.position && position <= p.position + p.length);
+  if (!part) {
+    return 0;
+  }
+  const ratio = part.length > 0 ? (position - part.position) / part.length : 0;
+  if (part.type === 'noseCone') {
+    return 2 * getNoseRadius(getNoseConeParams(part), position - part.position);
+  }
+  return getForeDiameter(part) + (getAftDiameter(part) - getForeDiameter(part)) * ratio;
+};
+
+// 部品ツリーから物理計算用の機体パラメータを導出する関数
+export const deriveRocketParams = (tree) => {
+  const layout = layoutRocketTree(tree);
+  const nose = layout.stackParts.find(part => part.type === 'noseCone') || { ...PART_DEFAULTS.noseCone, position: 0 };
+  const finSet = layout.attachedParts.find(part => part.type === 'finSet') ||
+    { ...PART_DEFAULTS.finSet, position: layout.stackLength - PART_DEFAULTS.finSet.rootChord };
+  const finGeometry = getFinSetGeometry(finSet);
+  const recoveryParts = layout.attachedParts.filter(part => part.type === 'recovery');
+  const recovery = recoveryParts.find(part => part.deviceType === 'main') || recoveryParts[0];
+
+  const bodyParts = layout.stackParts.filter(part => part.type !== 'noseCone');
+
+  return {
+    // 従来の形状パラメータ
+    ...getNoseConeParams(nose), // noseShape, noseHeight, bodyWidth (基準直径 = ノーズ基部) と形状の調整値
+    bodyHeight: layout.stackLength - nose.length,
+    finHeight: finGeometry.finHeight,
+    finBaseWidth: finGeometry.finBaseWidth,
+    finTipWidth: finGeometry.finTipWidth,
+    finThickness: finSet.thickness,
+    finSweepLength: finGeometry.finSweepLength,
+    finMaterial: finSet.material,
+    finCount: normalizeFinCount(finSet.count),
+    finCantAngle: finSet.cantAngle ?? 0,
+    selectedParachute: recovery?.parachute || 'φ300',
+
+    // 部品ツリーから得られる追加の形状情報
+    finShape: finSet.shape || 'trapezoid', // 平面形 (台形以外は上の寸法が等価な台形の値)
+    finPoints: finSet.points || [],
+    finPosition: finSet.position, // フィン付け根前縁の位置 (mm)
+    finBodyDiameter: getDiameterAt(layout, finSet.position + finGeometry.finBaseWidth / 2) || nose.diameter,
+    maxBodyWidth: Math.max(...layout.stackParts.map(part => Math.max(getForeDiameter(part), getAftDiameter(part)))),
+    aftBodyWidth: layout.stackParts.length ? getAftDiameter(layout.stackParts[layout.stackParts.length - 1]) : nose.diameter, // 機体後端 (底面) の直径
+    bodyTubes: bodyParts
+      .filter(part => part.type === 'bodyTube')
+      .map(({ name, position, length, diameter }) => ({ name, position, length, diameter })),
+    transitions: bodyParts
+      .filter(part => part.type === 'transition')
+      .map(({ name, position, length, foreDiameter, aftDiameter }) => ({ name, position, length, foreDiameter, aftDiameter })),
+    launchLugs: layout.attachedParts.filter(part => part.type === 'launchLug'),
+    massItems: layout.attachedParts.filter(part => part.type === 'massItem'),
+    recoveryDevices: recoveryParts.map(part => ({
+      id: part.id,
+      name: part.name,
+      deviceType: part.deviceType,
+      parachute: part.parachute,
+      streamerLength: part.streamerLength,
+      streamerWidth: part.streamerWidth,
+      trigger: part.trigger
+    }))
+  };
+};
+
+// 部品を追加する関数 (外形部品は最後の外形部品の後ろ、取付部品は末尾に追加)
+export const addRocketPart = (tree, type) => {
+  const part = createRocketPart(type);
+  if (!isStackPart(part)) {
+    return [...tree, part];
+  }
+
+  // 直前の外形部品の後端径に合わせる
+  const lastStackIndex = tree.reduce((last, p, i) => (isStackPart(p) ? i : last), -1);
+  const previous = tree[lastStackIndex];
+  if (previous) {
+    const diameter = getAftDiameter(previous);
+    if (type === 'transition') {
+      part.foreDiameter = diameter;
+    } else {
+      part.diameter = diameter;
+    }
+  }
+  return [...tree.slice(0, lastStackIndex + 1), part, ...tree.slice(lastStackIndex + 1)];
+};
+
+// 部品の値を更新する関数
+export const updateRocketPart = (tree, id, changes) => {
+  return tree.map(part => (part.id === id ? { ...part, ...changes } : part));
+};
+
+// 部品を削除する関数 (必須部品の最後の1つは削除しない)
+export const removeRocketPart = (tree, id) => {
+  const part = tree.find(p => p.id === id);
+  if (!part) return tree;
+
+  const sameTypeCount = tree.filter(p => p.type === part.type).length;
+  if (REQUIRED_PART_TYPES.includes(part.type) && sameTypeCount <= 1) {
+    console.warn(`${part.name}は最低1つ必要なため削除できません`);
+    return tree;
+  }
+  return tree.filter(p => p.id !== id);
+};
+
+// 外形部品の順序を入れ替える関数 (offset: -1で前へ, +1で後ろへ)
+// ノーズコーンは常に先頭とする
+export const moveRocketPart = (tree, id, offset) => {
+  const stackIds = tree.filter(isStackPart).map(part => part.id);
+  const index = stackIds.indexOf(id);
+  const targetIndex = index + offset;
+  if (index <= 0 || targetIndex <= 0 || targetIndex >= stackIds.length) {
+    return tree;
+  }
+
+  const targetId = stackIds[targetIndex];
+  const partIndex = tree.findIndex(part => part.id === id);
+  const targetPartIndex = tree.findIndex(part => part.id === targetId);
+  const next = [...tree];
+  [next[partIndex], next[targetPartIndex]] = [next[targetPartIndex], next[partIndex]];
+  return next;
+};
+
+// 従来の形状パラメータ (noseHeightなど) の変更を部品ツリーに反映する関数
+export const applyRocketParamToTree = (tree, key, value) => {
+  const updateFirst = (type, changes) => {
+    const part = tree.find(p => p.type === type);
+    return part ? updateRocketPart(tree, part.id, changes) : tree;
+  };
+
+  switch (key) {
+    case 'noseShape': return updateFirst('noseCone', { shape: value });
+    case 'noseHeight': return updateFirst('noseCone', { length: value });
+    case 'bodyWidth': {
+      // ノーズ径と同じ径の部品をまとめて変更
+      const nose = tree.find(p => p.type === 'noseCone');
+      const currentDiameter = nose?.diameter;
+      return tree.map(part => {
+        if (part.type === 'noseCone' || (part.type === 'bodyTube' && part.diameter === currentDiameter)) {
+          return { ...part, diameter: value };
+        }
+        if (part.type === 'transition') {
+          return {
+            ...part,
+            foreDiameter: part.foreDiameter === currentDiameter ? value : part.foreDiameter,
+            aftDiameter: part.aftDiameter === currentDiameter ? value : part.aftDiameter
+          };
+        }
+        return part;
+      });
+    }
+    case 'bodyHeight': {
+      // 全長の差分を最後のボディチューブで吸収
+      const { stackLength } = layoutRocketTree(tree);
+      const nose = tree.find(p => p.type === 'noseCone');
+      const lastTube = [...tree].reverse().find(p => p.type === 'bodyTube');
+      if (!lastTube) return tree;
+      const delta = value - (stackLength - (nose?.length || 0));
+      return updateRocketPart(tree, lastTube.id, { length: Math.max(10, lastTube.length + delta) });
+    }
+    case 'finHeight': return updateFirst('finSet', { span: value });
+    case 'finBaseWidth': return updateFirst('finSet', { rootChord: value });
+    case 'finTipWidth': return updateFirst('finSet', { tipChord: value });
+    case 'finThickness': return updateFirst('finSet', { thickness: value });
+    case 'finSweepLength': return updateFirst('finSet', { sweepLength: value });
+    case 'finMaterial': return updateFirst('finSet', { material: value });
+    case 'finCount': return updateFirst('finSet', { count: normalizeFinCount(value) });
+    case 'selectedParachute': {
+      if (!CANOPY_LIBRARY[value]) {
+        console.warn(`未対応のキャノピーです: ${value}`);
+        return tree;
+      }
+      // メインパラシュート (なければ最初の回収装置) のキャノピーを変更
+      const recoveryParts = tree.filter(p => p.type === 'recovery');
+      const target = recoveryParts.find(p => p.deviceType === 'main') || recoveryParts[0];
+      return target ? updateRocketPart(tree, target.id, { parachute: value }) : tree;
+    }
+    default:
+      console.warn(`部品ツリーに対応しないパラメータです: ${key}`);
+      return tree;
+  }
+};
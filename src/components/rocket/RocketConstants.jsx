@@ -14,27 +14,231 @@ export const MOTOR_THRUST_DATA = {
   'B6-4': [0.000,1.782,3.564,5.345,7.127,8.909,10.691,12.473,14.255,16.036,17.818,19.600,13.800,8.000,7.200,6.400,5.600,4.800,4.800,4.800,4.800,4.800,4.800,4.800,4.800,4.800,4.800,4.800,4.800,4.800,4.800,3.200,1.600]
 };
 
-// パラシュートサイズデータ (直径mm)
-export const PARACHUTE_SIZES = {
-  'φ180': 180,
-  'φ250': 250,
-  'φ300': 300,
-  'φ600': 600,
-  'φ900': 900
+// 内蔵モーターの諸元 (質量g, 直径・長さmm, 遅延秒)
+export const MOTOR_SPECS = {
+  '1/2A6-2': { manufacturer: 'Estes', totalMass: 15.0, propellantMass: 1.56, diameter: 18, length: 70, delays: [2] },
+  'A8-3': { manufacturer: 'Estes', totalMass: 16.2, propellantMass: 3.12, diameter: 18, length: 70, delays: [3] },
+  'B6-4': { manufacturer: 'Estes', totalMass: 19.1, propellantMass: 6.24, diameter: 18, length: 70, delays: [4] }
 };
 
-// フィン材料のデータ
+// シミュレーションの時間刻み (s) - 推力曲線のリサンプリングにも使用
+export const SIMULATION_DT = 0.02;
+
+// シミュレーションの打ち切り時間 (s) - 通常は着地まで計算し、着地しない場合のみこの時刻で終了する
+export const SIMULATION_MAX_TIME = {
+  default: 300,
+  options: [60, 120, 300, 600, 1200]
+};
+
+// キャノピー形状ごとの抗力係数と膨張定数
+// cd は呼び径 (平面円形・十字形は布の直径、半球形・楕円形は投影直径) の面積からスピルホールを除いた面積を基準とする
+// fillConstant: 膨張時間 t = n × D / v の係数 n (Knacke)
+export const CANOPY_SHAPES = {
+  'flat': { name: '平面円形', cd: 0.775, fillConstant: 8 },
+  'hemispherical': { name: '半球形', cd: 1.3, fillConstant: 8 },
+  'cross': { name: '十字形', cd: 0.7, fillConstant: 11.7, armWidthRatio: 1 / 3 }, // 腕の幅 = 呼び径 × 比
+  'elliptical': { name: '楕円形', cd: 1.5, fillConstant: 8 }
+};
+
+// キャノピーライブラリ (呼び径・スピルホール径はmm)
+// 従来のパラシュートサイズ (φ180など) は平面円形のキャノピーとして残す
+export const CANOPY_LIBRARY = {
+  'φ180': { name: 'φ180 平面円形', shape: 'flat', diameter: 180, spillHoleDiameter: 0 },
+  'φ250': { name: 'φ250 平面円形', shape: 'flat', diameter: 250, spillHoleDiameter: 0 },
+  'φ300': { name: 'φ300 平面円形', shape: 'flat', diameter: 300, spillHoleDiameter: 0 },
+  'φ600': { name: 'φ600 平面円形', shape: 'flat', diameter: 600, spillHoleDiameter: 0 },
+  'φ900': { name: 'φ900 平面円形', shape: 'flat', diameter: 900, spillHoleDiameter: 0 },
+  'hemi-300': { name: 'φ300 半球形 (スピルホールφ30)', shape: 'hemispherical', diameter: 300, spillHoleDiameter: 30 },
+  'hemi-450': { name: 'φ450 半球形 (スピルホールφ45)', shape: 'hemispherical', diameter: 450, spillHoleDiameter: 45 },
+  'cross-300': { name: '300mm 十字形', shape: 'cross', diameter: 300, spillHoleDiameter: 0 },
+  'cross-600': { name: '600mm 十字形', shape: 'cross', diameter: 600, spillHoleDiameter: 0 },
+  'ellip-450': { name: 'φ450 楕円形 (スピルホールφ70)', shape: 'elliptical', diameter: 450, spillHoleDiameter: 70 },
+  'ellip-900': { name: 'φ900 楕円形 (スピルホールφ140)', shape: 'elliptical', diameter: 900, spillHoleDiameter: 140 }
+};
+
+// フィン材料のデータ (E: 縦弾性係数 Pa, G: 横弾性係数 Pa, MD: 密度 kg/m³, allowableStress: 許容応力 Pa)
 export const FIN_MATERIALS = {
-  'light_balsa': { name: '軽量バルサ', E: 2450000000, G: 85750000 , MD: 60 }, // 60～200 kg/m³
-  'balsa': { name: 'バルサ', E: 3000000000, G: 120000000 , MD: 125 }, // 60～200 kg/m³
-  'light_veneer': { name: '軽量ベニア', E: 8000000000, G: 450000000 , MD: 500 } // 400～600 kg/m³
+  'light_balsa': { name: '軽量バルサ', E: 2450000000, G: 85750000 , MD: 60, allowableStress: 8000000 }, // 60～200 kg/m³
+  'balsa': { name: 'バルサ', E: 3000000000, G: 120000000 , MD: 125, allowableStress: 12000000 }, // 60～200 kg/m³
+  'light_veneer': { name: '軽量ベニア', E: 8000000000, G: 450000000 , MD: 500, allowableStress: 30000000 } // 400～600 kg/m³
+};
+
+// 材料ライブラリに追加する材料のひな形 (代表値、実際の値は製品や造形条件で大きく異なる)
+// density: kg/m³, E・G・allowableStress: Pa
+export const MATERIAL_TEMPLATES = {
+  'g10': { name: 'G10 ガラスエポキシ', density: 1850, E: 18600000000, G: 4100000000, allowableStress: 200000000 },
+  'birch_plywood': { name: '航空ベニア (樺合板)', density: 680, E: 12000000000, G: 620000000, allowableStress: 40000000 },
+  'lauan_plywood': { name: 'ラワン合板', density: 550, E: 7000000000, G: 450000000, allowableStress: 25000000 },
+  'cardboard': { name: '厚紙・ボール紙', density: 700, E: 2000000000, G: 300000000, allowableStress: 10000000 },
+  'paper_tube': { name: '紙管 (スパイラル巻き)', density: 700, E: 4000000000, G: 1500000000, allowableStress: 20000000 },
+  'pla_solid': { name: 'PLA 3Dプリント (充填率100%)', density: 1240, E: 3500000000, G: 1300000000, allowableStress: 40000000 },
+  'pla_infill': { name: 'PLA 3Dプリント (充填率20%)', density: 500, E: 1200000000, G: 450000000, allowableStress: 15000000 },
+  'petg_solid': { name: 'PETG 3Dプリント (充填率100%)', density: 1270, E: 2100000000, G: 780000000, allowableStress: 35000000 },
+  'petg_infill': { name: 'PETG 3Dプリント (充填率20%)', density: 500, E: 800000000, G: 300000000, allowableStress: 12000000 }
+};
+
+// ユーザー定義の材料を保存する localStorage のキー
+export const MATERIAL_STORAGE_KEY = 'rocketCustomMaterials';
+
+// 読み込んだモーター (推力曲線ファイル) を保存する localStorage のキー
+export const MOTOR_STORAGE_KEY = 'rocketImportedMotors';
+
+// フィン枚数の範囲
+export const FIN_COUNT = { min: 2, max: 8, default: 3 };
+
+// フィン同士の干渉による法線力の低減係数 (5枚以上、4枚以下は1)
+export const FIN_INTERFERENCE_FACTORS = { 5: 0.948, 6: 0.913, 7: 0.854, 8: 0.81 };
+
+// フィンの平面形
+// usesTipChord / usesSweep: 翼端長・前縁後退代を入力に使うか、isFreeform: 座標列で入力する
+export const FIN_SHAPES = {
+  'trapezoid': { name: '台形', usesTipChord: true, usesSweep: true },
+  'clippedDelta': { name: 'クリップドデルタ (後縁直線)', usesTipChord: true, usesSweep: false },
+  'elliptical': { name: '楕円', usesTipChord: false, usesSweep: false },
+  'freeform': { name: '自由形状 (座標入力)', usesTipChord: false, usesSweep: false, isFreeform: true }
+};
+
+// 機体構成部品の種類 (isStack: 機軸方向に順に積み重なる外形部品)
+export const ROCKET_PART_TYPES = {
+  'noseCone': { name: 'ノーズコーン', isStack: true },
+  'bodyTube': { name: 'ボディチューブ', isStack: true },
+  'transition': { name: 'トランジション', isStack: true },
+  'finSet': { name: 'フィン', isStack: false },
+  'launchLug': { name: 'ランチラグ', isStack: false },
+  'massItem': { name: '内部質量', isStack: false },
+  'recovery': { name: '回収装置', isStack: false },
+  'shockCord': { name: 'ショックコード', isStack: false },
+  'ballast': { name: 'バラスト (粘土)', isStack: false }
+};
+
+// 機体構造材料のデータ (密度 kg/m³)
+export const STRUCTURE_MATERIALS = {
+  'paper': { name: '紙管', density: 700 },
+  'plastic': { name: 'プラスチック', density: 1050 },
+  'balsa': { name: 'バルサ', density: 125 },
+  'fiberglass': { name: 'ガラス繊維', density: 1850 },
+  'nylon': { name: 'ナイロン布', density: 1150 },
+  'elastic': { name: 'ゴム', density: 1100 },
+  'clay': { name: '粘土', density: 1800 }
+};
+
+// 回収装置の種類 (パラシュートの抗力係数はキャノピー形状による)
+// ストリーマーは帯の面積 長さ×幅 を基準とし、膨張時間は長さから求める
+export const RECOVERY_DEVICE_TYPES = {
+  'main': { name: 'メインパラシュート' },
+  'drogue': { name: 'ドローグシュート' },
+  'streamer': { name: 'ストリーマー', cd: 0.3, fillConstant: 2 }
+};
+
+// 回収装置の放出条件
+export const RECOVERY_TRIGGERS = {
+  'motorDelay': { name: 'モーター遅延' },
+  'apogee': { name: '頂点検出' },
+  'altitude': { name: '降下中の高度' },
+  'afterEvent': { name: '他のイベント後のタイマー' }
 };
 
-// ノーズ形状と抗力係数
+// 回収装置の膨張モデル - 抗力面積は放出からの経過時間の exponent 乗で全開まで増加
+export const RECOVERY_INFLATION = {
+  exponent: 2,
+  minSpeed: 1.0, // 膨張時間の計算に使う最低速度 (m/s)
+  minFillTime: 0.05, // 膨張時間の下限 (s)
+  maxFillTime: 3.0 // 膨張時間の上限 (s)
+};
+
+// ノーズ形状 (半径分布の式は RocketNoseGeometry)
+// haackC: Haack級数の係数、usesExponent / usesOgiveRatio: 形状の調整値を使う形状
 export const NOSE_SHAPES = {
-  'cone': { name: '円錐', cd: 0.83 },
-  'parabola': { name: '放物線', cd: 0.7 },
-  'ogive': { name: 'オジブ', cd: 0.61 }
+  'cone': { name: '円錐' },
+  'parabola': { name: '放物線' },
+  'ogive': { name: '正接オジブ' },
+  'secantOgive': { name: 'セカントオジブ', usesOgiveRatio: true },
+  'elliptical': { name: '楕円' },
+  'powerSeries': { name: 'べき級数', usesExponent: true },
+  'vonKarman': { name: 'フォン・カルマン (Haack C=0)', haackC: 0 },
+  'lvHaack': { name: 'LV-Haack (Haack C=1/3)', haackC: 1 / 3 }
+};
+
+// ノーズ形状の調整値と数値積分の分割数
+export const NOSE_PROFILE = {
+  exponent: { min: 0.05, max: 1, default: 0.5 }, // べき級数の指数
+  ogiveRatio: { min: 0.1, max: 5, default: 1.5 }, // セカントオジブの曲率半径 (正接オジブに対する比)
+  segments: 60,
+  slopeSampleRatio: 0.001 // 基部の傾き (肩の角度) を求める区間 (ノーズ長に対する比)
+};
+
+// 表面仕上げ (等価砂粒粗さ μm) - 粗さによる摩擦係数の下限に使う
+export const SURFACE_FINISHES = {
+  'polished': { name: '研磨仕上げ', roughness: 2 },
+  'smooth': { name: '平滑な塗装', roughness: 20 },
+  'normal': { name: '通常の塗装', roughness: 60 },
+  'unfinished': { name: '未塗装', roughness: 150 },
+  'rough': { name: '粗い表面', roughness: 500 }
+};
+export const DEFAULT_SURFACE_FINISH = 'normal';
+
+// 部品ごとの抗力推算 (OpenRocket / Barrowman の方法) の係数
+export const DRAG_CONSTANTS = {
+  laminarCf: 0.0148, // 低レイノルズ数 (Re < laminarReynolds) の摩擦係数
+  laminarReynolds: 1e4,
+  shoulderPressureFactor: 0.8, // ノーズ・ショルダーの圧力抗力 0.8 sin²φ (φ: 基部の傾き角)
+  stagnationCd: 0.85, // 平らな前面の澱み点圧力係数 (ランチラグ前端)
+  finTrailingEdgeRatio: 0.5, // 丸めた後縁の抗力 (底面抗力係数に対する比)
+  maxSubsonicMach: 0.9 // 前縁抗力の圧縮性補正を適用するマッハ数の上限
+};
+
+// フィンの強度解析の設定
+export const FIN_STRESS = {
+  safetyFactor: 1.5, // 安全率 (安全余裕 MS = 許容値 / (安全率 × 発生値) - 1)
+  shearAllowableRatio: 0.5, // 許容せん断応力 (許容応力に対する比、最大せん断応力説)
+  minVelocity: 5 // 荷重を計算する最低速度 (m/s)
+};
+
+// カントフィンによるロール運動の設定
+export const ROLL_DYNAMICS = {
+  minVelocity: 5, // ロールモーメントを計算する最低対気速度 (m/s)
+  resonanceBand: 0.2, // ロール角速度がピッチ固有角振動数の ±20% 以内を共振域とみなす
+  maxResonanceTime: 0.2 // 共振域に留まってもよい合計時間 (s) - 加速中に一瞬通過するだけなら許容する
+};
+
+// ピッチの動安定の評価
+export const DYNAMIC_STABILITY = {
+  criticalBand: 0.05, // 減衰比が 1 ± 0.05 の範囲を臨界減衰とみなす
+  points: { railExit: '発射台離脱', burnout: '燃焼終了', apogee: '頂点' } // 評価する時点
+};
+
+// 減衰比による分類
+export const DAMPING_CLASSES = {
+  under: { name: '不足減衰', description: '振動しながら収まる' },
+  critical: { name: '臨界減衰', description: '振動せず最も速く収まる' },
+  over: { name: '過減衰', description: '振動せずゆっくり収まる' },
+  none: { name: '復元なし', description: '復元モーメントがない (対気速度ゼロまたは静安定マージンが負)' }
+};
+
+// NACA TN-4197 のフラッター境界 (G と P は同じ単位)
+// Vf = a √(G / (係数 · AR³ · P · (λ + 1) / (2 (AR + 2) (t/c)³)))
+export const FLUTTER_CONSTANTS = {
+  coefficient: 1.337,
+  minSpeed: 5 // 余裕を記録する最低対気速度 (m/s)
+};
+
+// フラッター余裕のグラフ (時刻・高度に対する余裕)
+export const FLUTTER_CHART = {
+  chartWidth: 360,
+  chartHeight: 160,
+  padding: 32,
+  maxPoints: 200, // 結果に保存する点数の上限
+  maxMargin: 200 // 縦軸の上限 (%) - 低速時の大きな余裕は上限に揃えて描く
+};
+
+// 抗力解析の表示設定 (内訳表の速度と Cd-速度グラフ)
+export const DRAG_ANALYSIS = {
+  referenceSpeed: 50, // 内訳表の速度 (m/s)
+  maxSpeed: 150, // グラフの速度範囲 (m/s)
+  steps: 30,
+  chartWidth: 360,
+  chartHeight: 200,
+  padding: 32
 };
 
 // 風速プロファイルの種類定義 - 表記を簡略化
@@ -43,7 +247,36 @@ export const WIND_PROFILES = {
   'openSea': { name: '海上・平原', alpha: 0.12 },
   'farmland': { name: '農地・草原', alpha: 0.2 },
   'suburban': { name: '郊外・小さな町', alpha: 0.3 },
-  'urban': { name: '都市部・森林', alpha: 0.4 }
+  'urban': { name: '都市部・森林', alpha: 0.4 },
+  'custom': { name: '測定データ (表)', alpha: 0, isTable: true } // 高度ごとの風速表を線形補間
+};
+
+// 風向 (風が吹いてくる方位) と発射方位 (ダウンレンジ方向) の既定値 (度, 北0°・東90°)
+// 東へ向けて発射し東風を受ける配置で、風速スライダーの正の値が機体を -x 方向へ流す従来の計算と一致する
+export const DEFAULT_AZIMUTHS = { windDirection: 90, launchAzimuth: 90 };
+
+// 風速表で受け付ける風速の上限 (m/s) - これを超える値は単位や列の取り違えとみなす
+export const WIND_TABLE_MAX_SPEED = 100;
+
+// Barrowman法の設定
+export const BARROWMAN_CONSTANTS = {
+  bodyLiftK: 1.1, // 拡張Barrowman法のボディ揚力係数
+  bodyLiftAngleOfAttack: 5 // ボディ揚力を評価する迎角 (度)
+};
+
+// 迎角に応じた法線力 (大迎角のボディ揚力とフィンの失速)
+export const NORMAL_FORCE = {
+  finStallAngle: 15, // フィンの失速角 (度) - 姿勢のモーメント・フィン強度で共通
+  postStallRatio: 0.7 // 失速後に残るフィンの法線力 (失速時に対する比)
+};
+
+// 分析タブの CN・CP-迎角グラフ
+export const NORMAL_FORCE_CHART = {
+  maxAngle: 40, // グラフの迎角範囲 (度)
+  steps: 40,
+  chartWidth: 360,
+  chartHeight: 160,
+  padding: 32
 };
 
 // 物理定数
@@ -51,6 +284,75 @@ export const PHYSICAL_CONSTANTS = {
   launchRailLength: 0.65, // 発射台の長さ (m)
 };
 
+// 数値積分法の選択肢
+export const INTEGRATOR_METHODS = {
+  'euler': { name: 'オイラー法' },
+  'rk4': { name: 'ルンゲ＝クッタ法 (RK4)' },
+  'rk45': { name: '適応刻み RK45 (Dormand–Prince)' }
+};
+
+// 数値積分の既定設定 (刻み幅s, RK45の許容誤差)
+// オイラー法は刻み幅0.02sでは姿勢の振動が発散しやすいため、既定はRK4とする
+export const DEFAULT_INTEGRATOR_SETTINGS = {
+  method: 'rk4',
+  stepSize: 0.02,
+  tolerance: 1e-6
+};
+
+// 突風モデルの既定設定 (平均風速は風速スライダーの値)
+export const DEFAULT_GUST_SETTINGS = {
+  enabled: false,
+  intensity: 1.0, // 突風強度 (風速変動の標準偏差 m/s)
+  correlationTime: 2.0, // 相関時間 (s) - 相関長 ÷ 平均風速
+  seed: 1 // 乱数のシード
+};
+
+// 製作誤差による姿勢外乱の既定設定 (機首を +x 側 (発射方向) へ回す向きを正とする)
+export const DEFAULT_DISTURBANCE_SETTINGS = {
+  thrustMisalignment: 0, // 推力線の機軸からの傾き (度)
+  lateralCgOffset: 0, // 重心の機軸からの横ずれ (mm)
+  railTipOff: false // 前側のランチラグが先に外れることによる回転 (ティップオフ) を計算するか
+};
+
+// 分散解析 (モンテカルロ法) の既定設定
+export const DEFAULT_DISPERSION_SETTINGS = {
+  runs: 50, // 計算回数
+  seed: 1, // 乱数のシード (同じシードなら同じ結果)
+  launchAngleSigma: 1.0, // 発射角度の標準偏差 (度)
+  windSpeedSigma: 0.5, // 平均風速の標準偏差 (m/s)
+  windDirectionSigma: 10, // 風向の標準偏差 (度)
+  gustIntensity: 1.0, // 突風強度 (m/s) - 計算ごとに異なる乱数列の突風を与える
+  impulseTolerance: 5, // モーター全力積のばらつき (±%)
+  delayTolerance: 0.5, // 放出遅延のばらつき (±s)
+  weightSigma: 1.0, // 重量の標準偏差 (g)
+  cgSigma: 2.0 // 重心位置の標準偏差 (mm)
+};
+
+// 着地点の95%確率楕円の倍率 (自由度2のカイ二乗分布の95%点の平方根)
+export const DISPERSION_ELLIPSE_SCALE = Math.sqrt(5.991);
+
+// 分散解析を分けて実行する際の1回あたりの計算回数 (合間に画面を更新する)
+export const DISPERSION_CHUNK_SIZE = 2;
+
+// 国際標準大気 (ISA) の定数
+export const ATMOSPHERE_CONSTANTS = {
+  seaLevelTemperature: 288.15, // 海面気温 (K)
+  seaLevelPressure: 101325, // 海面気圧 (Pa)
+  lapseRate: 0.0065, // 対流圏の気温減率 (K/m)
+  tropopauseAltitude: 11000, // 対流圏界面の高度 (m)
+  gasConstant: 287.05, // 乾燥空気の気体定数 (J/(kg·K))
+  vaporGasConstant: 461.495, // 水蒸気の気体定数 (J/(kg·K))
+  heatCapacityRatio: 1.4, // 比熱比
+  gravity: 9.80665 // 標準重力加速度 (m/s²)
+};
+
+// 発射地点の既定条件 (標高m, 気温℃, 相対湿度%) - 既定値では海面ISA (ρ=1.225kg/m³) と一致
+export const DEFAULT_LAUNCH_SITE = {
+  elevation: 0,
+  temperature: 15,
+  humidity: 0
+};
+
 // 角度の応答時間とステップ数
 export const ANGLE_RESPONSE_DT = 0.2; // 角度応答時間 (s)
 export const ANGLE_STEPS_PER_UPDATE = 10; // dt = 0.02に対して10ステップ (0.2秒)
@@ -74,6 +376,13 @@ export const ANALYSIS_VIEW_CONFIG = {
   minScale: 0.8
 };
 
+// 地上軌跡 (上から見た飛行経路) の表示設定
+export const GROUND_TRACK_VIEW = {
+  size: 300, // 表示領域の一辺 (px)
+  padding: 24, // 外周の余白 (px)
+  minExtent: 20 // 表示範囲の最小半径 (m)
+};
+
 // UI設定
 export const UI_CONFIG = {
   defaultTab: 'design',
@@ -0,0 +1,210 @@
+// 分散解析 (モンテカルロ法による最高高度・着地点のばらつき) 関連の関数
+import { DEFAULT_DISPERSION_SETTINGS, DISPERSION_ELLIPSE_SCALE, DISPERSION_CHUNK_SIZE, DEFAULT_AZIMUTHS } from './RocketConstants';
+import { getDefaultMotorDelay } from './RocketMotors';
+import { calculateFlightPath } from './RocketPhysics';
+import { calculateFlightPathWithLanding } from './RocketLandingPrediction';
+import { createSeededRandom, randomNormal } from './RocketRandom';
+
+// [-1, 1] の一様乱数
+const randomSigned = (random) => random() * 2 - 1;
+
+// 平均・標準偏差・最小・最大
+export const calculateStatistics = (values) => {
+  if (values.length === 0) {
+    return { mean: 0, std: 0, min: 0, max: 0 };
+  }
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.length > 1
+    ? values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (values.length - 1)
+    : 0;
+  return {
+    mean,
+    std: Math.sqrt(variance),
+    min: Math.min(...values),
+    max: Math.max(...values)
+  };
+};
+
+// 着地点の95%確率楕円 (共分散行列の固有値・固有ベクトルから求める)
+// points: [{ x: ダウンレンジ (m), y: クロスレンジ (m) }]
+export const calculateConfidenceEllipse = (points, scale = DISPERSION_ELLIPSE_SCALE) => {
+  const n = points.length;
+  if (n < 2) {
+    return { centerX: points[0]?.x ?? 0, centerY: points[0]?.y ?? 0, semiMajor: 0, semiMinor: 0, rotation: 0 };
+  }
+  const centerX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const centerY = points.reduce((sum, p) => sum + p.y, 0) / n;
+  const sxx = points.reduce((sum, p) => sum + Math.pow(p.x - centerX, 2), 0) / (n - 1);
+  const syy = points.reduce((sum, p) => sum + Math.pow(p.y - centerY, 2), 0) / (n - 1);
+  const sxy = points.reduce((sum, p) => sum + (p.x - centerX) * (p.y - centerY), 0) / (n - 1);
+
+  const trace = sxx + syy;
+  const diff = Math.sqrt(Math.pow(sxx - syy, 2) / 4 + sxy * sxy);
+  const lambda1 = trace / 2 + diff;
+  const lambda2 = Math.max(0, trace / 2 - diff);
+
+  return {
+    centerX,
+    centerY,
+    semiMajor: scale * Math.sqrt(lambda1),
+    semiMinor: scale * Math.sqrt(lambda2),
+    rotation: 0.5 * Math.atan2(2 * sxy, sxx - syy) // 長軸のダウンレンジ方向からの角度 (rad)
+  };
+};
+
+// 1回分の入力をばらつかせる関数
+const sampleFlightInputs = (random, base, settings) => {
+  const nominalDelay = base.rocketParams.motorDelay ?? getDefaultMotorDelay(base.rocketParams.selectedMotor);
+  const launchAngle = base.launchAngle + randomNormal(random) * settings.launchAngleSigma;
+  const windSpeedNoise = randomNormal(random) * settings.windSpeedSigma;
+  const gustSeed = Math.floor(random() * 4294967296); // 計算ごとの突風の乱数列
+  const thrustScale = 1 + randomSigned(random) * settings.impulseTolerance / 100;
+  const motorDelay = Math.max(0, nominalDelay + randomSigned(random) * settings.delayTolerance);
+  const weight = Math.max(1, base.rocketParams.weight + randomNormal(random) * settings.weightSigma);
+  const centerOfGravity = base.rocketParams.centerOfGravity + randomNormal(random) * settings.cgSigma;
+  const windDirectionNoise = randomNormal(random) * settings.windDirectionSigma;
+  return {
+    launchAngle,
+    // 風速は大きさをばらつかせて0で打ち切る (負にすると風向きが反転するため、向きは平均風速の符号のまま)
+    windSpeed: (base.windSpeed < 0 ? -1 : 1) * Math.max(0, Math.abs(base.windSpeed) + windSpeedNoise),
+    gustSeed,
+    thrustScale,
+    motorDelay,
+    weight,
+    centerOfGravity,
+    windDirection: (base.config?.windDirection ?? DEFAULT_AZIMUTHS.windDirection) + windDirectionNoise,
+    // 測定データの風速表はそのまま使い、この変動だけを加える
+    windPerturbation: { speed: windSpeedNoise, direction: windDirectionNoise }
+  };
+};
+
+// 1回分の飛行を計算する関数 (計算に失敗した場合は null)
+const runSingleFlight = (base, settings, inputs, index) => {
+  const flight = calculateFlightPathWithLanding(
+    calculateFlightPath,
+    {
+      ...base.rocketParams,
+      thrustScale: inputs.thrustScale,
+      motorDelay: inputs.motorDelay,
+      weight: inputs.weight,
+      centerOfGravity: inputs.centerOfGravity
+    },
+    inputs.launchAngle,
+    inputs.windSpeed,
+    base.windProfile,
+    {
+      ...base.config,
+      windDirection: inputs.windDirection,
+      windPerturbation: inputs.windPerturbation,
+      gust: settings.gustIntensity > 0
+        ? { ...base.config?.gust, enabled: true, intensity: settings.gustIntensity, seed: inputs.gustSeed }
+        : base.config?.gust
+    }
+  );
+
+  if (!flight?.data?.length || flight.error?.hasError) {
+    console.warn(`分散解析の${index + 1}回目の計算に失敗しました:`, flight?.error?.message);
+    return null;
+  }
+
+  return {
+    index,
+    ...inputs,
+    apogee: flight.maxHeight,
+    landingX: flight.landing?.landingX ?? 0,
+    landingY: flight.landing?.landingCrossRange ?? 0, // クロスレンジ
+    landingDistance: flight.landing?.landingDistance ?? 0,
+    flightTime: flight.landing?.totalFlightTime ?? 0,
+    hasLanded: flight.landing?.hasLanded ?? false
+  };
+};
+
+// 計算結果から統計と着地点の楕円をまとめる関数
+// 着地前に打ち切られた計算 (最大計算時間・異常トルクによる中断) は空中の位置しかないため、統計と楕円から除く
+const summarizeDispersion = (settings, runs, runCount) => {
+  const landedRuns = runs.filter(run => run.hasLanded);
+  const landingPoints = landedRuns.map(run => ({ x: run.landingX, y: run.landingY }));
+  return {
+    settings,
+    runs,
+    landedRuns,
+    statistics: {
+      apogee: calculateStatistics(landedRuns.map(run => run.apogee)),
+      landingDistance: calculateStatistics(landedRuns.map(run => run.landingDistance)),
+      landingX: calculateStatistics(landedRuns.map(run => run.landingX)),
+      landingY: calculateStatistics(landedRuns.map(run => run.landingY)),
+      flightTime: calculateStatistics(landedRuns.map(run => run.flightTime))
+    },
+    ellipse: calculateConfidenceEllipse(landingPoints),
+    failedRuns: runCount - runs.length,
+    unlandedRuns: runs.length - landedRuns.length
+  };
+};
+
+// 分散解析の実行状態 (入力のばらつきは計算順に乱数列から取り出すため、分けて実行しても結果は同じ)
+const createDispersionRunner = (base, options) => {
+  const settings = { ...DEFAULT_DISPERSION_SETTINGS, ...options };
+  const runCount = Math.max(1, Math.floor(settings.runs));
+  const random = createSeededRandom(settings.seed);
+  const runs = [];
+  let completed = 0;
+
+  return {
+    runCount,
+    getCompleted: () => completed,
+    isDone: () => completed >= runCount,
+    runNext: () => {
+      const run = runSingleFlight(base, settings, sampleFlightInputs(random, base, settings), completed);
+      if (run) runs.push(run);
+      completed++;
+    },
+    getResult: () => summarizeDispersion(settings, runs, completed)
+  };
+};
+
+// 分散解析を実行する関数
+// base: { rocketParams, launchAngle, windSpeed, windProfile, config }
+export const runDispersionAnalysis = (base, options = {}) => {
+  const runner = createDispersionRunner(base, options);
+  while (!runner.isDone()) {
+    runner.runNext();
+  }
+  return runner.getResult();
+};
+
+// 分散解析を数回ずつ分けて実行する関数 (計算の合間に画面の更新を挟む)
+// onProgress(完了数, 全回数) で進捗を、onComplete(結果) で結果を通知する
+// 戻り値は中断する関数 (中断した場合は onComplete を呼ばない)
+export const runDispersionAnalysisInChunks = (base, options = {}, { onProgress, onComplete, onError, chunkSize = DISPERSION_CHUNK_SIZE } = {}) => {
+  const runner = createDispersionRunner(base, options);
+  let timer = null;
+
+  const runChunk = () => {
+    try {
+      for (let i = 0; i < chunkSize && !runner.isDone(); i++) {
+        runner.runNext();
+      }
+    } catch (error) {
+      if (onError) onError(error);
+      return;
+    }
+    if (onProgress) onProgress(runner.getCompleted(), runner.runCount);
+
+    if (runner.isDone()) {
+      timer = null;
+      if (onComplete) onComplete(runner.getResult());
+    } else {
+      timer = setTimeout(runChunk, 0);
+    }
+  };
+
+  if (onProgress) onProgress(0, runner.runCount);
+  timer = setTimeout(runChunk, 0);
+
+  return () => {
+    if (timer !== null) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+};
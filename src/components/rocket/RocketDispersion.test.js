@@ -0,0 +1,156 @@
+import { runDispersionAnalysis, runDispersionAnalysisInChunks, calculateConfidenceEllipse, calculateStatistics } from './RocketDispersion';
+import { createSeededRandom, randomNormal } from './RocketRandom';
+
+// 飛行計算を置き換える関数 (null の場合は実際に計算する)
+let mockFlight = null;
+jest.mock('./RocketLandingPrediction', () => {
+  const actual = jest.requireActual('./RocketLandingPrediction');
+  return {
+    ...actual,
+    calculateFlightPathWithLanding: (...args) => (mockFlight ? mockFlight(...args) : actual.calculateFlightPathWithLanding(...args))
+  };
+});
+
+const BASE = {
+  rocketParams: {
+    noseShape: 'ogive', noseHeight: 57, bodyHeight: 255, bodyWidth: 31,
+    finHeight: 57.5, finBaseWidth: 65, finTipWidth: 25, finThickness: 1.5, finSweepLength: 82.5,
+    finMaterial: 'light_veneer', finCount: 3, weight: 50, centerOfGravity: 150,
+    selectedMotor: 'A8-3', selectedParachute: 'φ300'
+  },
+  launchAngle: 0,
+  windSpeed: 0.2,
+  windProfile: 'uniform',
+  config: {}
+};
+
+// 計算時間を抑えるため回数を減らし、突風は使わない
+const OPTIONS = { runs: 3, seed: 42, gustIntensity: 0 };
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createSeededRandom', () => {
+  test('同じシードなら同じ乱数列、異なるシードなら異なる乱数列', () => {
+    const sample = (seed) => {
+      const random = createSeededRandom(seed);
+      return Array.from({ length: 5 }, () => random());
+    };
+    expect(sample(7)).toEqual(sample(7));
+    expect(sample(7)).not.toEqual(sample(8));
+    sample(7).forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+
+  test('randomNormal は平均0・標準偏差1に近い', () => {
+    const random = createSeededRandom(1);
+    const stats = calculateStatistics(Array.from({ length: 20000 }, () => randomNormal(random)));
+    expect(stats.mean).toBeCloseTo(0, 1);
+    expect(stats.std).toBeCloseTo(1, 1);
+  });
+});
+
+describe('calculateConfidenceEllipse', () => {
+  test('軸に沿った分布では標準偏差に倍率を掛けた半径になる', () => {
+    const points = [{ x: -2, y: 0 }, { x: 2, y: 0 }, { x: 0, y: -1 }, { x: 0, y: 1 }];
+    const ellipse = calculateConfidenceEllipse(points, 1);
+    expect(ellipse.centerX).toBeCloseTo(0);
+    expect(ellipse.centerY).toBeCloseTo(0);
+    expect(ellipse.semiMajor).toBeCloseTo(Math.sqrt(8 / 3));
+    expect(ellipse.semiMinor).toBeCloseTo(Math.sqrt(2 / 3));
+    expect(ellipse.rotation).toBeCloseTo(0);
+  });
+});
+
+describe('runDispersionAnalysis', () => {
+  test('同じシードでは同じ結果になる', () => {
+    const first = runDispersionAnalysis(BASE, OPTIONS);
+    const second = runDispersionAnalysis(BASE, OPTIONS);
+    expect(first.runs).toHaveLength(3);
+    expect(second.runs).toEqual(first.runs);
+    expect(second.ellipse).toEqual(first.ellipse);
+
+    const other = runDispersionAnalysis(BASE, { ...OPTIONS, seed: 43 });
+    expect(other.runs[0].launchAngle).not.toBe(first.runs[0].launchAngle);
+  }, 60000);
+
+  test('分けて実行しても一度に実行した結果と同じになる', (done) => {
+    const expected = runDispersionAnalysis(BASE, OPTIONS);
+    const progress = [];
+    runDispersionAnalysisInChunks(BASE, OPTIONS, {
+      chunkSize: 1,
+      onProgress: (completed, total) => progress.push([completed, total]),
+      onComplete: (result) => {
+        expect(result.runs).toEqual(expected.runs);
+        expect(progress).toEqual([[0, 3], [1, 3], [2, 3], [3, 3]]);
+        done();
+      }
+    });
+  }, 60000);
+
+  test('中断すると結果を返さない', (done) => {
+    const onComplete = jest.fn();
+    const cancel = runDispersionAnalysisInChunks(BASE, OPTIONS, { onComplete });
+    cancel();
+    setTimeout(() => {
+      expect(onComplete).not.toHaveBeenCalled();
+      done();
+    }, 50);
+  });
+
+  test('着地前に打ち切られた計算は統計と楕円から除き、回数を報告する', () => {
+    // 3回に1回は空中で打ち切られ、空中の位置が「着地点」として返る
+    let count = 0;
+    mockFlight = () => {
+      const hasLanded = count++ % 3 !== 2;
+      return {
+        data: [{}],
+        maxHeight: hasLanded ? 100 : 500,
+        landing: { hasLanded, landingX: hasLanded ? count : 1000, landingCrossRange: 0, landingDistance: hasLanded ? count : 1000, totalFlightTime: 10 }
+      };
+    };
+    try {
+      const result = runDispersionAnalysis(BASE, { ...OPTIONS, runs: 6 });
+      expect(result.runs).toHaveLength(6);
+      expect(result.landedRuns).toHaveLength(4);
+      expect(result.unlandedRuns).toBe(2);
+      expect(result.failedRuns).toBe(0);
+      expect(result.statistics.apogee.max).toBe(100);
+      expect(result.statistics.landingDistance.max).toBeLessThan(1000);
+      expect(result.ellipse.centerX).toBeCloseTo((1 + 2 + 4 + 5) / 4);
+    } finally {
+      mockFlight = null;
+    }
+  });
+
+  test('風速のばらつきは0で打ち切り、風向きを反転させない', () => {
+    // 入力のばらつきだけを見るため、飛行計算は風速を記録するだけにする
+    const windSpeeds = [];
+    mockFlight = (calculate, rocketParams, angle, windSpeed) => {
+      windSpeeds.push(windSpeed);
+      return { data: [{}], maxHeight: 0, landing: {} };
+    };
+    try {
+      runDispersionAnalysis({ ...BASE, windSpeed: 0.2 }, { ...OPTIONS, runs: 200, windSpeedSigma: 2 });
+      expect(windSpeeds).toHaveLength(200);
+      expect(Math.min(...windSpeeds)).toBe(0);
+      expect(Math.max(...windSpeeds)).toBeGreaterThan(2);
+
+      // 負の平均風速 (逆向きの風) は符号を保ったまま大きさをばらつかせる
+      windSpeeds.length = 0;
+      runDispersionAnalysis({ ...BASE, windSpeed: -0.2 }, { ...OPTIONS, runs: 200, windSpeedSigma: 2 });
+      expect(windSpeeds.every(windSpeed => windSpeed <= 0)).toBe(true);
+      expect(Math.min(...windSpeeds)).toBeLessThan(-2);
+    } finally {
+      mockFlight = null;
+    }
+  });
+});
@@ -0,0 +1,42 @@
+// 製作誤差による姿勢外乱 (推力線の傾き・重心の横ずれ・発射台離脱時のティップオフ) 関連の関数
+// モーメントは機首を +x 側へ回す向き (omega が増える向き) を正とする
+import { DEFAULT_DISTURBANCE_SETTINGS } from './RocketConstants';
+
+// 外乱設定を検証する関数 (不正な値は既定値に戻す)
+export const normalizeDisturbanceSettings = (disturbance = {}) => {
+  const settings = { ...DEFAULT_DISTURBANCE_SETTINGS, ...disturbance };
+  if (!isFinite(settings.thrustMisalignment) || Math.abs(settings.thrustMisalignment) >= 90) {
+    console.warn(`推力線の傾きが不正です: ${settings.thrustMisalignment}。既定値を使用します`);
+    settings.thrustMisalignment = DEFAULT_DISTURBANCE_SETTINGS.thrustMisalignment;
+  }
+  if (!isFinite(settings.lateralCgOffset)) {
+    console.warn(`重心の横ずれが不正です: ${settings.lateralCgOffset}。既定値を使用します`);
+    settings.lateralCgOffset = DEFAULT_DISTURBANCE_SETTINGS.lateralCgOffset;
+  }
+  settings.railTipOff = Boolean(settings.railTipOff);
+  return settings;
+};
+
+// ランチラグの前端・後端の位置 (ノーズ先端からmm)。ランチラグがない場合は null
+export const getRailGuides = (rocketParams) => {
+  const lugs = rocketParams.launchLugs || [];
+  if (!lugs.length) {
+    return null;
+  }
+  const front = Math.min(...lugs.map(lug => lug.position));
+  const rear = Math.max(...lugs.map(lug => lug.position + lug.length));
+  return { front, rear, spacing: rear - front };
+};
+
+// ティップオフ中 (後側のランチラグだけが発射台に残っている間) の後側ランチラグまわりの角加速度 (rad/s²)
+// 重力が傾いた機体を倒すモーメントと推力の偏心モーメントを、支点まわりの慣性モーメントで割る
+// pivotArm: 後側のランチラグから重心までの距離 (m、重心が前方にある場合に正)
+export const calculateTipOffAcceleration = (omega, mass, momentOfInertia, pivotArm, thrustMoment, g) => {
+  const gravityMoment = mass * g * Math.sin(omega) * pivotArm;
+  return (gravityMoment + thrustMoment) / (momentOfInertia + mass * pivotArm * pivotArm);
+};
+
+// 推力線の傾きと重心の横ずれによる重心まわりのモーメント (N·m)
+// thrustArm: 重心からノズルまでの距離 (m)、thrustMisalignment: 推力線の傾き (rad)、lateralCgOffset: 重心の横ずれ (m)
+export const calculateThrustMoment = (thrust, thrustArm, thrustMisalignment, lateralCgOffset) =>
+  thrust * (Math.sin(thrustMisalignment) * thrustArm + Math.cos(thrustMisalignment) * lateralCgOffset);
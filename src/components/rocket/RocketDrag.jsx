@@ -0,0 +1,176 @@
+// 部品ごとの抗力推算 (摩擦・ノーズ/トランジション圧力・底面・フィン・干渉・ランチラグ) 関連の関数
+// OpenRocket / Barrowman の方法による迎角0の抗力係数。基準面積は最大胴体断面積
+// 形状の入力はmm、面積・長さは内部でmに変換する
+import { DRAG_CONSTANTS, SURFACE_FINISHES, DEFAULT_SURFACE_FINISH, mmToM } from './RocketConstants';
+import { calculateNoseProfile } from './RocketNoseGeometry';
+import { getFinPlanform } from './RocketFinGeometry';
+
+const mm2ToM2 = (area) => mmToM(mmToM(area));
+
+// 抗力の成分 (表示順)
+export const DRAG_COMPONENTS = {
+  friction: '表面摩擦',
+  nosePressure: 'ノーズ圧力',
+  transitionPressure: 'トランジション圧力',
+  base: '底面',
+  finPressure: 'フィン前縁・後縁',
+  interference: 'フィン-ボディ干渉',
+  launchLug: 'ランチラグ'
+};
+
+// Sutherlandの式による空気の粘性係数 (Pa·s)
+const getDynamicViscosity = (temperature) => 1.458e-6 * Math.pow(temperature, 1.5) / (temperature + 110.4);
+
+// 表面仕上げの粗さ (m)
+const getRoughness = (surfaceFinish) => {
+  const finish = SURFACE_FINISHES[surfaceFinish];
+  if (!finish) {
+    console.warn(`未対応の表面仕上げです: ${surfaceFinish}。${SURFACE_FINISHES[DEFAULT_SURFACE_FINISH].name}を使用します`);
+    return SURFACE_FINISHES[DEFAULT_SURFACE_FINISH].roughness * 1e-6;
+  }
+  return finish.roughness * 1e-6;
+};
+
+// 底面抗力係数 (底面積基準)
+const getBaseDragCoefficient = (mach) => mach < 1 ? 0.12 + 0.13 * mach * mach : 0.25 / mach;
+
+// 機体形状から速度によらない面積・長さを求める関数 (飛行計算では1回だけ呼ぶ)
+// motorDiameter: 燃焼中に底面を埋めるモーターの直径 (mm)
+export const createDragModel = (rocketParams, motorDiameter = 0) => {
+  const { noseHeight, bodyHeight, bodyWidth, finThickness, finCount = 3 } = rocketParams;
+  const maxBodyWidth = rocketParams.maxBodyWidth ?? bodyWidth;
+  const referenceArea = Math.PI * Math.pow(mmToM(maxBodyWidth) / 2, 2);
+  const length = mmToM(noseHeight + bodyHeight);
+
+  // 胴体の浸水面積 (ノーズ・ボディチューブ・トランジション)
+  const nose = calculateNoseProfile(rocketParams);
+  const transitions = rocketParams.transitions || [];
+  const tubeWetArea = rocketParams.bodyTubes?.length
+    ? rocketParams.bodyTubes.reduce((sum, tube) => sum + Math.PI * tube.diameter * tube.length, 0)
+    : Math.PI * bodyWidth * bodyHeight;
+  const transitionWetArea = transitions.reduce((sum, t) => {
+    const slant = Math.sqrt(t.length * t.length + Math.pow((t.aftDiameter - t.foreDiameter) / 2, 2));
+    return sum + Math.PI * (t.foreDiameter + t.aftDiameter) / 2 * slant;
+  }, 0);
+  const bodyWetArea = mm2ToM2(nose.surfaceArea + tubeWetArea + transitionWetArea);
+
+  // フィン (両面) の浸水面積と前縁の後退角
+  const planform = getFinPlanform(rocketParams);
+  const finWetArea = mm2ToM2(planform.area) * 2 * finCount;
+  const finSweepAngle = Math.atan2(rocketParams.finSweepLength ?? 0, planform.span || 1);
+
+  // トランジションの圧力抗力 (ショルダーは傾き角による圧力抗力、ボートテールは底面抗力の一部)
+  const transitionTerms = transitions.map(t => {
+    const foreArea = Math.PI * Math.pow(mmToM(t.foreDiameter) / 2, 2);
+    const aftArea = Math.PI * Math.pow(mmToM(t.aftDiameter) / 2, 2);
+    const angle = Math.atan2(Math.abs(t.aftDiameter - t.foreDiameter) / 2, t.length);
+    const lengthRatio = t.foreDiameter > t.aftDiameter ? t.length / (t.foreDiameter - t.aftDiameter) : 0;
+    return {
+      isBoattail: t.foreDiameter > t.aftDiameter,
+      shoulderCd: DRAG_CONSTANTS.shoulderPressureFactor * Math.pow(Math.sin(angle), 2) * Math.max(0, aftArea - foreArea),
+      // 長さ/径差が1以下は底面と同じ、3以上は0
+      boattailFactor: Math.min(1, Math.max(0, (3 - lengthRatio) / 2)) * Math.max(0, foreArea - aftArea)
+    };
+  });
+
+  // ランチラグ (前端の環状面積と内外面の浸水面積)
+  const launchLugs = rocketParams.launchLugs || [];
+  const lugFrontalArea = launchLugs.reduce((sum, lug) => {
+    const outer = lug.diameter / 2;
+    const inner = Math.max(0, outer - (lug.thickness ?? 0));
+    return sum + Math.PI * (outer * outer - inner * inner);
+  }, 0);
+  const lugWetArea = launchLugs.reduce((sum, lug) => sum + 2 * Math.PI * lug.diameter * lug.length, 0);
+
+  const aftBodyWidth = rocketParams.aftBodyWidth ?? bodyWidth;
+  const baseArea = Math.PI * Math.pow(mmToM(aftBodyWidth) / 2, 2);
+  const motorArea = Math.PI * Math.pow(mmToM(motorDiameter) / 2, 2);
+
+  return {
+    referenceArea,
+    length,
+    roughness: getRoughness(rocketParams.surfaceFinish ?? DEFAULT_SURFACE_FINISH),
+    bodyWetArea,
+    finenessRatio: length / mmToM(maxBodyWidth),
+    finWetArea,
+    finThicknessRatio: planform.mac > 0 ? finThickness / planform.mac : 0,
+    finFrontalArea: mm2ToM2(finThickness * planform.span) * finCount,
+    finSweepAngle,
+    // 胴体内に延長したフィン (付け根翼弦 × 胴体半径) の両面の面積
+    finInterferenceArea: mm2ToM2(planform.rootChord * (rocketParams.finBodyDiameter ?? bodyWidth) / 2) * 2 * finCount,
+    nosePressureArea: nose.pressureCd * Math.PI * Math.pow(mmToM(bodyWidth) / 2, 2),
+    transitionTerms,
+    lugFrontalArea: mm2ToM2(lugFrontalArea),
+    lugWetArea: mm2ToM2(lugWetArea),
+    baseArea,
+    // 燃焼中はモーターの噴流が底面の一部を埋める
+    thrustingBaseArea: Math.max(0, baseArea - motorArea)
+  };
+};
+
+// 摩擦係数 (レイノルズ数・表面粗さ・圧縮性補正)
+export const calculateSkinFrictionCoefficient = (reynoldsNumber, mach, roughness, length) => {
+  if (reynoldsNumber < DRAG_CONSTANTS.laminarReynolds) {
+    return DRAG_CONSTANTS.laminarCf;
+  }
+  const machSquared = Math.min(mach, 1) * Math.min(mach, 1);
+  const turbulentCf = (1 / Math.pow(1.5 * Math.log(reynoldsNumber) - 5.6, 2)) * (1 - 0.1 * machSquared);
+  if (!(roughness > 0)) {
+    return turbulentCf;
+  }
+  // 粗さで決まる臨界レイノルズ数を超えると摩擦係数は粗さだけで決まる
+  const roughnessRatio = roughness / length;
+  const roughCf = 0.032 * Math.pow(roughnessRatio, 0.2) / (1 + 0.18 * machSquared);
+  const criticalReynolds = 51 * Math.pow(roughnessRatio, -1.039);
+  return reynoldsNumber > criticalReynolds ? Math.max(turbulentCf, roughCf) : turbulentCf;
+};
+
+// 速度・大気状態から成分ごとの抗力係数 (基準面積あたり) を計算する関数
+// isThrusting: モーター燃焼中 (底面抗力が小さくなる)
+export const calculateDragCoefficients = (model, velocity, atmosphere, isThrusting = false) => {
+  const speed = Math.abs(velocity);
+  const mach = speed / atmosphere.speedOfSound;
+  const kinematicViscosity = getDynamicViscosity(atmosphere.temperature) / atmosphere.density;
+  const reynoldsNumber = speed * model.length / kinematicViscosity;
+  const cf = calculateSkinFrictionCoefficient(reynoldsNumber, mach, model.roughness, model.length);
+  const baseCd = getBaseDragCoefficient(mach);
+  const stagnationCd = DRAG_CONSTANTS.stagnationCd * (1 + mach * mach / 4);
+  const ref = model.referenceArea;
+
+  // 前縁を丸めたフィンの前縁抗力 (後退角で減少)
+  const edgeMach = Math.min(mach, DRAG_CONSTANTS.maxSubsonicMach);
+  const leadingEdgeCd = (Math.pow(1 - edgeMach * edgeMach, -0.417) - 1) * Math.pow(Math.cos(model.finSweepAngle), 2);
+  const finFriction = (1 + 2 * model.finThicknessRatio);
+
+  const components = {
+    friction: cf * (
+      (1 + 1 / (2 * model.finenessRatio)) * model.bodyWetArea +
+      finFriction * model.finWetArea +
+      model.lugWetArea
+    ) / ref,
+    nosePressure: model.nosePressureArea / ref,
+    transitionPressure: model.transitionTerms.reduce((sum, t) =>
+      sum + (t.isBoattail ? baseCd * t.boattailFactor : t.shoulderCd), 0) / ref,
+    base: baseCd * (isThrusting ? model.thrustingBaseArea : model.baseArea) / ref,
+    finPressure: (leadingEdgeCd + baseCd * DRAG_CONSTANTS.finTrailingEdgeRatio) * model.finFrontalArea / ref,
+    interference: cf * finFriction * model.finInterferenceArea / ref,
+    launchLug: stagnationCd * model.lugFrontalArea / ref
+  };
+  const total = Object.values(components).reduce((sum, value) => sum + value, 0);
+
+  return { components, total, reynoldsNumber, mach, skinFrictionCoefficient: cf };
+};
+
+// 速度ごとの抗力係数 (Cd-速度グラフ用、燃焼中と慣性飛行中)
+export const calculateDragCurve = (model, atmosphere, maxSpeed, steps) => {
+  const curve = [];
+  for (let i = 1; i <= steps; i++) {
+    const speed = maxSpeed * i / steps;
+    curve.push({
+      speed,
+      coast: calculateDragCoefficients(model, speed, atmosphere, false).total,
+      thrust: calculateDragCoefficients(model, speed, atmosphere, true).total
+    });
+  }
+  return curve;
+};
@@ -0,0 +1,67 @@
+// ピッチの動安定 (復元モーメント係数・減衰モーメント係数・固有振動数・減衰比) 関連の関数
+// 係数は Barrowman法の部品ごとの CNα と圧力中心から求める
+//   復元モーメント係数 C1 = q · A · CNα · (Xcp - Xcg)
+//   空力減衰モーメント係数 C2A = ½ ρ V A Σ CNα_i (X_i - Xcg)²
+//   ジェット減衰モーメント係数 C2R = ṁ (Xnozzle - Xcg)²
+//   固有角振動数 ωn = √(C1 / I)、減衰比 ζ = (C2A + C2R) / (2 √(C1 · I))
+import { DYNAMIC_STABILITY, mmToM } from './RocketConstants';
+
+// ピッチの固有角振動数 (rad/s) ωn = √(q · A · CNα · (Xcp - Xcg) / I)
+// 静安定マージンが負の場合は復元モーメントがないため0
+// cnAlphaArea: CNα × 基準面積 (m²)、staticArm: 重心から圧力中心まで (m)
+export const calculatePitchNaturalFrequency = (dynamicPressure, cnAlphaArea, staticArm, momentOfInertia) => {
+  const stiffness = dynamicPressure * cnAlphaArea * staticArm;
+  return stiffness > 0 && momentOfInertia > 0 ? Math.sqrt(stiffness / momentOfInertia) : 0;
+};
+
+// 減衰比から減衰の分類 (DAMPING_CLASSES のキー) を求める
+export const classifyDamping = (dampingRatio) => {
+  if (dampingRatio === null || !isFinite(dampingRatio)) {
+    return 'none';
+  }
+  if (Math.abs(dampingRatio - 1) <= DYNAMIC_STABILITY.criticalBand) {
+    return 'critical';
+  }
+  return dampingRatio < 1 ? 'under' : 'over';
+};
+
+// 飛行計算で1回だけ求める係数
+// barrowman: calculateBarrowmanStability の結果、nozzlePosition: ノズル出口の位置 (ノーズ先端からmm)
+export const createDynamicStabilityModel = (barrowman, nozzlePosition) => {
+  const referenceRadius = mmToM(barrowman.referenceDiameter) / 2;
+  return {
+    referenceArea: Math.PI * referenceRadius * referenceRadius,
+    cnAlpha: barrowman.cnAlpha,
+    centerOfPressure: barrowman.centerOfPressure,
+    components: barrowman.components.filter(component => component.cnAlpha !== 0),
+    nozzlePosition
+  };
+};
+
+// ある時点の動安定の指標
+// conditions: { rho (kg/m³), airSpeed (m/s), centerOfGravity (mm), momentOfInertia (kg·m²), massFlowRate (kg/s) }
+export const calculateDynamicStability = (model, conditions) => {
+  const { rho, airSpeed, centerOfGravity, momentOfInertia, massFlowRate } = conditions;
+  const dynamicPressure = 0.5 * rho * airSpeed * airSpeed;
+  const staticArm = mmToM(model.centerOfPressure - centerOfGravity);
+
+  const correctiveMoment = dynamicPressure * model.referenceArea * model.cnAlpha * staticArm;
+  const aerodynamicDamping = 0.5 * rho * airSpeed * model.referenceArea * model.components.reduce(
+    (sum, component) => sum + component.cnAlpha * Math.pow(mmToM(component.cp - centerOfGravity), 2), 0
+  );
+  const jetDamping = Math.max(massFlowRate, 0) * Math.pow(mmToM(model.nozzlePosition - centerOfGravity), 2);
+  const dampingMoment = aerodynamicDamping + jetDamping;
+
+  const naturalFrequency = calculatePitchNaturalFrequency(dynamicPressure, model.referenceArea * model.cnAlpha, staticArm, momentOfInertia);
+  const dampingRatio = naturalFrequency > 0 ? dampingMoment / (2 * Math.sqrt(correctiveMoment * momentOfInertia)) : null;
+
+  return {
+    correctiveMoment, // C1 (N·m/rad)
+    aerodynamicDamping, // C2A (N·m·s/rad)
+    jetDamping, // C2R (N·m·s/rad)
+    dampingMoment, // C2 = C2A + C2R (N·m·s/rad)
+    naturalFrequency, // ωn (rad/s)
+    dampingRatio, // ζ (復元モーメントがない場合は null)
+    dampingClass: classifyDamping(dampingRatio)
+  };
+};
@@ -1,44 +1,52 @@
 import React, { useState } from 'react';
-import { mmToM } from './RocketConstants';
+import { mmToM, FIN_SHAPES } from './RocketConstants';
+import { getFinOutline, getFinPlanform } from './RocketFinGeometry';
 
 const ExportTab = ({ rocketSim }) => {
   const [isPremiumUser, setIsPremiumUser] = useState(false);
   const [showUpgradeMessage, setShowUpgradeMessage] = useState(false);
 
-  const generateFinSVG = () => {
-    const {
-      finHeight,
-      finBaseWidth,
-      finTipWidth,
-      finSweepLength,
-      finThickness,
-      finCount
-    } = rocketSim;
+  // 型紙の外形と注釈 (横方向がスパン、縦方向が翼弦、前進翼でも型紙内に収まるように前縁側を原点に合わせる)
+  const getFinTemplate = () => {
+    const { finHeight, finBaseWidth, finTipWidth, finSweepLength, finThickness, finCount } = rocketSim;
+    const finShapeKey = FIN_SHAPES[rocketSim.finShape] ? rocketSim.finShape : 'trapezoid';
+    const finShape = FIN_SHAPES[finShapeKey];
+    const outline = getFinOutline({
+      finShape: finShapeKey, finPoints: rocketSim.finPoints, finHeight, finBaseWidth, finTipWidth, finSweepLength
+    });
+    const planform = getFinPlanform({
+      finShape: finShapeKey, finPoints: rocketSim.finPoints, finHeight, finBaseWidth, finTipWidth, finSweepLength
+    });
 
     const scale = 1;
     const padding = 20;
-    
-    let adjustedFinTopY, adjustedFinBottomY;
-    
-    if (finSweepLength >= 0) {
-      adjustedFinTopY = finSweepLength;
-      adjustedFinBottomY = adjustedFinTopY + finTipWidth;
-    } else {
-      adjustedFinTopY = -Math.abs(finSweepLength);
-      adjustedFinBottomY = adjustedFinTopY + finTipWidth;
-    }
+    const minChordX = Math.min(0, ...outline.map(point => point.x));
+    const maxChordX = Math.max(...outline.map(point => point.x));
 
-    const finPath = `M 0 0
-                     L 0 ${finBaseWidth}
-                     L ${finHeight} ${adjustedFinBottomY}
-                     L ${finHeight} ${adjustedFinTopY}
-                     Z`;
+    const finPath = outline
+      .map((point, i) => `${i === 0 ? 'M' : 'L'} ${point.y} ${point.x - minChordX}`)
+      .join(' ') + ' Z';
 
-    const svgWidth = (finHeight + padding * 2) * scale;
-    const svgHeight = (Math.max(finBaseWidth, adjustedFinBottomY) + padding * 2) * scale;
+    const svgWidth = (planform.span + padding * 2) * scale;
+    const svgHeight = (maxChordX - minChordX + padding * 2) * scale;
 
     const textOffsetRight = Math.min(50, svgWidth * 0.3);
 
+    const labels = [
+      `板厚: ${finThickness}mm`,
+      `形状: ${finShape.name}`,
+      ...(finShape.usesTipChord ? [`翼端幅: ${finTipWidth}mm`] : []),
+      ...(finShape.usesSweep ? [`後退代: ${finSweepLength}mm`] : []),
+      `面積: ${planform.area.toFixed(0)}mm²`,
+      `枚数: ${finCount}枚`
+    ];
+
+    return { scale, padding, finPath, svgWidth, svgHeight, textOffsetRight, labels, span: planform.span, rootChord: planform.rootChord };
+  };
+
+  const generateFinSVG = () => {
+    const { scale, padding, finPath, svgWidth, svgHeight, textOffsetRight, labels, span, rootChord } = getFinTemplate();
+
     const svg = `<?xml version="1.0" encoding="UTF-8"?>
 <svg xmlns="http://www.w3.org/2000/svg" 
      width="${svgWidth}mm" 
@@ -74,23 +82,14 @@ const ExportTab = ({ rocketSim }) => {
   <!-- 寸法線と注釈 -->
   <g class="dimension-text">
     <text x="${padding * scale / 2}" y="${svgHeight / 2}" text-anchor="middle" transform="rotate(-90, ${padding * scale / 2}, ${svgHeight / 2})">
-      フィン付け根幅: ${finBaseWidth}mm
+      フィン付け根幅: ${rootChord.toFixed(1)}mm
     </text>
     <text x="${svgWidth / 2}" y="${svgHeight - 2}" text-anchor="middle">
-      フィン高さ: ${finHeight}mm
-    </text>
-    <text x="${svgWidth - textOffsetRight}" y="5">
-      板厚: ${finThickness}mm
-    </text>
-    <text x="${svgWidth - textOffsetRight}" y="10">
-      翼端幅: ${finTipWidth}mm
-    </text>
-    <text x="${svgWidth - textOffsetRight}" y="15">
-      後退代: ${finSweepLength}mm
-    </text>
-    <text x="${svgWidth - textOffsetRight}" y="20">
-      枚数: ${finCount}枚
+      フィン高さ: ${span.toFixed(1)}mm
     </text>
+${labels.map((label, i) => `    <text x="${svgWidth - textOffsetRight}" y="${5 * (i + 1)}">
+      ${label}
+    </text>`).join('\n')}
   </g>
   
   <!-- 製作情報 -->
@@ -121,38 +120,7 @@ const ExportTab = ({ rocketSim }) => {
   };
 
   const renderPreviewSVG = () => {
-    const {
-      finHeight,
-      finBaseWidth,
-      finTipWidth,
-      finSweepLength,
-      finThickness,
-      finCount
-    } = rocketSim;
-
-    const scale = 1;
-    const padding = 20;
-    
-    let adjustedFinTopY, adjustedFinBottomY;
-    
-    if (finSweepLength >= 0) {
-      adjustedFinTopY = finSweepLength;
-      adjustedFinBottomY = adjustedFinTopY + finTipWidth;
-    } else {
-      adjustedFinTopY = -Math.abs(finSweepLength);
-      adjustedFinBottomY = adjustedFinTopY + finTipWidth;
-    }
-
-    const finPath = `M 0 0
-                     L 0 ${finBaseWidth}
-                     L ${finHeight} ${adjustedFinBottomY}
-                     L ${finHeight} ${adjustedFinTopY}
-                     Z`;
-
-    const svgWidth = (finHeight + padding * 2) * scale;
-    const svgHeight = (Math.max(finBaseWidth, adjustedFinBottomY) + padding * 2) * scale;
-
-    const textOffsetRight = Math.min(50, svgWidth * 0.3);
+    const { scale, padding, finPath, svgWidth, svgHeight, textOffsetRight, labels, span, rootChord } = getFinTemplate();
 
     return (
       <svg 
@@ -188,23 +156,16 @@ const ExportTab = ({ rocketSim }) => {
             textAnchor="middle" 
             transform={`rotate(-90, ${padding * scale / 2}, ${svgHeight / 2})`}
           >
-            フィン付け根幅: {finBaseWidth}mm
+            フィン付け根幅: {rootChord.toFixed(1)}mm
           </text>
           <text x={svgWidth / 2} y={svgHeight - 2} textAnchor="middle">
-            フィン高さ: {finHeight}mm
-          </text>
-          <text x={svgWidth - textOffsetRight} y="5">
-            板厚: {finThickness}mm
-          </text>
-          <text x={svgWidth - textOffsetRight} y="10">
-            翼端幅: {finTipWidth}mm
-          </text>
-          <text x={svgWidth - textOffsetRight} y="15">
-            後退代: {finSweepLength}mm
-          </text>
-          <text x={svgWidth - textOffsetRight} y="20">
-            枚数: {finCount}枚
+            フィン高さ: {span.toFixed(1)}mm
           </text>
+          {labels.map((label, i) => (
+            <text key={label} x={svgWidth - textOffsetRight} y={5 * (i + 1)}>
+              {label}
+            </text>
+          ))}
         </g>
         
         <text x="2" y={svgHeight - 2} className="dimension-text" fontSize="2">
@@ -295,10 +256,20 @@ const ExportTab = ({ rocketSim }) => {
               <div>{rocketSim.finHeight}mm</div>
               <div>付け根幅:</div>
               <div>{rocketSim.finBaseWidth}mm</div>
-              <div>翼端幅:</div>
-              <div>{rocketSim.finTipWidth}mm</div>
-              <div>後退代:</div>
-              <div>{rocketSim.finSweepLength}mm</div>
+              <div>平面形:</div>
+              <div>{(FIN_SHAPES[rocketSim.finShape] || FIN_SHAPES.trapezoid).name}</div>
+              {(FIN_SHAPES[rocketSim.finShape] || FIN_SHAPES.trapezoid).usesTipChord && (
+                <>
+                  <div>翼端幅:</div>
+                  <div>{rocketSim.finTipWidth}mm</div>
+                </>
+              )}
+              {(FIN_SHAPES[rocketSim.finShape] || FIN_SHAPES.trapezoid).usesSweep && (
+                <>
+                  <div>後退代:</div>
+                  <div>{rocketSim.finSweepLength}mm</div>
+                </>
+              )}
               <div>板厚:</div>
               <div>{rocketSim.finThickness}mm</div>
               <div>フィン枚数:</div>
@@ -0,0 +1,223 @@
+// フィンの配置 (枚数と周方向の角度) と平面形 (外形・面積・図心・平均空力翼弦) 関連の関数
+// 角度 φ は機軸まわりの取付角で、φ = 0 のフィンは姿勢計算の面 (側面図) 内にあり、平面形がそのまま見える
+// 偶数枚は φ = 0 から、奇数枚は φ = 90° (手前向き) から等間隔に配置する (従来の3枚・4枚の配置と一致)
+import { FIN_COUNT, FIN_INTERFERENCE_FACTORS, FIN_SHAPES } from './RocketConstants';
+
+// 楕円フィンの外形の分割数 (前縁・後縁それぞれ)
+const ELLIPSE_SEGMENTS = 24;
+
+// 翼弦を求める高さを頂点の高さからずらす割合 (頂点上では交点が定まらないため)
+const SECTION_OFFSET = 1e-6;
+
+// フィン枚数を整数に丸めて範囲内に収める関数
+export const normalizeFinCount = (finCount) => {
+  const count = Math.round(Number(finCount));
+  if (!isFinite(count)) {
+    console.warn(`フィン枚数が不正です: ${finCount}。${FIN_COUNT.default}枚を使用します`);
+    return FIN_COUNT.default;
+  }
+  if (count < FIN_COUNT.min || count > FIN_COUNT.max) {
+    console.warn(`フィン枚数は${FIN_COUNT.min}～${FIN_COUNT.max}枚です: ${finCount}`);
+  }
+  return Math.min(FIN_COUNT.max, Math.max(FIN_COUNT.min, count));
+};
+
+// 各フィンの取付角 (rad)
+export const getFinAngles = (finCount) => {
+  const count = normalizeFinCount(finCount);
+  const offset = count % 2 === 0 ? 0 : Math.PI / 2;
+  return Array.from({ length: count }, (_, i) => offset + 2 * Math.PI * i / count);
+};
+
+// 各フィンのスパンが側面図に投影される割合 |cos φ|
+export const getFinSpanFactors = (finCount) => getFinAngles(finCount).map(angle => Math.abs(Math.cos(angle)));
+
+// 側面図で最も大きく見えるフィンのスパンの割合 (3枚: √3/2、偶数枚: 1)
+export const getFinProjectedSpanFactor = (finCount) => Math.max(...getFinSpanFactors(finCount));
+
+// 姿勢計算の面内の法線力に対するフィン枚数の係数 (Barrowman法の N に相当)
+// 各フィンの寄与は cos²φ で、3枚・4枚では N に一致する (2枚はフィンが面内にある向きとする)
+export const getFinNormalForceFactor = (finCount) => {
+  const count = normalizeFinCount(finCount);
+  const sum = getFinAngles(count).reduce((total, angle) => total + Math.pow(Math.cos(angle), 2), 0);
+  return 2 * sum * (FIN_INTERFERENCE_FACTORS[count] ?? 1);
+};
+
+// 自由形状の座標列を検証する関数 (不正な場合はnull)
+// 座標は付け根前縁を原点とし、x: 機軸後方 (mm)、y: スパン方向 (mm)
+// 付け根前縁から前縁・翼端・後縁の順に並べ、最初と最後の点は付け根 (y = 0) とする
+export const normalizeFinPoints = (points) => {
+  if (!Array.isArray(points) || points.length < 3) return null;
+  const outline = points.map(point => ({ x: parseFloat(point.x), y: parseFloat(point.y) }));
+  if (outline.some(point => !isFinite(point.x) || !isFinite(point.y) || point.y < 0)) return null;
+  if (outline[0].y !== 0 || outline[outline.length - 1].y !== 0) return null;
+  if (outline[outline.length - 1].x <= outline[0].x || Math.max(...outline.map(point => point.y)) <= 0) return null;
+  return outline;
+};
+
+// 自由形状の座標 (1行に x, y) を読み込む関数
+export const parseFinPoints = (text) => {
+  const points = text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line.length > 0 && !line.startsWith('#'))
+    .map(line => {
+      const [x, y] = line.split(/[,;\t]|\s+/).filter(cell => cell.length > 0).map(parseFloat);
+      return { x, y };
+    });
+
+  if (points.length < 3) {
+    throw new Error('座標は3点以上必要です');
+  }
+  const outline = normalizeFinPoints(points);
+  if (!outline) {
+    throw new Error('座標が不正です (最初と最後の点は付け根 y = 0 で、後縁側の x が前縁より大きく、y は0以上)');
+  }
+  return outline;
+};
+
+// 平面形の外形 (付け根前縁から時計回りの多角形、単位は入力と同じ) を求める関数
+// 自由形状は翼幅が finHeight になるように全体を拡大縮小する (表示用に縮尺した値にも対応)
+export const getFinOutline = (params) => {
+  const { finShape = 'trapezoid', finHeight, finBaseWidth, finTipWidth, finSweepLength, finPoints } = params;
+
+  if (finShape === 'freeform') {
+    const outline = normalizeFinPoints(finPoints);
+    if (outline) {
+      const span = Math.max(...outline.map(point => point.y));
+      const scale = finHeight > 0 ? finHeight / span : 1;
+      return outline.map(point => ({ x: point.x * scale, y: point.y * scale }));
+    }
+    console.warn('自由形状のフィン座標が不正なため台形として扱います', finPoints);
+  }
+
+  if (finShape === 'elliptical') {
+    // 翼弦中央線を直線とした楕円翼
+    const halfChord = finBaseWidth / 2;
+    const leadingEdge = [];
+    const trailingEdge = [];
+    for (let i = 0; i <= ELLIPSE_SEGMENTS; i++) {
+      const theta = (Math.PI / 2) * i / ELLIPSE_SEGMENTS;
+      const y = finHeight * Math.sin(theta);
+      const chordOffset = halfChord * Math.cos(theta);
+      leadingEdge.push({ x: halfChord - chordOffset, y });
+      trailingEdge.unshift({ x: halfChord + chordOffset, y });
+    }
+    return [...leadingEdge, ...trailingEdge.slice(1)];
+  }
+
+  // 台形 (クリップドデルタは後縁が機軸に垂直な台形)
+  const sweepLength = finShape === 'clippedDelta' ? finBaseWidth - finTipWidth : finSweepLength;
+  return [
+    { x: 0, y: 0 },
+    { x: sweepLength, y: finHeight },
+    { x: sweepLength + finTipWidth, y: finHeight },
+    { x: finBaseWidth, y: 0 }
+  ];
+};
+
+// 高さyでの翼弦断面 (前縁位置と翼弦長)
+const getFinSection = (outline, y) => {
+  const crossings = [];
+  outline.forEach((point, i) => {
+    const next = outline[(i + 1) % outline.length];
+    if ((point.y - y) * (next.y - y) < 0) {
+      crossings.push(point.x + (y - point.y) * (next.x - point.x) / (next.y - point.y));
+    }
+  });
+  crossings.sort((a, b) => a - b);
+  let chord = 0;
+  for (let i = 0; i + 1 < crossings.length; i += 2) {
+    chord += crossings[i + 1] - crossings[i];
+  }
+  return { leadingEdge: crossings[0] ?? 0, chord };
+};
+
+// 外形から面積・図心・平均空力翼弦 (MAC)・圧力中心を数値的に求める関数
+// 頂点の高さで区切った区間内では翼弦と前縁位置が線形に変化するため、シンプソン則で積分する
+export const calculateFinPlanform = (outline) => {
+  let doubleArea = 0;
+  let momentX = 0;
+  let momentY = 0;
+  outline.forEach((point, i) => {
+    const next = outline[(i + 1) % outline.length];
+    const cross = point.x * next.y - next.x * point.y;
+    doubleArea += cross;
+    momentX += (point.x + next.x) * cross;
+    momentY += (point.y + next.y) * cross;
+  });
+  const area = Math.abs(doubleArea) / 2;
+  const span = Math.max(...outline.map(point => point.y));
+  if (area <= 0 || span <= 0) {
+    console.error('calculateFinPlanform: フィンの面積が0です', outline);
+    return {
+      span: 0, area: 0, rootChord: 0, tipChord: 0, centroidX: 0, centroidY: 0,
+      mac: 0, macLeadingEdge: 0, macSpanPosition: 0, cpX: 0, midChordOffset: 0, midChordLength: 0
+    };
+  }
+
+  const levels = [...new Set(outline.map(point => point.y))].sort((a, b) => a - b);
+  let chordSquared = 0;
+  let leadingEdgeChord = 0;
+  let spanChord = 0;
+  for (let i = 0; i + 1 < levels.length; i++) {
+    const y0 = levels[i];
+    const y1 = levels[i + 1];
+    const offset = (y1 - y0) * SECTION_OFFSET;
+    const samples = [[y0 + offset, 1], [(y0 + y1) / 2, 4], [y1 - offset, 1]];
+    for (const [y, weight] of samples) {
+      const section = getFinSection(outline, y);
+      const w = weight * (y1 - y0) / 6;
+      chordSquared += w * section.chord * section.chord;
+      leadingEdgeChord += w * section.leadingEdge * section.chord;
+      spanChord += w * y * section.chord;
+    }
+  }
+
+  const mac = chordSquared / area;
+  const macLeadingEdge = leadingEdgeChord / area;
+  const rootChord = outline[outline.length - 1].x - outline[0].x;
+  const tip = getFinSection(outline, span * (1 - SECTION_OFFSET));
+  // 翼弦中央線 (付け根と翼端の翼弦中点を結ぶ線) の機軸方向のずれ
+  const midChordOffset = (tip.leadingEdge + tip.chord / 2) - (outline[0].x + rootChord / 2);
+
+  return {
+    span,                               // 翼幅
+    area,                               // フィン1枚の面積
+    rootChord,                          // 付け根翼弦
+    tipChord: tip.chord,                // 翼端翼弦
+    centroidX: momentX / (3 * doubleArea), // 図心 (付け根前縁から機軸方向)
+    centroidY: momentY / (3 * doubleArea), // 図心 (付け根からスパン方向)
+    mac,                                // 平均空力翼弦長
+    macLeadingEdge,                     // MAC前縁の位置 (付け根前縁から機軸方向)
+    macSpanPosition: spanChord / area,  // MACのスパン方向の位置
+    cpX: macLeadingEdge + mac / 4,      // 亜音速の圧力中心 (MACの1/4翼弦点)
+    midChordOffset,
+    midChordLength: Math.sqrt(midChordOffset * midChordOffset + span * span) // 翼弦中央線の長さ
+  };
+};
+
+// フィンのパラメータから平面形の諸量を求める関数
+export const getFinPlanform = (params) => calculateFinPlanform(getFinOutline(params));
+
+// 台形の式を使う計算 (投影面積・空力中心・フラッターなど) 用の等価な台形
+// 翼幅・付け根翼弦・面積・翼弦中央線の後退量が等しい台形とし、0.01mm単位に丸める
+export const getEquivalentTrapezoid = (params) => {
+  const { finShape = 'trapezoid', finHeight, finBaseWidth, finTipWidth, finSweepLength } = params;
+  if (!FIN_SHAPES[finShape] || finShape === 'trapezoid') {
+    return { finHeight, finBaseWidth, finTipWidth, finSweepLength };
+  }
+  if (finShape === 'clippedDelta') {
+    return { finHeight, finBaseWidth, finTipWidth, finSweepLength: finBaseWidth - finTipWidth };
+  }
+
+  const round = (value) => Math.round(value * 100) / 100;
+  const planform = getFinPlanform(params);
+  const tipChord = Math.max(0, 2 * planform.area / planform.span - planform.rootChord);
+  return {
+    finHeight: round(planform.span),
+    finBaseWidth: round(planform.rootChord),
+    finTipWidth: round(tipChord),
+    finSweepLength: round(planform.midChordOffset + planform.rootChord / 2 - tipChord / 2)
+  };
+};
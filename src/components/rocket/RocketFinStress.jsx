@@ -0,0 +1,86 @@
+// フィンの強度解析 (付け根の曲げモーメント・曲げ応力・接合部のせん断応力と安全余裕) 関連の関数
+// 荷重は迎角による全フィンの法線力 (法線力モデルの失速を含む値) を枚数で割ったフィン1枚分とし、
+// 付け根の断面は 付け根翼弦 × 板厚 の矩形、接合部は付け根の全長で接着されているとみなす
+import { FIN_STRESS, mmToM } from './RocketConstants';
+import { getFinPlanform } from './RocketFinGeometry';
+import { calculateFinNormalForce } from './RocketNormalForce';
+
+const DEG_TO_RAD = Math.PI / 180;
+
+// 安全余裕 MS = 許容値 / (安全率 × 発生値) - 1 (荷重がない場合は null)
+export const calculateMarginOfSafety = (allowable, actual, safetyFactor = FIN_STRESS.safetyFactor) =>
+  actual > 0 ? allowable / (safetyFactor * actual) - 1 : null;
+
+// 機軸と対気速度のなす迎角 (rad)
+// axisAngle: 機軸の発射面内での鉛直からの傾き (rad)、airVelocity: 機体の対気速度 { x, y, z } (m/s)
+// yawAngle: 機軸の発射面からの傾き (rad、+z向きが正)
+export const calculateTotalAngleOfAttack = (axisAngle, airVelocity, yawAngle = 0) => {
+  const speed = Math.sqrt(airVelocity.x * airVelocity.x + airVelocity.y * airVelocity.y + airVelocity.z * airVelocity.z);
+  if (speed < 1e-6) {
+    return 0;
+  }
+  const cosYaw = Math.cos(yawAngle);
+  const axial = (airVelocity.x * Math.sin(axisAngle) * cosYaw + airVelocity.y * Math.cos(axisAngle) * cosYaw + airVelocity.z * Math.sin(yawAngle)) / speed;
+  return Math.acos(Math.max(-1, Math.min(1, axial)));
+};
+
+// フィン形状と材料から速度によらない係数を求める関数 (飛行計算では1回だけ呼ぶ)
+// material: { allowableStress (Pa) } - 許容応力のない材料は判定しない
+// normalForceModel: createNormalForceModel の結果
+export const createFinStressModel = (rocketParams, material, normalForceModel) => {
+  const planform = getFinPlanform(rocketParams);
+  const rootChord = mmToM(planform.rootChord);
+  const thickness = mmToM(rocketParams.finThickness);
+
+  const allowableStress = material?.allowableStress ?? null;
+
+  return {
+    normalForceModel,
+    momentArm: mmToM(planform.macSpanPosition), // 法線力の作用点 (付け根からMACのスパン方向位置)
+    sectionModulus: rootChord * thickness * thickness / 6, // 付け根断面の断面係数 (m³)
+    jointArea: rootChord * thickness, // 付け根の接合面積 (m²)
+    allowableStress,
+    allowableShear: allowableStress !== null ? allowableStress * FIN_STRESS.shearAllowableRatio : null
+  };
+};
+
+// 迎角・動圧から付け根の荷重と応力を計算する関数
+// 法線力はN、曲げモーメントはN·m、応力はPa
+export const calculateFinLoads = (model, angleOfAttack, dynamicPressure) => {
+  const alpha = Math.abs(angleOfAttack);
+  const { referenceArea, finCount } = model.normalForceModel;
+  const normalForce = dynamicPressure * referenceArea * calculateFinNormalForce(model.normalForceModel, alpha) / finCount;
+  const bendingMoment = normalForce * model.momentArm;
+  const bendingStress = model.sectionModulus > 0 ? bendingMoment / model.sectionModulus : 0;
+  // 矩形断面の最大せん断応力 (平均の1.5倍)
+  const shearStress = model.jointArea > 0 ? 1.5 * normalForce / model.jointArea : 0;
+
+  return { angleOfAttack: alpha, normalForce, bendingMoment, bendingStress, shearStress };
+};
+
+// 飛行中の最大荷重 (曲げ応力が最大の時点) から強度判定の結果をまとめる関数
+// peak: calculateFinLoads の結果に { time, height, speed } を加えたもの
+export const summarizeFinStress = (model, peak) => {
+  const loads = peak || { time: null, height: 0, speed: 0, angleOfAttack: 0, normalForce: 0, bendingMoment: 0, bendingStress: 0, shearStress: 0 };
+  const hasAllowable = model.allowableStress !== null;
+  const bendingMargin = hasAllowable ? calculateMarginOfSafety(model.allowableStress, loads.bendingStress) : null;
+  const shearMargin = hasAllowable ? calculateMarginOfSafety(model.allowableShear, loads.shearStress) : null;
+
+  return {
+    peakTime: loads.time,
+    peakHeight: loads.height,
+    peakSpeed: loads.speed,
+    angleOfAttack: loads.angleOfAttack / DEG_TO_RAD, // 度
+    normalForce: loads.normalForce,
+    bendingMoment: loads.bendingMoment,
+    bendingStress: loads.bendingStress,
+    shearStress: loads.shearStress,
+    allowableStress: model.allowableStress,
+    allowableShear: model.allowableShear,
+    safetyFactor: FIN_STRESS.safetyFactor,
+    bendingMargin,
+    shearMargin,
+    // 許容応力が不明な材料は判定しない
+    isOK: [bendingMargin, shearMargin].every(margin => margin === null || margin >= 0)
+  };
+};
@@ -0,0 +1,42 @@
+// 突風・乱流モデル関連の関数
+// Drydenモデルの風向成分 (1次の成形フィルタ) を、時間相関を持つガウス・マルコフ過程として離散化する
+import { DEFAULT_GUST_SETTINGS, SIMULATION_DT } from './RocketConstants';
+import { createSeededRandom, randomNormal } from './RocketRandom';
+
+// 突風設定を検証する関数 (不正な値は既定値に戻す)
+export const normalizeGustSettings = (gust = {}) => {
+  const settings = { ...DEFAULT_GUST_SETTINGS, ...gust };
+  if (!(settings.intensity >= 0)) {
+    console.warn(`突風強度が不正です: ${settings.intensity}。既定値を使用します`);
+    settings.intensity = DEFAULT_GUST_SETTINGS.intensity;
+  }
+  if (!(settings.correlationTime > 0)) {
+    console.warn(`突風の相関時間が不正です: ${settings.correlationTime}。既定値を使用します`);
+    settings.correlationTime = DEFAULT_GUST_SETTINGS.correlationTime;
+  }
+  return settings;
+};
+
+// 時刻 t (s) の突風成分 (m/s) を返す関数を作成する
+// 系列は記録間隔ごとに必要な時刻まで生成して線形補間するため、積分の途中段でも同じ時刻なら同じ値になる
+// u(k+1) = u(k)·e^(-Δt/τ) + σ·√(1 - e^(-2Δt/τ))·N(0, 1) (定常状態の標準偏差は σ)
+export const createGustField = (gust) => {
+  const settings = normalizeGustSettings(gust);
+  if (!settings.enabled || settings.intensity === 0) {
+    return () => 0;
+  }
+
+  const random = createSeededRandom(settings.seed);
+  const decay = Math.exp(-SIMULATION_DT / settings.correlationTime);
+  const noiseScale = settings.intensity * Math.sqrt(1 - decay * decay);
+  const samples = [settings.intensity * randomNormal(random)]; // 定常分布から開始
+
+  return (t) => {
+    const position = Math.max(0, t) / SIMULATION_DT;
+    const index = Math.floor(position);
+    while (samples.length <= index + 1) {
+      samples.push(samples[samples.length - 1] * decay + noiseScale * randomNormal(random));
+    }
+    return samples[index] + (samples[index + 1] - samples[index]) * (position - index);
+  };
+};
@@ -0,0 +1,138 @@
+// 数値積分 (オイラー法 / RK4 / 適応刻みRK45) 関連の関数
+// 状態は数値配列、derivative(t, state) は状態の時間微分の配列を返す関数とする
+import { DEFAULT_INTEGRATOR_SETTINGS, INTEGRATOR_METHODS, SIMULATION_DT } from './RocketConstants';
+
+// state + h * k を計算する補助関数
+const addScaled = (state, k, h) => state.map((value, i) => value + h * k[i]);
+
+// 積分設定を既定値で補完し、不正な値を安全な値に置き換える関数
+export const normalizeIntegratorSettings = (settings) => {
+  const merged = { ...DEFAULT_INTEGRATOR_SETTINGS, ...(settings || {}) };
+
+  if (!INTEGRATOR_METHODS[merged.method]) {
+    console.warn(`未対応の積分法です: ${merged.method}。${DEFAULT_INTEGRATOR_SETTINGS.method}を使用します`);
+    merged.method = DEFAULT_INTEGRATOR_SETTINGS.method;
+  }
+
+  // 刻み幅は記録間隔 (SIMULATION_DT) 以下に制限
+  const stepSize = Number(merged.stepSize);
+  merged.stepSize = stepSize > 0 ? Math.min(stepSize, SIMULATION_DT) : SIMULATION_DT;
+
+  const tolerance = Number(merged.tolerance);
+  merged.tolerance = tolerance > 0 ? tolerance : DEFAULT_INTEGRATOR_SETTINGS.tolerance;
+
+  return merged;
+};
+
+// オイラー法の1ステップ
+export const eulerStep = (derivative, t, state, h) => {
+  return addScaled(state, derivative(t, state), h);
+};
+
+// 古典的ルンゲ＝クッタ法 (RK4) の1ステップ
+export const rk4Step = (derivative, t, state, h) => {
+  const k1 = derivative(t, state);
+  const k2 = derivative(t + h / 2, addScaled(state, k1, h / 2));
+  const k3 = derivative(t + h / 2, addScaled(state, k2, h / 2));
+  const k4 = derivative(t + h, addScaled(state, k3, h));
+  return state.map((value, i) => value + h / 6 * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]));
+};
+
+// Dormand–Prince法の係数
+const DP_C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+const DP_A = [
+  [],
+  [1 / 5],
+  [3 / 40, 9 / 40],
+  [44 / 45, -56 / 15, 32 / 9],
+  [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+  [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+  [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+];
+const DP_B5 = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0];
+const DP_B4 = [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40];
+
+// Dormand–Prince RK45の1ステップ (5次解と4次解の差から誤差を推定)
+export const rk45Step = (derivative, t, state, h) => {
+  const k = [];
+  for (let stage = 0; stage < 7; stage++) {
+    const stageState = state.map((value, i) =>
+      value + h * DP_A[stage].reduce((sum, a, j) => sum + a * k[j][i], 0)
+    );
+    k.push(derivative(t + DP_C[stage] * h, stageState));
+  }
+
+  const nextState = state.map((value, i) => value + h * DP_B5.reduce((sum, b, j) => sum + b * k[j][i], 0));
+  const lowerOrderState = state.map((value, i) => value + h * DP_B4.reduce((sum, b, j) => sum + b * k[j][i], 0));
+
+  // 相対・絶対誤差を混合した正規化誤差 (RMS)
+  const error = Math.sqrt(nextState.reduce((sum, value, i) => {
+    const scale = 1 + Math.max(Math.abs(value), Math.abs(state[i]));
+    return sum + Math.pow((value - lowerOrderState[i]) / scale, 2);
+  }, 0) / state.length);
+
+  return { state: nextState, error };
+};
+
+// 状態がすべて有限値か
+const isFiniteState = (state) => state.every(value => isFinite(value));
+
+// 区間 [t, t + interval] を指定の積分法で進める関数
+// 戻り値の stats は使用した刻み幅とステップ数 (適応刻みでは棄却数も含む)
+// 状態が発散した場合 (RK45では最小刻み幅でも有限値にならない場合) はエラーを投げる
+export const integrateInterval = (derivative, t, state, interval, settings, previousStep) => {
+  const { method, stepSize, tolerance } = settings;
+
+  if (method === 'euler' || method === 'rk4') {
+    const stepCount = Math.max(1, Math.round(interval / stepSize));
+    const h = interval / stepCount;
+    const step = method === 'rk4' ? rk4Step : eulerStep;
+
+    let current = state;
+    for (let i = 0; i < stepCount; i++) {
+      current = step(derivative, t + i * h, current, h);
+      if (!isFiniteState(current)) {
+        throw new Error(`数値積分が発散しました (t=${(t + (i + 1) * h).toFixed(3)}s)`);
+      }
+    }
+    return { state: current, stats: { steps: stepCount, rejectedSteps: 0, minStep: h, maxStep: h, nextStep: h } };
+  }
+
+  // 適応刻みRK45
+  const MIN_STEP = 1e-6;
+  const SAFETY = 0.9;
+  const endTime = t + interval;
+  let current = state;
+  let currentTime = t;
+  let h = Math.min(previousStep || stepSize, interval);
+  const stats = { steps: 0, rejectedSteps: 0, minStep: Infinity, maxStep: 0, nextStep: h };
+
+  while (currentTime < endTime - 1e-12) {
+    h = Math.min(h, endTime - currentTime);
+    const { state: candidate, error } = rk45Step(derivative, currentTime, current, h);
+    const isFiniteCandidate = isFiniteState(candidate);
+    if (!isFiniteCandidate && h <= MIN_STEP) {
+      throw new Error(`数値積分が発散しました (t=${currentTime.toFixed(3)}s, 最小刻み幅 ${MIN_STEP}s)`);
+    }
+
+    if (isFiniteCandidate && (error <= tolerance || h <= MIN_STEP)) {
+      currentTime += h;
+      current = candidate;
+      stats.steps++;
+      stats.minStep = Math.min(stats.minStep, h);
+      stats.maxStep = Math.max(stats.maxStep, h);
+    } else {
+      stats.rejectedSteps++;
+    }
+
+    // 次の刻み幅 (5次法の誤差は h^5 に比例)
+    const factor = isFiniteCandidate && error > 0
+      ? SAFETY * Math.pow(tolerance / error, 0.2)
+      : (isFiniteCandidate ? 5 : 0.2);
+    h = Math.max(MIN_STEP, Math.min(stepSize, h * Math.min(5, Math.max(0.2, factor))));
+  }
+
+  // 次の区間は最後に提案された刻み幅から開始する
+  stats.nextStep = h;
+  return { state: current, stats };
+};
@@ -0,0 +1,82 @@
+import { integrateInterval, normalizeIntegratorSettings } from './RocketIntegrators';
+
+// 単振動 x'' = -x (x(0) = 1, x'(0) = 0 の解析解は x = cos t, x' = -sin t)
+const harmonic = (t, [x, v]) => [v, -x];
+
+// 記録間隔 interval の区間を count 回積分する (計算ループと同じ進め方)
+const integrate = (derivative, state, count, settings, interval = 0.02) => {
+  let current = state;
+  let nextStep = settings.stepSize;
+  const stats = { steps: 0, rejectedSteps: 0 };
+  for (let i = 0; i < count; i++) {
+    const result = integrateInterval(derivative, i * interval, current, interval, settings, nextStep);
+    current = result.state;
+    nextStep = result.stats.nextStep;
+    stats.steps += result.stats.steps;
+    stats.rejectedSteps += result.stats.rejectedSteps;
+  }
+  return { state: current, stats };
+};
+
+// 100区間 (2秒) 後の解析解との誤差
+const errorAt = (method, stepSize) => {
+  const endTime = 2;
+  const settings = normalizeIntegratorSettings({ method, stepSize });
+  const { state } = integrate(harmonic, [1, 0], 100, settings);
+  return Math.hypot(state[0] - Math.cos(endTime), state[1] + Math.sin(endTime));
+};
+
+describe('normalizeIntegratorSettings', () => {
+  test('未対応の積分法と不正な刻み幅は既定値にする', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const settings = normalizeIntegratorSettings({ method: 'leapfrog', stepSize: -1, tolerance: 0 });
+    expect(settings.method).toBe('rk4');
+    expect(settings.stepSize).toBe(0.02);
+    expect(settings.tolerance).toBeGreaterThan(0);
+    console.warn.mockRestore();
+  });
+
+  test('刻み幅は記録間隔以下に制限する', () => {
+    expect(normalizeIntegratorSettings({ method: 'rk4', stepSize: 0.1 }).stepSize).toBe(0.02);
+  });
+});
+
+describe('integrateInterval', () => {
+  test('オイラー法は1次精度 (刻み幅を半分にすると誤差も約半分)', () => {
+    const ratio = errorAt('euler', 0.02) / errorAt('euler', 0.01);
+    expect(ratio).toBeGreaterThan(1.8);
+    expect(ratio).toBeLessThan(2.2);
+  });
+
+  test('RK4は4次精度 (刻み幅を半分にすると誤差は約1/16)', () => {
+    expect(errorAt('rk4', 0.02)).toBeLessThan(1e-8);
+    const ratio = errorAt('rk4', 0.02) / errorAt('rk4', 0.01);
+    expect(ratio).toBeGreaterThan(12);
+    expect(ratio).toBeLessThan(20);
+  });
+
+  test('RK45は許容誤差に応じた精度で解析解に一致する', () => {
+    const settings = normalizeIntegratorSettings({ method: 'rk45', stepSize: 0.02, tolerance: 1e-9 });
+    const { state } = integrate(harmonic, [1, 0], 100, settings);
+    expect(state[0]).toBeCloseTo(Math.cos(2), 7);
+    expect(state[1]).toBeCloseTo(-Math.sin(2), 7);
+  });
+
+  test('RK45は急変する区間で刻み幅を小さくする', () => {
+    // y' = -k (y - cos t) (k が大きい硬い方程式)
+    const stiff = (t, [y]) => [-2000 * (y - Math.cos(t))];
+    const settings = normalizeIntegratorSettings({ method: 'rk45', stepSize: 0.02, tolerance: 1e-6 });
+    const result = integrateInterval(stiff, 0, [0], 0.02, settings, 0.02);
+    expect(result.stats.rejectedSteps).toBeGreaterThan(0);
+    expect(result.stats.minStep).toBeLessThan(0.02);
+    expect(result.state[0]).toBeCloseTo(Math.cos(0.02), 2);
+  });
+
+  test.each(['euler', 'rk4', 'rk45'])('%s: 微分が NaN になる場合は刻み幅を縮め続けずにエラーを投げる', (method) => {
+    const settings = normalizeIntegratorSettings({ method, stepSize: 0.02 });
+    const alwaysNaN = () => [NaN];
+    const nanAfterStart = (t, [y]) => [t > 0.001 ? NaN : -y];
+    expect(() => integrateInterval(alwaysNaN, 0, [1], 0.02, settings, 0.02)).toThrow('発散');
+    expect(() => integrate(nanAfterStart, [1], 2, settings)).toThrow('発散');
+  });
+});
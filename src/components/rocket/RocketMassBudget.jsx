@@ -0,0 +1,141 @@
+// 質量バジェット (部品ごとの質量と重心位置、機体全体の重量・重心) 関連の関数
+// 長さはmm、質量はg、重心位置はノーズ先端からの距離 (mm)
+import { layoutRocketTree, getFinSetParams, getNoseConeParams } from './RocketComponentTree';
+import { getFinPlanform } from './RocketFinGeometry';
+import { calculateNoseProfile } from './RocketNoseGeometry';
+import { getMotor } from './RocketMotors';
+import { getCanopy, getCanopyArea } from './RocketRecovery';
+import { getMaterial } from './RocketMaterials';
+
+// mm³ と kg/m³ から g を求める係数
+const MM3_KG_M3_TO_G = 1e-6;
+
+
+// 円管の体積 (mm³)
+const getTubeVolume = (outerDiameter, thickness, length) => {
+  const outerRadius = outerDiameter / 2;
+  const innerRadius = Math.max(0, outerRadius - thickness);
+  return Math.PI * (outerRadius * outerRadius - innerRadius * innerRadius) * length;
+};
+
+// ノーズ外殻の体積 (mm³) と重心位置 - 半径分布から求めた側面積とその図心
+const calculateNoseShell = (part) => {
+  const profile = calculateNoseProfile(getNoseConeParams(part));
+  return {
+    volume: profile.surfaceArea * part.thickness,
+    cg: part.position + profile.surfaceCentroid
+  };
+};
+
+// 部品の質量 (g) と重心位置 (mm) を材料密度と寸法から計算する関数
+// materials: 材料ライブラリ (省略時は現在のライブラリ)
+export const calculatePartMass = (part, materials = null) => {
+  const getDensity = (materialKey) => getMaterial(materialKey, 'structure', materials).density;
+  switch (part.type) {
+    case 'noseCone': {
+      const shell = calculateNoseShell(part);
+      return { mass: shell.volume * getDensity(part.material) * MM3_KG_M3_TO_G, cg: shell.cg };
+    }
+    case 'bodyTube':
+      return {
+        mass: getTubeVolume(part.diameter, part.thickness, part.length) * getDensity(part.material) * MM3_KG_M3_TO_G,
+        cg: part.position + part.length / 2
+      };
+    case 'transition': {
+      // 円錐台の外殻 (側面積 × 肉厚)、重心は側面の図心
+      const r1 = part.foreDiameter / 2;
+      const r2 = part.aftDiameter / 2;
+      const slant = Math.sqrt(part.length * part.length + Math.pow(r2 - r1, 2));
+      const volume = Math.PI * (r1 + r2) * slant * part.thickness;
+      return {
+        mass: volume * getDensity(part.material) * MM3_KG_M3_TO_G,
+        cg: part.position + (r1 + r2 > 0 ? part.length * (r1 + 2 * r2) / (3 * (r1 + r2)) : part.length / 2)
+      };
+    }
+    case 'finSet': {
+      // 平面形の外形から求めた面積と翼弦方向の図心 (付け根前縁から)
+      const { thickness, count } = part;
+      const planform = getFinPlanform(getFinSetParams(part));
+      const material = getMaterial(part.material, 'fin', materials);
+      return {
+        mass: planform.area * thickness * material.density * MM3_KG_M3_TO_G * count,
+        cg: part.position + planform.centroidX
+      };
+    }
+    case 'launchLug':
+      return {
+        mass: getTubeVolume(part.diameter, part.thickness, part.length) * getDensity(part.material) * MM3_KG_M3_TO_G,
+        cg: part.position + part.length / 2
+      };
+    case 'massItem':
+      return { mass: part.mass, cg: part.position + part.length / 2 };
+    case 'recovery': {
+      // パラシュートのキャノピーまたはストリーマー (帯状の布) の質量
+      const canopyArea = part.deviceType === 'streamer'
+        ? part.streamerLength * part.streamerWidth
+        : getCanopyArea(getCanopy(part.parachute));
+      return {
+        mass: canopyArea * part.canopyThickness * getDensity(part.material) * MM3_KG_M3_TO_G,
+        cg: part.position + part.length / 2
+      };
+    }
+    case 'shockCord':
+      return {
+        mass: Math.PI * Math.pow(part.cordDiameter / 2, 2) * part.cordLength * getDensity(part.material) * MM3_KG_M3_TO_G,
+        cg: part.position + part.length / 2
+      };
+    case 'ballast':
+      return {
+        mass: Math.PI * Math.pow(part.diameter / 2, 2) * part.length * getDensity(part.material) * MM3_KG_M3_TO_G,
+        cg: part.position + part.length / 2
+      };
+    default:
+      console.warn(`質量を計算できない部品です: ${part.type}`);
+      return { mass: 0, cg: part.position || 0 };
+  }
+};
+
+// 部品ツリーとモーターから機体全体の質量バジェットを計算する関数
+// 実測質量 (measuredMass) が入力された部品は実測値を優先する
+export const calculateMassBudget = (tree, motorName, materials = null) => {
+  const layout = layoutRocketTree(tree);
+  const parts = [...layout.stackParts, ...layout.attachedParts];
+
+  const items = parts.map(part => {
+    const calculated = calculatePartMass(part, materials);
+    const isMeasured = typeof part.measuredMass === 'number' && isFinite(part.measuredMass);
+    return {
+      id: part.id,
+      type: part.type,
+      name: part.name,
+      calculatedMass: calculated.mass,
+      mass: isMeasured ? part.measuredMass : calculated.mass,
+      cg: calculated.cg,
+      source: isMeasured ? 'measured' : 'calculated'
+    };
+  });
+
+  // 装填済みモーター (モーター後端が機体後端と一致すると仮定)
+  const motor = getMotor(motorName);
+  items.push({
+    id: 'motor',
+    type: 'motor',
+    name: `モーター (${motorName})`,
+    calculatedMass: motor.totalMass,
+    mass: motor.totalMass,
+    cg: layout.stackLength - motor.length / 2,
+    source: 'motor'
+  });
+
+  const totalMass = items.reduce((sum, item) => sum + item.mass, 0);
+  const centerOfGravity = totalMass > 0
+    ? items.reduce((sum, item) => sum + item.mass * item.cg, 0) / totalMass
+    : layout.stackLength / 2;
+
+  // フィン1枚あたりの質量 (慣性モーメント計算用)
+  const finSet = items.find(item => item.type === 'finSet');
+  const finPart = parts.find(part => part.type === 'finSet');
+  const finMassPerFin = finSet && finPart?.count ? finSet.mass / finPart.count : null;
+
+  return { items, totalMass, centerOfGravity, finMassPerFin };
+};
@@ -0,0 +1,109 @@
+// 材料ライブラリ (内蔵の材料とユーザー定義の材料) 関連の関数
+// 材料は { name, density (kg/m³), E (Pa), G (Pa), allowableStress (Pa) } で扱い、弾性係数のない材料はフィンに使えない
+// ユーザー定義の材料は localStorage に保存し、起動時に読み込む
+import { FIN_MATERIALS, STRUCTURE_MATERIALS, MATERIAL_STORAGE_KEY } from './RocketConstants';
+
+// 材料が見つからない場合に使う材料
+const FALLBACK_MATERIALS = { fin: 'light_veneer', structure: 'paper' };
+
+// 内蔵材料 (構造材料に同じキーのフィン材料の弾性係数を重ねる)
+const BUILT_IN_MATERIALS = {
+  ...Object.fromEntries(Object.entries(STRUCTURE_MATERIALS).map(([key, material]) => [key, { ...material }])),
+  ...Object.fromEntries(Object.entries(FIN_MATERIALS).map(([key, { MD, ...material }]) => [
+    key,
+    { ...STRUCTURE_MATERIALS[key], ...material, density: MD }
+  ]))
+};
+
+// 材料の値を検証する関数 (正の数でない値がある場合はエラー)
+export const validateMaterial = (material) => {
+  const name = String(material.name ?? '').trim();
+  if (!name) {
+    throw new Error('材料名を入力してください');
+  }
+  const fields = [['density', '密度'], ['E', '縦弾性係数'], ['G', '横弾性係数'], ['allowableStress', '許容応力']];
+  const values = {};
+  fields.forEach(([key, label]) => {
+    const value = parseFloat(material[key]);
+    if (!isFinite(value) || value <= 0) {
+      throw new Error(`${label}は正の数で入力してください`);
+    }
+    values[key] = value;
+  });
+  return { name, ...values };
+};
+
+// localStorage から保存済みの材料を読み込む (不正な材料は無視)
+const loadCustomMaterials = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(MATERIAL_STORAGE_KEY) || '{}');
+    return Object.entries(stored).reduce((materials, [key, material]) => {
+      try {
+        materials[key] = { ...validateMaterial(material), isCustom: true };
+      } catch (e) {
+        console.warn(`保存された材料 ${key} を読み込めません: ${e.message}`);
+      }
+      return materials;
+    }, {});
+  } catch (err) {
+    console.error('材料ライブラリの読み込みエラー:', err);
+    return {};
+  }
+};
+
+let customMaterials = loadCustomMaterials();
+
+const saveCustomMaterials = () => {
+  try {
+    localStorage.setItem(MATERIAL_STORAGE_KEY, JSON.stringify(customMaterials));
+  } catch (err) {
+    console.error('材料ライブラリの保存エラー:', err);
+  }
+};
+
+// フィンに使える材料か (弾性係数があるか)
+export const isFinMaterial = (material) => material?.E > 0 && material?.G > 0;
+
+// 材料ライブラリの一覧 { キー: 材料 } を取得する関数 (usage: 'fin' の場合はフィンに使える材料のみ)
+export const getMaterialLibrary = (usage) => {
+  const library = { ...BUILT_IN_MATERIALS, ...customMaterials };
+  if (usage !== 'fin') {
+    return library;
+  }
+  return Object.fromEntries(Object.entries(library).filter(([, material]) => isFinMaterial(material)));
+};
+
+// 材料を取得する関数 (未登録またはフィンに使えない場合は既定の材料を返す)
+// library: 画面で保持している材料ライブラリ (省略時は現在のライブラリ)
+export const getMaterial = (key, usage = 'structure', library = null) => {
+  const material = library ? library[key] : (customMaterials[key] || BUILT_IN_MATERIALS[key]);
+  if (material && (usage !== 'fin' || isFinMaterial(material))) {
+    return material;
+  }
+  const fallback = FALLBACK_MATERIALS[usage] || FALLBACK_MATERIALS.structure;
+  const reason = material ? 'フィンに使えない材料です' : '未登録の材料です';
+  console.warn(`${reason}: ${key}。${BUILT_IN_MATERIALS[fallback].name}を使用します`);
+  return BUILT_IN_MATERIALS[fallback];
+};
+
+// ユーザー定義の材料を追加・更新する関数 (キーを省略した場合は新しいキーを割り当てる)
+export const saveCustomMaterial = (material, key = null) => {
+  const entry = { ...validateMaterial(material), isCustom: true };
+  const materialKey = key || `custom-${Date.now().toString(36)}`;
+  if (BUILT_IN_MATERIALS[materialKey]) {
+    throw new Error('内蔵の材料は変更できません');
+  }
+  customMaterials = { ...customMaterials, [materialKey]: entry };
+  saveCustomMaterials();
+  return materialKey;
+};
+
+// ユーザー定義の材料を削除する関数 (使用中の部品は既定の材料で計算される)
+export const removeCustomMaterial = (key) => {
+  const { [key]: removed, ...rest } = customMaterials;
+  if (!removed) {
+    return;
+  }
+  customMaterials = rest;
+  saveCustomMaterials();
+};
@@ -0,0 +1,299 @@
+// モーターデータ (推力曲線ファイルの読み込みとモーター登録) 関連の関数
+// 読み込んだモーターは localStorage に保存し、起動時に再登録する
+import { MOTOR_THRUST_DATA, MOTOR_SPECS, SIMULATION_DT, MOTOR_STORAGE_KEY } from './RocketConstants';
+
+// 推力曲線を一定の時間刻みでリサンプリングする関数
+// points: [{ time, thrust }] (時間昇順) -> dt刻みの推力配列
+export const resampleThrustCurve = (points, dt = SIMULATION_DT) => {
+  if (!Array.isArray(points) || points.length === 0) {
+    return [];
+  }
+
+  // 時間0の点がない場合は (0, 0) を補う
+  const curve = points[0].time > 0 ? [{ time: 0, thrust: 0 }, ...points] : points;
+  const burnTime = curve[curve.length - 1].time;
+
+  const samples = [];
+  let segment = 0;
+  for (let i = 0; i * dt < burnTime; i++) {
+    const t = i * dt;
+    while (segment < curve.length - 2 && curve[segment + 1].time < t) {
+      segment++;
+    }
+
+    const p0 = curve[segment];
+    const p1 = curve[segment + 1] || p0;
+    const span = p1.time - p0.time;
+    const ratio = span > 0 ? (t - p0.time) / span : 0;
+    const thrust = p0.thrust + (p1.thrust - p0.thrust) * Math.min(Math.max(ratio, 0), 1);
+
+    samples.push(Math.max(0, Number(thrust.toFixed(3))));
+  }
+
+  return samples;
+};
+
+// 遅延時間の文字列 ("3-5-7", "0,3,5", "P") を数値配列に変換する関数
+const parseDelays = (delayText) => {
+  if (!delayText) return [];
+  return delayText
+    .split(/[-,\s]+/)
+    .map(d => parseFloat(d))
+    .filter(d => !isNaN(d));
+};
+
+// モーター名から遅延秒を取り除く関数 (例: "C6-5" -> "C6")
+const stripDelayFromName = (name) => name.replace(/-(\d+|P)$/i, '');
+
+// 遅延秒の一覧から既定の遅延秒を選ぶ関数 (ブースター用の0秒は避ける)
+const selectDefaultDelay = (delays) => {
+  const nonZeroDelays = delays.filter(d => d > 0);
+  if (nonZeroDelays.length > 0) return nonZeroDelays[0];
+  return delays.length > 0 ? delays[0] : 0;
+};
+
+// モーターの登録名 (内蔵モーターと同じく "C6-5" のように既定の遅延秒を付ける、遅延のないモーターは型式のみ)
+export const getMotorKey = (name, delays) => {
+  const designation = stripDelayFromName(name);
+  return delays.length > 0 ? `${designation}-${selectDefaultDelay(delays)}` : designation;
+};
+
+// 推力配列から総推力・燃焼時間・累積力積を計算する関数
+const summarizeThrustData = (thrustData, dt = SIMULATION_DT) => {
+  // cumulativeImpulse[i] は時刻 i*dt までに消費した力積 (N·s)
+  const cumulativeImpulse = [0];
+  thrustData.forEach((f, i) => {
+    cumulativeImpulse.push(cumulativeImpulse[i] + f * dt);
+  });
+
+  return {
+    totalImpulse: cumulativeImpulse[cumulativeImpulse.length - 1],
+    burnTime: thrustData.length * dt,
+    cumulativeImpulse
+  };
+};
+
+// RASP形式 (.eng) のファイルを解析する関数 (複数のモーターを含む場合は最初のモーターのみ使用)
+// ヘッダー行: 名称 直径(mm) 長さ(mm) 遅延 推進剤質量(kg) 全備質量(kg) メーカー
+export const parseEngFile = (text) => {
+  const lines = text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line.length > 0 && !line.startsWith(';'));
+
+  if (lines.length < 2) {
+    throw new Error('.engファイルにデータがありません');
+  }
+
+  const header = lines[0].split(/\s+/);
+  if (header.length < 7) {
+    throw new Error('.engファイルのヘッダー形式が不正です');
+  }
+
+  const [name, diameter, length, delays, propellantMass, totalMass, ...manufacturer] = header;
+
+  const points = [];
+  for (const line of lines.slice(1)) {
+    // 次のモーターのヘッダー行 (名称から始まる行) で読み込みを終える
+    if (isNaN(parseFloat(line))) {
+      console.warn(`.engファイルの2つ目以降のモーターは読み込みません (${line.split(/\s+/)[0]})`);
+      break;
+    }
+    const [time, thrust] = line.split(/\s+/).map(v => parseFloat(v));
+    if (isNaN(time) || isNaN(thrust)) continue;
+    points.push({ time, thrust });
+  }
+
+  if (points.length === 0) {
+    throw new Error('.engファイルに推力データがありません');
+  }
+
+  return {
+    name: stripDelayFromName(name),
+    manufacturer: manufacturer.join(' '),
+    diameter: parseFloat(diameter),
+    length: parseFloat(length),
+    delays: parseDelays(delays),
+    propellantMass: parseFloat(propellantMass) * 1000, // kg -> g
+    totalMass: parseFloat(totalMass) * 1000, // kg -> g
+    points,
+    source: 'eng'
+  };
+};
+
+// XMLタグの属性を取り出す補助関数
+const readAttributes = (tagText) => {
+  const attributes = {};
+  const pattern = /([\w-]+)\s*=\s*"([^"]*)"/g;
+  let match;
+  while ((match = pattern.exec(tagText)) !== null) {
+    attributes[match[1]] = match[2];
+  }
+  return attributes;
+};
+
+// RockSim形式 (.rse) のファイルを解析する関数 (最初のengineタグのみ使用)
+export const parseRseFile = (text) => {
+  const engineMatch = text.match(/<engine\s[^>]*>[\s\S]*?<\/engine>/i);
+  if (!engineMatch) {
+    throw new Error('.rseファイルにengine要素がありません');
+  }
+
+  const engineTag = engineMatch[0].match(/<engine\s[^>]*>/i)[0];
+  const engine = readAttributes(engineTag);
+
+  const points = [];
+  const dataPattern = /<eng-data\s[^>]*\/?>/gi;
+  let match;
+  while ((match = dataPattern.exec(engineMatch[0])) !== null) {
+    const attributes = readAttributes(match[0]);
+    const time = parseFloat(attributes.t);
+    const thrust = parseFloat(attributes.f);
+    if (isNaN(time) || isNaN(thrust)) continue;
+    points.push({ time, thrust });
+  }
+
+  if (points.length === 0) {
+    throw new Error('.rseファイルに推力データがありません');
+  }
+
+  return {
+    name: stripDelayFromName(engine.code || 'unknown'),
+    manufacturer: engine.mfg || '',
+    diameter: parseFloat(engine.dia) || 0,
+    length: parseFloat(engine.len) || 0,
+    delays: parseDelays(engine.delays),
+    propellantMass: parseFloat(engine.propWt) || 0, // g
+    totalMass: parseFloat(engine.initWt) || 0, // g
+    points,
+    source: 'rse'
+  };
+};
+
+// 内蔵モーターから登録データを作成する関数
+const createBuiltInMotor = (name) => {
+  const thrustData = MOTOR_THRUST_DATA[name];
+  const specs = MOTOR_SPECS[name] || {};
+  return {
+    name,
+    manufacturer: specs.manufacturer || '',
+    diameter: specs.diameter || 18,
+    length: specs.length || 70,
+    delays: specs.delays || [parseInt(name.split('-')[1]) || 0],
+    propellantMass: specs.propellantMass || 0,
+    totalMass: specs.totalMass || 0,
+    thrustData,
+    ...summarizeThrustData(thrustData),
+    source: 'builtin'
+  };
+};
+
+// モーター登録情報 (キーはモーター選択欄に表示する名称)
+const motorRegistry = Object.keys(MOTOR_THRUST_DATA).reduce((registry, name) => {
+  registry[name] = createBuiltInMotor(name);
+  return registry;
+}, {});
+
+// 解析済みモーターを登録する関数 (登録名が同じモーターは上書き)
+const addMotor = (motor) => {
+  const thrustData = motor.thrustData || resampleThrustCurve(motor.points);
+  if (thrustData.length === 0) {
+    throw new Error(`モーター ${motor.name} の推力データが空です`);
+  }
+
+  const entry = {
+    ...motor,
+    name: getMotorKey(motor.name, motor.delays),
+    thrustData,
+    ...summarizeThrustData(thrustData)
+  };
+  motorRegistry[entry.name] = entry;
+  return entry;
+};
+
+// localStorage に保存した読み込み済みモーター { 登録名: 解析結果 }
+const loadImportedMotors = () => {
+  try {
+    return JSON.parse(localStorage.getItem(MOTOR_STORAGE_KEY) || '{}');
+  } catch (err) {
+    console.error('モーターの読み込みエラー:', err);
+    return {};
+  }
+};
+
+let importedMotors = loadImportedMotors();
+
+const saveImportedMotors = () => {
+  try {
+    localStorage.setItem(MOTOR_STORAGE_KEY, JSON.stringify(importedMotors));
+  } catch (err) {
+    console.error('モーターの保存エラー:', err);
+  }
+};
+
+// 保存済みのモーターを登録する (不正なモーターは無視)
+Object.entries(importedMotors).forEach(([key, motor]) => {
+  try {
+    addMotor(motor);
+  } catch (e) {
+    console.warn(`保存されたモーター ${key} を読み込めません: ${e.message}`);
+  }
+});
+
+// 解析済みモーターを登録して保存する関数
+export const registerMotor = (motor) => {
+  const entry = addMotor(motor);
+  importedMotors = { ...importedMotors, [entry.name]: motor };
+  saveImportedMotors();
+  return entry;
+};
+
+// ファイル名の拡張子で形式を判別してモーターを登録する関数
+export const importMotorFile = (fileName, text) => {
+  const lowerName = fileName.toLowerCase();
+  let motor;
+  if (lowerName.endsWith('.eng')) {
+    motor = parseEngFile(text);
+  } else if (lowerName.endsWith('.rse')) {
+    motor = parseRseFile(text);
+  } else {
+    throw new Error(`未対応のファイル形式です: ${fileName}`);
+  }
+  return registerMotor(motor);
+};
+
+// 登録済みモーター名の一覧を取得する関数
+export const getMotorNames = () => Object.keys(motorRegistry);
+
+// モーター情報を取得する関数 (未登録の場合はA8-3を返す)
+export const getMotor = (name) => {
+  if (motorRegistry[name]) {
+    return motorRegistry[name];
+  }
+  console.warn(`未登録のモーターです: ${name}。A8-3を使用します`);
+  return motorRegistry['A8-3'];
+};
+
+// モーターの推力配列を取得する関数
+export const getMotorThrustData = (name) => getMotor(name).thrustData;
+
+// モーターの燃焼時間を取得する関数
+export const getMotorBurnTime = (name) => getMotor(name).burnTime;
+
+// モーターの既定の遅延秒を取得する関数 (ブースター用の0秒は避ける)
+export const getDefaultMotorDelay = (name) => selectDefaultDelay(getMotor(name).delays);
+
+// 経過時間までに燃焼した推進剤質量 (g) を計算する関数 (消費した力積に比例させる)
+export const getBurnedPropellantMass = (name, time, dt = SIMULATION_DT) => {
+  const motor = getMotor(name);
+  if (motor.totalImpulse <= 0 || motor.propellantMass <= 0 || time <= 0) {
+    return 0;
+  }
+  if (time >= motor.burnTime) {
+    return motor.propellantMass;
+  }
+
+  const index = Math.floor(time / dt);
+  const impulse = motor.cumulativeImpulse[index] + motor.thrustData[index] * (time - index * dt);
+  return motor.propellantMass * Math.min(1, impulse / motor.totalImpulse);
+};
@@ -0,0 +1,171 @@
+import { MOTOR_STORAGE_KEY } from './RocketConstants';
+
+// Estes C6 (NAR の認定データから作成された RASP 形式のファイル)
+const ESTES_C6_ENG = `; Estes C6 RASP.ENG file made from NAR published data
+; File produced October 3, 2000
+; The total impulse, peak thrust, average thrust and burn time are
+; the same as the averaged static test data on the NAR web site in
+; the certification file.
+C6 18 70 0-3-5-7 0.0108 0.0231 E
+0.031 0.946
+0.092 4.826
+0.139 9.936
+0.192 14.09
+0.209 11.446
+0.231 7.381
+0.248 6.151
+0.292 5.489
+0.37 4.921
+0.475 4.448
+0.671 4.258
+0.702 4.542
+0.723 4.164
+0.85 4.448
+1.063 4.353
+1.211 4.353
+1.242 4.069
+1.303 4.258
+1.468 4.353
+1.656 4.448
+1.821 4.448
+1.834 2.933
+1.847 1.325
+1.86 0
+;
+`;
+
+// RockSim のエンジンデータベース形式 (Estes A8-3)
+const ESTES_A8_RSE = `<engine-database>
+  <engine-list>
+    <engine  mfg="Estes" code="A8-3" Type="single-use" dia="18." len="70." initWt="16.2" propWt="3.12" delays="3" auto-calc-mass="1" auto-calc-cg="1" avgThrust="3.2" peakThrust="9.8" throatDia="0." exitDia="0." Itot="2.5" burn-time="0.73" massFrac="19.3" Isp="81.7" tDiv="10" tStep="-1." tFix="1" FDiv="10" FStep="-1." FFix="1" nozzleLoss="0." cgDiv="10" cgStep="-1." cgFix="1" mDiv="10" mStep="-1." mFix="1">
+    <comments>Estes A8 from NAR certification data</comments>
+    <data>
+      <eng-data  t="0." f="0." m="3.12" cg="35."/>
+      <eng-data  t="0.041" f="0.512" m="3.1" cg="35."/>
+      <eng-data  t="0.084" f="2.115" m="3.02" cg="35."/>
+      <eng-data  t="0.127" f="4.358" m="2.82" cg="35."/>
+      <eng-data  t="0.166" f="6.794" m="2.47" cg="35."/>
+      <eng-data  t="0.192" f="9.808" m="2.13" cg="35."/>
+      <eng-data  t="0.206" f="9.33" m="1.9" cg="35."/>
+      <eng-data  t="0.226" f="5.193" m="1.67" cg="35."/>
+      <eng-data  t="0.28" f="3.46" m="1.38" cg="35."/>
+      <eng-data  t="0.372" f="2.948" m="1.03" cg="35."/>
+      <eng-data  t="0.588" f="2.628" m="0.31" cg="35."/>
+      <eng-data  t="0.685" f="2.179" m="0.05" cg="35."/>
+      <eng-data  t="0.73" f="0." m="0." cg="35."/>
+    </data>
+    </engine>
+  </engine-list>
+</engine-database>
+`;
+
+// localStorage の内容から読み込み直したモーターモジュール
+const loadMotors = () => {
+  let motors;
+  jest.isolateModules(() => {
+    motors = require('./RocketMotors');
+  });
+  return motors;
+};
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('parseEngFile', () => {
+  test('コメント行とヘッダーを読み、推力点を取り出す', () => {
+    const motor = loadMotors().parseEngFile(ESTES_C6_ENG);
+    expect(motor).toMatchObject({
+      name: 'C6',
+      manufacturer: 'E',
+      diameter: 18,
+      length: 70,
+      delays: [0, 3, 5, 7],
+      source: 'eng'
+    });
+    expect(motor.propellantMass).toBeCloseTo(10.8);
+    expect(motor.totalMass).toBeCloseTo(23.1);
+    expect(motor.points).toHaveLength(24);
+    expect(motor.points[3]).toEqual({ time: 0.192, thrust: 14.09 });
+  });
+
+  test('複数のモーターを含むファイルは最初のモーターだけを読む', () => {
+    const twoMotors = `${ESTES_C6_ENG}A8 18 70 3-5 0.00312 0.0162 Estes
+0.041 0.512
+0.3 9.8
+0.73 0
+`;
+    const motor = loadMotors().parseEngFile(twoMotors);
+    expect(motor.name).toBe('C6');
+    expect(motor.points).toEqual(loadMotors().parseEngFile(ESTES_C6_ENG).points);
+    motor.points.slice(1).forEach((point, i) => expect(point.time).toBeGreaterThan(motor.points[i].time));
+  });
+
+  test('推力データのないファイルはエラー', () => {
+    expect(() => loadMotors().parseEngFile('C6 18 70 0-3-5-7 0.0108 0.0231 E\n')).toThrow();
+    expect(() => loadMotors().parseEngFile('C6 18 70\n0.1 1\n')).toThrow('ヘッダー');
+  });
+});
+
+describe('parseRseFile', () => {
+  test('engine要素の属性と eng-data を読む', () => {
+    const motor = loadMotors().parseRseFile(ESTES_A8_RSE);
+    expect(motor).toMatchObject({
+      name: 'A8',
+      manufacturer: 'Estes',
+      diameter: 18,
+      length: 70,
+      delays: [3],
+      propellantMass: 3.12,
+      totalMass: 16.2,
+      source: 'rse'
+    });
+    expect(motor.points).toHaveLength(13);
+  });
+
+  test('engine要素がなければエラー', () => {
+    expect(() => loadMotors().parseRseFile('<engine-database></engine-database>')).toThrow('engine');
+  });
+});
+
+describe('importMotorFile', () => {
+  test('総推力と燃焼時間は推力曲線の積分と一致する', () => {
+    const motors = loadMotors();
+    const { points } = motors.parseEngFile(ESTES_C6_ENG);
+    // (0, 0) から始まる折れ線の台形積分
+    const impulse = [{ time: 0, thrust: 0 }, ...points].reduce((sum, point, i, curve) =>
+      i === 0 ? 0 : sum + (point.time - curve[i - 1].time) * (point.thrust + curve[i - 1].thrust) / 2, 0);
+
+    const motor = motors.importMotorFile('Estes_C6.eng', ESTES_C6_ENG);
+    expect(motor.totalImpulse).toBeCloseTo(impulse, 1);
+    expect(motor.burnTime).toBeCloseTo(1.86, 1);
+  });
+
+  test('登録名は内蔵モーターと同じく既定の遅延秒を付ける', () => {
+    const motors = loadMotors();
+    expect(motors.importMotorFile('Estes_C6.eng', ESTES_C6_ENG).name).toBe('C6-3');
+    expect(motors.importMotorFile('Estes_A8.rse', ESTES_A8_RSE).name).toBe('A8-3');
+    // 内蔵の A8-3 と同じモーターは別名で重複登録しない
+    const names = motors.getMotorNames();
+    expect(names.filter(name => name.startsWith('A8'))).toEqual(['A8-3']);
+    expect(motors.getMotor('A8-3').source).toBe('rse');
+  });
+
+  test('読み込んだモーターは再読み込み後も残る', () => {
+    loadMotors().importMotorFile('Estes_C6.eng', ESTES_C6_ENG);
+    expect(Object.keys(JSON.parse(localStorage.getItem(MOTOR_STORAGE_KEY)))).toEqual(['C6-3']);
+
+    const reloaded = loadMotors();
+    expect(reloaded.getMotorNames()).toContain('C6-3');
+    expect(reloaded.getDefaultMotorDelay('C6-3')).toBe(3);
+  });
+
+  test('未対応の拡張子はエラー', () => {
+    expect(() => loadMotors().importMotorFile('motor.txt', ESTES_C6_ENG)).toThrow('未対応');
+  });
+});
@@ -0,0 +1,82 @@
+// 迎角に応じた法線力係数と圧力中心 関連の関数
+// 小迎角では Barrowman法 (ボディ揚力なし) と一致し、大迎角では次の非線形性を加える
+//   ノーズ・トランジション: CN = CNα · sin α (ポテンシャル流)
+//   ボディ揚力 (横流れ): CN = K · (A_plan / A_ref) · sin²α、側面投影面積の図心に作用
+//   フィン: 失速角までは CN = CNα · α、失速後は失速角1つ分の迎角で失速時の postStallRatio 倍まで下がり以後一定
+// CN は基準面積 (ボディ断面積) あたり、圧力中心はノーズ先端からの距離 (mm)
+// フィンの法線力は姿勢のモーメント・フィン強度・ロール運動で共通に使う
+import { BARROWMAN_CONSTANTS, NORMAL_FORCE, mmToM } from './RocketConstants';
+import { calculateBarrowmanStability } from './RocketBarrowman';
+import { normalizeFinCount } from './RocketFinGeometry';
+
+const DEG_TO_RAD = Math.PI / 180;
+
+// 迎角を -π ～ π に正規化する
+const normalizeAngle = (angle) => Math.atan2(Math.sin(angle), Math.cos(angle));
+
+// 機体形状から迎角によらない係数を求める関数 (飛行計算では1回だけ呼ぶ)
+export const createNormalForceModel = (rocketParams) => {
+  const barrowman = calculateBarrowmanStability(rocketParams, { includeBodyLift: false });
+  const fins = barrowman.components.find(component => component.key === 'fins');
+  const referenceArea = Math.PI * Math.pow(barrowman.referenceDiameter / 2, 2);
+
+  return {
+    referenceArea: mmToM(mmToM(referenceArea)), // m²
+    body: barrowman.components
+      .filter(component => component.key !== 'fins' && component.cnAlpha !== 0)
+      .map(({ cnAlpha, cp }) => ({ cnAlpha, cp })),
+    bodyLiftSlope: BARROWMAN_CONSTANTS.bodyLiftK * barrowman.bodyPlanform.area / referenceArea,
+    bodyLiftCp: barrowman.bodyPlanform.centroid,
+    finCnAlpha: fins?.cnAlpha ?? 0,
+    finCp: fins?.cp ?? 0,
+    finCount: normalizeFinCount(rocketParams.finCount || 3),
+    stallAngle: NORMAL_FORCE.finStallAngle * DEG_TO_RAD
+  };
+};
+
+// 全フィンの法線力係数 (失速を含む)
+export const calculateFinNormalForce = (model, angleOfAttack) => {
+  const alpha = Math.abs(angleOfAttack);
+  if (alpha <= model.stallAngle) {
+    return model.finCnAlpha * angleOfAttack;
+  }
+  const drop = Math.min((alpha - model.stallAngle) / model.stallAngle, 1) * (1 - NORMAL_FORCE.postStallRatio);
+  return Math.sign(angleOfAttack) * model.finCnAlpha * model.stallAngle * (1 - drop);
+};
+
+// 迎角 α (rad) でのボディとフィンの法線力係数と圧力中心
+// 迎角0では各成分の CNα で重み付けした極限値を圧力中心とする
+export const calculateNormalForce = (model, angleOfAttack) => {
+  const alpha = normalizeAngle(angleOfAttack);
+  const sinAlpha = Math.sin(alpha);
+  const isSmall = Math.abs(alpha) < 1e-6;
+
+  // 成分ごとの「CN / α」(迎角0では CNα) を重みとして圧力中心を求める
+  const terms = [
+    ...model.body.map(component => ({ slope: component.cnAlpha * (isSmall ? 1 : sinAlpha / alpha), cp: component.cp })),
+    { slope: isSmall ? 0 : model.bodyLiftSlope * sinAlpha * Math.abs(sinAlpha) / alpha, cp: model.bodyLiftCp }
+  ];
+  const bodySlope = terms.reduce((sum, term) => sum + term.slope, 0);
+  const bodyCp = Math.abs(bodySlope) > 1e-12
+    ? terms.reduce((sum, term) => sum + term.slope * term.cp, 0) / bodySlope
+    : model.bodyLiftCp;
+  const finSlope = isSmall ? model.finCnAlpha : calculateFinNormalForce(model, alpha) / alpha;
+  const totalSlope = bodySlope + finSlope;
+
+  return {
+    bodyNormalForce: bodySlope * alpha,
+    bodyCp,
+    finNormalForce: finSlope * alpha,
+    finCp: model.finCp,
+    normalForce: totalSlope * alpha,
+    centerOfPressure: Math.abs(totalSlope) > 1e-12 ? (bodySlope * bodyCp + finSlope * model.finCp) / totalSlope : bodyCp
+  };
+};
+
+// 0° から maxAngle (度) までの CN・CP の曲線 (分析タブのグラフ用)
+export const calculateNormalForceCurve = (model, maxAngle, steps) =>
+  Array.from({ length: steps + 1 }, (_, i) => {
+    const angle = maxAngle * i / steps;
+    const { normalForce, centerOfPressure } = calculateNormalForce(model, angle * DEG_TO_RAD);
+    return { angle, normalForce, centerOfPressure };
+  });
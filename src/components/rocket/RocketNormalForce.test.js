@@ -0,0 +1,64 @@
+import { createNormalForceModel, calculateNormalForce, calculateFinNormalForce } from './RocketNormalForce';
+import { calculateBarrowmanStability } from './RocketBarrowman';
+import { createFinStressModel, calculateFinLoads } from './RocketFinStress';
+import { createRollModel } from './RocketRoll';
+import { NORMAL_FORCE } from './RocketConstants';
+
+const DEG_TO_RAD = Math.PI / 180;
+
+// RocketBarrowman.test.js と同じ円錐ノーズ・台形4枚フィンの基準機体 (寸法はmm)
+const REFERENCE_ROCKET = {
+  noseShape: 'cone',
+  noseHeight: 70,
+  bodyHeight: 330,
+  bodyWidth: 25,
+  finShape: 'trapezoid',
+  finCount: 4,
+  finHeight: 50,
+  finBaseWidth: 70,
+  finTipWidth: 30,
+  finSweepLength: 40,
+  finThickness: 2,
+  centerOfGravity: 250
+};
+
+const model = createNormalForceModel(REFERENCE_ROCKET);
+const stallAngle = NORMAL_FORCE.finStallAngle * DEG_TO_RAD;
+
+describe('calculateNormalForce', () => {
+  test('小迎角ではボディ揚力なしの Barrowman法と一致する', () => {
+    const barrowman = calculateBarrowmanStability(REFERENCE_ROCKET, { includeBodyLift: false });
+    // ボディ揚力は sin²α に比例するため、十分小さい迎角では無視できる
+    const alpha = 1e-5;
+    const result = calculateNormalForce(model, alpha);
+    expect(result.normalForce / alpha).toBeCloseTo(barrowman.cnAlpha, 2);
+    expect(result.centerOfPressure).toBeCloseTo(barrowman.centerOfPressure, 0);
+    expect(calculateNormalForce(model, 0).centerOfPressure).toBeCloseTo(barrowman.centerOfPressure, 6);
+  });
+
+  test('フィンは失速角で法線力が最大になり、失速後は postStallRatio 倍まで下がる', () => {
+    const atStall = calculateFinNormalForce(model, stallAngle);
+    expect(atStall).toBeCloseTo(model.finCnAlpha * stallAngle, 10);
+    expect(calculateFinNormalForce(model, stallAngle * 1.5)).toBeLessThan(atStall);
+    expect(calculateFinNormalForce(model, stallAngle * 3)).toBeCloseTo(atStall * NORMAL_FORCE.postStallRatio, 10);
+    expect(calculateFinNormalForce(model, -stallAngle)).toBeCloseTo(-atStall, 10);
+  });
+});
+
+describe('フィン強度・ロール運動の法線力', () => {
+  const dynamicPressure = 500;
+
+  test('フィン1枚の荷重は全フィンの法線力を枚数で割ったもので、失速も同じ角度で起こる', () => {
+    const stressModel = createFinStressModel(REFERENCE_ROCKET, { allowableStress: 1e7 }, model);
+    const loadAt = (angle) => calculateFinLoads(stressModel, angle, dynamicPressure).normalForce;
+    const alpha = 5 * DEG_TO_RAD;
+    expect(loadAt(alpha)).toBeCloseTo(dynamicPressure * model.referenceArea * model.finCnAlpha * alpha / 4, 10);
+    expect(loadAt(stallAngle * 1.5)).toBeLessThan(loadAt(stallAngle));
+    expect(loadAt(-alpha)).toBeCloseTo(loadAt(alpha), 10);
+  });
+
+  test('ロール運動の法線力傾斜は全フィンの CNα × 基準面積', () => {
+    const rollModel = createRollModel(REFERENCE_ROCKET, model, 0.002);
+    expect(rollModel.forceSlope).toBeCloseTo(model.finCnAlpha * model.referenceArea, 12);
+  });
+});
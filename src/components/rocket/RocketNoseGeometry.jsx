@@ -0,0 +1,134 @@
+// ノーズコーンの形状 (半径分布) と、そこから求める投影面積・体積・圧力中心・圧力抗力 関連の関数
+// 長さはすべてmm、x はノーズ先端から機軸方向の距離
+// params: { noseShape, noseHeight (ノーズ長), bodyWidth (ノーズ基部の直径), noseExponent, noseOgiveRatio }
+import { NOSE_SHAPES, NOSE_PROFILE, DRAG_CONSTANTS } from './RocketConstants';
+
+// 形状の定義を取得する関数 (未対応の形状は正接オジブとして扱う)
+export const getNoseShape = (noseShape) => {
+  if (!NOSE_SHAPES[noseShape]) {
+    console.warn(`未対応のノーズ形状です: ${noseShape}。正接オジブを使用します`);
+    return NOSE_SHAPES.ogive;
+  }
+  return NOSE_SHAPES[noseShape];
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// べき級数の指数 (0 < n ≤ 1、n = 1 で円錐)
+const getExponent = (params) =>
+  clamp(params.noseExponent ?? NOSE_PROFILE.exponent.default, NOSE_PROFILE.exponent.min, NOSE_PROFILE.exponent.max);
+
+// セカントオジブの曲率半径 ρ (正接オジブの曲率半径に対する比で指定、弦長の1/2未満にはできない)
+const getSecantOgiveRadius = (params, length, radius) => {
+  const tangentRho = (radius * radius + length * length) / (2 * radius);
+  const ratio = Math.max(params.noseOgiveRatio ?? NOSE_PROFILE.ogiveRatio.default, NOSE_PROFILE.ogiveRatio.min);
+  return Math.max(tangentRho * ratio, Math.sqrt(radius * radius + length * length) / 2);
+};
+
+// ノーズ先端からxの位置でのノーズ半径を計算する関数
+export const getNoseRadius = (params, x) => {
+  const length = params.noseHeight;
+  const radius = params.bodyWidth / 2;
+  if (!(length > 0) || !(radius > 0)) {
+    return 0;
+  }
+  const clampedX = clamp(x, 0, length);
+  const ratio = clampedX / length;
+  const shape = getNoseShape(params.noseShape);
+
+  if (typeof shape.haackC === 'number') {
+    // Haack級数 (C = 0: フォン・カルマン、C = 1/3: LV-Haack)
+    const theta = Math.acos(1 - 2 * ratio);
+    const value = theta - Math.sin(2 * theta) / 2 + shape.haackC * Math.pow(Math.sin(theta), 3);
+    return radius * Math.sqrt(Math.max(0, value / Math.PI));
+  }
+
+  switch (params.noseShape) {
+    case 'cone':
+      return radius * ratio;
+    case 'parabola':
+      // 基部で胴体に接する放物線
+      return radius * (2 * ratio - ratio * ratio);
+    case 'powerSeries':
+      return radius * Math.pow(ratio, getExponent(params));
+    case 'elliptical':
+      return radius * Math.sqrt(Math.max(0, 1 - Math.pow(1 - ratio, 2)));
+    case 'secantOgive': {
+      const rho = getSecantOgiveRadius(params, length, radius);
+      const alpha = Math.atan2(radius, length) - Math.acos(Math.sqrt(length * length + radius * radius) / (2 * rho));
+      return Math.sqrt(Math.max(0, rho * rho - Math.pow(rho * Math.cos(alpha) - clampedX, 2))) + rho * Math.sin(alpha);
+    }
+    default: {
+      // 正接オジブ
+      const rho = (radius * radius + length * length) / (2 * radius);
+      return Math.sqrt(Math.max(0, rho * rho - Math.pow(length - clampedX, 2))) + radius - rho;
+    }
+  }
+};
+
+// 先端から基部までの半径分布の点列 [{ x, r }] (描画・積分用、先端付近は細かく分割)
+export const getNoseProfilePoints = (params, segments = NOSE_PROFILE.segments) => {
+  const points = [];
+  for (let i = 0; i <= segments; i++) {
+    const t = i / segments;
+    const x = params.noseHeight * t * t * (3 - 2 * t);
+    points.push({ x, r: getNoseRadius(params, x) });
+  }
+  return points;
+};
+
+// ノーズの形状特性を半径分布から数値積分で求める関数
+// planArea: 側面投影面積 (mm²)、planCentroid: その図心、volume: 体積 (mm³)、
+// surfaceArea: 側面積 (mm²)、surfaceCentroid: その図心、cp: 圧力中心 (mm)、
+// shoulderAngle: 基部の傾き角 (rad)、pressureCd: 圧力抗力係数 (ノーズ基部の断面積基準)
+export const calculateNoseProfile = (params) => {
+  const length = params.noseHeight;
+  const radius = params.bodyWidth / 2;
+  const points = getNoseProfilePoints(params);
+
+  let planArea = 0;
+  let planMoment = 0;
+  let volume = 0;
+  let surfaceArea = 0;
+  let surfaceMoment = 0;
+  for (let i = 1; i < points.length; i++) {
+    const { x: x0, r: r0 } = points[i - 1];
+    const { x: x1, r: r1 } = points[i];
+    const h = x1 - x0;
+    const midX = (x0 + x1) / 2;
+    const stripArea = (r0 + r1) * h; // 2r の台形則
+    const stripSurface = Math.PI * (r0 + r1) * Math.sqrt(h * h + Math.pow(r1 - r0, 2));
+    planArea += stripArea;
+    planMoment += stripArea * midX;
+    volume += Math.PI * h * (r0 * r0 + r0 * r1 + r1 * r1) / 3; // 円錐台
+    surfaceArea += stripSurface;
+    surfaceMoment += stripSurface * midX;
+  }
+
+  // Barrowman法のノーズ圧力中心: x_cp = L - V / A_base
+  const baseArea = Math.PI * radius * radius;
+  const cp = baseArea > 0 ? length - volume / baseArea : length / 2;
+  const shoulderAngle = calculateNoseShoulderAngle(params);
+
+  return {
+    planArea,
+    planCentroid: planArea > 0 ? planMoment / planArea : length * 2 / 3,
+    volume,
+    surfaceArea,
+    surfaceCentroid: surfaceArea > 0 ? surfaceMoment / surfaceArea : length * 2 / 3,
+    cp,
+    shoulderAngle,
+    pressureCd: DRAG_CONSTANTS.shoulderPressureFactor * Math.pow(Math.sin(shoulderAngle), 2)
+  };
+};
+
+// ノーズ基部での外形の傾き角 (rad) を求める関数 (胴体に接する形状は0、円錐は atan(R/L))
+export const calculateNoseShoulderAngle = (params) => {
+  const length = params.noseHeight;
+  if (!(length > 0) || !(params.bodyWidth > 0)) {
+    return 0;
+  }
+  const h = length * NOSE_PROFILE.slopeSampleRatio;
+  const slope = (getNoseRadius(params, length) - getNoseRadius(params, length - h)) / h;
+  return Math.atan(Math.abs(slope));
+};
@@ -1,12 +1,32 @@
 // 物理計算関連の関数
 import {
-  MOTOR_THRUST_DATA, PHYSICAL_CONSTANTS,
-  ANGLE_RESPONSE_DT, ANGLE_STEPS_PER_UPDATE,
-  NOSE_SHAPES, FIN_MATERIALS, WIND_PROFILES, mmToM, gToKg
+  PHYSICAL_CONSTANTS,
+  ANGLE_RESPONSE_DT, SIMULATION_DT, SIMULATION_MAX_TIME,
+  WIND_PROFILES, DEFAULT_AZIMUTHS, FIN_STRESS, FLUTTER_CONSTANTS, ROLL_DYNAMICS, mmToM, gToKg
 } from './RocketConstants';
+import { getMotor, getMotorThrustData, getDefaultMotorDelay, getBurnedPropellantMass } from './RocketMotors';
+import { getAtmosphere, getAirDensity, normalizeLaunchSite } from './RocketAtmosphere';
+import { normalizeIntegratorSettings, integrateInterval } from './RocketIntegrators';
+import { calculateBarrowmanStability } from './RocketBarrowman';
+import { normalizeFinCount, getFinAngles, getFinProjectedSpanFactor, getFinPlanform } from './RocketFinGeometry';
+import { createGustField } from './RocketGust';
+import { normalizeDisturbanceSettings, getRailGuides, calculateThrustMoment, calculateTipOffAcceleration } from './RocketDisturbance';
+import { calculateNoseProfile } from './RocketNoseGeometry';
+import { createDragModel, calculateDragCoefficients } from './RocketDrag';
+import { getMaterial } from './RocketMaterials';
+import { createFinStressModel, calculateFinLoads, calculateTotalAngleOfAttack, summarizeFinStress } from './RocketFinStress';
+import {
+  createRollModel, calculateRollMomentOfInertia, calculateRollMoment, isRollPitchResonant
+} from './RocketRoll';
+import { createNormalForceModel, calculateNormalForce } from './RocketNormalForce';
+import { createDynamicStabilityModel, calculateDynamicStability, calculatePitchNaturalFrequency } from './RocketDynamicStability';
+import { getWindComponents, getWindTableComponents, toLaunchFrame } from './RocketWindProfile';
+import {
+  normalizeRecoveryDevices, createRecoveryState, updateRecoverySequence, getRecoverySummary,
+  updateOpeningShock, getOpeningShocks
+} from './RocketRecovery';
 
 // 物理制御と拡張制御を分離する定数を追加
-export const PHYSICAL_ATTITUDE_CONTROL = true;  // 物理ベースの姿勢制御 (常に有効にすべき)
 export const ENHANCED_ATTITUDE_CONTROL = false;  // 拡張姿勢制御 (風見効果など)
 export const WIND_ANGLE_LIMITATION = false;  // 風向きによる角度制限（90度制限）
 
@@ -27,7 +47,7 @@ export const calculateProjectedArea = (rocketParams) => {
 
   // 必須パラメータの存在チェック
   const {
-    noseShape, noseHeight, bodyHeight, bodyWidth,
+    noseHeight, bodyHeight, bodyWidth,
     finHeight, finBaseWidth, finTipWidth, finSweepLength, finThickness,
     finCount = 3
   } = rocketParams;
@@ -56,54 +76,45 @@ export const calculateProjectedArea = (rocketParams) => {
   }
 
   // 単位をmm->mに変換
-  const noseHeight_m = mmToM(noseHeight);
   const bodyHeight_m = mmToM(bodyHeight);
   const bodyWidth_m = mmToM(bodyWidth);
-  const bodyRadius_m = bodyWidth_m / 2;
   const finHeight_m = mmToM(finHeight);
   const finBaseWidth_m = mmToM(finBaseWidth);
   const finTipWidth_m = mmToM(finTipWidth);
   const finSweepLength_m = mmToM(finSweepLength);
 
+  // 部品ツリーがある場合は最大外径と各部品の側面積を使う
+  const maxBodyRadius_m = mmToM(rocketParams.maxBodyWidth ?? bodyWidth) / 2;
+
   // 正面からの投影面積 (m^2)
-  const frontalArea = Math.PI * Math.pow(bodyRadius_m, 2) + (finHeight * finThickness) * 4 * 0.0000001;
+  const frontalArea = Math.PI * Math.pow(maxBodyRadius_m, 2) + (finHeight * finThickness) * normalizeFinCount(finCount) * 0.0000001;
 
   // 側面投影面積の計算 (m^2)
-  // ボディ部分
-  const bodyArea = bodyWidth_m * bodyHeight_m;
-
-  // ノーズ部分 - 形状に応じて計算
-  let noseArea;
-  if (noseShape === 'cone') {
-    noseArea = 0.5 * bodyWidth_m * noseHeight_m; // 三角形の面積
-  } else if (noseShape === 'parabola') {
-    noseArea = (2 / 3) * bodyWidth_m * noseHeight_m; // 放物線の近似
-  } else { // ogive
-    noseArea = (2 / 3) * bodyWidth_m * noseHeight_m; // オジブの近似
-  }
-
-  // フィン1枚あたりの投影面積 - フィン枚数に応じて計算方法を変更
-  let finArea;
-  if (finCount === 3) {
-    // 3枚フィンの場合 - 120度間隔配置に合わせた調整
-    // 側面から見た場合の調整係数 (sqrt(3)/2 = 約0.866)
-    const adjustedFinHeight = finHeight_m * 1.73 / 2;
-
+  // ボディ部分 (ボディチューブとトランジション)
+  const bodyArea = rocketParams.bodyTubes?.length
+    ? rocketParams.bodyTubes.reduce((sum, tube) => sum + mmToM(tube.diameter) * mmToM(tube.length), 0) +
+      (rocketParams.transitions || []).reduce((sum, t) => sum + mmToM(t.foreDiameter + t.aftDiameter) / 2 * mmToM(t.length), 0)
+    : bodyWidth_m * bodyHeight_m;
+
+  // ノーズ部分 - 半径分布から求めた投影面積
+  const noseArea = mmToM(mmToM(calculateNoseProfile(rocketParams).planArea));
+
+  // フィン1枚あたりの投影面積 - 側面図で最も大きく見えるフィンのスパンの割合で調整
+  // 面内にないフィン (3枚の場合は120度間隔で √3/2) は付け根がボディに隠れる分を差し引く
+  const spanFactor = getFinProjectedSpanFactor(finCount);
+  let finArea = mmToM(mmToM(getFinPlanform(rocketParams).area)) * spanFactor; // 平面形の外形から求めた面積
+  if (spanFactor < 1) {
     let overlapFinBaseWidth;
     if (finSweepLength + finTipWidth >= finBaseWidth) {
       overlapFinBaseWidth = (((finTipWidth_m - finBaseWidth_m) * finBaseWidth_m * 0.078 / finHeight_m) + finBaseWidth_m) - finTipWidth_m * bodyWidth_m * 0.078 / finHeight_m;
     } else {
       overlapFinBaseWidth = ((finTipWidth_m - finBaseWidth_m) * finBaseWidth_m * 0.078 / finHeight_m) + finBaseWidth_m;
     }
-    // 調整された台形の面積
-    finArea = (adjustedFinHeight * (finBaseWidth_m + finTipWidth_m) / 2) - ((overlapFinBaseWidth + finBaseWidth_m) * ((bodyWidth_m / 2) - bodyWidth_m * 1.73 / 4) / 2);
-  } else {
-    // 4枚フィンの場合 - 通常の計算
-    finArea = finHeight_m * (finBaseWidth_m + finTipWidth_m) / 2; // 台形の面積
+    finArea -= (overlapFinBaseWidth + finBaseWidth_m) * ((bodyWidth_m / 2) * (1 - spanFactor)) / 2;
   }
 
   // 側面から見えるフィンの合計投影面積
-  // 3枚でも4枚でも側面から見えるのは2枚分
+  // 枚数によらず側面から見えるのは上下2枚分
   const totalFinArea = finArea * 2;
 
   // 側面からの合計投影面積
@@ -117,32 +128,24 @@ export const calculateProjectedArea = (rocketParams) => {
     sideArea,     // 側面からの投影面積 (m^2)
     noseArea,     // ノーズ部分の投影面積 (m^2) - 追加
     finArea,      // フィン1枚の投影面積 (m^2)
-    totalFinArea, // フィン4枚の合計投影面積 (m^2)
+    totalFinArea, // 側面から見えるフィンの合計投影面積 (m^2)
     angledArea    // 斜め45度からの投影面積（近似） (m^2)
   };
 };
 
 // ロケットの体積を計算する関数
 export const calculateVolume = (rocketParams) => {
-  const { noseShape, noseHeight, bodyHeight, bodyWidth } = rocketParams;
+  const { bodyHeight, bodyWidth } = rocketParams;
 
   // 単位をmm->mに変換
-  const noseHeight_m = mmToM(noseHeight);
   const bodyHeight_m = mmToM(bodyHeight);
   const bodyRadius_m = mmToM(bodyWidth) / 2;
 
   // ボディ体積（円柱） (m^3)
   const bodyVolume = Math.PI * Math.pow(bodyRadius_m, 2) * bodyHeight_m;
 
-  // ノーズ体積 - 形状に応じて計算 (m^3)
-  let noseVolume;
-  if (noseShape === 'cone') {
-    noseVolume = (1 / 3) * Math.PI * Math.pow(bodyRadius_m, 2) * noseHeight_m; // 円錐の体積
-  } else if (noseShape === 'parabola') {
-    noseVolume = (1 / 2) * Math.PI * Math.pow(bodyRadius_m, 2) * noseHeight_m; // 放物線回転体の体積
-  } else { // ogive
-    noseVolume = (2 / 3) * Math.PI * Math.pow(bodyRadius_m, 2) * noseHeight_m; // オジブの近似体積
-  }
+  // ノーズ体積 - 半径分布から求めた回転体の体積 (m^3)
+  const noseVolume = calculateNoseProfile(rocketParams).volume * 1e-9;
 
   // 合計体積 (m^3)
   const totalVolume = bodyVolume + noseVolume;
@@ -156,252 +159,61 @@ export const calculateVolume = (rocketParams) => {
   };
 };
 
-// 圧力中心位置を計算する関数（モーメント計算に使用）
+// 圧力中心位置を計算する関数 (Barrowman法、モーメント計算と慣性モーメントの計算に使用)
 export const calculateCenterOfPressure = (rocketParams) => {
-  const { noseShape, noseHeight, bodyHeight, bodyWidth, finHeight, finBaseWidth, finTipWidth, finSweepLength, finCount } = rocketParams;
-
-  // 面積と体積を計算
-  const areas = calculateProjectedArea(rocketParams);
-
-  // ノーズ先端からの各コンポーネントの圧力中心位置 (mm)
-  // ノーズの圧力中心位置 - 形状に応じて計算
-  let noseCp;
-  if (noseShape === 'cone') {
-    noseCp = noseHeight * 0.666; // 円錐の圧力中心はノーズ長の2/3
-  } else if (noseShape === 'parabola') {
-    noseCp = noseHeight * 0.614; // 放物線の圧力中心（近似値）
-  } else { // ogive
-    noseCp = noseHeight * 0.575; // オジブの圧力中心（近似値）
-  }
-
-  // ボディの圧力中心位置（ノーズ先端から）
-  const bodyCp = noseHeight + bodyHeight / 2; // mm
-
-  //　フィンの圧力中心を求めるための分解
-  let finArea_section1;
-  if (finCount === 3) {
-    finArea_section1 = (finBaseWidth * finHeight * 1.732 * 0.5) / 2;
-  } else {
-    finArea_section1 = (finBaseWidth * finHeight) / 2;
-  }
-
-  let finArea_section2;
-  if (finCount === 3) {
-    finArea_section2 = (finTipWidth * finHeight * 1.732 * 0.5) / 2;
-  } else {
-    finArea_section2 = (finTipWidth * finHeight) / 2;
-  }
-
-  const finCP_y_section1 = (finBaseWidth + finSweepLength) / 3;
-
-  const finCP_y_section2 = (finBaseWidth + finSweepLength + (finSweepLength + finTipWidth)) / 3;
-
-  //　フィンの圧力中心位置（フィン付け根先端から）
-  let finSection_single;
-  if (finCount === 3) {
-    finSection_single = (finBaseWidth + finTipWidth) * (finHeight * (1.732 / 2)) / 2;
-  } else {
-    finSection_single = (finBaseWidth + finTipWidth) * finHeight / 2;
-  }
-
-  const finCP_single = ((finCP_y_section1 * finArea_section1) + (finCP_y_section2 * finArea_section2)) / finSection_single; // mm
-
-  // フィンの圧力中心位置（ノーズ先端から）
-  const finCp = noseHeight + bodyHeight - finBaseWidth + finCP_single; // mm
-
-  // 面積による重み付け計算
-  // 単位を揃えるためにm²からmm²に変換
-  const noseArea = areas.noseArea * 1000000; // m^2 → mm^2
-  const bodyArea = areas.sideArea * 1000000 - noseArea - areas.totalFinArea * 1000000; // m^2 → mm^2
-  const totalFinArea = areas.totalFinArea * 1000000; // m^2 → mm^2
+  const barrowman = calculateBarrowmanStability(rocketParams);
+  const nose = barrowman.components.find(component => component.key === 'nose');
+  const fins = barrowman.components.find(component => component.key === 'fins');
 
-  // 圧力中心の計算（重み付け平均）
-  const totalArea = noseArea + bodyArea + totalFinArea;
-  const centerOfPressure = (noseCp * noseArea + bodyCp * bodyArea + finCp * totalFinArea) / totalArea; // mm
-
-  // フィンを除いた前部の圧力中心（空力計算用）
-  const foreBodyArea = noseArea + bodyArea;
-  const foreBodyCp = (noseCp * noseArea + bodyCp * bodyArea) / foreBodyArea;
+  // フィンを除いた前部の圧力中心 (ノーズ・ボディチューブ・トランジションのCNαで重み付け)
+  const foreBody = barrowman.components.filter(component => component.key !== 'fins');
+  const foreBodyCnAlpha = foreBody.reduce((sum, component) => sum + component.cnAlpha, 0);
+  const foreBodyCp = Math.abs(foreBodyCnAlpha) > 1e-9
+    ? foreBody.reduce((sum, component) => sum + component.cnAlpha * component.cp, 0) / foreBodyCnAlpha
+    : (nose?.cp ?? 0);
 
   return {
-    noseCp,           // ノーズの圧力中心位置 (mm)
-    bodyCp,           // ボディの圧力中心位置 (mm)
-    finCp,            // フィンの圧力中心位置 (mm)
-    centerOfPressure, // 全体の圧力中心位置 (mm)
-    foreBodyCp        // フィンを除いた前部の圧力中心位置 (mm)
+    noseCp: nose?.cp ?? 0, // ノーズの圧力中心位置 (mm)
+    finCp: fins?.cp ?? 0, // フィンの圧力中心位置 (mm)
+    centerOfPressure: barrowman.centerOfPressure, // 全体の圧力中心位置 (mm)
+    foreBodyCp // フィンを除いた前部の圧力中心位置 (mm)
   };
 };
 
 // 空力中心位置を計算する関数
-export const calculateAerodynamicCenter = (rocketParams) => {
-  // この行で必要なすべてのプロパティを取り出します
-  const { noseHeight, bodyHeight, bodyWidth, finHeight, finBaseWidth, finTipWidth, finSweepLength, finCount } = rocketParams;
-
-  // 投影面積を計算
-  const areas = calculateProjectedArea(rocketParams);
-
-  // lengthOfCo
-  let lengthOfCo;
-  if (finCount === 3) {
-    lengthOfCo = ((finBaseWidth - finTipWidth) / (finHeight * 1.732 / 2)) * (((bodyWidth / 2) + finHeight) * (1.732 / 2)) + finTipWidth;
-
-  } else {
-    lengthOfCo = ((finBaseWidth - finTipWidth) / finHeight) * ((bodyWidth / 2) + finHeight) + finTipWidth;
-  }
-
-  // テーパー比（ramda）
-  const ramda = finTipWidth / lengthOfCo;
-
-  // 胴体容積 (m^3)
-  const volumeData = calculateVolume(rocketParams);
-
-  // c_bar
-  const c_bar = (2 * lengthOfCo / 3) * (1 + ramda + Math.pow(ramda, 2)) / (1 + ramda);
-
-  // y_bar
-  let y_bar;
-  if (finCount === 3) {
-    y_bar = (((bodyWidth / 2) + finHeight) * (1.732 / 2)) * (1 + (2 * ramda)) / (3 * (1 + ramda));
-  } else {
-    y_bar = (finHeight + (bodyWidth / 2)) * (1 + (2 * ramda)) / (3 * (1 + ramda));
-  }
-
-  // 面積による重み付け計算（m^2をmm^2に変換）
-  const noseArea = areas.noseArea * 1000000; // m^2 → mm^2
-  const bodyArea = areas.sideArea * 1000000 - noseArea; // m^2 → mm^2
-  const totalFinArea = areas.totalFinArea * 1000000; // m^2 → mm^2
-
-  // WingArea
-  let wingArea;
-  if (finCount === 3) {
-    wingArea = (finTipWidth + lengthOfCo) * (((bodyWidth / 2) + finHeight) * (1.732 / 2));
-  } else {
-    wingArea = (finTipWidth + lengthOfCo) * ((bodyWidth / 2) + finHeight);
-  }
-
-  // V*fus
-  const Vstar_fus = volumeData.totalVolume * 1000000000 / (c_bar * wingArea); // 単位を合わせる
-
-  // AspectRatio
-  let aspectRatio;
-  if (finCount === 3) {
-    aspectRatio = ((2 * ((bodyWidth / 2) + finHeight) * (1.732 / 2))) * (2 * (((bodyWidth / 2) + finHeight) * (1.732 / 2))) / wingArea;
-  } else {
-    aspectRatio = ((2 * (finHeight + bodyWidth)) * (2 * (finHeight + bodyWidth))) / wingArea;
-  }
-
-  // CLα
-  let cl_alpha;
-  if (finCount === 3) {
-    cl_alpha = ((3.14 * aspectRatio) * 0.5) * Math.pow((1 - Math.pow((bodyWidth / 2) / (((finHeight + (bodyWidth / 2)) * 1.732 / 4)), 2)), 2);
-  } else {
-    cl_alpha = ((3.14 * aspectRatio) * 0.5) * Math.pow((1 - Math.pow((bodyWidth / 2) / (((finHeight + (bodyWidth / 2)) / 2)), 2)), 2);
-  }
-
-  // hn
-  const hn = 0.25 + (1 / cl_alpha) * (-1) * (2 * Vstar_fus);
+// 小迎角では空力中心と圧力中心は一致するため、Barrowman法の圧力中心を使う
+export const calculateAerodynamicCenter = (rocketParams) => ({
+  aerodynamicCenter: calculateBarrowmanStability(rocketParams).centerOfPressure // 空力中心位置 (mm)
+});
 
-  // hnwc_bar
-  const hnwc_bar = hn * c_bar;
-
-  // x1
-  let x1;
-  if (finCount === 3) {
-    x1 = (bodyWidth / 2) * (1.732 / 2) * finSweepLength / (finHeight * 1.732 / 2);
-  } else {
-    x1 = (bodyWidth / 2) * finSweepLength / finHeight;
-  }
-
-  // x2
-  let x2;
-  if (finCount === 3) {
-    x2 = y_bar * (x1 + finSweepLength + finTipWidth - lengthOfCo) / (((bodyWidth / 2) + finHeight) * 1.732 / 2);
-  } else {
-    x2 = y_bar * (x1 + finSweepLength + finTipWidth - lengthOfCo) / (((bodyWidth / 2) + finHeight));
-  }
-
-  // small_xac
-  const small_xac = c_bar - x2 - hnwc_bar;
-
-  // 空力中心計算
-  const aerodynamicCenter = noseHeight + bodyHeight - small_xac;
-
-  return {
-    aerodynamicCenter  // 空力中心位置 (mm)
-  };
-};
-
-// 静安定マージン計算用の圧力中心位置を計算する関数
+// 静安定マージン計算用の圧力中心位置を計算する関数 (Barrowman法)
 export const calculateStabilityCenterOfPressure = (rocketParams) => {
-  const { noseShape, noseHeight, bodyHeight, bodyWidth, finHeight, finBaseWidth, finTipWidth, finSweepLength, finCount } = rocketParams;
-
-  // mc
-  const mc = Math.pow((Math.pow((finSweepLength + (finTipWidth / 2) - (finBaseWidth / 2)), 2)) + (Math.pow(finHeight, 2)), 0.5);
-
-  // ノーズ先端からの位置を計算 (mm)
-  // この静安定マージン用の圧力中心は通常の圧力中心とは異なる計算方法を使用
-
-  // ノーズの圧力中心
-  let noseStabilityCp;
-  if (noseShape === 'cone') {
-    noseStabilityCp = noseHeight * 0.666; // 円錐の静安定用圧力中心
-  } else if (noseShape === 'parabola') {
-    noseStabilityCp = noseHeight * 0.614; // 放物線の静安定用圧力中心
-  } else { // ogive
-    noseStabilityCp = noseHeight * 0.575; // オジブの静安定用圧力中心
-  }
-
-  // フィンのcn
-  const fin_cn_1 = 1 + (finHeight / (finHeight + (bodyWidth / 2)));
-  let fin_cn_2;
-  if (finCount === 3) {
-    fin_cn_2 = 12 * Math.pow(finHeight / bodyWidth, 2);
-  } else {
-    fin_cn_2 = 16 * Math.pow(finHeight / bodyWidth, 2);
-  }
-  const fin_cn_3 = 1 + Math.pow((1 + (Math.pow(((2 * mc) / (finTipWidth + finBaseWidth)), 2))), 0.5);
-
-  const fin_cn = fin_cn_1 * fin_cn_2 / fin_cn_3;
-
-  // CnTotal
-  const cnTotal = 2 + fin_cn;
-
-  // フィンの圧力中心
-  const finStabilityCp = (noseHeight + bodyHeight - finBaseWidth) + ((finSweepLength / 3) * ((finBaseWidth + 2 * finTipWidth) / (finBaseWidth + finTipWidth))) + ((finBaseWidth + finTipWidth) - ((finBaseWidth * finTipWidth) / (finBaseWidth + finTipWidth))) / 6;
-
-  // 静安定用の圧力中心位置（重み付け平均）
-  const stabilityCenterOfPressure = (2 * noseStabilityCp + fin_cn * finStabilityCp) / cnTotal;
+  const barrowman = calculateBarrowmanStability(rocketParams);
 
   return {
-    stabilityCenterOfPressure,  // 静安定計算用の圧力中心位置 (mm)
+    stabilityCenterOfPressure: barrowman.centerOfPressure, // 静安定計算用の圧力中心位置 (mm)
+    cnAlpha: barrowman.cnAlpha, // 機体全体の法線力傾斜 (1/rad)
+    components: barrowman.components // 部品ごとのCNαと圧力中心
   };
 };
 
 // 静安定マージンを計算する関数
+// 圧力中心はすべて Barrowman法で求めるため、standardStaticMargin と stabilityStaticMargin は同じ値になる
 export const calculateStaticMargin = (rocketParams) => {
   const { centerOfGravity, bodyWidth } = rocketParams;
 
-  // 通常の圧力中心を計算
-  const cpData = calculateCenterOfPressure(rocketParams);
-
-  // 静安定計算用の特別な圧力中心を計算
-  const stabilityCp = calculateStabilityCenterOfPressure(rocketParams);
-
   // 静安定マージン = (圧力中心位置 - 重心位置) / ボディ直径
-  // 通常の圧力中心を使用した場合
-  const standardStaticMargin = (cpData.centerOfPressure - centerOfGravity) / bodyWidth;
-
-  // 静安定用圧力中心を使用した場合
-  const stabilityStaticMargin = (stabilityCp.stabilityCenterOfPressure - centerOfGravity) / bodyWidth;
+  const { stabilityCenterOfPressure } = calculateStabilityCenterOfPressure(rocketParams);
+  const staticMargin = (stabilityCenterOfPressure - centerOfGravity) / bodyWidth;
 
   return {
-    standardStaticMargin,   // 通常の静安定マージン
-    stabilityStaticMargin   // 静安定計算用の静安定マージン
+    standardStaticMargin: staticMargin,   // 通常の静安定マージン
+    stabilityStaticMargin: staticMargin   // 静安定計算用の静安定マージン
   };
 };
 
 // フィンダイバージェンス速度を計算する関数
-export const calculateFinDivergenceSpeed = (rocketParams) => {
+export const calculateFinDivergenceSpeed = (rocketParams, airDensity = getAirDensity(0, rocketParams.launchSite)) => {
   const { finHeight, finBaseWidth, finTipWidth, finSweepLength, finThickness, finMaterial } = rocketParams;
 
   // 単位をmmからmに変換
@@ -412,11 +224,11 @@ export const calculateFinDivergenceSpeed = (rocketParams) => {
   const finThickness_m = mmToM(finThickness);
 
   // フィン材料の特性を取得
-  const material = FIN_MATERIALS[finMaterial];
+  const material = getMaterial(finMaterial, 'fin', rocketParams.materialLibrary);
   const G = material.G; // 横弾性係数 (Pa)
 
-  // 空気密度 (kg/m³)
-  const rho = 1.225;
+  // 空気密度 (kg/m³) - 発射地点の大気条件から取得
+  const rho = airDensity;
 
   // 平均コード長の計算 (m)
   const meanChord = (finBaseWidth_m + finTipWidth_m) / 2;
@@ -432,58 +244,48 @@ export const calculateFinDivergenceSpeed = (rocketParams) => {
 
   const divSpeed = (3.14 / (2 * finHeight_m)) * Math.pow(2 * G * J / (rho * Math.pow(meanChord, 2) * 0.25 * liftCoefficient_fin), 0.5);
 
-  // 現実的な範囲内に制限（極端に大きな/小さな値を防止）
-  return Math.max(20, Math.min(300, divSpeed));
+  // 上限・下限は設けない (フラッター速度と同様に余裕をそのまま表示する)。形状が不正な場合は0
+  if (!isFinite(divSpeed)) {
+    console.warn('フィンダイバージェンス速度を計算できません:', { finHeight, finBaseWidth, finTipWidth, finThickness });
+    return 0;
+  }
+  return divSpeed;
 };
 
-// フィンフラッター速度を計算する関数
-export const calculateFinFlutterSpeed = (rocketParams) => {
-  const { bodyWidth, finHeight, finBaseWidth, finTipWidth, finThickness, finMaterial } = rocketParams;
-
-  // 単位をmmからmに変換
-  const finHeight_m = mmToM(finHeight);
-  const finBaseWidth_m = mmToM(finBaseWidth);
-  const finTipWidth_m = mmToM(finTipWidth);
-  const finThickness_m = mmToM(finThickness);
-  const bodyWidth_m = mmToM(bodyWidth);
-
-  // フィン材料の特性を取得
-  const material = FIN_MATERIALS[finMaterial];
-  const G = material.G; // 横弾性係数 (Pa)
-  const E = material.E; // 縦弾性係数 (Pa)
-
-  // J（ねじり定数/断面二次極モーメント）
-  const torsionConstant = 0.333 * finThickness_m * Math.pow(finTipWidth_m, 3);
-
-  // Kα（ねじり剛性）Kα=GJ
-  const torsionalStiffness = G * torsionConstant;
-
-  // εイプシロン（2bを翼弦線としたときの弾性軸から翼の空力中心までのbに対する比率）
-  const epsilon = 0.25;
-
-  // 空気密度 (kg/m³)
-  const airDensity = 1.225;
-
-  // S（翼面積）
-  const finSection_single = (finTipWidth_m + finBaseWidth_m) * finHeight_m * 0.5;
-
-  // b（翼弦長の半分）
-  const half_finTipWidth = finTipWidth_m / 2;
-
-  // ∂Cl/∂α（揚力傾斜）
-  const liftSlope = 3.44;
+// NACA TN-4197 のフラッター境界の形状係数 AR³ (λ + 1) / (2 (AR + 2) (t/c)³)
+// 翼厚比は付け根翼弦、テーパー比は 翼端翼弦 / 付け根翼弦 で求める
+const calculateFlutterShapeFactor = (rocketParams) => {
+  const planform = getFinPlanform(rocketParams);
+  if (!(planform.area > 0) || !(planform.rootChord > 0) || !(rocketParams.finThickness > 0)) {
+    return null;
+  }
+  const aspectRatio = planform.span * planform.span / planform.area;
+  const taperRatio = planform.tipChord / planform.rootChord;
+  const thicknessRatio = rocketParams.finThickness / planform.rootChord;
+  return Math.pow(aspectRatio, 3) * (taperRatio + 1) / (2 * (aspectRatio + 2) * Math.pow(thicknessRatio, 3));
+};
 
-  // フラッター速度
-  const flutterSpeed = Math.pow((2 * torsionalStiffness) / (epsilon * airDensity * finSection_single * half_finTipWidth * liftSlope), 0.5);
+// 形状係数・横弾性係数 (Pa) と大気状態 (気圧 Pa・音速) からフラッター速度 (m/s) を求める関数
+const getFlutterSpeed = (shapeFactor, shearModulus, atmosphere) => {
+  if (!shapeFactor) {
+    return 0;
+  }
+  return atmosphere.speedOfSound * Math.sqrt(shearModulus / (FLUTTER_CONSTANTS.coefficient * shapeFactor * atmosphere.pressure));
+};
 
-  // 現実的な範囲内に制限（極端に大きな/小さな値を防止）
-  return Math.max(30, Math.min(400, flutterSpeed));
+// フィンフラッター速度を計算する関数 (NACA TN-4197、高度による気圧・音速の変化を含む)
+// atmosphere: getAtmosphere の結果 (既定は発射地点の地上)
+export const calculateFinFlutterSpeed = (rocketParams, atmosphere = getAtmosphere(0, rocketParams.launchSite)) => {
+  const material = getMaterial(rocketParams.finMaterial, 'fin', rocketParams.materialLibrary);
+  return getFlutterSpeed(calculateFlutterShapeFactor(rocketParams), material.G, atmosphere);
 };
 
 // フィンたわみ量計算の修正版
-const calculateFinDeflection = (velocity, material, finParams, angleChangePerDt2) => {
+const calculateFinDeflection = (velocity, material, finParams, angleChangePerDt2, airDensity = getAirDensity(0)) => {
   const { finHeight, finBaseWidth, finTipWidth, finThickness, finSweepLength } = finParams;
   const { E } = material;
+  // 平面形の面積 (mm^2) - 指定がない場合は台形とみなす
+  const finArea_mm2 = finParams.finArea ?? (finBaseWidth + finTipWidth) * finHeight / 2;
 
   // 速度0の場合は早期リターン
   if (Math.abs(velocity) < 0.001) return 0;
@@ -495,8 +297,8 @@ const calculateFinDeflection = (velocity, material, finParams, angleChangePerDt2
   const safeVelocity = Math.min(velocity, 300);
 
   try {
-    // フィンの面積（m^2）- 台形の面積計算
-    const finArea = ((finBaseWidth + finTipWidth) * 0.001) * (finHeight * 0.001) / 2;
+    // フィンの面積（m^2）
+    const finArea = finArea_mm2 * 1e-6;
 
     // テーパー比（λ）の計算 - 分母0防止
     let taperRatio = 0;
@@ -509,8 +311,8 @@ const calculateFinDeflection = (velocity, material, finParams, angleChangePerDt2
     // 後退角（ラジアン）
     const sweepAngle = Math.atan((finSweepLength * 0.001 + 0.5 * finTipWidth * 0.001 - 0.5 * finBaseWidth * 0.001) * Math.PI / (finHeight * 0.001));
 
-    // 平均コード長の計算 (m)
-    const meanChord = (finBaseWidth + finTipWidth) * 0.001 / 2;
+    // 平均コード長の計算 (m) - 面積 / 翼幅
+    const meanChord = finArea / Math.max(0.001, finHeight * 0.001);
 
     // 断面二次モーメント（I）- 平均コード長を使用
     // I = b * h^3 / 12 (矩形断面)
@@ -524,9 +326,6 @@ const calculateFinDeflection = (velocity, material, finParams, angleChangePerDt2
     // 風圧係数 - 一般的な平板の抗力係数は約1.28
     const dragCoefficient = 1.28;
 
-    // 空気密度 (kg/m³)
-    const airDensity = 1.225;
-
     // 風圧による力（F）の計算 - 角度変化量を使わず風速から直接計算
     // F = 0.5 * ρ * v² * Cd * A
     const windForce = 0.5 * airDensity * safeVelocity * safeVelocity * dragCoefficient * finArea;
@@ -537,7 +336,7 @@ const calculateFinDeflection = (velocity, material, finParams, angleChangePerDt2
 // たわみ量計算（m）- 片持ち梁のたわみ公式を使用
     // δ = F * L^4 / (8 * E * I) * (1 / (1 - λ))
     const deflectionFactor = (1 / (1 - taperRatio));
-    const second_moment_of_area = ((finBaseWidth + finTipWidth) * 0.001) * Math.pow(finThickness * 0.001, 3)/ (2 * 12);
+    const second_moment_of_area = meanChord * Math.pow(finThickness * 0.001, 3) / 12;
     const rawDeflection = (unitLengthWindForce * Math.pow(finHeight * 0.001, 4) * Math.cos(sweepAngle) / (8 * E *second_moment_of_area)) * deflectionFactor;
 
     // メートルからミリメートルへ変換（*1000）
@@ -581,18 +380,69 @@ export const formatFinDeflection = (deflection) => {
 };
 
 // フィンダイバージェンス速度とフラッター速度の表示用フォーマット関数
-export const formatSpeedValue = (speed, limit = 300) => {
-  // 速度値が上限を超えている場合
+export const formatSpeedValue = (speed, limit = Infinity) => {
+  // 速度値が上限を超えている場合 (既定では上限なし)
   if (speed >= limit) {
-    return `${limit}+ m/s`;  // 「300+ m/s」のように表示
+    return `${limit}+ m/s`;  // limit = 300 なら「300+ m/s」のように表示
   }
 
   // 通常範囲内の速度は整数で表示
   return `${Math.round(speed)} m/s`;
 };
 
+// 飛行データからフラッター余裕の推移 [{ time, height, speed, flutterSpeed, margin }] を取り出す関数 (グラフ用に間引く)
+export const extractFlutterHistory = (data, maxPoints) => {
+  const frames = data.filter(frame => typeof frame.finFlutterMargin === 'number' && isFinite(frame.finFlutterMargin));
+  const step = Math.max(1, Math.ceil(frames.length / maxPoints));
+  return frames
+    .filter((frame, index) => index % step === 0 || index === frames.length - 1)
+    .map(frame => ({
+      time: frame.time,
+      height: frame.height,
+      speed: frame.airSpeed,
+      flutterSpeed: frame.finFlutterSpeed,
+      margin: frame.finFlutterMargin
+    }));
+};
+
+// 高度に応じた風の発射面内成分 (along, 風速スライダーと同じ符号) とクロスレンジ成分 (cross, +z向き) を計算する関数
+// wind: { windTable, windDirection, launchAzimuth, windPerturbation, gustSpeed } - 突風は平均風と同じ向きに加える
+export const calculateWindComponentsAtHeight = (baseWindSpeed, height, profile, wind = {}) => {
+  const {
+    windTable = null,
+    windDirection = DEFAULT_AZIMUTHS.windDirection,
+    launchAzimuth = DEFAULT_AZIMUTHS.launchAzimuth,
+    windPerturbation = null,
+    gustSpeed = 0
+  } = wind;
+
+  let components;
+  if (WIND_PROFILES[profile]?.isTable && windTable?.length > 0) {
+    // 表の値をそのまま使い (基準風速は使わない)、突風と分散解析の変動だけを風向 windDirection に沿って加える
+    // windPerturbation: { speed: 風速の変動 (m/s), direction: 表の風向の変動 (度) }
+    const { speed: speedOffset = 0, direction: directionOffset = 0 } = windPerturbation || {};
+    const atHeight = getWindTableComponents(windTable, Math.max(0, height), windDirection, directionOffset);
+    const perturbation = getWindComponents(speedOffset + gustSpeed, windDirection);
+    components = {
+      east: atHeight.east + perturbation.east,
+      north: atHeight.north + perturbation.north
+    };
+  } else {
+    const speed = calculateWindSpeedAtHeight(baseWindSpeed, height, profile) + gustSpeed;
+    // 風向と発射方位の差だけで分解する (既定の配置ではクロスレンジ成分が厳密に0になる)
+    const relative = (windDirection - launchAzimuth) * Math.PI / 180;
+    return { along: speed * Math.cos(relative), cross: speed * Math.sin(relative) };
+  }
+  return toLaunchFrame(components, launchAzimuth);
+};
+
 // 高度に応じた風速を計算する関数 - 基準高度を1.5mに修正
-export const calculateWindSpeedAtHeight = (baseWindSpeed, height, profile) => {
+// 測定データの表を使う場合は既定の風向・発射方位での発射面内成分を返す
+export const calculateWindSpeedAtHeight = (baseWindSpeed, height, profile, windTable = null) => {
+  if (WIND_PROFILES[profile]?.isTable && windTable?.length > 0) {
+    return calculateWindComponentsAtHeight(baseWindSpeed, height, profile, { windTable }).along;
+  }
+
   // 高度が0の場合はそのまま基準風速を返す
   if (height <= 0) return baseWindSpeed;
 
@@ -618,30 +468,13 @@ export const calculateWindSpeedAtHeight = (baseWindSpeed, height, profile) => {
 };
 
 // モーメント計算用のヘルパー関数 - 修正版
-const calculateLiftMoment = (velocity, omega, flightAngle, rocketParams, sideArea, aerodynamicCenter, centerOfGravity) => {
-  const centerOfGravity_m = mmToM(centerOfGravity);
-  const aerodynamicCenter_m = mmToM(aerodynamicCenter);
-
-  const velocitySquared = Math.min(velocity * velocity, 10000);
-
-  // 迎角（姿勢角と飛行角の差）を計算
-  const angleOfAttack = omega - flightAngle;
-
-  // 迎角に比例した揚力係数（小さな角度ではsin(θ)≈θ）
-  // より大きな係数を使用してモーメントを増加
-  const liftCoefficient = 0.6 * angleOfAttack;  // 係数は0.6
-
-  // 揚力モーメントの計算 - 絶対値のみを計算
-  const momentMagnitude = Math.abs(liftCoefficient * 0.5 * 1.225 * velocitySquared * sideArea * (aerodynamicCenter_m - centerOfGravity_m));
+// 迎角に応じたボディ (ノーズ・トランジション・ボディ揚力) の法線力によるモーメント
+// dynamicPressure: 対気速度による動圧 (Pa)、angleOfAttack: 機軸と対気速度のなす迎角 (rad)
+const calculateLiftMoment = (dynamicPressure, angleOfAttack, normalForceModel, centerOfGravity) => {
+  const { bodyNormalForce, bodyCp } = calculateNormalForce(normalForceModel, angleOfAttack);
 
-  // 符号の決定
-  let finalMoment;
-  if ((aerodynamicCenter >= centerOfGravity && angleOfAttack < 0) ||
-    (aerodynamicCenter < centerOfGravity && angleOfAttack >= 0)) {
-    finalMoment = momentMagnitude; //プラスに改造中0402（時計回りをプラス）
-  } else {
-    finalMoment = -momentMagnitude; //マイナスに改造中0402（時計回りをプラス）
-  }
+  // 圧力中心が重心より後方にある場合は迎角を戻す向き (時計回りをプラス)
+  const finalMoment = -bodyNormalForce * dynamicPressure * normalForceModel.referenceArea * mmToM(bodyCp - centerOfGravity);
 
   if (!isFinite(finalMoment) || isNaN(finalMoment)) {
     return 0;
@@ -650,20 +483,15 @@ const calculateLiftMoment = (velocity, omega, flightAngle, rocketParams, sideAre
   return finalMoment;
 };
 
-const calculateDragMoment = (velocity, omega, flightAngle, rocketParams, bodyDiameter, aerodynamicCenter, centerOfGravity) => {
+const calculateDragMoment = (dynamicPressure, angleOfAttack, rocketParams, bodyDiameter, aerodynamicCenter, centerOfGravity) => {
   const centerOfGravity_m = mmToM(centerOfGravity);
   const aerodynamicCenter_m = mmToM(aerodynamicCenter);
 
-  const velocitySquared = Math.min(velocity * velocity, 10000);
-
-  // 迎角を計算
-  const angleOfAttack = omega - flightAngle;
-
   // 迎角の二乗に比例した抗力増加
   const dragCoefficient = 0.01 * Math.pow(angleOfAttack, 2) - 0.02 * angleOfAttack + 0.63;
 
   // 抗力モーメントの計算 - 絶対値のみを計算
-  const momentMagnitude = Math.abs(dragCoefficient * 0.5 * 1.225 * velocitySquared * (bodyDiameter * 0.001 / 2) * (bodyDiameter * 0.001 / 2) * 3.14 * (aerodynamicCenter_m - centerOfGravity_m));
+  const momentMagnitude = Math.abs(dragCoefficient * dynamicPressure * (bodyDiameter * 0.001 / 2) * (bodyDiameter * 0.001 / 2) * 3.14 * (aerodynamicCenter_m - centerOfGravity_m));
 
   // 符号の決定
   let finalMoment;
@@ -681,50 +509,12 @@ const calculateDragMoment = (velocity, omega, flightAngle, rocketParams, bodyDia
   return finalMoment;
 };
 
-const calculateWindMoment = (noseHeight, bodyDiameter, bodyHeight, windSpeed, omega, totalFinArea, centerOfPressure, centerOfGravity) => {
-  // --- 追加: 未定義入力のチェック ---
-  if (windSpeed == null || isNaN(windSpeed)) windSpeed = 0;
-  if (omega == null || isNaN(omega)) omega = 0;
-  if (centerOfPressure == null || centerOfGravity == null) {
-    return 0;  // 必要情報がなければモーメント0
-  }
-
-  const centerOfGravity_m = mmToM(centerOfGravity);
-  const centerOfPressure_m = mmToM(centerOfPressure);
-
-  const bodyHeight_m = mmToM(bodyHeight);
-  const noseHeight_m = mmToM(noseHeight);
-
-  // 風速に上限を設定
-  const safeWindSpeed = Math.max(-25, Math.min(25, windSpeed));
-
-  // 風速によりフィンが受ける力
-  const Dwf = 1.28 * 0.05 * Math.pow(safeWindSpeed, 2) * totalFinArea; // 係数1.28スタート
-
-  // 風速によりボディが受ける力
-  const Dwb = 0.23 * 0.5 * 1.225 * Math.pow(safeWindSpeed, 2) * bodyDiameter * (bodyHeight_m + noseHeight_m);
-
-  // 安全なコサイン計算
-  const cosAngle = Math.cos(omega);
-
-  // 風モーメントの計算 - 絶対値のみを計算
-  const momentMagnitude = Math.abs((Dwf + Dwb) * cosAngle * (centerOfPressure_m - centerOfGravity_m));
-
-  // 符号の決定
-  let finalMoment;
-  if ((centerOfPressure >= centerOfGravity && windSpeed < 0) ||
-    (centerOfPressure < centerOfGravity && windSpeed >= 0)) {
-    finalMoment = -momentMagnitude;  // マイナスに改造中0402（時計回りをプラス）
-  } else {
-    finalMoment = momentMagnitude; // プラスに改造中0402（時計回りをプラス）
-  }
-
-  // --- 追加: NaNチェック ---
-  if (!isFinite(finalMoment) || isNaN(finalMoment)) {
-    finalMoment = 0;
-  }
-
-  return finalMoment;
+// ピッチとヨーの角度変化を合成した機軸の向きの変化量 (大きい方の成分の符号を付ける)
+// ピッチ角は発射面内の角度のため、ヨー角が大きいほど機軸の向きの変化は小さい
+const combineAttitudeChange = (pitchChange, yawChange, yaw) => {
+  const pitchComponent = pitchChange * Math.cos(yaw);
+  const magnitude = Math.sqrt(pitchComponent * pitchComponent + yawChange * yawChange);
+  return (Math.abs(pitchComponent) >= Math.abs(yawChange) ? Math.sign(pitchComponent) : Math.sign(yawChange)) * magnitude;
 };
 
 // 風見効果による角度制限関数
@@ -755,107 +545,19 @@ const applyWindDirectionAngleLimit = (omega, windSpeed) => {
   return omega;
 };
 
-// 迎角変化によるフィンの舵モーメントを計算する関数
-const calculateFinMoment = (finHeight, finBaseWidth, finSweepLength, finTipWidth, finCount, velocity, omega, flightAngle, finMaterial, finCp, noseHeight, bodyHeight, bodyWidth ,centerOfGravity) => {
+// 迎角変化によるフィンの舵モーメントを計算する関数 (失速後は法線力が頭打ちになる)
+const calculateFinMoment = (dynamicPressure, angleOfAttack, normalForceModel, centerOfGravity) => {
   // --- 追加: 未定義入力のチェック ---
-  if (omega == null || isNaN(omega)) omega = 0;
-  if (flightAngle == null || isNaN(flightAngle)) flightAngle = 0;
+  if (angleOfAttack == null || isNaN(angleOfAttack)) angleOfAttack = 0;
   if (centerOfGravity == null) return 0;
-  // フィン寸法・速度は基本的に定義済みと期待
 
-  const centerOfGravity_m = mmToM(centerOfGravity);
-  const finCp_m = mmToM(finCp);
-
-  // 空気密度（kg/m³）
-  const rho = 1.225;
-
-  // フィンの投影面積を再計算 (1枚あたり)
-  const finHeight_m = mmToM(finHeight);
-  const finSweepLength_m = mmToM(finSweepLength);
-  const finTipWidth_m = mmToM(finTipWidth);
-
-  // フィンの面積(m^2)
-  const finArea = ((finBaseWidth + finTipWidth) * 0.001) * (finHeight * 0.001) / 2;
-
-  // 迎角を計算
-  const angleOfAttack = omega - flightAngle; //const angleOfAttack = omega - flightAngle;
-
-  // 傾いたフィンの面積
-  let finLeanArea;
-  if (finCount === 3) {
-    finLeanArea = Math.abs(finHeight_m * (1.732 / 2) * (finSweepLength_m + finTipWidth_m) * Math.sin(angleOfAttack) * finArea / ((finSweepLength_m + finTipWidth_m) * finHeight_m));
-  } else {
-    finLeanArea = Math.abs(finHeight_m * (finSweepLength_m + finTipWidth_m) * Math.sin(angleOfAttack) * finArea / ((finSweepLength_m + finTipWidth_m) * finHeight_m));
-  }
-
-  // フィン総面積（枚数分）
-  const totalLeanFinArea = finLeanArea * 2;
+  const { finNormalForce, finCp } = calculateNormalForce(normalForceModel, angleOfAttack);
 
-  // 抗力係数（cd）は迎角に依存する
-  // 小迎角の範囲内では以下の簡易近似式を用いる
-  const cd = 0.3 / (5 * 3.14 / 180) * angleOfAttack;
+  // モーメント (Nm) - フィンが重心より後方にある場合は迎角を戻す向き (時計回りをプラス)
+  const finalMoment = -finNormalForce * dynamicPressure * normalForceModel.referenceArea * mmToM(finCp - centerOfGravity);
 
-  // 抗力Dの計算
-  const dragOfFinLean = cd * 0.5 * rho * velocity * velocity * totalLeanFinArea;
-
-  // モーメントアーム (m)
-  const momentArm = mmToM(Math.abs(finCp_m - centerOfGravity_m));
-
-  // ボディのモーメント計算スタート（無理やり）
-  const noseHeight_m = mmToM(noseHeight);
-  const bodyHeight_m = mmToM(bodyHeight);
-  const bodyWidth_m = mmToM(bodyWidth);
-
-  // ノーズとボディの面積
-  const noseBodyArea = bodyWidth_m * (noseHeight_m + bodyHeight_m);
-
-  // ノーズとボディの中心位置
-  const momentArm_b = mmToM(Math.abs(((noseHeight_m + bodyHeight_m) / 2) - centerOfGravity_m));
-
-  // 抗力Dの計算 (ノーズとボディ)
-  const dragOfNoseBodyLean = cd * 0.5 * rho * velocity * velocity * noseBodyArea;
-
-  // モーメントの絶対量の計算（Nm）
-  const momentMagnitude = Math.abs(((dragOfFinLean * momentArm) + (dragOfNoseBodyLean *  momentArm_b)) * Math.sign(angleOfAttack));
-
-  // 符号の決定
-  let finalMoment;
-  if ((finCp_m >= centerOfGravity && angleOfAttack < 0) ||
-    (finCp_m < centerOfGravity && angleOfAttack >= 0)) {
-    finalMoment = -momentMagnitude; // マイナスに変更4/3（時計回りをプラス）
-  } else {
-    finalMoment = momentMagnitude; // プラスに変更4/3（時計回りをプラス）
-  }
-
-  return finalMoment;
-};
-
-// 推力モーメント計算関数
-const calculateThrustMoment = (thrust, centerOfGravity, omega, flightAngle, rocketParams) => {
-  const { noseHeight, bodyHeight } = rocketParams;
-
-  // 迎角を計算
-  const angleOfAttack = omega - flightAngle;
-
-  // 推力発生位置（ロケットの最後尾）
-  const thrustPosition = noseHeight + bodyHeight;
-
-  // 推力モーメントの計算 - 絶対値のみを計算
-  const momentMagnitude = Math.abs(thrust * Math.sin(angleOfAttack) * Math.cos(angleOfAttack) * (thrustPosition - centerOfGravity) * 0.001);
-
-  // 符号の決定
-  let finalMoment;
-  if ((thrustPosition >= centerOfGravity && angleOfAttack < 0) ||
-    (thrustPosition < centerOfGravity && angleOfAttack >= 0)) {
-    finalMoment = momentMagnitude;  // プラス
-  } else {
-    finalMoment = -momentMagnitude; // マイナス
-  }
-
-  // 最小モーメント保証
-  const MIN_MOMENT = 0.00001;
-  if (Math.abs(finalMoment) > 0 && Math.abs(finalMoment) < MIN_MOMENT) {
-    return Math.sign(finalMoment) * MIN_MOMENT;
+  if (!isFinite(finalMoment)) {
+    return 0;
   }
 
   return finalMoment;
@@ -868,7 +570,7 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
   const useWindAngleLimitation = config?.windAngleLimitation ?? WIND_ANGLE_LIMITATION;
 
   // rocketParamsからfinCountを取得（デフォルト値は3）
-  const finCount = rocketParams.finCount || 3;
+  const finCount = normalizeFinCount(rocketParams.finCount || 3);
 
   // 風速がゼロの場合、特別な処理を行うフラグ
   const isZeroWind = Math.abs(windSpeed) < 0.01;
@@ -877,76 +579,103 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
 
   // 角度変化を記録するための変数
   let prevOmega = angle * Math.PI / 180; // 前フレームの角度（初期値は発射角度）
-  let currentMaxAngleChange = 0; // 直接更新用の最大角度変化量
-  const dt = 0.02;
+  let prevYaw = 0; // 前フレームのヨー角
+  const dt = SIMULATION_DT; // 記録間隔 (積分の刻み幅は integrator 設定で指定)
   const dt2 = ANGLE_RESPONSE_DT; // 角度応答時間
-  const mass_kg = gToKg(rocketParams.weight);
-  const thrustData = MOTOR_THRUST_DATA[rocketParams.selectedMotor];
+  // 推力曲線 (thrustScale: 全力積のばらつきを表す倍率、分散解析で使用)
+  const thrustScale = rocketParams.thrustScale ?? 1;
+  const thrustData = getMotorThrustData(rocketParams.selectedMotor).map(thrust => thrust * thrustScale);
   const launchRailLength = PHYSICAL_CONSTANTS.launchRailLength; // 発射台の長さ (m)
-  const MAX_TIME = 20; // 最大シミュレーション時間 (s)
+  const maxTime = config?.maxTime ?? SIMULATION_MAX_TIME.default; // 着地しない場合の打ち切り時間 (s)
+  const launchSite = normalizeLaunchSite(rocketParams.launchSite); // 発射地点の大気条件
+  const integrator = normalizeIntegratorSettings(config?.integrator); // 数値積分法の設定
+  const gustField = createGustField(config?.gust); // 突風成分 (無効の場合は常に0)
+  const disturbance = normalizeDisturbanceSettings(config?.disturbance); // 製作誤差による姿勢外乱
+  const thrustMisalignment = disturbance.thrustMisalignment * Math.PI / 180; // 推力線の傾き (rad)
+  const lateralCgOffset = mmToM(disturbance.lateralCgOffset); // 重心の横ずれ (m)
+  // ティップオフは前側のランチラグが外れてから後側が外れるまでの区間で計算する
+  const railGuides = disturbance.railTipOff ? getRailGuides(rocketParams) : null;
+  const tipOffLength = railGuides ? Math.min(mmToM(railGuides.spacing), PHYSICAL_CONSTANTS.launchRailLength) : 0;
+  const windTable = config?.windTable || null; // 測定データの風速表
+  const windDirection = config?.windDirection ?? DEFAULT_AZIMUTHS.windDirection; // 風向 (度)
+  const launchAzimuth = config?.launchAzimuth ?? DEFAULT_AZIMUTHS.launchAzimuth; // 発射方位 (度)
+  const windPerturbation = config?.windPerturbation || null; // 風速表に加える分散解析の変動
+
+  // 新しい計算 - 投影面積と圧力中心の計算
+  const projectedAreas = calculateProjectedArea(rocketParams);
+  const centerOfPressure = calculateCenterOfPressure(rocketParams);
+  const aerodynamicCenter = calculateAerodynamicCenter(rocketParams);
+  const stabilityCenterOfPressure = calculateStabilityCenterOfPressure(rocketParams);
+  const normalForceModel = createNormalForceModel(rocketParams); // 迎角に応じた法線力と圧力中心
+
+  // フィン圧力中心は慣性モーメント計算で使うため先に反映する
+  rocketParams.finCp = centerOfPressure.finCp;
 
   // ロケットの物理パラメータ
   const bodyDiameter = mmToM(rocketParams.bodyWidth); // ロケット直径 (m)
   const bodyRadius = bodyDiameter / 2; // ロケット半径 (m)
   const bodyLength = mmToM(rocketParams.bodyHeight + rocketParams.noseHeight); // 
   const finBaseWidth_m = mmToM(rocketParams.finBaseWidth);
-  const finHeight_m = mmToM(rocketParams.finHeight);
   const finTipWidth_m = mmToM(rocketParams.finTipWidth);
   const finSweepLength_m = mmToM(rocketParams.finSweepLength);
-  const finwidth_m = mmToM(rocketParams.finHeight); // フィン幅
   const finThickness_m = mmToM(rocketParams.finThickness);
   const finCp_m = mmToM(rocketParams.finCp);
-  const PI = Math.PI;
 
   // フィン材料特性
-  const finMaterial = FIN_MATERIALS['light_veneer']; // デフォルト値を設定
+  const finMaterial = getMaterial(rocketParams.finMaterial, 'fin', rocketParams.materialLibrary);
+  const finStressModel = createFinStressModel(rocketParams, finMaterial, normalForceModel);
+  const flutterShapeFactor = calculateFlutterShapeFactor(rocketParams);
+
+  // 推進剤の燃焼による質量・重心の変化
+  // rocketParams.weight は装填済みモーターを含む発射時の全備質量とみなす
+  const motor = getMotor(rocketParams.selectedMotor);
+  const liftoffMass_g = rocketParams.weight;
+  const propellantMass_g = Math.min(motor.propellantMass, liftoffMass_g * 0.9);
+  const burnoutMass_g = liftoffMass_g - propellantMass_g;
+  // モーター重心位置 (ノーズ先端からの距離mm) - モーター後端が機体後端と一致すると仮定
+  const motorCenterOfGravity = rocketParams.noseHeight + rocketParams.bodyHeight - motor.length / 2;
 
   // 慣性モーメントの計算 (I = 0.25*(M-m_fin)*r^2 + 0.0833*(M-m_fin)*l^2 + I_CM + m_fin*d^2)
-  let momentOfInertia;
-  if (finCount === 3) {
-    const finVol = (finTipWidth_m + finBaseWidth_m) * finHeight_m * 0.5 * finThickness_m;
-    const finMass = finVol * finMaterial.MD;
-    let fin_momentOfInertia;
-    if (finSweepLength_m + finTipWidth_m > finBaseWidth_m) {
-      fin_momentOfInertia = Math.pow((finBaseWidth_m + (finSweepLength_m + finTipWidth_m - finBaseWidth_m)) / 2, 2) * finMass / 3;
-    } else {
-      fin_momentOfInertia = Math.pow(finBaseWidth_m / 2, 2) * finMass / 3;
-    }
-    const cg_to_sideFincg = Math.pow(Math.pow(((finTipWidth_m + (2 * finBaseWidth_m)) / (3 * (finTipWidth_m + finBaseWidth_m))) * (finHeight_m * 1.732 / 2), 2) + Math.pow(finCp_m, 2), 0.5);
-    momentOfInertia = 0.25 * (mass_kg - finMass * 3) * bodyRadius * bodyRadius + 0.0833 * (mass_kg - finMass * 3) * bodyLength * bodyLength + ((fin_momentOfInertia + finMass * Math.pow(finCp_m, 2)) + (fin_momentOfInertia + finMass * Math.pow(cg_to_sideFincg, 2)) * 2);
-
+  // 質量バジェットでフィン1枚の質量 (g) が求まっている場合はその値を使う
+  const finPlanform = getFinPlanform(rocketParams); // 平面形の面積・図心 (mm)
+  const finVol = mmToM(mmToM(finPlanform.area)) * finThickness_m;
+  const finMass = typeof rocketParams.finMass === 'number' ? gToKg(rocketParams.finMass) : finVol * finMaterial.density;
+  let fin_momentOfInertia;
+  if (finSweepLength_m + finTipWidth_m > finBaseWidth_m) {
+    fin_momentOfInertia = Math.pow((finBaseWidth_m + (finSweepLength_m + finTipWidth_m - finBaseWidth_m)) / 2, 2) * finMass / 3;
   } else {
-    const finVol = (finTipWidth_m + finBaseWidth_m) * finHeight_m * 0.5 * finThickness_m;
-    const finMass = finVol * finMaterial.MD;
-    let fin_momentOfInertia;
-    if (finSweepLength_m + finTipWidth_m > finBaseWidth_m) {
-      fin_momentOfInertia = Math.pow((finBaseWidth_m + (finSweepLength_m + finTipWidth_m - finBaseWidth_m)) / 2, 2) * finMass / 3;
-    } else {
-      fin_momentOfInertia = Math.pow(finBaseWidth_m / 2, 2) * finMass / 3;
-    }
-    const cg_to_sideFincg = Math.pow(Math.pow(((finTipWidth_m + (2 * finBaseWidth_m)) / (3 * (finTipWidth_m + finBaseWidth_m))) * finHeight_m, 2) + Math.pow(finCp_m, 2), 0.5);
-    momentOfInertia = 0.25 * (mass_kg - finMass * 3) * bodyRadius * bodyRadius + 0.0833 * (mass_kg - finMass * 3) * bodyLength * bodyLength + ((fin_momentOfInertia + finMass * Math.pow(finCp_m, 2)) * 2 + (fin_momentOfInertia + finMass * Math.pow(cg_to_sideFincg, 2)) * 2);
-
+    fin_momentOfInertia = Math.pow(finBaseWidth_m / 2, 2) * finMass / 3;
   }
+  // フィン1枚の重心の機軸からの距離は取付角に応じて側面図の面内成分のみ考える
+  const finCentroidSpan_m = mmToM(finPlanform.centroidY);
+  const finsInertia = getFinAngles(finCount).reduce((sum, finAngle) => {
+    const cg_to_fincg2 = Math.pow(finCentroidSpan_m * Math.cos(finAngle), 2) + Math.pow(finCp_m, 2);
+    return sum + fin_momentOfInertia + finMass * cg_to_fincg2;
+  }, 0);
+
+  // ピッチの動安定の係数 (ノズル出口は機体後端) と、ピッチ固有振動数に使う CNα × 基準面積 (m²)
+  const dynamicStabilityModel = createDynamicStabilityModel(calculateBarrowmanStability(rocketParams), rocketParams.noseHeight + rocketParams.bodyHeight);
+  const cnAlphaArea = dynamicStabilityModel.referenceArea * dynamicStabilityModel.cnAlpha;
+  // カントフィンによるロール運動の係数
+  const rollModel = createRollModel(rocketParams, normalForceModel, finMass);
+
+  // 質量が変化するたびに呼び出して慣性モーメントを再計算する
+  const calculateMomentOfInertia = (currentMass_kg) => {
+    const bodyMass_kg = currentMass_kg - finMass * finCount;
+    const bodyInertia = 0.25 * bodyMass_kg * bodyRadius * bodyRadius + 0.0833 * bodyMass_kg * bodyLength * bodyLength;
+    return bodyInertia + finsInertia;
+  };
 
-  // ノーズ形状に基づく抗力係数
-  const noseCd = NOSE_SHAPES[rocketParams.noseShape].cd;
+  // 部品ごとの抗力推算に使う形状量 (抗力係数は速度・高度に応じて毎回計算する)
+  const dragModel = createDragModel(rocketParams, motor.diameter);
 
-  // パラシュート関連の定数
+  // 回収シーケンス関連
   const thrustEndTime = thrustData.length * dt;
-  const parachuteDelay = parseInt(rocketParams.selectedMotor.split('-')[1]);
-  const parachuteDeployTime = 1.0;
-  const parachuteEjectionTime = thrustEndTime + parachuteDelay;
-  const parachuteActiveTime = parachuteEjectionTime + parachuteDeployTime;
-  const parachuteDiameter = mmToM(parseInt(rocketParams.selectedParachute.slice(1))); // φ180 -> 180mm -> 0.18m
-
-  // 新しい計算 - 投影面積と圧力中心の計算
-  const projectedAreas = calculateProjectedArea(rocketParams);
-  const centerOfPressure = calculateCenterOfPressure(rocketParams);
-  const aerodynamicCenter = calculateAerodynamicCenter(rocketParams);
-  const stabilityCenterOfPressure = calculateStabilityCenterOfPressure(rocketParams);
-
-  rocketParams.finCp = centerOfPressure.finCp;
+  // 遅延秒は選択値を優先し、未指定ならモーター登録情報の既定値を使用
+  const parachuteDelay = rocketParams.motorDelay ?? getDefaultMotorDelay(rocketParams.selectedMotor);
+  const recoveryStates = createRecoveryState(normalizeRecoveryDevices(rocketParams));
+  let recovery = getRecoverySummary(recoveryStates, 0);
+  let apogeeTime = null; // 頂点検出時刻
 
   // 体積計算
   const volumes = calculateVolume(rocketParams);
@@ -960,16 +689,29 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
   let y = 0; // メートル単位
   let vx = 0;
   let vy = 0;
-  let prev_vx = 0;
-  let prev_vy = 0;
+  let z = 0; // クロスレンジ (m)
+  let vz = 0;
   let omega = angle * Math.PI / 180; // 初期角度（ラジアン）
   let angularVelocity = 0; // 角速度
+  let yaw = 0; // 機軸の発射面からの傾き (rad、クロスレンジの+z向きが正)
+  let yawRate = 0; // ヨー角速度 (rad/s)
   let angularAcceleration = 0; // 角加速度
   let data = [];
   let isParachuteEjected = false;
   let isParachuteActive = false;
   let parachuteDeploymentProgress = 0;
+  const recoveryEvents = []; // 回収装置の放出・全開イベント
   let finDeflection = 0; // フィンのたわみ量（mm）
+  let finLoads = null; // フィン付け根の荷重・応力
+  let peakFinLoads = null; // 曲げ応力が最大となった時点のフィン荷重
+  let finFlutterSpeed = 0; // 現在高度のフラッター速度 (m/s)
+  let finFlutterMargin = null; // フラッター余裕 (フラッター速度 / 対気速度 - 1)
+  let minFlutterMargin = null; // フラッター余裕が最小となった時点
+  let rollRate = 0; // ロール角速度 (rad/s、発射台上では0)
+  let maxRoll = null; // ロール角速度が最大となった時点
+  let rollResonanceTime = 0; // ロール・ピッチ共振域にあった合計時間 (s)
+  let firstRollResonance = null; // 最初に共振域に入った時点
+  const dynamicStability = {}; // 発射台離脱・燃焼終了・頂点でのピッチの動安定
 
   // 姿勢安定性チェック用の変数を追加
   let maxAngleChangePerDt2 = 0; // dt2時間あたりの最大角度変化量
@@ -981,15 +723,9 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
   let angleChanges = []; // 角度変化履歴を記録
   const angleChangeBuffer = []; // dt2時間ごとの角度変化を記録するバッファ
   const initialOmegaDegrees = angle; // 初期角度（度）
+  const initialOmega = angle * Math.PI / 180; // 初期角度（ラジアン）
   let maxAbsoluteAngle = 0; // 最大絶対角度の記録用 - 変更点3: 新規追加
 
-  // 角度計算用変数
-  let stepCounter = 0;
-  let totalTorque = 0;
-  let avgThrustForTorque = 0;
-  let thrustSamplesCount = 0;
-  let angleChangePerDt2 = 0; // dt2時間あたりの角度変化量 (ν)
-
   // 重力加速度
   const g = 9.81; // m/s²
 
@@ -1009,65 +745,293 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
     parachuteActive: { time: 0, height: 0, speed: 0 }
   };
 
+  // 静安定マージンの時間変化の記録用
+  let minStaticMargin = Infinity;
+
   let isTorqueStableOK = true; // (important-comment)
   const TORQUE_THRESHOLD = 10.0; // (important-comment)
 
-  // シミュレーションループ
-  while ((y >= 0 || time < 0.1) && time < MAX_TIME) {
-    // 前回の速度を保存
-    prev_vx = vx;
-    prev_vy = vy;
+  // 推力 (N) を時刻から線形補間で取得する
+  const getThrustAt = (t) => {
+    if (t < 0 || t >= thrustEndTime) return 0;
+    const position = t / dt;
+    const index = Math.min(Math.floor(position), thrustData.length - 1);
+    const nextThrust = index + 1 < thrustData.length ? thrustData[index + 1] : 0;
+    return thrustData[index] + (nextThrust - thrustData[index]) * (position - index);
+  };
+
+  // 時刻から質量・重心・慣性モーメントを計算する (推進剤の燃焼を反映)
+  const getMassProperties = (t) => {
+    const burnedPropellant_g = Math.min(getBurnedPropellantMass(rocketParams.selectedMotor, t), propellantMass_g);
+    const currentMass_g = liftoffMass_g - burnedPropellant_g;
+    const currentMass_kg = gToKg(currentMass_g);
+    return {
+      mass_g: currentMass_g,
+      mass_kg: currentMass_kg,
+      centerOfGravity: (liftoffMass_g * rocketParams.centerOfGravity - burnedPropellant_g * motorCenterOfGravity) / currentMass_g,
+      momentOfInertia: calculateMomentOfInertia(currentMass_kg)
+    };
+  };
 
-    // パラシュート状態の更新
-    if (!isParachuteEjected && time >= parachuteEjectionTime) {
-      isParachuteEjected = true;
-      keyPoints.parachuteEjection = { time, height: y, speed: vy };
-    }
+  // ステップ内で固定する飛行条件（発射台上かどうか）
+  let stepOnLaunchRail = true;
+
+  // 状態 [x, y, vx, vy, omega, angularVelocity, z, vz, yaw, yawRate, rollRate] から力・トルクと時間微分を計算する
+  const evaluateDynamics = (t, state) => {
+    const [sx, sy, svx, svy, sOmega, sAngularVelocity, , svz, sYaw, sYawRate, sRollRate] = state;
+    const velocity = Math.sqrt(svx * svx + svy * svy);
+    const atmosphere = getAtmosphere(sy, launchSite);
+    const rho = atmosphere.density;
+    const gustSpeed = gustField(t);
+    const wind = calculateWindComponentsAtHeight(windSpeed, sy, windProfile, { windTable, windDirection, launchAzimuth, windPerturbation, gustSpeed });
+    const effectiveWindSpeed = wind.along;
+    const crossWindSpeed = wind.cross;
+    const isZeroWindNow = Math.sqrt(effectiveWindSpeed * effectiveWindSpeed + crossWindSpeed * crossWindSpeed) < 0.1;
+    // 対気速度 (風速の発射面内成分は正の値で -x 向きに流れる) - 機体・回収装置の抗力は両方の水平軸でこれを使う
+    const airVelocity = { x: svx + effectiveWindSpeed, y: svy, z: svz - crossWindSpeed };
+    const airSpeed = Math.sqrt(airVelocity.x * airVelocity.x + airVelocity.y * airVelocity.y + airVelocity.z * airVelocity.z);
+    const massProperties = getMassProperties(t);
+    const m = massProperties.mass_kg;
+    const cg = massProperties.centerOfGravity;
+    // 推力の方向 (推力線の傾きの分だけ機軸からずれる)
+    const thrustAngle = sOmega - thrustMisalignment;
+    // 機軸の単位ベクトル (ピッチ角 sOmega、ヨー角 sYaw)
+    const cosYaw = Math.cos(sYaw);
+    const axis = { x: Math.sin(sOmega) * cosYaw, y: Math.cos(sOmega) * cosYaw, z: Math.sin(sYaw) };
 
-    if (isParachuteEjected && !isParachuteActive) {
-      parachuteDeploymentProgress = Math.min(1,
-        (time - parachuteEjectionTime) / parachuteDeployTime);
+    let Fx = 0;
+    let Fy = 0;
+    let Fz = 0;
+    let torque = 0;
+    let rawTorque = 0;
+    let yawTorque = 0;
+    let thrust = 0;
+    let thrustMoment = 0;
+    let dragCoefficients = null; // 回収装置の放出後は計算しない
+
+    if (isParachuteEjected) {
+      // 回収装置の抗力 (膨張中は時刻に応じて抗力面積が増加) - 対気速度と逆向き
+      // Dp は対気速度ベクトルに掛ける係数 (抗力の大きさは Dp × 対気速度)
+      const canopy = getRecoverySummary(recoveryStates, t);
+      const Dp = 0.5 * rho * airSpeed * canopy.dragArea;
+
+      Fx = -Dp * airVelocity.x;
+      Fy = -Dp * airVelocity.y;
+      Fz = -Dp * airVelocity.z;
+
+      // 全開前は機体自体の軽い空気抵抗も加える
+      if (!isParachuteActive) {
+        const dragCoefficient = 0.1;
+        Fx -= dragCoefficient * airVelocity.x;
+        Fy -= dragCoefficient * airVelocity.y;
+        Fz -= dragCoefficient * airVelocity.z;
+      }
+
+      // 重力の追加
+      Fy -= m * g;
+
+      // 回収装置の放出後は吊り下げ姿勢（発射角度）へ臨界減衰で戻す (全開前は半分の剛性)
+      const stiffness = isParachuteActive ? 0.001 : 0.0005;
+      const damping = 2 * Math.sqrt(stiffness * massProperties.momentOfInertia);
+      torque = (initialOmega - sOmega) * stiffness - damping * sAngularVelocity;
+      rawTorque = torque;
+      yawTorque = -sYaw * stiffness - damping * sYawRate;
+    } else {
+      // 通常飛行フェーズ
+
+      // ロケットの抗力計算 - 部品ごとの抗力係数の合計 (最大胴体断面積基準)、対気速度と逆向き
+      // Dt・Dw は対気速度ベクトル・機軸に垂直な成分に掛ける係数
+      dragCoefficients = calculateDragCoefficients(dragModel, airSpeed, atmosphere, t < thrustEndTime);
+      const Dt = 0.5 * dragCoefficients.total * rho * airSpeed * dragModel.referenceArea;
+
+      // 機軸に垂直な対気速度成分による横風の抗力 (機体の側面積)
+      const axialAirSpeed = airVelocity.x * axis.x + airVelocity.y * axis.y + airVelocity.z * axis.z;
+      const crossflow = { x: airVelocity.x - axialAirSpeed * axis.x, y: airVelocity.y - axialAirSpeed * axis.y, z: airVelocity.z - axialAirSpeed * axis.z };
+      const crossflowSpeed = Math.sqrt(crossflow.x * crossflow.x + crossflow.y * crossflow.y + crossflow.z * crossflow.z);
+      const Cdw = 0.25; // 横風の抗力係数
+      const S = bodyDiameter * bodyLength; // ロケットの側面積
+      const Dw = 0.5 * Cdw * rho * crossflowSpeed * S;
+
+      thrust = getThrustAt(t);
+
+      Fx = thrust * Math.sin(thrustAngle) * cosYaw - Dt * airVelocity.x - Dw * crossflow.x;
+      Fy = thrust * Math.cos(thrustAngle) * cosYaw - m * g - Dt * airVelocity.y - Dw * crossflow.y;
+      Fz = thrust * Math.sin(sYaw) - Dt * airVelocity.z - Dw * crossflow.z;
+
+      // 推力線の傾きと重心の横ずれによるモーメント (推力がある間のみ)
+      thrustMoment = calculateThrustMoment(thrust, mmToM(rocketParams.noseHeight + rocketParams.bodyHeight - cg), thrustMisalignment, lateralCgOffset);
+
+      // トルク計算 - 発射台を離れた後、推力飛行中は1.0m/s、慣性飛行中は0.5m/s以上で計算 (無風時も同じ)
+      const torqueSpeedThreshold = t < thrustEndTime ? 1.0 : 0.5;
+      if (!stepOnLaunchRail && velocity > torqueSpeedThreshold) {
+        try {
+          // 迎角は機軸と対気速度のなす角 (風見効果もこの迎角による法線力のモーメントに含まれる)
+          // 法線力は機軸に垂直な対気速度成分の向きに働くため、その向きの発射面内 (ピッチ) と発射面に垂直 (ヨー) の成分でモーメントを振り分ける
+          const angleOfAttack = calculateTotalAngleOfAttack(sOmega, airVelocity, sYaw);
+          const pitchShare = crossflowSpeed > 1e-9 ? (crossflow.x * Math.cos(sOmega) - crossflow.y * Math.sin(sOmega)) / crossflowSpeed : 0;
+          const yawShare = crossflowSpeed > 1e-9
+            ? (crossflow.z * cosYaw - (crossflow.x * Math.sin(sOmega) + crossflow.y * Math.cos(sOmega)) * Math.sin(sYaw)) / crossflowSpeed
+            : 0;
+          // ボディ・抗力・フィンのモーメントは同じ動圧で求める
+          const dynamicPressure = 0.5 * rho * airSpeed * airSpeed;
+          const ML = calculateLiftMoment(dynamicPressure, angleOfAttack, normalForceModel, cg);
+          const MD = calculateDragMoment(dynamicPressure, angleOfAttack, rocketParams, projectedAreas.sideArea, aerodynamicCenter.aerodynamicCenter, cg);
+          const MF = calculateFinMoment(dynamicPressure, angleOfAttack, normalForceModel, cg);
+
+          if (!isFinite(ML) || !isFinite(MD) || !isFinite(MF)) {
+            console.warn(`Invalid moment detected at t=${t.toFixed(2)}s: ML=${ML}, MD=${MD}, MF=${MF}`);
+          } else {
+            // 全迎角でのモーメント (負の値で機軸を対気速度の向きへ戻す)
+            const aerodynamicMoment = ML + MD + MF;
+            // 空力減衰とジェット減衰 (分析タブの動安定と同じ係数)
+            const massFlowRate = gToKg(getMassProperties(Math.max(t - dt / 2, 0)).mass_g - getMassProperties(t + dt / 2).mass_g) / dt;
+            const { dampingMoment } = calculateDynamicStability(dynamicStabilityModel, {
+              rho, airSpeed, centerOfGravity: cg, momentOfInertia: massProperties.momentOfInertia, massFlowRate
+            });
+            rawTorque = -aerodynamicMoment * pitchShare - dampingMoment * sAngularVelocity + thrustMoment;
+            yawTorque = -aerodynamicMoment * yawShare - dampingMoment * sYawRate;
+            torque = rawTorque;
+          }
+        } catch (error) {
+          console.error('Torque calculation error:', error);
+          torque = 0;
+        }
+      }
     }
 
-    if (!isParachuteActive && time >= parachuteActiveTime) {
-      isParachuteActive = true;
-      parachuteDeploymentProgress = 1.0;
+    let ax = Fx / m;
+    let ay = Fy / m;
+    let az = Fz / m;
+    let derivativeOmega = sAngularVelocity;
+    let derivativeAngularVelocity = 0;
+    let derivativeYaw = sYawRate;
+    let derivativeYawRate = 0;
+    const MIN_MOMENT_OF_INERTIA = 1e-6;
+    if (Math.abs(massProperties.momentOfInertia) < MIN_MOMENT_OF_INERTIA) {
+      console.warn(`momentOfInertia too small: ${massProperties.momentOfInertia}, setting angularAcceleration to 0`);
+    } else {
+      derivativeAngularVelocity = torque / massProperties.momentOfInertia;
+      derivativeYawRate = yawTorque / massProperties.momentOfInertia; // 軸対称のためピッチと同じ慣性モーメント
+    }
 
-      // パラシュート展開時は速度を90%減少
-      vx = vx * 0.1;
-      vy = vy * 0.1;
+    // 発射台上では発射台方向の運動のみを許し、姿勢は固定 (ティップオフ中は後側のランチラグを支点に回転する)
+    if (stepOnLaunchRail && !isParachuteEjected) {
+      const railDirectionX = Math.sin(initialOmega);
+      const railDirectionY = Math.cos(initialOmega);
+      let railAcceleration = ax * railDirectionX + ay * railDirectionY;
+      const railSpeed = svx * railDirectionX + svy * railDirectionY;
+      // 推力が重力に勝つまでは発射台上で静止
+      if (railSpeed <= 0 && railAcceleration < 0) {
+        railAcceleration = 0;
+      }
+      ax = railAcceleration * railDirectionX;
+      ay = railAcceleration * railDirectionY;
+      az = 0;
+      derivativeYaw = 0;
+      derivativeYawRate = 0;
+      yawTorque = 0;
+      // ティップオフは刻み幅より短い区間のため、積分の途中段ごとに位置から判定する
+      if (Math.sqrt(sx * sx + sy * sy) >= launchRailLength - tipOffLength && tipOffLength > 0) {
+        const pivotArm = mmToM(railGuides.rear - cg);
+        derivativeAngularVelocity = calculateTipOffAcceleration(sOmega, m, massProperties.momentOfInertia, pivotArm, thrustMoment, g);
+        torque = derivativeAngularVelocity * massProperties.momentOfInertia;
+      } else {
+        derivativeOmega = 0;
+        derivativeAngularVelocity = 0;
+        torque = 0;
+      }
+    }
 
-      keyPoints.parachuteActive = { time, height: y, speed: vy };
+    const MIN_MASS = 1e-6;
+    if (Math.abs(m) < MIN_MASS) {
+      console.warn(`mass_kg too small: ${m}, setting accelerations to 0`);
+      ax = 0;
+      ay = -g;
+      az = 0;
     }
 
+    // カントフィンによるロール運動 (発射台上ではランチラグで回転が拘束され、回収装置の放出後は計算しない)
+    const rollMoment = !stepOnLaunchRail && !isParachuteEjected
+      ? calculateRollMoment(rollModel, sRollRate, 0.5 * rho * airSpeed * airSpeed, airSpeed)
+      : 0;
+    const rollInertia = calculateRollMomentOfInertia(rollModel, m);
+    const derivativeRollRate = rollInertia > 0 ? rollMoment / rollInertia : 0;
+
+    return {
+      derivative: [svx, svy, ax, ay, derivativeOmega, derivativeAngularVelocity, svz, az, derivativeYaw, derivativeYawRate, derivativeRollRate],
+      ax, ay, az, thrust, torque, rawTorque, yawTorque, rollMoment, velocity, airVelocity, airSpeed, rho, atmosphere, dragCoefficients,
+      effectiveWindSpeed, crossWindSpeed, gustSpeed, isZeroWindNow, massProperties
+    };
+  };
+  const derivative = (t, state) => evaluateDynamics(t, state).derivative;
+
+  // 数値積分の統計
+  const integratorStats = { steps: 0, rejectedSteps: 0, minStep: Infinity, maxStep: 0 };
+  let integratorError = null; // 数値積分が発散した場合のエラーメッセージ
+  let nextStepSize = integrator.stepSize;
+
+  // シミュレーションループ（記録間隔dtごとに積分区間を進める）
+  // 地面に到達するか打ち切り時間になるまで続ける
+  while ((y >= 0 || time < 0.1) && time < maxTime) {
     const distanceFromStart = Math.sqrt(x * x + y * y);
     const onLaunchRail = distanceFromStart < launchRailLength;
+    stepOnLaunchRail = onLaunchRail;
+
+    // 発射台離脱時の速度と角速度 (ティップオフによる回転の大きさ) を記録
+    if (!onLaunchRail && !keyPoints.railExit) {
+      keyPoints.railExit = { time, height: y, speed: Math.sqrt(vx * vx + vy * vy), angularVelocity: angularVelocity * 180 / Math.PI };
+    }
 
-    // 速度の大きさ
-    const velocity = Math.sqrt(prev_vx * prev_vx + prev_vy * prev_vy);
+    // 頂点検出 (発射台離脱後、推力終了後に上昇速度が0以下になった時刻)
+    if (apogeeTime === null && !onLaunchRail && time >= thrustEndTime && vy <= 0) {
+      apogeeTime = time;
+    }
 
-    // 現在の高度に基づく有効風速を計算
-    const effectiveWindSpeed = calculateWindSpeedAtHeight(windSpeed, y, windProfile);
+    // 回収シーケンスの更新
+    const wasParachuteActive = isParachuteActive;
+    const newRecoveryEvents = updateRecoverySequence(recoveryStates, {
+      time, height: y, speed: Math.sqrt(vx * vx + vy * vy), thrustEndTime, motorDelay: parachuteDelay, apogeeTime
+    });
+    for (const { state, event } of newRecoveryEvents) {
+      recoveryEvents.push({
+        id: state.id, name: state.name, deviceType: state.deviceType, event,
+        time, height: y, x, speed: vy
+      });
+    }
+    recovery = getRecoverySummary(recoveryStates, time);
+    isParachuteEjected = recovery.isEjected;
+    isParachuteActive = recovery.isActive;
+    parachuteDeploymentProgress = recovery.deploymentProgress;
 
-    // 現在の風速ゼロ判定を更新
-    isCurrentlyZeroWind = Math.abs(effectiveWindSpeed) < 0.1;
+    // 最初の回収装置の放出・全開を従来のキーポイントとして記録
+    if (isParachuteEjected && !keyPoints.parachuteEjection.time) {
+      keyPoints.parachuteEjection = { time, height: y, speed: vy };
+    }
+    if (isParachuteActive && !wasParachuteActive) {
+      keyPoints.parachuteActive = { time, height: y, speed: vy };
+    }
 
-    // 力と加速度の初期化
-    let ax = 0;
-    let ay = -g;
-    let torque = 0; // トルク
-    let Fx = 0;
-    let Fy = 0;
-    let thrust = 0;
+    // ステップ開始時の力・加速度・大気状態
+    const dynamics = evaluateDynamics(time, [x, y, vx, vy, omega, angularVelocity, z, vz, yaw, yawRate, rollRate]);
+    const { ax, ay, torque, rawTorque, yawTorque, rollMoment, velocity, airSpeed, rho, atmosphere, effectiveWindSpeed, crossWindSpeed, gustSpeed, massProperties, dragCoefficients } = dynamics;
+    angularAcceleration = dynamics.derivative[5];
+    const currentMass_g = massProperties.mass_g;
+    const currentCenterOfGravity = massProperties.centerOfGravity;
+    const momentOfInertia = massProperties.momentOfInertia;
+    isCurrentlyZeroWind = dynamics.isZeroWindNow;
+
+    // 膨張中の回収装置の抗力から開傘衝撃を記録 (キャノピーの抗力と同じ対気速度を使う)
+    if (isParachuteEjected) {
+      updateOpeningShock(recoveryStates, time, 0.5 * rho * airSpeed * airSpeed, airSpeed);
+    }
 
-    // 特定の角度への対応
-    const angleAdjustment = Math.abs(angle) === 4 || Math.abs(angle) === 18 ? 0.01 : 0;
-    const adjustedOmega = omega + angleAdjustment * (angle < 0 ? -1 : 1);
+    // 現在の重心位置での静安定マージン (静安定用CPを使用)
+    const currentStaticMargin = (stabilityCenterOfPressure.stabilityCenterOfPressure - currentCenterOfGravity) / rocketParams.bodyWidth;
 
     // 絶対角度の計算と判定 - 変更点4: 絶対角度の計算と判定を追加
-    const absoluteOmegaDegrees = (adjustedOmega * 180 / Math.PI) % 360;
-    // -180°から+180°の範囲に正規化
-    const normalizedAbsoluteAngle = absoluteOmegaDegrees > 180 ? absoluteOmegaDegrees - 360 : absoluteOmegaDegrees;
+    // 機軸の鉛直からの傾き (ヨーを含む) に発射面内の向きの符号を付け、-180°から+180°の範囲とする
+    const tiltDegrees = Math.acos(Math.max(-1, Math.min(1, Math.cos(omega) * Math.cos(yaw)))) * 180 / Math.PI;
+    const normalizedAbsoluteAngle = Math.sin(omega) < 0 ? -tiltDegrees : tiltDegrees;
 
     // 発射台を離れた後のみ絶対角度をチェック（パラシュート展開前まで）
     if (!onLaunchRail && !isParachuteEjected) {
@@ -1084,6 +1048,9 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
       }
     }
 
+    // dt2時間あたりの角度変化量 (ν = ω*dt2)
+    const angleChangePerDt2 = combineAttitudeChange(angularVelocity, yawRate, yaw) * dt2;
+
     // フィンのたわみ量計算
     if (velocity > 5.0) {
       const finParams = {
@@ -1091,10 +1058,11 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
         finBaseWidth: rocketParams.finBaseWidth,
         finTipWidth: rocketParams.finTipWidth,
         finThickness: rocketParams.finThickness,
-        finSweepLength: rocketParams.finSweepLength
+        finSweepLength: rocketParams.finSweepLength,
+        finArea: finPlanform.area
       };
 
-      finDeflection = calculateFinDeflection(velocity, finMaterial, finParams, angleChangePerDt2);
+      finDeflection = calculateFinDeflection(velocity, finMaterial, finParams, angleChangePerDt2, rho);
 
       // 最大フィンたわみ量を更新
       if (finDeflection > maxFinDeflection) {
@@ -1104,564 +1072,215 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
       finDeflection = 0;
     }
 
-    // パラシュートフェーズ
-    if (isParachuteActive) {
-      // パラシュートの抗力計算
-      const Cd = 0.775; // パラシュートの抗力係数
-      const rho = 1.225; // 空気密度 (kg/m³)
-      const Area = PI * Math.pow(parachuteDiameter / 2, 2);
-      const Dp = 0.5 * Cd * rho * velocity * velocity * Area;
-
-      // 速度方向への抗力
-      if (velocity > 0.001) {
-        Fx = -Dp * (prev_vx / velocity);
-        Fy = -Dp * (prev_vy / velocity);
-      }
-
-      // 横風の影響を追加（高度に応じた風速を使用）
-      const Cdw = 0.25; // 横風の抗力係数
-      const S = parachuteDiameter * parachuteDiameter * 0.785; // パラシュートの投影面積
-      const Dw = 0.5 * Cdw * rho * Math.abs(effectiveWindSpeed) * effectiveWindSpeed * S;
-      Fx -= Dw;
-
-      // 重力の追加
-      Fy -= mass_kg * g;
-
-      // 加速度計算
-      const MIN_MASS = 1e-6;
-      if (Math.abs(mass_kg) < MIN_MASS) {
-        console.warn(`mass_kg too small: ${mass_kg}, setting accelerations to 0`);
-        ax = 0;
-        ay = -g;
-      } else {
-        ax = Fx / mass_kg;
-        ay = Fy / mass_kg;
+    // 対気速度
+    const { airVelocity } = dynamics;
+    const airSpeedSquared = airSpeed * airSpeed;
+
+    // フィン付け根の荷重と応力 (対気速度と機軸のなす迎角による法線力、回収装置の放出前のみ)
+    if (!isParachuteEjected && velocity > FIN_STRESS.minVelocity) {
+      finLoads = calculateFinLoads(
+        finStressModel,
+        calculateTotalAngleOfAttack(omega, airVelocity, yaw),
+        0.5 * rho * airSpeedSquared
+      );
+      if (finLoads.bendingStress > (peakFinLoads?.bendingStress ?? 0)) {
+        peakFinLoads = { ...finLoads, time, height: y, speed: airSpeed };
       }
+    } else {
+      finLoads = null;
+    }
 
-      // トルク計算 - パラシュート展開後は発射角度を維持する
-      const initialOmega = angle * Math.PI / 180;
-      if (Math.abs(adjustedOmega - initialOmega) > 0.01) {
-        // 簡易的なトルク - 後でより正確な計算に置き換え
-        torque = (initialOmega - adjustedOmega) * 0.001;
+    // 現在高度の気圧・音速でのフラッター速度と余裕 (回収装置の放出前のみ)
+    finFlutterSpeed = getFlutterSpeed(flutterShapeFactor, finMaterial.G, atmosphere);
+    if (!isParachuteEjected && airSpeed > FLUTTER_CONSTANTS.minSpeed) {
+      finFlutterMargin = finFlutterSpeed / airSpeed - 1;
+      if (!minFlutterMargin || finFlutterMargin < minFlutterMargin.margin) {
+        minFlutterMargin = { time, height: y, speed: airSpeed, flutterSpeed: finFlutterSpeed, margin: finFlutterMargin };
       }
+    } else {
+      finFlutterMargin = null;
     }
-    else if (isParachuteEjected && !isParachuteActive) {
-      // パラシュート展開中
-      Fy = -mass_kg * g;
 
-      // 軽い空気抵抗
-      if (velocity > 0.001) {
-        const dragCoefficient = 0.1;
-        Fx = -dragCoefficient * prev_vx;
-        Fy -= dragCoefficient * prev_vy;
+    // ロール運動とピッチ固有角振動数 (発射台上ではランチラグで回転が拘束され、回収装置の放出後は計算しない)
+    const isRollFree = !onLaunchRail && !isParachuteEjected;
+    const dynamicPressure = 0.5 * rho * airSpeedSquared;
+    const pitchNaturalFrequency = calculatePitchNaturalFrequency(
+      dynamicPressure, cnAlphaArea, mmToM(stabilityCenterOfPressure.stabilityCenterOfPressure - currentCenterOfGravity), momentOfInertia
+    );
+    if (isRollFree) {
+      if (Math.abs(rollRate) > Math.abs(maxRoll?.rollRate ?? 0)) {
+        maxRoll = { time, height: y, speed: airSpeed, rollRate };
       }
-
-      // 横風の影響を小さく追加（高度に応じた風速を使用）
-      const rho = 1.225; // 空気密度
-      const Cdw = 0.25; // 横風の抗力係数
-      const S = bodyDiameter * bodyLength * 0.5; // 半分展開時の面積
-      const Dw = 0.5 * Cdw * rho * Math.abs(effectiveWindSpeed) * effectiveWindSpeed * S;
-      Fx -= Dw * 0.5;
-
-      // 加速度計算
-      const MIN_MASS = 1e-6;
-      if (Math.abs(mass_kg) < MIN_MASS) {
-        console.warn(`mass_kg too small: ${mass_kg}, setting accelerations to 0`);
-        ax = 0;
-        ay = -g;
-      } else {
-        ax = Fx / mass_kg;
-        ay = Fy / mass_kg;
+      if (airSpeed >= ROLL_DYNAMICS.minVelocity && isRollPitchResonant(rollRate, pitchNaturalFrequency)) {
+        rollResonanceTime += dt;
+        if (!firstRollResonance) {
+          firstRollResonance = { time, height: y, speed: airSpeed, rollRate, pitchNaturalFrequency };
+        }
       }
-
-      // トルク計算 - パラシュート展開中も発射角度に強く引っ張られる
-      const initialOmega = angle * Math.PI / 180;
-      // 簡易的なトルク - 後でより正確な計算に置き換え
-      torque = (initialOmega - adjustedOmega) * 0.0005;
     }
-    else {
-      // 通常飛行フェーズ
-
-      // ロケットの抗力計算 - ノーズ形状に基づく抗力係数を使用
-      const bodydia_noseleng_ratio = (rocketParams.noseHeight) * 0.001 / bodyDiameter;
-      const alfa = (0.9 - noseCd) / 9;
-      const Cd = alfa * Math.pow(bodydia_noseleng_ratio, 2) - 6 * alfa * bodydia_noseleng_ratio + (noseCd + (9 * alfa)); // ノーズ長さにおけるCd値の変更
 
-      const rho = 1.225; // 空気密度
-      const Area = PI * Math.pow(bodyDiameter / 2, 2) + finwidth_m * finThickness_m * 4;
-      const Dt = 0.5 * Cd * rho * velocity * velocity * Area;
-
-      // 横風の抗力計算（高度に応じた風速を使用）
-      const Cdw = 0.25; // 横風の抗力係数
-      const S = bodyDiameter * bodyLength; // ロケットの側面積
-      const Dw = 0.5 * Cdw * rho * Math.abs(effectiveWindSpeed) * effectiveWindSpeed * S;
-
-      if (time < thrustEndTime) {
-        // エンジン推力フェーズ
-        const thrustIndex = Math.min(Math.floor(time / dt), thrustData.length - 1);
-        thrust = thrustData[thrustIndex];
-
-        // 推力サンプルをトルク計算用に累積
-        avgThrustForTorque += thrust;
-        thrustSamplesCount++;
-
-        if (onLaunchRail) {
-          // 発射台上での運動
-          if (angle === 0) {
-            // 垂直発射
-            Fy = thrust - mass_kg * g;
-            Fx = -Dw;
-          } else {
-            // 角度付き発射 (修正した式)
-            Fy = thrust * Math.cos(adjustedOmega) - mass_kg * g;
-            Fx = thrust * Math.sin(adjustedOmega) - Dw;
-          }
-
-          // 発射台上は角度固定
-          torque = 0;
-        } else {
-          // 自由飛行（推力あり）
-          if (velocity > 0.001) {
-            const flightAngle = Math.atan2(prev_vx, prev_vy);
-            Fx = thrust * Math.sin(adjustedOmega) - Dt * Math.sin(flightAngle) - Dw;
-            Fy = thrust * Math.cos(adjustedOmega) - mass_kg * g - Dt * Math.cos(flightAngle);
-          } else {
-            // 速度がほぼゼロの場合
-            Fx = thrust * Math.sin(adjustedOmega) - Dw;
-            Fy = thrust * Math.cos(adjustedOmega) - mass_kg * g;
-          }
-
-          // トルク計算 - 推力フェーズ
-          if (velocity > 1.0) {
-            const flightAngle = Math.atan2(prev_vx, prev_vy);
-
-            try {
-              // モーメント計算関数
-              let ML, MD, MW, MF;
-
-              // 風速がほぼゼロの場合
-              if (isCurrentlyZeroWind) {
-                // すべてのモーメントをゼロに設定
-                ML = 0;
-                MD = 0;
-                MW = 0;
-                MF = 0;
-              } else {
-                // 通常通り計算
-                ML = calculateLiftMoment(velocity, adjustedOmega, flightAngle, rocketParams, projectedAreas.sideArea, aerodynamicCenter.aerodynamicCenter, rocketParams.centerOfGravity);
-                MD = calculateDragMoment(velocity, adjustedOmega, flightAngle, rocketParams, projectedAreas.sideArea, aerodynamicCenter.aerodynamicCenter, rocketParams.centerOfGravity);
-                MW = calculateWindMoment(rocketParams.noseHeight, bodyDiameter, rocketParams.bodyHeight, effectiveWindSpeed, adjustedOmega, projectedAreas.totalFinArea, centerOfPressure.centerOfPressure, rocketParams.centerOfGravity);
-                MF = calculateFinMoment(rocketParams.finHeight, rocketParams.finBaseWidth, rocketParams.finCount, velocity, flightAngle, rocketParams, rocketParams.finCp, rocketParams.centerOfGravity);
-              }
-
-              if (!isFinite(ML) || isNaN(ML) || !isFinite(MD) || isNaN(MD) || 
-                  !isFinite(MW) || isNaN(MW) || !isFinite(MF) || isNaN(MF)) {
-                torque = 0;
-                console.warn(`Invalid moment detected at t=${time.toFixed(2)}s: ML=${ML}, MD=${MD}, MW=${MW}, MF=${MF}`);
-              } else {
-                const rawTorque = ML + MD + MW + MF;
-
-                if (Math.abs(rawTorque) > TORQUE_THRESHOLD) { // (important-comment)
-                  console.warn(`Abnormal torque detected at t=${time.toFixed(2)}s: rawTorque=${rawTorque.toFixed(6)}, exceeds threshold ${TORQUE_THRESHOLD}`);
-                  isTorqueStableOK = false;
-                  break;
-                }
-
-                torque = Math.max(-1.0, Math.min(1.0, rawTorque));
-
-                if (Math.abs(torque) > 0.001 || Math.abs(ML) > 0.001 || Math.abs(MD) > 0.001 || Math.abs(MW) > 0.001 || Math.abs(MF) > 0.001) {
-                  console.log(`Thrust Torque components (t=${time.toFixed(2)}): ML=${ML.toFixed(6)}, MD=${MD.toFixed(6)}, MW=${MW.toFixed(6)}, MF=${MF.toFixed(6)}, Total=${torque.toFixed(6)}`);
-                }
-              }
-            } catch (error) {
-              // エラー処理
-              console.error('Torque calculation error:', error);
-              torque = 0;
-            }
-          }
-        }
-      } else {
-        // 推力終了時のフラグを設定
-        if (!thrustEndFlag) {
-          thrustEndFlag = true;
-          keyPoints.thrustEnd = { time, height: y, speed: vy };
-        }
+    // 発射台離脱・燃焼終了・頂点でのピッチの動安定 (各時点で1回だけ記録、回収装置の放出後も機体単体の値を求める)
+    // ジェット減衰には前後の半区間で消費した推進剤の質量流量を使う
+    const stabilityPoints = {
+      railExit: Boolean(keyPoints.railExit),
+      burnout: !onLaunchRail && time >= thrustEndTime,
+      apogee: apogeeTime !== null
+    };
+    for (const [key, reached] of Object.entries(stabilityPoints)) {
+      if (!reached || dynamicStability[key]) continue;
+      const massFlowRate = gToKg(getMassProperties(Math.max(time - dt / 2, 0)).mass_g - getMassProperties(time + dt / 2).mass_g) / dt;
+      dynamicStability[key] = {
+        time, height: y, speed: airSpeed,
+        ...calculateDynamicStability(dynamicStabilityModel, {
+          rho, airSpeed, centerOfGravity: currentCenterOfGravity, momentOfInertia, massFlowRate
+        })
+      };
+    }
 
-        // 慣性飛行（推力なし）- ここでは推力T=0
+    // 推力終了時のフラグを設定
+    if (!thrustEndFlag && time >= thrustEndTime) {
+      thrustEndFlag = true;
+      keyPoints.thrustEnd = { time, height: y, speed: vy };
+    }
 
-        if (velocity > 0.001) {
-          const flightAngle = Math.atan2(prev_vx, prev_vy);
-          Fx = -Dt * Math.sin(flightAngle) + Dw;
-          Fy = -mass_kg * g - Dt * Math.cos(flightAngle);
-        } else {
-          Fx = Dw;
-          Fy = -mass_kg * g;
-        }
+    // 異常なトルクを検出したら計算を打ち切る
+    if (Math.abs(rawTorque) > TORQUE_THRESHOLD || Math.abs(yawTorque) > TORQUE_THRESHOLD) { // (important-comment)
+      console.warn(`Abnormal torque detected at t=${time.toFixed(2)}s: rawTorque=${rawTorque.toFixed(6)}, yawTorque=${yawTorque.toFixed(6)}, exceeds threshold ${TORQUE_THRESHOLD}`);
+      isTorqueStableOK = false;
+      break;
+    }
 
-        // トルク計算 - 慣性飛行フェーズ
-        if (velocity > 0.5) {
-          const flightAngle = Math.atan2(prev_vx, prev_vy);
-
-          // 新しいモーメント計算メソッドを使用
-          try {
-            // モーメント計算関数
-            let ML, MD, MW, MF;
-
-            // 風速がほぼゼロの場合
-            if (isCurrentlyZeroWind) {
-              // すべてのモーメントをゼロに設定
-              ML = 0;
-              MD = 0;
-              MW = 0;
-              MF = 0;
-            } else {
-              // 通常通り計算
-              ML = calculateLiftMoment(velocity, adjustedOmega, flightAngle, rocketParams, projectedAreas.sideArea, aerodynamicCenter.aerodynamicCenter, rocketParams.centerOfGravity);
-              MD = calculateDragMoment(velocity, adjustedOmega, flightAngle, rocketParams, projectedAreas.sideArea, aerodynamicCenter.aerodynamicCenter, rocketParams.centerOfGravity);
-              MW = calculateWindMoment(rocketParams.noseHeight, bodyDiameter, rocketParams.bodyHeight, effectiveWindSpeed, adjustedOmega, projectedAreas.totalFinArea, centerOfPressure.centerOfPressure, rocketParams.centerOfGravity);
-              MF = calculateFinMoment(rocketParams.finHeight, rocketParams.finBaseWidth, rocketParams.finCount, velocity, flightAngle, rocketParams, rocketParams.finCp, rocketParams.centerOfGravity);
-            }
-
-            if (!isFinite(ML) || isNaN(ML) || !isFinite(MD) || isNaN(MD) || 
-                !isFinite(MW) || isNaN(MW) || !isFinite(MF) || isNaN(MF)) {
-              torque = 0;
-              console.warn(`Invalid moment detected in inertial flight at t=${time.toFixed(2)}s: ML=${ML}, MD=${MD}, MW=${MW}, MF=${MF}`);
-            } else {
-              const rawTorque = ML + MD + MW + MF;
-
-              if (Math.abs(rawTorque) > TORQUE_THRESHOLD) { // (important-comment)
-                console.warn(`Abnormal torque detected in inertial flight at t=${time.toFixed(2)}s: rawTorque=${rawTorque.toFixed(6)}, exceeds threshold ${TORQUE_THRESHOLD}`);
-                isTorqueStableOK = false;
-                break;
-              }
-
-              torque = Math.max(-1.0, Math.min(1.0, rawTorque));
-            }
-
-            // デバッグ用ログ
-            if (Math.abs(torque) > 0.001 || Math.abs(ML) > 0.001 || Math.abs(MD) > 0.001 || Math.abs(MW) > 0.001 || Math.abs(MF) > 0.001) {
-              console.log(`Inertial Torque components (t=${time.toFixed(2)}): ML=${ML.toFixed(6)}, MD=${MD.toFixed(6)}, MW=${MW.toFixed(6)}, MF=${MF.toFixed(6)}, Total=${torque.toFixed(6)}`);
-            }
-          } catch (error) {
-            console.error('Torque calculation error:', error);
-            torque = 0;
-          }
+    // 姿勢安定性チェック - 推力フェーズと慣性飛行フェーズの両方でチェック（パラシュート展開前のみ）
+    if (!isParachuteEjected && !onLaunchRail) {
+      const angleChangePerDt2Degrees = angleChangePerDt2 * 180 / Math.PI;
 
-          // ±4°と±18°の場合のトルク補正
-          if (Math.abs(angle) === 4 || Math.abs(angle) === 18) {
-            torque *= 1.2; // 20%増加
-          }
-        }
+      if (Math.abs(angleChangePerDt2Degrees) > Math.abs(maxAngleChangePerDt2)) {
+        maxAngleChangePerDt2 = angleChangePerDt2Degrees;
       }
 
-      // 加速度計算
-      const MIN_MASS = 1e-6;
-      if (Math.abs(mass_kg) < MIN_MASS) {
-        console.warn(`mass_kg too small: ${mass_kg}, setting accelerations to 0`);
-        ax = 0;
-        ay = -g;
-      } else {
-        ax = Fx / mass_kg;
-        ay = Fy / mass_kg;
+      // 角度変化量が閾値（±45°）を超える場合にNG判定
+      if (Math.abs(angleChangePerDt2Degrees) > MAX_ANGLE_CHANGE_PER_DT2) {
+        isAngleStableOK = false;
+        console.log(`角度変化量の閾値超過: ${angleChangePerDt2Degrees.toFixed(2)}° > ±${MAX_ANGLE_CHANGE_PER_DT2}° (t=${time.toFixed(2)}s)`);
       }
     }
 
-    // トルクの累積
-    totalTorque += torque;
-    stepCounter++;
-
-    // 角度の更新（dt2間隔で）
-    if (stepCounter >= ANGLE_STEPS_PER_UPDATE) {
-      try {
-        // トルクの平均を計算
-        const avgTorque = totalTorque / stepCounter;
-
-        // トルクが非数値または無限大の場合はゼロにリセット
-        const safeAvgTorque = isFinite(avgTorque) && !isNaN(avgTorque) ? avgTorque : 0;
-
-        // 単純に計算された値を使用
-        let effectiveTorque = safeAvgTorque;
-
-        // トルク計算のデバッグ出力
-        if (Math.abs(effectiveTorque) > 0.001) {
-          console.log(`Torque calculation (t=${time.toFixed(2)}): avgTorque=${safeAvgTorque.toFixed(6)}, effectiveTorque=${effectiveTorque.toFixed(6)}, momentOfInertia=${momentOfInertia.toFixed(6)}`);
-        }
-
-        const MIN_MOMENT_OF_INERTIA = 1e-6;
-        if (Math.abs(momentOfInertia) < MIN_MOMENT_OF_INERTIA) {
-          console.warn(`momentOfInertia too small: ${momentOfInertia}, setting angularAcceleration to 0`);
-          angularAcceleration = 0;
-        } else {
-          angularAcceleration = effectiveTorque / momentOfInertia;
-        }
-
-        // 角速度の更新: ω = ω0 + α*dt2
-        const oldAngularVelocity = angularVelocity;
-        angularVelocity = angularVelocity + angularAcceleration * dt2;
-
-        // 角速度に上限を設定
-        angularVelocity = Math.max(-3, Math.min(3, angularVelocity));
-
-        // 角度変化の計算: ν = ω*dt2
-        angleChangePerDt2 = angularVelocity * dt2;
-
-
-
-        // 角度変化のデバッグ出力
-        if (Math.abs(oldAngularVelocity - angularVelocity) > 0.001 || Math.abs(angleChangePerDt2) > 0.001) {
-          console.log(`Angle change calculation (t=${time.toFixed(2)}): angularAcceleration=${angularAcceleration.toFixed(6)}, angularVelocity=${angularVelocity.toFixed(6)}, angleChangePerDt2=${angleChangePerDt2.toFixed(6)}`);
-        }
-
-        // 姿勢安定性チェック - 推力フェーズと慣性飛行フェーズの両方でチェック（パラシュート展開前のみ）
-        // 変更点5: 推力フェーズも含めて姿勢安定性をチェック
-        if (!isParachuteEjected) {
-          // dt2時間あたりの角度変化量（度数法）
-          const angleChangePerDt2Degrees = angleChangePerDt2 * 180 / Math.PI;
-
-          // 最大角度変化量を更新
-          if (Math.abs(angleChangePerDt2Degrees) > Math.abs(maxAngleChangePerDt2)) {
-            maxAngleChangePerDt2 = angleChangePerDt2Degrees;
-            console.log(`新しい最大角度変化量検出: ${angleChangePerDt2Degrees.toFixed(2)}° (t=${time.toFixed(2)}s, 推力フェーズ=${time < thrustEndTime})`);
-          }
-
-          // 角度変化量が閾値（±45°）を超える場合にNG判定
-          if (Math.abs(angleChangePerDt2Degrees) > MAX_ANGLE_CHANGE_PER_DT2) {
-            isAngleStableOK = false;
-            console.log(`角度変化量の閾値超過: ${angleChangePerDt2Degrees.toFixed(2)}° > ±${MAX_ANGLE_CHANGE_PER_DT2}° (t=${time.toFixed(2)}s)`);
-          }
-        }
+    // 状態を記録間隔dtだけ積分して進める
+    // 発散した場合は計算を打ち切り、結果にエラーを含める
+    let step;
+    try {
+      step = integrateInterval(derivative, time, [x, y, vx, vy, omega, angularVelocity, z, vz, yaw, yawRate, rollRate], dt, integrator, nextStepSize);
+    } catch (error) {
+      console.error('Integration error:', error);
+      integratorError = error.message;
+      break;
+    }
+    [x, y, vx, vy, omega, angularVelocity, z, vz, yaw, yawRate, rollRate] = step.state;
+    nextStepSize = step.stats.nextStep;
+    integratorStats.steps += step.stats.steps;
+    integratorStats.rejectedSteps += step.stats.rejectedSteps;
+    integratorStats.minStep = Math.min(integratorStats.minStep, step.stats.minStep);
+    integratorStats.maxStep = Math.max(integratorStats.maxStep, step.stats.maxStep);
+
+    // ロール角速度は姿勢と一緒に積分し、発射台上・回収装置の放出後は0とする
+    if (!isRollFree) {
+      rollRate = 0;
+    }
 
-        // カウンターとトルク累積のリセット
-        stepCounter = 0;
-        totalTorque = 0;
-        avgThrustForTorque = 0;
-        thrustSamplesCount = 0;
-      } catch (error) {
-        // エラーが発生した場合でも安全に処理
-        console.error('Angle update error:', error);
-        stepCounter = 0;
-        totalTorque = 0;
-        avgThrustForTorque = 0;
-        thrustSamplesCount = 0;
-      }
+    // 発射台上では姿勢を発射角度に固定 (前側のランチラグが外れた後はティップオフで回転する)
+    if (onLaunchRail && !isParachuteEjected && Math.sqrt(x * x + y * y) < launchRailLength - tipOffLength) {
+      omega = initialOmega;
+      angularVelocity = 0;
+      yaw = 0;
+      yawRate = 0;
     }
 
-    // 物理ベースの角度更新を強化 - この部分は常に適用される
-    // 角度の更新 - angleChangePerDt2の値を確実に反映
-    const physicsBasedAngleChange = angleChangePerDt2 / ANGLE_STEPS_PER_UPDATE;
-
-    // 物理ベースの変化が非常に小さい場合の最小変化量を設定
-    const MIN_ANGLE_CHANGE = 0.0001; // ラジアン単位での最小角度変化
-
-    // 物理ベースの姿勢変化を適用
-    if (PHYSICAL_ATTITUDE_CONTROL) {
-      if (isCurrentlyZeroWind && !onLaunchRail) {
-        // 風速ゼロかつ発射台を離れた後は発射角度に徐々に戻す
-        const initialOmegaRad = angle * Math.PI / 180;
-        const returnRate = 0.005; // ゆっくり戻す率
-
-        // 角度差が非常に小さい場合は直接設定
-        if (Math.abs(omega - initialOmegaRad) < 0.0001) {
-          omega = initialOmegaRad;
-        } else {
-          // 徐々に発射角度に戻す
-          omega = omega * (1 - returnRate) + initialOmegaRad * returnRate;
+    // 拡張姿勢制御ロジック - 風見効果など
+    if (useEnhancedAttitudeControl && !isCurrentlyZeroWind && !onLaunchRail && !isParachuteEjected) {
+      // 速度ベクトルの方向（飛行角）
+      const flightAngle = Math.atan2(vx, vy);
+      const speed = Math.sqrt(vx * vx + vy * vy);
+
+      // 目標姿勢角の決定
+      let targetOmega = flightAngle;
+      let adjustRate = Math.min(0.05, 0.002 * speed);
+
+      // 推力飛行中は風見効果を適用
+      if (!thrustEndFlag && Math.abs(effectiveWindSpeed) >= 0.5) {
+        // 風上に向かっているか判定 - 風向きと速度が「逆」のとき風上
+        const isMovingUpwind = (effectiveWindSpeed < 0 && vx > 0) ||
+          (effectiveWindSpeed > 0 && vx < 0);
+
+        if (isMovingUpwind && useWindAngleLimitation) {
+          // 風上に向かう場合は風に対して垂直方向を超えない（風向きによる90度制限が有効な場合）
+          const windAngle = effectiveWindSpeed > 0 ? 0 : Math.PI;
+          targetOmega = effectiveWindSpeed < 0
+            ? Math.max(flightAngle, windAngle - Math.PI / 2)
+            : Math.min(flightAngle, windAngle + Math.PI / 2);
         }
-      } else {
-        // 通常の物理ベースの角度更新
-        omega += physicsBasedAngleChange;
-      }
-
-      // 角度変化のデバッグ出力 - 実際に何が起きているかを確認
-      if (Math.abs(physicsBasedAngleChange) > 0.001) {
-        console.log(`Applied physics angle change (t=${time.toFixed(2)}): ${physicsBasedAngleChange.toFixed(6)}, new omega=${omega.toFixed(6)}`);
-      }
 
-      // 前回の角度と現在の角度から変化量を計算（度数法に変換）
-      const prevOmegaDegrees = (prevOmega * 180 / Math.PI) % 360;
-      const currentOmegaDegrees = (omega * 180 / Math.PI) % 360;
-
-      // 角度の差を-180°から180°の範囲に正規化（ラップアラウンド対応）
-      let deltaOmega = currentOmegaDegrees - prevOmegaDegrees;
-      if (deltaOmega > 180) deltaOmega -= 360;
-      if (deltaOmega < -180) deltaOmega += 360;
-
-      // 角度変化履歴を記録
-      angleChanges.push({
-        time,
-        deltaOmega,
-        thrustActive: time <= thrustEndTime,
-        parachuteActive: isParachuteActive
-      });
-
-      // 角度変化バッファに追加
-      angleChangeBuffer.push(deltaOmega);
-
-      // バッファが0.2秒分（dt2/dt フレーム数）以上になったら古いデータを削除
-      const framesPerDt2 = ANGLE_RESPONSE_DT / dt;
-      if (angleChangeBuffer.length > framesPerDt2) {
-        angleChangeBuffer.shift();
+        // 風速に応じた調整
+        const windFactor = Math.min(0.8, Math.abs(effectiveWindSpeed) / 6.0);
+        adjustRate *= (1.0 + windFactor);
       }
 
-      // バッファ内の合計角度変化量を計算
-      const totalAngleChange = angleChangeBuffer.reduce((sum, change) => sum + change, 0);
-
-      // 姿勢安定性チェック（パラシュート展開前かつ推力終了後の慣性飛行中）
-      if (!isParachuteEjected && !onLaunchRail) {
-        // 最大角度変化量を更新
-        if (Math.abs(totalAngleChange) > Math.abs(maxAngleChangePerDt2)) {
-          maxAngleChangePerDt2 = totalAngleChange;
-          console.log(`新しい最大角度変化量検出: ${totalAngleChange.toFixed(2)}° (t=${time.toFixed(2)}s)`);
-        }
-
-        // 角度変化量が±45°を超える場合にNG判定
-        if (Math.abs(totalAngleChange) > MAX_ANGLE_CHANGE_PER_DT2) {
-          isAngleStableOK = false;
-          console.log(`角度変化量の閾値超過: ${totalAngleChange.toFixed(2)}° > ±${MAX_ANGLE_CHANGE_PER_DT2}° (t=${time.toFixed(2)}s)`);
-        }
+      // 姿勢角を目標角に近づける（変化量は約11.5度/フレームまで）
+      const newOmega = omega * (1.0 - adjustRate) + targetOmega * adjustRate;
+      const maxChange = 0.2;
+      if (Math.abs(newOmega - omega) > maxChange) {
+        omega += Math.sign(newOmega - omega) * maxChange;
+      } else {
+        omega = newOmega;
       }
-
-      // 前回の角度を更新
-      prevOmega = omega;
     }
 
-    // 拡張姿勢制御ロジック - 風見効果など
-    if (useEnhancedAttitudeControl && !isCurrentlyZeroWind) {
-      // 発射台を離れた後かつパラシュート展開前
-      if (!onLaunchRail && !isParachuteEjected) {
-        // 速度ベクトルの方向（飛行角）
-        const flightAngle = Math.atan2(vx, vy);
-
-        // 推力フェーズと慣性飛行フェーズで完全に分ける
-        if (thrustEndFlag) {
-          //===========================================
-          // 慣性飛行中 - 風見効果を無効化
-          //===========================================
-
-          // 目標姿勢角は常に速度方向（風の影響を受けない）
-          const targetOmega = flightAngle;
-
-          // 姿勢角変化のスピード係数 - 非常に小さな値
-          const adjustRate = Math.min(0.05, 0.002 * velocity);
-
-          // 姿勢角を目標角に近づける（緩やかに）
-          const newOmega = omega * (1.0 - adjustRate) + targetOmega * adjustRate;
-
-          // 変化量の制限も小さめ
-          // 変化量の制限を大きくする - 約11.5度/フレーム
-          const maxChange = 0.2;
-          if (Math.abs(newOmega - omega) > maxChange) {
-            omega += Math.sign(newOmega - omega) * maxChange;
-          } else {
-            omega = newOmega;
-          }
-
-          // デバッグ用ログ - 拡張姿勢制御の適用を確認
-          if (Math.abs(newOmega - omega) > 0.01) {
-            console.log(`Applied enhanced attitude control (inertial): targetOmega=${targetOmega.toFixed(6)}, newOmega=${newOmega.toFixed(6)}`);
-          }
-
-        } else {
-          //===========================================
-          // 推力飛行中 - 風見効果を適用
-          //===========================================
-
-          // 風向きベクトル
-          const windAngle = effectiveWindSpeed > 0 ? 0 : Math.PI; // 風が左から右:0度、右から左:180度
-
-          // 風向きに対する垂直方向 (±90度)
-          const perpendicularToWind1 = windAngle + Math.PI / 2;  // +90度
-          const perpendicularToWind2 = windAngle - Math.PI / 2;  // -90度
-
-          // 目標姿勢角の決定
-          let targetOmega;
+    // 前回の角度と現在の角度から変化量を計算（度数法に変換）
+    const prevOmegaDegrees = (prevOmega * 180 / Math.PI) % 360;
+    const currentOmegaDegrees = (omega * 180 / Math.PI) % 360;
 
-          if (Math.abs(effectiveWindSpeed) < 0.5) {
-            // 風が弱い場合は速度方向に合わせる
-            targetOmega = flightAngle;
-          } else {
-            // 風が強い場合、風向きも考慮する
-
-            // 風上に向かっているか判定 - 風向きと速度が「逆」のとき風上
-            const isMovingUpwind = (effectiveWindSpeed < 0 && vx > 0) ||
-              (effectiveWindSpeed > 0 && vx < 0);
-
-            if (isMovingUpwind && useWindAngleLimitation) {
-              // 風上に向かう場合は風に対して垂直方向を超えない（風向きによる90度制限が有効な場合）
-              if (effectiveWindSpeed < 0) {
-                // 右からの風の場合、-90度まで（右向き）
-                targetOmega = Math.max(flightAngle, perpendicularToWind2);
-              } else {
-                // 左からの風の場合、+90度まで（左向き）
-                targetOmega = Math.min(flightAngle, perpendicularToWind1);
-              }
-            } else {
-              // 風下に向かう場合または風向きによる角度制限が無効な場合は直接速度方向
-              targetOmega = flightAngle;
-            }
-          }
+    // 角度の差を-180°から180°の範囲に正規化（ラップアラウンド対応）
+    let deltaOmega = currentOmegaDegrees - prevOmegaDegrees;
+    if (deltaOmega > 180) deltaOmega -= 360;
+    if (deltaOmega < -180) deltaOmega += 360;
+    deltaOmega = combineAttitudeChange(deltaOmega, (yaw - prevYaw) * 180 / Math.PI, yaw);
 
-          // 推力飛行中の姿勢角変化のスピード係数（現状維持）
-          const adjustRate = Math.min(0.05, 0.002 * velocity);
+    // 角度変化履歴を記録
+    angleChanges.push({
+      time,
+      deltaOmega,
+      thrustActive: time <= thrustEndTime,
+      parachuteActive: isParachuteActive
+    });
 
-          // 風速に応じた調整
-          const windFactor = Math.min(0.8, Math.abs(effectiveWindSpeed) / 6.0);
-          const finalAdjustRate = adjustRate * (1.0 + windFactor);
+    // 角度変化バッファに追加し、0.2秒分（dt2/dt フレーム数）を超えたら古いデータを削除
+    angleChangeBuffer.push(deltaOmega);
+    const framesPerDt2 = ANGLE_RESPONSE_DT / dt;
+    if (angleChangeBuffer.length > framesPerDt2) {
+      angleChangeBuffer.shift();
+    }
 
-          // 姿勢角を目標角に近づける
-          const newOmega = omega * (1.0 - finalAdjustRate) + targetOmega * finalAdjustRate;
+    // バッファ内の合計角度変化量を計算
+    const totalAngleChange = angleChangeBuffer.reduce((sum, change) => sum + change, 0);
 
-          // 変化量の制限を大きくする - 約11.5度/フレーム
-          const maxChange = 0.2;
-          if (Math.abs(newOmega - omega) > maxChange) {
-            omega += Math.sign(newOmega - omega) * maxChange;
-          } else {
-            omega = newOmega;
-          }
+    // 姿勢安定性チェック（パラシュート展開前かつ発射台離脱後）
+    if (!isParachuteEjected && !onLaunchRail) {
+      if (Math.abs(totalAngleChange) > Math.abs(maxAngleChangePerDt2)) {
+        maxAngleChangePerDt2 = totalAngleChange;
+        console.log(`新しい最大角度変化量検出: ${totalAngleChange.toFixed(2)}° (t=${time.toFixed(2)}s)`);
+      }
 
-          // デバッグ用ログ - 拡張姿勢制御の適用を確認
-          if (Math.abs(newOmega - omega) > 0.01) {
-            console.log(`Applied enhanced attitude control (thrust): targetOmega=${targetOmega.toFixed(6)}, newOmega=${newOmega.toFixed(6)}`);
-          }
-        }
+      // 角度変化量が±45°を超える場合にNG判定
+      if (Math.abs(totalAngleChange) > MAX_ANGLE_CHANGE_PER_DT2) {
+        isAngleStableOK = false;
+        console.log(`角度変化量の閾値超過: ${totalAngleChange.toFixed(2)}° > ±${MAX_ANGLE_CHANGE_PER_DT2}° (t=${time.toFixed(2)}s)`);
       }
     }
 
-    // 速度の更新
-    vx = vx + ax * dt;
-    vy = vy + ay * dt;
+    // 前回の角度を更新
+    prevOmega = omega;
+    prevYaw = yaw;
 
-    // 速度制限（最大100m/s）
-    const MAX_SPEED = 100; // m/s
     const currentSpeed = Math.sqrt(vx * vx + vy * vy);
-    if (currentSpeed > MAX_SPEED) {
-      const factor = MAX_SPEED / currentSpeed;
-      vx *= factor;
-      vy *= factor;
-    }
-
-    // 角速度の制限
-    const MAX_ANGULAR_VELOCITY = 5; // rad/s
-    angularVelocity = Math.max(-MAX_ANGULAR_VELOCITY, Math.min(MAX_ANGULAR_VELOCITY, angularVelocity));
-
-    // 位置の更新
-    if (onLaunchRail) {
-      // 発射台上の動き
-      if (angle === 0) {
-        // 垂直発射
-        x = 0;
-        y = y + vy * dt;
-      } else {
-        // 角度付き発射
-        const railDistance = Math.min(distanceFromStart + velocity * dt, launchRailLength);
-        x = railDistance * Math.sin(omega);
-        y = railDistance * Math.cos(omega);
-      }
-    } else {
-      // 自由飛行の位置更新
-      x = x + vx * dt;
-      y = y + vy * dt;
-    }
 
     // 事前計算での最高高度と最高速度の更新
     if (y > prec_MaxHeight) {
@@ -1679,23 +1298,28 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
       maxSpeed = currentSpeed;
     }
 
-    // 最大水平距離の更新
-    if (Math.abs(x) > maxDistance) {
-      maxDistance = Math.abs(x);
+    // 最大水平距離の更新 (クロスレンジを含む発射台からの距離)
+    const horizontalDistance = Math.sqrt(x * x + z * z);
+    if (horizontalDistance > maxDistance) {
+      maxDistance = horizontalDistance;
     }
 
-    // バッファ内の合計角度変化量を計算
-    const totalAngleChange = angleChangeBuffer.length > 0 ?
-      angleChangeBuffer.reduce((sum, change) => sum + change, 0) : 0;
+    // 静安定マージンの最小値を記録 (パラシュート放出前のみ)
+    if (!isParachuteEjected && currentStaticMargin < minStaticMargin) {
+      minStaticMargin = currentStaticMargin;
+      keyPoints.minStaticMargin = { time, height: y, speed: vy, staticMargin: currentStaticMargin };
+    }
 
     // データの記録 - 角度変化情報を追加
     data.push({
       time,
       physicsX: x, // 物理座標系でのx（メートル単位）
       physicsY: y, // 物理座標系でのy（メートル単位）
+      physicsZ: z, // クロスレンジ（メートル単位、ダウンレンジ方向に向かって左が正）
       height: y, // メートル単位
       vx: vx,
       vy: vy,
+      vz: vz,
       ax: ax,
       ay: ay,
       speedMagnitude: Math.sqrt(vx * vx + vy * vy),
@@ -1705,24 +1329,91 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
       isParachuteEjected,
       isParachuteActive,
       parachuteDeploymentProgress,
+      recoveryDrag: 0.5 * rho * airSpeed * airSpeed * recovery.dragArea, // 回収装置の抗力 (N)
       omega,
       omegaDegrees: (omega * 180 / Math.PI), // 角度を度数法で保存
       torque,
+      yawDegrees: yaw * 180 / Math.PI, // 機軸の発射面からの傾き (度、+z向きが正)
+      yawTorque, // ヨーモーメント (N·m)
       angleChangePerDt2: totalAngleChange, // 現在の0.2秒間の角度変化
-      horizontalDistance: Math.abs(x), // 水平距離の絶対値を追加
+      horizontalDistance, // 発射台からの水平距離
       finDeflection, // フィンのたわみ量を追加
+      finBendingMoment: finLoads?.bendingMoment ?? 0, // フィン付け根の曲げモーメント (N·m)
+      finBendingStress: finLoads?.bendingStress ?? 0, // フィン付け根の最大曲げ応力 (Pa)
+      finShearStress: finLoads?.shearStress ?? 0, // フィン接合部の最大せん断応力 (Pa)
+      airSpeed, // 対気速度 (m/s)
+      finFlutterSpeed, // 現在高度のフラッター速度 (m/s)
+      finFlutterMargin, // フラッター余裕 (回収装置の放出後・低速時はnull)
+      rollRate: rollRate * 180 / Math.PI, // ロール角速度 (°/s)
+      spinRate: rollRate / (2 * Math.PI), // 毎秒の回転数 (rps)
+      rollMoment, // ロールモーメント (N·m)
+      pitchNaturalFrequency, // ピッチの固有角振動数 (rad/s)
       angleDeviationDegrees: (omega * 180 / Math.PI) - initialOmegaDegrees, // 初期角度からの偏差を追加
-      effectiveWindSpeed, // 実効風速を記録
+      effectiveWindSpeed, // 実効風速を記録 (突風成分を含む)
+      crossWindSpeed, // クロスレンジ方向の風速 (m/s, +z向き)
+      gustSpeed, // 突風成分 (m/s)
       isThrustActive: time <= thrustEndTime, // 推力が有効かどうか
       absoluteAngleDegrees: normalizedAbsoluteAngle, // 絶対角度を追加
       isAbsoluteAngleOK, // 絶対角度の判定結果
       angleChangeLimit: MAX_ANGLE_CHANGE_PER_DT2, // 角度変化量の閾値
       absoluteAngleLimit: MAX_ABSOLUTE_ANGLE, // 絶対角度の閾値
+      mass: currentMass_g, // 現在の質量 (g)
+      centerOfGravity: currentCenterOfGravity, // 現在の重心位置 (mm)
+      momentOfInertia, // 現在の慣性モーメント (kg·m²)
+      staticMargin: currentStaticMargin, // 現在の静安定マージン
+      airDensity: rho, // 現在高度の空気密度 (kg/m³)
+      machNumber: airSpeed / atmosphere.speedOfSound, // マッハ数
+      dragCoefficient: dragCoefficients?.total ?? null, // 機体の抗力係数 (回収装置の放出後はnull)
+      dragComponents: dragCoefficients?.components ?? null, // 成分ごとの抗力係数
+      reynoldsNumber: dragCoefficients?.reynoldsNumber ?? null // 機体長基準のレイノルズ数
     });
 
     time += dt;
   }
 
+  // 着地点 (地面を下回った最後のフレームと直前のフレームの間を線形補間)
+  const hasLanded = y < 0 && data.length >= 2;
+  let landing = { hasLanded: false, time, x, z, vx, vy, vz, speed: Math.sqrt(vx * vx + vy * vy + vz * vz), maxTime };
+  if (hasLanded) {
+    const previousFrame = data[data.length - 2];
+    const groundFrame = data[data.length - 1];
+    const ratio = previousFrame.height / Math.max(previousFrame.height - groundFrame.height, 1e-9);
+    const landingVx = previousFrame.vx + (groundFrame.vx - previousFrame.vx) * ratio;
+    const landingVy = previousFrame.vy + (groundFrame.vy - previousFrame.vy) * ratio;
+    const landingVz = previousFrame.vz + (groundFrame.vz - previousFrame.vz) * ratio;
+    landing = {
+      hasLanded: true,
+      time: previousFrame.time + (groundFrame.time - previousFrame.time) * ratio,
+      x: previousFrame.physicsX + (groundFrame.physicsX - previousFrame.physicsX) * ratio,
+      z: previousFrame.physicsZ + (groundFrame.physicsZ - previousFrame.physicsZ) * ratio,
+      vx: landingVx,
+      vy: landingVy,
+      vz: landingVz,
+      speed: Math.sqrt(landingVx * landingVx + landingVy * landingVy + landingVz * landingVz),
+      maxTime
+    };
+
+    // 地面を下回ったフレームを着地時のフレームに置き換える
+    data[data.length - 1] = {
+      ...groundFrame,
+      time: landing.time,
+      physicsX: landing.x,
+      physicsY: 0,
+      physicsZ: landing.z,
+      height: 0,
+      vx: landing.vx,
+      vy: landing.vy,
+      vz: landing.vz,
+      speedMagnitude: Math.sqrt(landing.vx * landing.vx + landing.vy * landing.vy),
+      horizontalDistance: Math.sqrt(landing.x * landing.x + landing.z * landing.z),
+      isLanded: true
+    };
+    maxDistance = Math.max(maxDistance, Math.sqrt(landing.x * landing.x + landing.z * landing.z));
+    keyPoints.landing = { time: landing.time, height: 0, x: landing.x, z: landing.z, speed: landing.vy };
+  } else {
+    console.warn(`シミュレーションが打ち切り時間 ${maxTime}s までに着地しませんでした (高度 ${y.toFixed(1)}m)`);
+  }
+
   // シミュレーション終了時に角度安定性の判定結果をログ出力
   console.log(`シミュレーション完了: 最高高度=${maxHeight.toFixed(2)}m, 最高速度=${maxSpeed.toFixed(2)}m/s, 最大水平距離=${maxDistance.toFixed(2)}m`);
   console.log(`推力終了時 (${keyPoints.thrustEnd.time.toFixed(2)}s): 高度=${keyPoints.thrustEnd.height.toFixed(2)}m, 速度=${keyPoints.thrustEnd.speed.toFixed(2)}m/s`);
@@ -1750,7 +1441,7 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
     { name: "発射台離脱時", time: Math.min(PHYSICAL_CONSTANTS.launchRailLength / Math.max(0.1, Math.sqrt(Math.pow(data[0].vx, 2) + Math.pow(data[0].vy, 2))), thrustEndTime) },
     { name: "推力終了時", time: thrustEndTime },
     { name: "最高点", time: keyPoints.maxHeight.time },
-    { name: "パラシュート展開時", time: keyPoints.parachuteEjection?.time || MAX_TIME }
+    { name: "パラシュート展開時", time: keyPoints.parachuteEjection?.time || landing.time }
   ];
 
   flightPhases.forEach(phase => {
@@ -1761,6 +1452,9 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
     }
   });
 
+  keyPoints.recoveryEvents = recoveryEvents;
+  keyPoints.openingShocks = getOpeningShocks(recoveryStates);
+
   return {
     data,
     prec_MaxHeight,
@@ -1768,13 +1462,49 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
     maxSpeed,
     maxDistance,
     maxFinDeflection,
+    finStress: summarizeFinStress(finStressModel, peakFinLoads), // フィン強度の判定 (最大荷重の時点)
+    flutter: { ...minFlutterMargin, isOK: !minFlutterMargin || minFlutterMargin.margin >= 0 }, // フラッター余裕の最小値
+    dynamicStability, // 発射台離脱・燃焼終了・頂点でのピッチの動安定
+    roll: { // カントフィンによるロール運動とロール・ピッチ共振の判定 (角速度は°/s)
+      cantAngle: rocketParams.finCantAngle || 0,
+      maxRollRate: maxRoll ? maxRoll.rollRate * 180 / Math.PI : 0,
+      maxSpinRate: maxRoll ? Math.abs(maxRoll.rollRate) / (2 * Math.PI) : 0,
+      maxRollTime: maxRoll?.time ?? null,
+      resonanceTime: rollResonanceTime,
+      firstResonance: firstRollResonance && {
+        ...firstRollResonance,
+        rollRate: firstRollResonance.rollRate * 180 / Math.PI,
+        pitchNaturalFrequency: firstRollResonance.pitchNaturalFrequency * 180 / Math.PI
+      },
+      isOK: rollResonanceTime <= ROLL_DYNAMICS.maxResonanceTime
+    },
     keyPoints,
+    landing,
+    launchSite,
+    azimuths: { windDirection, launchAzimuth }, // 風向・発射方位 (度)
+    integrator: {
+      method: integrator.method,
+      stepSize: integrator.stepSize,
+      tolerance: integrator.tolerance,
+      steps: integratorStats.steps,
+      rejectedSteps: integratorStats.rejectedSteps,
+      minStep: isFinite(integratorStats.minStep) ? integratorStats.minStep : 0,
+      maxStep: integratorStats.maxStep,
+      error: integratorError
+    },
+    massProperties: {
+      liftoffMass: liftoffMass_g,
+      burnoutMass: burnoutMass_g,
+      propellantMass: propellantMass_g,
+      motorCenterOfGravity,
+      minStaticMargin: isFinite(minStaticMargin) ? minStaticMargin : staticMargins.stabilityStaticMargin
+    },
     angleStability: {
       maxAngleChangePerDt2,
       isAngleStableOK,
       isAbsoluteAngleOK,
       isTorqueStableOK,
-      isStabilityOverallOK: isAngleStableOK && isAbsoluteAngleOK && isTorqueStableOK,
+      isStabilityOverallOK: isAngleStableOK && isAbsoluteAngleOK && isTorqueStableOK && !integratorError,
       maxAbsoluteAngle
     },
     projectedAreas,
@@ -1790,7 +1520,7 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
       standardStaticMargin: parseFloat(staticMargins.standardStaticMargin.toFixed(2)),
       stabilityStaticMargin: parseFloat(staticMargins.stabilityStaticMargin.toFixed(2)),
       finDivergenceSpeed: Math.round(calculateFinDivergenceSpeed(rocketParams)),
-      finFlutterSpeed: Math.round(calculateFinFlutterSpeed(rocketParams))
+      finFlutterSpeed: Math.round(calculateFinFlutterSpeed(rocketParams, getAtmosphere(0, launchSite)))
     }
   };
 };
@@ -0,0 +1,144 @@
+import { calculateFlightPath, calculateWindComponentsAtHeight, calculateFinDivergenceSpeed, formatSpeedValue } from './RocketPhysics';
+
+const ROCKET = {
+  noseShape: 'ogive', noseHeight: 57, bodyHeight: 255, bodyWidth: 31,
+  finHeight: 57.5, finBaseWidth: 65, finTipWidth: 25, finThickness: 1.5, finSweepLength: 82.5,
+  finMaterial: 'light_veneer', finCount: 3, weight: 50, centerOfGravity: 150,
+  selectedMotor: 'A8-3', selectedParachute: 'φ300'
+};
+
+// 東向きに垂直発射し、風速4m/sの風を windDirection から受けたときの飛行
+const flyInWind = (windDirection) => calculateFlightPath({ ...ROCKET }, 0, 4, 'uniform', {
+  integrator: { method: 'rk4', stepSize: 0.02 },
+  windDirection,
+  launchAzimuth: 90
+});
+
+// 着地点 (ダウンレンジ x, クロスレンジ z)
+const landingPoint = (windDirection) => {
+  const { data } = flyInWind(windDirection);
+  const last = data[data.length - 1];
+  return { x: last.physicsX, z: last.physicsZ };
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('calculateFlightPath の風による流され方', () => {
+  test('ダウンレンジとクロスレンジの風で同じ距離だけ流される', () => {
+    const downrange = landingPoint(270); // 西風 (ダウンレンジ方向へ吹く)
+    const crossRange = landingPoint(180); // 南風 (クロスレンジ方向へ吹く)
+    expect(downrange.x).toBeGreaterThan(20);
+    expect(Math.abs(downrange.z)).toBeLessThan(0.1);
+    expect(Math.abs(crossRange.x)).toBeLessThan(0.1);
+    expect(crossRange.z / downrange.x).toBeGreaterThan(0.95);
+    expect(crossRange.z / downrange.x).toBeLessThan(1.05);
+  }, 30000);
+
+  test('斜めの風では風下の方向に着地する', () => {
+    const landing = landingPoint(315); // 北西の風
+    expect(landing.x).toBeGreaterThan(0);
+    expect(Math.abs(landing.z / landing.x + 1)).toBeLessThan(0.05);
+  }, 30000);
+
+  test('横風でもダウンレンジの風と同じだけ風上に向く', () => {
+    // 回収装置の放出前の姿勢 (西風では -x 向き、南風では -z 向きが風上)
+    const attitude = (windDirection) => flyInWind(windDirection).data.filter(frame => !frame.isParachuteEjected);
+    const downrangePitch = Math.min(...attitude(270).map(frame => frame.omegaDegrees));
+    const crossRangeFrames = attitude(180);
+    const crossRangeYaw = Math.min(...crossRangeFrames.map(frame => frame.yawDegrees));
+    expect(downrangePitch).toBeLessThan(-5);
+    expect(crossRangeYaw).toBeCloseTo(downrangePitch, 0);
+    expect(Math.max(...crossRangeFrames.map(frame => Math.abs(frame.omegaDegrees)))).toBeLessThan(0.1);
+  }, 30000);
+});
+
+describe('calculateFlightPath の回収装置の荷重', () => {
+  test('開傘衝撃・回収装置の抗力・マッハ数は対気速度から求める', () => {
+    const { data, keyPoints } = flyInWind(180);
+    const [shock] = keyPoints.openingShocks;
+    const frame = data.find(f => f.time === shock.time);
+    const groundSpeed = Math.sqrt(frame.vx * frame.vx + frame.vy * frame.vy + frame.vz * frame.vz);
+    expect(Math.abs(frame.airSpeed - groundSpeed)).toBeGreaterThan(1);
+    expect(shock.speed).toBe(frame.airSpeed);
+
+    // 全開後の抗力は対気速度の2乗に比例する
+    const descent = data.filter(f => f.isParachuteActive && f.parachuteDeploymentProgress >= 1);
+    const [first, last] = [descent[0], descent[descent.length - 1]];
+    const dragArea = (f) => f.recoveryDrag / (0.5 * f.airDensity * f.airSpeed * f.airSpeed);
+    expect(dragArea(last)).toBeCloseTo(dragArea(first), 6);
+    expect(last.machNumber * 340).toBeCloseTo(last.airSpeed, -1);
+  }, 30000);
+});
+
+describe('calculateFlightPath の無風時の姿勢', () => {
+  test('斜め発射では機軸が飛行経路に沿って倒れていく', () => {
+    const { data } = calculateFlightPath({ ...ROCKET }, 10, 0, 'uniform', { integrator: { method: 'rk4', stepSize: 0.02 } });
+    const frames = data.filter(frame => !frame.isParachuteEjected && frame.time > 0.5);
+    const flightPathAngle = (frame) => Math.atan2(frame.vx, frame.vy) * 180 / Math.PI;
+    // 発射角度に戻されず、迎角 (機軸と飛行経路の差) は小さいまま
+    expect(frames[frames.length - 1].omegaDegrees).toBeGreaterThan(30);
+    frames.forEach(frame => expect(Math.abs(frame.omegaDegrees - flightPathAngle(frame))).toBeLessThan(10));
+  }, 30000);
+});
+
+describe('calculateFlightPath の発射角度', () => {
+  test('±4°・±18°も前後の角度と連続した結果になる', () => {
+    const apogee = (angle) => calculateFlightPath({ ...ROCKET }, angle, 0, 'uniform', { integrator: { method: 'rk4', stepSize: 0.02 } }).maxHeight;
+    [4, 18, -4, -18].forEach(angle => {
+      const step = Math.sign(angle);
+      const [before, at, after] = [apogee(angle - step), apogee(angle), apogee(angle + step)];
+      expect(at).toBeCloseTo((before + after) / 2, 0);
+    });
+  }, 30000);
+});
+
+describe('calculateWindComponentsAtHeight の測定データの表', () => {
+  const TABLE = [{ altitude: 0, speed: 12, direction: null }, { altitude: 300, speed: 20, direction: null }];
+  const windAt = (baseWindSpeed, height, wind = {}) => {
+    const { along, cross } = calculateWindComponentsAtHeight(baseWindSpeed, height, 'custom', { windTable: TABLE, ...wind });
+    return Math.sqrt(along * along + cross * cross);
+  };
+
+  test('スライダーの範囲 (±8m/s) を超える表も基準風速に関係なくそのまま使う', () => {
+    [8, 0, -3].forEach(baseWindSpeed => {
+      expect(windAt(baseWindSpeed, 0)).toBeCloseTo(12, 10);
+      expect(windAt(baseWindSpeed, 150)).toBeCloseTo(16, 10);
+      expect(windAt(baseWindSpeed, 300)).toBeCloseTo(20, 10);
+    });
+  });
+
+  test('突風と分散解析の変動だけを表の値に加える', () => {
+    expect(windAt(8, 150, { gustSpeed: 1.5 })).toBeCloseTo(17.5, 10);
+    expect(windAt(8, 150, { windPerturbation: { speed: -2, direction: 0 } })).toBeCloseTo(14, 10);
+  });
+});
+
+describe('calculateFinDivergenceSpeed', () => {
+  test('300m/sで打ち切らず、表示も上限なしで丸めるだけ', () => {
+    const thin = calculateFinDivergenceSpeed({ ...ROCKET, finThickness: 1.5 });
+    const thick = calculateFinDivergenceSpeed({ ...ROCKET, finThickness: 3 });
+    // ダイバージェンス速度は板厚の1.5乗に比例する
+    expect(thick / thin).toBeCloseTo(Math.pow(2, 1.5), 6);
+    expect(thick).toBeGreaterThan(300);
+    expect(formatSpeedValue(thick)).toBe(`${Math.round(thick)} m/s`);
+    expect(formatSpeedValue(thick, 300)).toBe('300+ m/s');
+  });
+});
+
+describe('calculateFlightPath のロール運動', () => {
+  test('ロール角速度は姿勢と一緒に積分され、積分法によらず一致する', () => {
+    const roll = (integrator) => calculateFlightPath({ ...ROCKET, finCantAngle: 2 }, 0, 0, 'uniform', { integrator }).roll;
+    const reference = roll({ method: 'euler', stepSize: 0.001 });
+    expect(reference.maxRollRate).toBeGreaterThan(1000);
+    [{ method: 'rk4', stepSize: 0.02 }, { method: 'rk45', stepSize: 0.02 }].forEach(integrator => {
+      expect(roll(integrator).maxRollRate / reference.maxRollRate).toBeCloseTo(1, 2);
+    });
+  }, 30000);
+});
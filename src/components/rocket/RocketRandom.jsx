@@ -0,0 +1,20 @@
+// シード付き乱数 (分散解析・突風モデルで共通に使用) 関連の関数
+
+// シード付き乱数生成器 (mulberry32) - 同じシードなら同じ乱数列を返す
+export const createSeededRandom = (seed) => {
+  let state = (Number(seed) >>> 0) || 1;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// 標準正規分布に従う乱数 (Box-Muller法)
+export const randomNormal = (random) => {
+  const u1 = Math.max(random(), Number.EPSILON);
+  const u2 = random();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+};
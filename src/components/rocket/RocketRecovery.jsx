@@ -0,0 +1,186 @@
+// 回収シーケンス (ドローグ・メイン・ストリーマーの放出条件・膨張と抗力) 関連の関数
+import { CANOPY_SHAPES, CANOPY_LIBRARY, RECOVERY_DEVICE_TYPES, RECOVERY_TRIGGERS, RECOVERY_INFLATION, mmToM } from './RocketConstants';
+
+// キャノピーライブラリから取得する関数 (未登録の場合はφ300平面円形)
+export const getCanopy = (canopyKey) => {
+  const canopy = CANOPY_LIBRARY[canopyKey];
+  if (!canopy) {
+    console.warn(`未対応のキャノピーです: ${canopyKey}。φ300を使用します`);
+    return CANOPY_LIBRARY['φ300'];
+  }
+  return canopy;
+};
+
+// キャノピーの布面積 (mm²) - 十字形は2本の腕の重なりを除き、スピルホールの面積を差し引く
+export const getCanopyArea = (canopy) => {
+  const shape = CANOPY_SHAPES[canopy.shape] || CANOPY_SHAPES.flat;
+  const spillHoleArea = Math.PI * Math.pow(canopy.spillHoleDiameter / 2, 2);
+  if (canopy.shape === 'cross') {
+    const armWidth = canopy.diameter * shape.armWidthRatio;
+    return 2 * canopy.diameter * armWidth - armWidth * armWidth - spillHoleArea;
+  }
+  return Math.PI * Math.pow(canopy.diameter / 2, 2) - spillHoleArea;
+};
+
+// 回収装置の抗力基準面積 (m²)
+export const getRecoveryDeviceArea = (device) => {
+  if (device.deviceType === 'streamer') {
+    return mmToM(device.streamerLength) * mmToM(device.streamerWidth);
+  }
+  return getCanopyArea(getCanopy(device.parachute)) * 1e-6;
+};
+
+// 回収装置の抗力係数と膨張時間の基準長さ (m)
+const getRecoveryAerodynamics = (device) => {
+  if (device.deviceType === 'streamer') {
+    const streamer = RECOVERY_DEVICE_TYPES.streamer;
+    return { cd: streamer.cd, fillConstant: streamer.fillConstant, fillLength: mmToM(device.streamerLength) };
+  }
+  const canopy = getCanopy(device.parachute);
+  const shape = CANOPY_SHAPES[canopy.shape] || CANOPY_SHAPES.flat;
+  return { cd: shape.cd, fillConstant: shape.fillConstant, fillLength: mmToM(canopy.diameter) };
+};
+
+// 機体パラメータから回収装置の一覧を取得する関数
+// 部品ツリーの回収装置がない場合は、従来どおりモーター遅延で放出する1つのパラシュートとする
+export const normalizeRecoveryDevices = (rocketParams) => {
+  const devices = rocketParams.recoveryDevices?.length
+    ? rocketParams.recoveryDevices
+    : [{
+      id: 'recovery-default',
+      name: 'パラシュート',
+      deviceType: 'main',
+      parachute: rocketParams.selectedParachute || 'φ300',
+      trigger: { type: 'motorDelay' }
+    }];
+
+  return devices.map(device => {
+    let deviceType = device.deviceType;
+    if (!RECOVERY_DEVICE_TYPES[deviceType]) {
+      console.warn(`未対応の回収装置です: ${deviceType}。メインパラシュートとして扱います`);
+      deviceType = 'main';
+    }
+    let trigger = { type: 'motorDelay', delay: 0, altitude: 0, eventId: null, ...device.trigger };
+    if (!RECOVERY_TRIGGERS[trigger.type]) {
+      console.warn(`未対応の放出条件です: ${trigger.type}。モーター遅延を使用します`);
+      trigger = { ...trigger, type: 'motorDelay' };
+    }
+    return { ...device, deviceType, trigger };
+  });
+};
+
+// シミュレーション用の回収装置の状態を作成する関数
+export const createRecoveryState = (devices) => devices.map(device => ({
+  ...device,
+  ...getRecoveryAerodynamics(device),
+  area: getRecoveryDeviceArea(device),
+  ejectionTime: null,
+  fillTime: null, // 放出時の速度から求めた膨張時間 (s)
+  activeTime: null, // 全開した時刻
+  peakForce: 0, // 開傘衝撃 (膨張中の最大抗力 N)
+  peakForceTime: null,
+  peakForceSpeed: 0
+}));
+
+// 放出条件を満たしたかを判定する関数
+// flight: { time, height, speed, thrustEndTime, motorDelay, apogeeTime }
+const isTriggerSatisfied = (device, states, flight) => {
+  const { type, delay = 0, altitude = 0, eventId } = device.trigger;
+  switch (type) {
+    case 'motorDelay':
+      return flight.time >= flight.thrustEndTime + flight.motorDelay;
+    case 'apogee':
+      return flight.apogeeTime !== null && flight.time >= flight.apogeeTime + delay;
+    case 'altitude':
+      return flight.apogeeTime !== null && flight.height <= altitude;
+    case 'afterEvent': {
+      const reference = states.find(state => state.id === eventId);
+      if (!reference || reference === device) return false;
+      return reference.ejectionTime !== null && flight.time >= reference.ejectionTime + delay;
+    }
+    default:
+      return false;
+  }
+};
+
+// 膨張時間 t = n × D / v (放出時の速度が小さい場合は下限速度を使用)
+const calculateFillTime = (state, speed) => {
+  const fillTime = state.fillConstant * state.fillLength / Math.max(speed, RECOVERY_INFLATION.minSpeed);
+  return Math.min(Math.max(fillTime, RECOVERY_INFLATION.minFillTime), RECOVERY_INFLATION.maxFillTime);
+};
+
+// 放出からの経過時間に対する膨張率 (0～1)
+const getInflation = (state, time) => {
+  if (state.ejectionTime === null) return 0;
+  const ratio = Math.min(1, Math.max(0, (time - state.ejectionTime) / state.fillTime));
+  return Math.pow(ratio, RECOVERY_INFLATION.exponent);
+};
+
+// 回収装置の放出・全開を更新し、この時刻に発生したイベントを返す関数
+// 他のイベントを起点とするタイマーが同じ時刻に連鎖する場合も処理する
+export const updateRecoverySequence = (states, flight) => {
+  const events = [];
+  let changed = true;
+  while (changed) {
+    changed = false;
+    states.forEach(state => {
+      if (state.ejectionTime === null && isTriggerSatisfied(state, states, flight)) {
+        state.ejectionTime = flight.time;
+        state.fillTime = calculateFillTime(state, flight.speed ?? 0);
+        events.push({ state, event: 'ejection' });
+        changed = true;
+      }
+    });
+  }
+
+  states.forEach(state => {
+    if (state.ejectionTime !== null && state.activeTime === null &&
+      flight.time >= state.ejectionTime + state.fillTime) {
+      state.activeTime = flight.time;
+      events.push({ state, event: 'active' });
+    }
+  });
+
+  return events;
+};
+
+// 膨張中の抗力から各回収装置の開傘衝撃 (最大抗力) を更新する関数
+// dynamicPressure: 動圧 0.5ρv² (Pa)
+export const updateOpeningShock = (states, time, dynamicPressure, speed) => {
+  states.forEach(state => {
+    if (state.ejectionTime === null) return;
+    const force = dynamicPressure * state.cd * state.area * getInflation(state, time);
+    if (force > state.peakForce) {
+      state.peakForce = force;
+      state.peakForceTime = time;
+      state.peakForceSpeed = speed;
+    }
+  });
+};
+
+// 開傘衝撃の一覧 (放出済みの回収装置のみ)
+export const getOpeningShocks = (states) => states
+  .filter(state => state.ejectionTime !== null)
+  .map(state => ({
+    id: state.id,
+    name: state.name,
+    deviceType: state.deviceType,
+    force: state.peakForce,
+    time: state.peakForceTime,
+    speed: state.peakForceSpeed,
+    fillTime: state.fillTime
+  }));
+
+// 放出済み・全開の回収装置の集計 (膨張率を反映した抗力係数×面積 m² と展開率)
+export const getRecoverySummary = (states, time) => {
+  const ejected = states.filter(state => state.ejectionTime !== null);
+  const inflations = ejected.map(state => getInflation(state, time));
+
+  return {
+    isEjected: ejected.length > 0,
+    isActive: ejected.some(state => state.activeTime !== null),
+    deploymentProgress: inflations.reduce((max, inflation) => Math.max(max, inflation), 0),
+    dragArea: ejected.reduce((sum, state, index) => sum + state.cd * state.area * inflations[index], 0),
+    area: ejected.reduce((sum, state, index) => sum + state.area * inflations[index], 0)
+  };
+};
@@ -1,6 +1,10 @@
 // SVG描画関連の関数
 import React from 'react';
-import { SVG_CONFIG, ANALYSIS_VIEW_CONFIG } from './RocketConstants';
+import { SVG_CONFIG, ANALYSIS_VIEW_CONFIG, GROUND_TRACK_VIEW } from './RocketConstants';
+import { getCanopy } from './RocketRecovery';
+import { toGroundCoordinates } from './RocketWindProfile';
+import { getFinAngles, getFinOutline } from './RocketFinGeometry';
+import { getNoseProfilePoints } from './RocketNoseGeometry';
 
 // 安全な値を取得するユーティリティ関数 - より強化されたバージョン
 export const getSafeValue = (value, defaultValue = 0) => {
@@ -17,29 +21,19 @@ export const getSafeValue = (value, defaultValue = 0) => {
   return value;
 };
 
+// ノーズの外形パス (半径分布の点列を左側の基部 → 先端 → 右側の基部の順に結ぶ)
+// noseParams: { noseShape, noseHeight, bodyWidth, noseExponent, noseOgiveRatio }、baseY: ノーズ基部のY座標
+export const getNoseProfilePath = (noseParams, centerX, baseY) => {
+  const points = getNoseProfilePoints(noseParams);
+  const tipY = baseY - noseParams.noseHeight;
+  const left = [...points].reverse().map(point => `${centerX - point.r} ${tipY + point.x}`);
+  const right = points.slice(1).map(point => `${centerX + point.r} ${tipY + point.x}`);
+  return `M ${left[0]} L ${[...left.slice(1), ...right].join(' L ')} Z`;
+};
+
 // getNosePath 関数の修正
-export const getNosePath = (config, noseShape, noseHeight, bodyWidth, bodyHeight) => {
-  const startX = config.centerX - bodyWidth / 2;
-  const endX = config.centerX + bodyWidth / 2;
-  const baseY = config.height - bodyHeight; // ノーズコーンの底辺
-  const topY = baseY - noseHeight; // ノーズコーンの先端
-
-  if (noseShape === "cone") {
-    // 円錐ノーズ
-    return `M ${startX} ${baseY} L ${config.centerX} ${topY} L ${endX} ${baseY} Z`;
-  } else if (noseShape === "parabola") {
-    // 放物線ノーズ
-    const controlY = topY + noseHeight * 0.15;
-    return `M ${startX} ${baseY} 
-            C ${startX} ${controlY}, ${config.centerX} ${topY}, ${config.centerX} ${topY}
-            C ${config.centerX} ${topY}, ${endX} ${controlY}, ${endX} ${baseY} Z`;
-  } else {
-    // オジブノーズ
-    const halfWidth = bodyWidth / 2;
-    return `M ${startX} ${baseY}
-            Q ${startX + halfWidth * 0.1} ${topY + noseHeight * 0.4}, ${config.centerX} ${topY}
-            Q ${endX - halfWidth * 0.1} ${topY + noseHeight * 0.4}, ${endX} ${baseY} Z`;
-  }
+export const getNosePath = (config, noseParams, bodyHeight) => {
+  return getNoseProfilePath(noseParams, config.centerX, config.height - bodyHeight);
 };
 
 // getBodyPath 関数の修正
@@ -55,6 +49,38 @@ export const getBodyPath = (config, bodyHeight, bodyWidth) => {
           L ${endX} ${baseY} Z`;
 };
 
+// 部品ツリーのボディ部品 (ボディチューブ・トランジション) のパスを取得する関数
+// stackParts: layoutRocketTree の結果 (position はノーズ先端からの距離)、機体後端を config.height に揃える
+export const getBodyStackPaths = (config, stackParts, stackLength) => {
+  const tipY = config.height - stackLength;
+  return stackParts
+    .filter(part => part.type !== 'noseCone')
+    .map(part => {
+      const foreRadius = (part.type === 'transition' ? part.foreDiameter : part.diameter) / 2;
+      const aftRadius = (part.type === 'transition' ? part.aftDiameter : part.diameter) / 2;
+      const topY = tipY + part.position;
+      const bottomY = topY + part.length;
+      return {
+        id: part.id,
+        type: part.type,
+        path: `M ${config.centerX - aftRadius} ${bottomY}
+          L ${config.centerX - foreRadius} ${topY}
+          L ${config.centerX + foreRadius} ${topY}
+          L ${config.centerX + aftRadius} ${bottomY} Z`
+      };
+    });
+};
+
+// ランチラグのパスを取得する関数 (ボディ右側面に描画)
+export const getLaunchLugPath = (config, lug, stackLength, bodyDiameter) => {
+  const topY = config.height - stackLength + lug.position;
+  const leftX = config.centerX + bodyDiameter / 2;
+  return `M ${leftX} ${topY}
+          L ${leftX + lug.diameter} ${topY}
+          L ${leftX + lug.diameter} ${topY + lug.length}
+          L ${leftX} ${topY + lug.length} Z`;
+};
+
 // getLeftFinPath 関数の修正 - 後退代（finSweepLength）がマイナスの場合に対応
 export const getLeftFinPath = (config, bodyWidth, finHeight, finBaseWidth, finSweepLength, finTipWidth) => {
   const bodyLeftX = config.centerX - bodyWidth / 2;
@@ -138,54 +164,64 @@ export const getCenterFinsPath = (config, finThickness, finBaseWidth, finSweepLe
           L ${config.centerX + halfThickness} ${finTopY - frontExtension} Z`;
 };
 
-// 3枚フィン用の左右のフィンを描画する関数
-export const getTriFinLeftRightPaths = (config, bodyWidth, finHeight, finBaseWidth, finSweepLength, finTipWidth) => {
-  const centerX = config.centerX;
-  const bottomY = config.height;
-  
-  // ボディの半径
-  const bodyRadius = bodyWidth / 2;
-  
-  // フィンの付け根の位置: ボディの中心から ±(ボディ径/2×1.73/2) の位置
-  const offset = bodyRadius * 1.73 / 2;
-  const leftFinRootX = centerX - offset;
-  const rightFinRootX = centerX + offset;
-  
-  // フィンの幅: 設定値 × 1.73 / 2
-  const adjustedFinHeight = finHeight * 1.73 / 2;
-  
-  // フィン付け根の上端位置
-  const finTopY = bottomY - finBaseWidth;
-  
-  // 後退代がマイナスの場合の処理を追加
-  let adjustedFinTopY, adjustedFinBottomY;
-  
-  if (finSweepLength >= 0) {
-    // 通常の正の後退代の場合
-    adjustedFinTopY = finTopY + finSweepLength;
-    adjustedFinBottomY = adjustedFinTopY + finTipWidth;
-  } else {
-    // 後退代がマイナスの場合（前進翼）
-    adjustedFinTopY = finTopY - Math.abs(finSweepLength);
-    adjustedFinBottomY = adjustedFinTopY + finTipWidth;
-  }
-  
-  // 左フィンのパス
-  const leftFinPath = `M ${leftFinRootX} ${finTopY}
-                       L ${leftFinRootX} ${bottomY}
-                       L ${leftFinRootX - adjustedFinHeight} ${adjustedFinBottomY}
-                       L ${leftFinRootX - adjustedFinHeight} ${adjustedFinTopY} Z`;
-  
-  // 右フィンのパス
-  const rightFinPath = `M ${rightFinRootX} ${finTopY}
-                        L ${rightFinRootX} ${bottomY}
-                        L ${rightFinRootX + adjustedFinHeight} ${adjustedFinBottomY}
-                        L ${rightFinRootX + adjustedFinHeight} ${adjustedFinTopY} Z`;
-  
-  return {
-    leftFin: leftFinPath,
-    rightFin: rightFinPath
-  };
+// 任意枚数のフィンを側面図に描画する関数
+// x, y: フィン付け根後縁の中心、deflection: フィンのたわみ角 (度)
+// 手前側 (正面を向く) の中央フィンは厚み方向の帯、それ以外は取付角に応じて幅を縮めた平面形で描画する
+// 奥側のフィンは backFins としてボディより先に描画する
+export const getFinSetSidePaths = (x, y, params, deflection = 0) => {
+  const bodyRadius = getSafeValue(params.bodyWidth, 30) / 2;
+  const finBaseWidth = getSafeValue(params.finBaseWidth, 30);
+  const halfThickness = getSafeValue(params.finThickness, 2) / 2;
+  const outline = getFinOutline({
+    finShape: params.finShape,
+    finPoints: params.finPoints,
+    finHeight: getSafeValue(params.finHeight, 40),
+    finBaseWidth,
+    finTipWidth: getSafeValue(params.finTipWidth, 20),
+    finSweepLength: getSafeValue(params.finSweepLength, 0)
+  });
+
+  // 付け根前縁の位置 (外形の座標の原点)
+  const finTopY = y - finBaseWidth;
+  const deflectionAngle = deflection * Math.PI / 180;
+
+  const backFins = [];
+  const frontFins = [];
+  let centerFins = null;
+
+  getFinAngles(params.finCount).forEach(angle => {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    if (Math.abs(cos) < 1e-6) {
+      // 正面を向くフィンは手前側のみ、外形の前端から後端までの帯で描画 (奥側はボディに隠れる)
+      if (sin > 0) {
+        const frontY = finTopY + Math.min(...outline.map(point => point.x));
+        const backY = finTopY + Math.max(...outline.map(point => point.x));
+        centerFins = `M ${x - halfThickness} ${frontY}
+          L ${x - halfThickness} ${backY}
+          L ${x + halfThickness} ${backY}
+          L ${x + halfThickness} ${frontY} Z`;
+      }
+      return;
+    }
+
+    // スパン方向は取付角に応じて縮め、たわみで翼端側を後方へずらす
+    const rootX = x + bodyRadius * cos;
+    const path = outline.map((point, i) => {
+      const px = rootX + point.y * cos * Math.cos(deflectionAngle);
+      const py = finTopY + point.x + point.y * Math.abs(cos) * Math.sin(deflectionAngle);
+      return `${i === 0 ? 'M' : 'L'} ${px} ${py}`;
+    }).join(' ') + ' Z';
+
+    if (sin < -1e-6) {
+      backFins.push(path);
+    } else {
+      frontFins.push(path);
+    }
+  });
+
+  return { backFins, frontFins, centerFins };
 };
 
 // 姿勢表示用に中央のフィンを描画する関数
@@ -234,20 +270,7 @@ export const drawInitialRocket = (centerX, centerY, params, rotation) => {
                      L ${params.bodyWidth / 2} ${0} 
                      L ${params.bodyWidth / 2} ${-params.bodyHeight} Z`;
                      
-    let nosePath;
-    if (params.noseShape === "cone") {
-      nosePath = `M ${-params.bodyWidth / 2} ${-params.bodyHeight} 
-                  L ${0} ${-params.bodyHeight - params.noseHeight} 
-                  L ${params.bodyWidth / 2} ${-params.bodyHeight} Z`;
-    } else if (params.noseShape === "parabola") {
-      nosePath = `M ${-params.bodyWidth / 2} ${-params.bodyHeight} 
-                  Q ${0} ${-params.bodyHeight - params.noseHeight * 1.2}, 
-                    ${params.bodyWidth / 2} ${-params.bodyHeight} Z`;
-    } else { // ogive
-      nosePath = `M ${-params.bodyWidth / 2} ${-params.bodyHeight} 
-                  Q ${0} ${-params.bodyHeight - params.noseHeight * 1.1}, 
-                    ${params.bodyWidth / 2} ${-params.bodyHeight} Z`;
-    }
+    const nosePath = getNoseProfilePath(params, 0, -params.bodyHeight);
     
     const leftFinPath = `M ${-params.bodyWidth / 2} ${-params.finBaseWidth} 
                          L ${-params.bodyWidth / 2} ${0} 
@@ -416,7 +439,7 @@ export const getParachutePath = (x, y, isOpen, deploymentProgress = 1.0, rotatio
   const parachuteY = y - offsetDistance;
 
   // パラシュートサイズの計算
-  const parachuteSize = (parseInt(selectedParachute.slice(1)) / 1000 / 2) * trajectoryScale * deploymentProgress;
+  const parachuteSize = (getCanopy(selectedParachute).diameter / 1000 / 2) * trajectoryScale * deploymentProgress;
 
   // パラシュートのパスを描画
   return `M ${parachuteX - parachuteSize} ${parachuteY}
@@ -442,7 +465,7 @@ export const getParachuteStringPaths = (x, y, isOpen, deploymentProgress = 1.0,
   const parachuteY = y - offsetDistance;
 
   // パラシュートサイズも同一の計算で
-  const parachuteSize = (parseInt(selectedParachute.slice(1)) / 1000 / 2) * trajectoryScale * deploymentProgress;
+  const parachuteSize = (getCanopy(selectedParachute).diameter / 1000 / 2) * trajectoryScale * deploymentProgress;
 
   // キャノピーの各部分の座標を計算
   const canopyLeftX = parachuteX - parachuteSize;
@@ -490,6 +513,138 @@ export const metersToSvgY = (meters, trajectoryScale) => {
   return SVG_CONFIG.groundLevel - meters * trajectoryScale;
 };
 
+// 着地点の確率楕円を側面図 (軌道表示) の地面上に描く楕円に変換する関数
+// クロスレンジ方向は斜め上から見た奥行きとして縦方向に縮めて表示する
+export const getLandingEllipseShape = (ellipse, trajectoryScale, depthRatio = 0.3) => {
+  const cos = Math.cos(ellipse.rotation);
+  const sin = Math.sin(ellipse.rotation);
+  const downrangeExtent = Math.sqrt(Math.pow(ellipse.semiMajor * cos, 2) + Math.pow(ellipse.semiMinor * sin, 2));
+  const crossrangeExtent = Math.sqrt(Math.pow(ellipse.semiMajor * sin, 2) + Math.pow(ellipse.semiMinor * cos, 2));
+  return {
+    cx: metersToSvgX(ellipse.centerX, trajectoryScale),
+    cy: SVG_CONFIG.groundLevel,
+    rx: Math.max(2, downrangeExtent * trajectoryScale),
+    ry: Math.max(2, crossrangeExtent * trajectoryScale * depthRatio)
+  };
+};
+
+// 地上軌跡 (北を上にした上面図) の座標変換を作成する関数
+// points: [{ x: ダウンレンジ (m), z: クロスレンジ (m) }] - すべての点が収まるように縮尺を決める
+export const createGroundTrackProjection = (points, launchAzimuth, config = GROUND_TRACK_VIEW) => {
+  const center = config.size / 2;
+  const extent = points.reduce((max, point) => {
+    const ground = toGroundCoordinates(point.x, point.z, launchAzimuth);
+    return Math.max(max, Math.abs(ground.east), Math.abs(ground.north));
+  }, config.minExtent);
+  const scale = (center - config.padding) / extent;
+  return {
+    center,
+    extent,
+    scale,
+    // ダウンレンジ方向のSVG上の回転角 (度, 東向きが0°)
+    downrangeRotation: launchAzimuth - 90,
+    toSvg: (x, z) => {
+      const ground = toGroundCoordinates(x, z, launchAzimuth);
+      return { x: center + ground.east * scale, y: center - ground.north * scale };
+    }
+  };
+};
+
+// 飛行データから地上軌跡のパスを生成する関数
+export const getGroundTrackPath = (data, projection) => {
+  return data.map((frame, index) => {
+    const point = projection.toSvg(frame.physicsX, frame.physicsZ ?? 0);
+    return `${index === 0 ? 'M' : 'L'} ${point.x} ${point.y}`;
+  }).join(' ');
+};
+
+// Cd-速度グラフの座標変換と折れ線のパス (curve: [{ speed, coast, thrust }])
+// 縦軸の上限は Cd の最大値を0.1単位で切り上げた値
+export const getDragChart = (curve, view) => {
+  const maxSpeed = curve.length > 0 ? curve[curve.length - 1].speed : 1;
+  const maxCd = Math.max(0.1, Math.ceil(Math.max(0, ...curve.map(point => Math.max(point.coast, point.thrust))) * 10) / 10);
+  const plotWidth = view.chartWidth - view.padding * 1.5;
+  const plotHeight = view.chartHeight - view.padding * 1.5;
+  const toSvg = (speed, cd) => ({
+    x: view.padding + (speed / maxSpeed) * plotWidth,
+    y: view.padding / 2 + (1 - cd / maxCd) * plotHeight
+  });
+  const toPath = (key) => curve.map((point, index) => {
+    const { x, y } = toSvg(point.speed, point[key]);
+    return `${index === 0 ? 'M' : 'L'} ${x} ${y}`;
+  }).join(' ');
+  return { maxSpeed, maxCd, toSvg, coastPath: toPath('coast'), thrustPath: toPath('thrust') };
+};
+
+// フラッター余裕の推移を横軸 xKey ('time' または 'height') に対して描くグラフを生成する関数
+// 縦軸は余裕 (%、view.maxMargin で頭打ち)、余裕0 (フラッター速度 = 対気速度) の線を基準線として返す
+export const getFlutterMarginChart = (history, xKey, view) => {
+  const maxX = Math.max(1e-6, ...history.map(point => point[xKey]));
+  const margins = history.map(point => Math.min(point.margin * 100, view.maxMargin));
+  const maxMargin = Math.max(10, Math.ceil(Math.max(0, ...margins) / 10) * 10);
+  const minMargin = Math.min(0, Math.floor(Math.min(0, ...margins) / 10) * 10);
+  const plotWidth = view.chartWidth - view.padding * 1.5;
+  const plotHeight = view.chartHeight - view.padding * 1.5;
+  const toSvg = (x, margin) => ({
+    x: view.padding + (x / maxX) * plotWidth,
+    y: view.padding / 2 + (maxMargin - margin) / (maxMargin - minMargin) * plotHeight
+  });
+  const path = history.map((point, index) => {
+    const { x, y } = toSvg(point[xKey], margins[index]);
+    return `${index === 0 ? 'M' : 'L'} ${x} ${y}`;
+  }).join(' ');
+  return { maxX, maxMargin, minMargin, toSvg, path, zeroY: toSvg(0, 0).y };
+};
+
+// CN・CP-迎角グラフの座標変換と折れ線のパス (curve: [{ angle, normalForce, centerOfPressure }])
+// 縦軸は valueKey の値と references (重心位置などの基準線) を含む範囲を上下に10%広げたもの
+export const getNormalForceChart = (curve, valueKey, view, references = []) => {
+  const maxAngle = curve.length > 0 ? curve[curve.length - 1].angle : 1;
+  const values = [...curve.map(point => point[valueKey]), ...references];
+  const range = Math.max(Math.max(...values) - Math.min(...values), 1e-6);
+  const minValue = Math.min(...values) - range * 0.1;
+  const maxValue = Math.max(...values) + range * 0.1;
+  const plotWidth = view.chartWidth - view.padding * 1.5;
+  const plotHeight = view.chartHeight - view.padding * 1.5;
+  const toSvg = (angle, value) => ({
+    x: view.padding + (angle / maxAngle) * plotWidth,
+    y: view.padding / 2 + (maxValue - value) / (maxValue - minValue) * plotHeight
+  });
+  const path = curve.map((point, index) => {
+    const { x, y } = toSvg(point.angle, point[valueKey]);
+    return `${index === 0 ? 'M' : 'L'} ${x} ${y}`;
+  }).join(' ');
+  return { maxAngle, minValue, maxValue, toSvg, path };
+};
+
+// 着地点の95%楕円を地上軌跡の座標に変換する関数 (rotation はSVGの回転角, 度)
+export const getGroundTrackEllipse = (ellipse, projection) => {
+  const center = projection.toSvg(ellipse.centerX, ellipse.centerY);
+  return {
+    cx: center.x,
+    cy: center.y,
+    rx: Math.max(2, ellipse.semiMajor * projection.scale),
+    ry: Math.max(2, ellipse.semiMinor * projection.scale),
+    rotation: projection.downrangeRotation - ellipse.rotation * 180 / Math.PI
+  };
+};
+
+// 地上軌跡に描く風向矢印 (風が吹いていく向き) を生成する関数
+export const getGroundTrackWindArrow = (windDirection, windSpeed, x, y, length = 30) => {
+  const sign = windSpeed < 0 ? -1 : 1;
+  const rad = windDirection * Math.PI / 180;
+  const dx = -Math.sin(rad) * sign;
+  const dy = Math.cos(rad) * sign;
+  const endX = x + dx * length;
+  const endY = y + dy * length;
+  const headSize = 6;
+  return {
+    line: `M ${x} ${y} L ${endX} ${endY}`,
+    head: `M ${endX} ${endY} L ${endX - headSize * (dx + dy * 0.5)} ${endY - headSize * (dy - dx * 0.5)} ` +
+      `L ${endX - headSize * (dx - dy * 0.5)} ${endY - headSize * (dy + dx * 0.5)} Z`
+  };
+};
+
 // 安全な回転属性を生成する関数
 export const getSafeRotationTransform = (rotation, x, y) => {
   // 全ての値にNaNチェック
@@ -525,12 +680,10 @@ export const calculateAttitudeDisplayScale = (rocketParams, circleRadius = 90) =
 };
 
 // 視覚化のための風速高度分布矢印を描画する関数
-export const getWindProfileArrows = (baseWindSpeed, profile, showWindArrows, metersToSvgY, calculateWindSpeedAtHeight) => {
+// heights: 表示する高度レベル（メートル）- 測定データの表を使う場合は表の高度を渡す
+export const getWindProfileArrows = (baseWindSpeed, profile, showWindArrows, metersToSvgY, calculateWindSpeedAtHeight, heights = [0, 20, 40, 60, 80]) => {
   if (!showWindArrows) return [];
   
-  // 表示する高度レベル（メートル）
-  const heights = [0, 20, 40, 60, 80];
-  
   return heights.map(height => {
     // 各高度での風速を計算
     const windSpeed = calculateWindSpeedAtHeight(baseWindSpeed, height, profile);
@@ -0,0 +1,48 @@
+// カントフィンによるロール運動と、ロール・ピッチ共振の判定 関連の関数
+// ロールモーメントはフィンの法線力 (法線力モデルのフィンのCNα) がMACのスパン位置に作用するとして求める
+//   強制モーメント: 全フィンの法線力 q · CNα · δ に腕の長さを掛けたもの (δ: カント角)
+//   減衰モーメント: ロール角速度 p による局所迎角 p · 腕の長さ / V に対する法線力のモーメント
+import { ROLL_DYNAMICS, mmToM } from './RocketConstants';
+import { getFinPlanform, normalizeFinCount } from './RocketFinGeometry';
+
+const DEG_TO_RAD = Math.PI / 180;
+
+// 飛行計算で1回だけ求める形状・質量の係数
+// normalForceModel: createNormalForceModel の結果、finMass: フィン1枚の質量 (kg)
+export const createRollModel = (rocketParams, normalForceModel, finMass) => {
+  const planform = getFinPlanform(rocketParams);
+  const finCount = normalizeFinCount(rocketParams.finCount || 3);
+  const bodyRadius = mmToM(rocketParams.finBodyDiameter ?? rocketParams.bodyWidth) / 2;
+  const finCentroidRadius = bodyRadius + mmToM(planform.centroidY);
+
+  return {
+    cantAngle: (rocketParams.finCantAngle || 0) * DEG_TO_RAD,
+    rollArm: bodyRadius + mmToM(planform.macSpanPosition), // 機軸から法線力の作用点まで (m)
+    forceSlope: normalForceModel.finCnAlpha * normalForceModel.referenceArea, // 全フィンの法線力傾斜 (m²)
+    bodyRadius,
+    finsMass: finCount * finMass,
+    finsInertia: finCount * finMass * finCentroidRadius * finCentroidRadius
+  };
+};
+
+// ロール軸まわりの慣性モーメント (kg·m²) - 胴体は中実の円柱、フィンは図心に集中した質量とみなす
+export const calculateRollMomentOfInertia = (model, mass) =>
+  0.5 * Math.max(mass - model.finsMass, 0) * model.bodyRadius * model.bodyRadius + model.finsInertia;
+
+// ロールモーメント (N·m) = 強制モーメント + 減衰モーメント
+// ロール角速度はこのモーメントをロール軸まわりの慣性モーメントで割って、ピッチ・ヨーと一緒に積分する
+export const calculateRollMoment = (model, rollRate, dynamicPressure, airSpeed) => {
+  if (airSpeed < ROLL_DYNAMICS.minVelocity) {
+    return 0;
+  }
+  const momentSlope = dynamicPressure * model.forceSlope * model.rollArm;
+  return momentSlope * (model.cantAngle - rollRate * model.rollArm / airSpeed);
+};
+
+// ロール角速度とピッチ固有角振動数の比が共振域に入っているか
+export const isRollPitchResonant = (rollRate, pitchFrequency) => {
+  if (!(pitchFrequency > 0)) {
+    return false;
+  }
+  return Math.abs(Math.abs(rollRate) / pitchFrequency - 1) <= ROLL_DYNAMICS.resonanceBand;
+};
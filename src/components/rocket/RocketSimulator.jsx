@@ -3,10 +3,13 @@ import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react'
 import { useNavigate } from 'react-router-dom';
 // 定数とデータ定義のインポート
 import {
-  SVG_CONFIG, MOTOR_THRUST_DATA, PARACHUTE_SIZES, FIN_MATERIALS,
+  SVG_CONFIG, CANOPY_LIBRARY, FIN_MATERIALS,
   NOSE_SHAPES, WIND_PROFILES, PHYSICAL_CONSTANTS, ANGLE_RESPONSE_DT,
   ANGLE_STEPS_PER_UPDATE, ANIMATION_SPEED, SLIDER_DEBOUNCE_TIME,
-  mmToM, gToKg, UI_CONFIG, ANALYSIS_VIEW_CONFIG
+  mmToM, gToKg, UI_CONFIG, ANALYSIS_VIEW_CONFIG, DEFAULT_LAUNCH_SITE,
+  DEFAULT_INTEGRATOR_SETTINGS, SIMULATION_MAX_TIME, DEFAULT_DISPERSION_SETTINGS,
+  DEFAULT_GUST_SETTINGS, DEFAULT_DISTURBANCE_SETTINGS, DEFAULT_AZIMUTHS, DEFAULT_SURFACE_FINISH, DRAG_ANALYSIS, FLUTTER_CHART,
+  NORMAL_FORCE_CHART
 } from './RocketConstants';
 
 // 物理計算関連のインポート
@@ -14,16 +17,18 @@ import {
   calculateProjectedArea, calculateVolume, calculateCenterOfPressure,
   calculateAerodynamicCenter, calculateStabilityCenterOfPressure,
   calculateStaticMargin, calculateFinDivergenceSpeed, calculateFinFlutterSpeed,
-  formatFinDeflection, formatSpeedValue, calculateWindSpeedAtHeight,
-  calculateFlightPath, ENHANCED_ATTITUDE_CONTROL, WIND_ANGLE_LIMITATION,
-  PHYSICAL_ATTITUDE_CONTROL // 姿勢制御関連の定数をインポート
+  formatFinDeflection, formatSpeedValue, extractFlutterHistory, calculateWindComponentsAtHeight,
+  calculateFlightPath, ENHANCED_ATTITUDE_CONTROL, WIND_ANGLE_LIMITATION // 姿勢制御関連の定数をインポート
 } from './RocketPhysics';
+import { createDragModel, calculateDragCoefficients, calculateDragCurve } from './RocketDrag';
+import { createNormalForceModel, calculateNormalForceCurve } from './RocketNormalForce';
+import { getMaterialLibrary, saveCustomMaterial, removeCustomMaterial } from './RocketMaterials';
 
 // SVG描画関連のインポート
 import {
-  getNosePath, getBodyPath, getLeftFinPath, getRightFinPath, getCenterFinsPath,
-  getParachutePath, getParachuteStringPaths, getWindArrow, getWindProfileArrows,
-  metersToSvgX, metersToSvgY, getActualRocketDimensions, getSafeRotationTransform,
+  getNosePath, getBodyPath, getLeftFinPath, getRightFinPath, getCenterFinsPath, getFinSetSidePaths,
+  getBodyStackPaths, getLaunchLugPath, getParachutePath, getParachuteStringPaths, getWindArrow, getWindProfileArrows,
+  getLandingEllipseShape, metersToSvgX, metersToSvgY, getActualRocketDimensions, getSafeRotationTransform,
   getAnalysisViewBox, getDesignViewBox, getRocketTransform, getSafeValue,
 } from './RocketRendering';
 
@@ -41,53 +46,135 @@ import { usePreFlightRocketSim } from './RocketUIPreCalu'
 // 新しい着地予測関連のインポートを追加
 import { predictLanding, calculateFlightPathWithLanding } from './RocketLandingPrediction';
 
+// 大気モデル関連のインポート
+import { getAtmosphere } from './RocketAtmosphere';
+
+// モーター登録情報関連のインポート
+import { getMotor, getMotorNames, getMotorBurnTime, getDefaultMotorDelay, importMotorFile } from './RocketMotors';
+
+// 機体構成 (部品ツリー) 関連のインポート
+import {
+  createDefaultRocketTree, layoutRocketTree, deriveRocketParams, applyRocketParamToTree, getDiameterAt,
+  addRocketPart, updateRocketPart, removeRocketPart, moveRocketPart
+} from './RocketComponentTree';
+
+// 質量バジェット関連のインポート
+import { calculateMassBudget } from './RocketMassBudget';
+
+// 分散解析関連のインポート
+import { runDispersionAnalysisInChunks } from './RocketDispersion';
+
+// 測定データによる風速プロファイル関連のインポート
+import { parseWindProfileCsv, normalizeWindTable } from './RocketWindProfile';
+
 // 開発モード設定 - 本番環境ではfalseに設定する
 const ENABLE_DEV_MODE = false; // ここを true/false で切り替える
 
 // ロケットデザインとシミュレーションを統合したカスタムフック
 const useRocketSimulator = () => {
-  // 初期値を明示的に設定することで、undefinedやnullが発生しない
-  const initialRocketState = {
-    noseShape: "ogive",
-    noseHeight: 57,
-    bodyHeight: 255,
-    bodyWidth: 31,
-    finHeight: 57.5,
-    finBaseWidth: 65,
-    finTipWidth: 25,
-    finThickness: 1.5,
-    finSweepLength: 82.5,
-    finMaterial: "light_veneer",
-    finCount: 3,
-    weight: 50,
-    centerOfGravity: 150
-  };
+  // 機体構成 (部品ツリー) - 形状パラメータはここから導出する
+  const [rocketTree, setRocketTree] = useState(createDefaultRocketTree);
+  const rocketLayout = useMemo(() => layoutRocketTree(rocketTree), [rocketTree]);
+  const treeParams = useMemo(() => deriveRocketParams(rocketTree), [rocketTree]);
+  const {
+    noseShape, noseHeight, bodyHeight, bodyWidth, finHeight, finBaseWidth, finTipWidth,
+    finThickness, finSweepLength, finMaterial, finCount, finShape, finPoints, selectedParachute,
+    noseExponent, noseOgiveRatio
+  } = treeParams;
 
-  // Design parameters
-  const [noseShape, setNoseShape] = useState("ogive");
-  const [noseHeight, setNoseHeight] = useState(57);   // 57mmに変更
-  const [bodyHeight, setBodyHeight] = useState(255);   // 255mmに変更
-  const [bodyWidth, setBodyWidth] = useState(31);
-  const [finHeight, setFinHeight] = useState(57.5);      // 57.5mmに変更
-  const [finBaseWidth, setFinBaseWidth] = useState(65); // 65mmに変更
-  const [finTipWidth, setFinTipWidth] = useState(25);   // 25mmに変更
-  const [finThickness, setFinThickness] = useState(1.5); // 1.5mmに変更
-  const [finSweepLength, setFinSweepLength] = useState(82.5); // 82.5mmに変更
-  const [finMaterial, setFinMaterial] = useState("light_veneer");
-  // フィン枚数状態を追加
-  const [finCount, setFinCount] = useState(3); // デフォルトは3枚
+  // 従来の形状パラメータ用のセッター (部品ツリーの該当部品を更新する)
+  const createTreeParamSetter = (key) => (value) => {
+    setRocketTree(tree => applyRocketParamToTree(tree, key, value));
+  };
+  const setNoseShape = createTreeParamSetter('noseShape');
+  const setNoseHeight = createTreeParamSetter('noseHeight');
+  const setBodyHeight = createTreeParamSetter('bodyHeight');
+  const setBodyWidth = createTreeParamSetter('bodyWidth');
+  const setFinHeight = createTreeParamSetter('finHeight');
+  const setFinBaseWidth = createTreeParamSetter('finBaseWidth');
+  const setFinTipWidth = createTreeParamSetter('finTipWidth');
+  const setFinThickness = createTreeParamSetter('finThickness');
+  const setFinSweepLength = createTreeParamSetter('finSweepLength');
+  const setFinMaterial = createTreeParamSetter('finMaterial');
+  const setFinCount = createTreeParamSetter('finCount');
+  const setSelectedParachute = createTreeParamSetter('selectedParachute');
+
+  // フィン後縁が機体後端からずれている場合に、フィン描画の基準位置を移動した描画設定を返す
+  const getFinConfig = (config) => ({
+    ...config,
+    height: config.height - (rocketLayout.stackLength - (treeParams.finPosition + finBaseWidth))
+  });
+
+  // 部品の追加・変更・削除・並べ替え
+  const handleAddRocketPart = (type) => setRocketTree(tree => addRocketPart(tree, type));
+  const handleUpdateRocketPart = (id, changes) => setRocketTree(tree => updateRocketPart(tree, id, changes));
+  const handleRemoveRocketPart = (id) => setRocketTree(tree => removeRocketPart(tree, id));
+  const handleMoveRocketPart = (id, offset) => setRocketTree(tree => moveRocketPart(tree, id, offset));
 
   // Analysis parameters - weight変数の宣言を初期化前の参照より前に移動
-  const [weight, setWeight] = useState(50);
-  const [centerOfGravity, setCenterOfGravity] = useState(150);
+  // 重量・重心は質量バジェットから計算し、実測値を使う場合のみスライダーの値を使う
+  const [useMeasuredMass, setUseMeasuredMass] = useState(false);
+  const [measuredWeight, setWeight] = useState(50);
+  const [measuredCenterOfGravity, setCenterOfGravity] = useState(150);
+  const [includeBodyLift, setIncludeBodyLift] = useState(false); // 拡張Barrowman法のボディ揚力を含めるか
+  const [surfaceFinish, setSurfaceFinish] = useState(DEFAULT_SURFACE_FINISH); // 表面仕上げ (摩擦抗力の粗さ)
   const [selectedMotor, setSelectedMotor] = useState("A8-3");
-  const [selectedParachute, setSelectedParachute] = useState("φ300");
+  const [motorDelay, setMotorDelay] = useState(getDefaultMotorDelay("A8-3"));
+  const [availableMotors, setAvailableMotors] = useState(getMotorNames());
+  const [motorImportError, setMotorImportError] = useState(null);
+  const [materialLibrary, setMaterialLibrary] = useState(getMaterialLibrary()); // 内蔵とユーザー定義の材料
+  const [materialError, setMaterialError] = useState(null);
+
+  // 部品ツリーとモーターから計算した質量バジェット
+  const massBudget = useMemo(() => calculateMassBudget(rocketTree, selectedMotor, materialLibrary), [rocketTree, selectedMotor, materialLibrary]);
+  const weight = useMeasuredMass ? measuredWeight : Number(massBudget.totalMass.toFixed(1));
+  const centerOfGravity = useMeasuredMass ? measuredCenterOfGravity : Math.round(massBudget.centerOfGravity);
+
+  // 実測値に切り替える際は、現在の計算値をスライダーの初期値とする
+  const setUseMeasuredMassAndInit = (enabled) => {
+    if (enabled) {
+      setWeight(weight);
+      setCenterOfGravity(centerOfGravity);
+    }
+    setUseMeasuredMass(enabled);
+  };
 
   // Simulation parameters
   const [launchAngle, setLaunchAngle] = useState(0);
   const [windSpeed, setWindSpeed] = useState(0);
   const [windProfile, setWindProfile] = useState("uniform");
   const [showWindArrows, setShowWindArrows] = useState(true);
+  // 測定データの風速表 (高度m, 風速m/s, 風向°) と読み込みエラー
+  const [windTable, setWindTable] = useState([]);
+  const [windTableError, setWindTableError] = useState(null);
+  // 風向 (風が吹いてくる方位) と発射方位 (度, 北0°・東90°)
+  const [windDirection, setWindDirection] = useState(DEFAULT_AZIMUTHS.windDirection);
+  const [launchAzimuth, setLaunchAzimuth] = useState(DEFAULT_AZIMUTHS.launchAzimuth);
+
+  // 発射地点の大気条件 (標高m, 気温℃, 相対湿度%)
+  const [launchElevation, setLaunchElevation] = useState(DEFAULT_LAUNCH_SITE.elevation);
+  const [launchTemperature, setLaunchTemperature] = useState(DEFAULT_LAUNCH_SITE.temperature);
+  const [launchHumidity, setLaunchHumidity] = useState(DEFAULT_LAUNCH_SITE.humidity);
+
+  // 数値積分の設定 (積分法, 刻み幅s, RK45の許容誤差)
+  const [integratorMethod, setIntegratorMethod] = useState(DEFAULT_INTEGRATOR_SETTINGS.method);
+  const [integratorStepSize, setIntegratorStepSize] = useState(DEFAULT_INTEGRATOR_SETTINGS.stepSize);
+  const [integratorTolerance, setIntegratorTolerance] = useState(DEFAULT_INTEGRATOR_SETTINGS.tolerance);
+  // 着地しない場合の打ち切り時間 (s)
+  const [maxSimulationTime, setMaxSimulationTime] = useState(SIMULATION_MAX_TIME.default);
+
+  // 突風モデルの設定
+  const [gustSettings, setGustSettings] = useState(DEFAULT_GUST_SETTINGS);
+
+  // 製作誤差による姿勢外乱 (推力線の傾き・重心の横ずれ・ティップオフ) の設定
+  const [disturbanceSettings, setDisturbanceSettings] = useState(DEFAULT_DISTURBANCE_SETTINGS);
+
+  // 分散解析 (モンテカルロ法) の設定と結果
+  const [dispersionSettings, setDispersionSettings] = useState(DEFAULT_DISPERSION_SETTINGS);
+  const [dispersionResult, setDispersionResult] = useState(null);
+  const [showDispersion, setShowDispersion] = useState(true);
+  const [dispersionProgress, setDispersionProgress] = useState(null); // 実行中の { completed, total }
+  const cancelDispersionRef = useRef(null);
 
   // rocketSimの初期状態が完全に構築されてから計算や描画を行うための状態
   const [isInitialized, setIsInitialized] = useState(false);
@@ -144,6 +231,8 @@ const useRocketSimulator = () => {
   // 状態変数の追加
   const [showResultsPopup, setShowResultsPopup] = useState(false);
   const [flightResults, setFlightResults] = useState(null);
+  // 現在の発射条件での予測飛行におけるピッチの動安定 (分析タブで表示)
+  const [dynamicStability, setDynamicStability] = useState(null);
   const [lastFlightResults, setLastFlightResults] = useState(null);
 
   // 新しく追加した状態変数
@@ -164,6 +253,96 @@ const useRocketSimulator = () => {
     // その他の更新は依存関係に基づいてuseEffectで自動的に行われる
   };
 
+  // モーター変更時は遅延秒をそのモーターの既定値に戻す
+  const setSelectedMotorAndDelay = (motorName) => {
+    setSelectedMotor(motorName);
+    setMotorDelay(getDefaultMotorDelay(motorName));
+  };
+
+  // 推力曲線ファイル (.eng / .rse) を読み込んでモーターを登録する
+  const handleMotorFileImport = useCallback((file) => {
+    if (!file) return;
+
+    file.text()
+      .then((text) => {
+        const motor = importMotorFile(file.name, text);
+        setAvailableMotors(getMotorNames());
+        setSelectedMotor(motor.name);
+        setMotorDelay(getDefaultMotorDelay(motor.name));
+        setMotorImportError(null);
+      })
+      .catch((err) => {
+        console.error('モーターファイルの読み込みエラー:', err);
+        setMotorImportError(err.message);
+      });
+  }, []);
+
+  // ユーザー定義の材料を追加・削除する (値が不正な場合はエラーを表示)
+  const handleSaveMaterial = useCallback((material) => {
+    try {
+      saveCustomMaterial(material);
+      setMaterialLibrary(getMaterialLibrary());
+      setMaterialError(null);
+      return true;
+    } catch (err) {
+      console.error('材料の登録エラー:', err);
+      setMaterialError(err.message);
+      return false;
+    }
+  }, []);
+
+  const handleRemoveMaterial = useCallback((key) => {
+    removeCustomMaterial(key);
+    setMaterialLibrary(getMaterialLibrary());
+  }, []);
+
+  // 風速表のCSVファイルを読み込んで測定データのプロファイルに切り替える
+  const handleWindProfileFileImport = useCallback((file) => {
+    if (!file) return;
+
+    file.text()
+      .then((text) => {
+        const table = parseWindProfileCsv(text);
+        setWindTable(table);
+        setWindProfile('custom');
+        // 表の風速はそのまま使う (スライダーは使わない)。最も低い行の風向を風向のない行と突風の向きに使う
+        if (table[0].direction !== null) {
+          setWindDirection(table[0].direction);
+        }
+        setWindTableError(null);
+      })
+      .catch((err) => {
+        console.error('風速データの読み込みエラー:', err);
+        setWindTableError(err.message);
+      });
+  }, []);
+
+  // 風速表の行を編集する関数 (入力中の空欄を保つため整列は行わない)
+  const updateWindTableRow = useCallback((index, key, value) => {
+    setWindTable(prev => prev.map((row, i) => (i === index ? { ...row, [key]: value } : row)));
+  }, []);
+
+  const addWindTableRow = useCallback(() => {
+    setWindTable(prev => {
+      const last = prev[prev.length - 1];
+      return [...prev, { altitude: last ? Number(last.altitude) + 50 : 0, speed: last ? last.speed : 0, direction: last ? last.direction : null }];
+    });
+  }, []);
+
+  const removeWindTableRow = useCallback((index) => {
+    setWindTable(prev => prev.filter((_, i) => i !== index));
+  }, []);
+
+  // 計算用に整列した風速表
+  const normalizedWindTable = useMemo(() => normalizeWindTable(windTable), [windTable]);
+
+  // 風速表と風向を反映した高度ごとの発射面内の風速
+  const getWindSpeedAtHeight = useCallback((baseWindSpeed, height, profile) => {
+    return calculateWindComponentsAtHeight(baseWindSpeed, height, profile, {
+      windTable: normalizedWindTable, windDirection, launchAzimuth
+    }).along;
+  }, [normalizedWindTable, windDirection, launchAzimuth]);
+
   // スライダーの動きをスムーズにするためのdebounce用ref
   const sliderTimeoutRef = useRef(null);
 
@@ -313,11 +492,14 @@ const useRocketSimulator = () => {
 
   // 視覚化のための風速高度分布矢印ラッパー
   const getWindArrows = useCallback((baseWindSpeed, profile) => {
+    const tableHeights = WIND_PROFILES[profile]?.isTable && normalizedWindTable.length > 0
+      ? normalizedWindTable.map(row => row.altitude)
+      : undefined;
     return getWindProfileArrows(
       baseWindSpeed, profile, showWindArrows,
-      convertMetersToSvgY, calculateWindSpeedAtHeight
+      convertMetersToSvgY, getWindSpeedAtHeight, tableHeights
     );
-  }, [showWindArrows, convertMetersToSvgY]);
+  }, [showWindArrows, convertMetersToSvgY, getWindSpeedAtHeight, normalizedWindTable]);
 
   // パラシュート描画関数のラッパー
   const getParachute = useCallback((x, y, isOpen, deploymentProgress, rotation) => {
@@ -328,6 +510,11 @@ const useRocketSimulator = () => {
     );
   }, [noseHeight, bodyHeight, selectedParachute, trajectoryScale]);
 
+  // 着地点の確率楕円 (軌道表示用)
+  const getLandingEllipse = useCallback((ellipse) => {
+    return getLandingEllipseShape(ellipse, trajectoryScale);
+  }, [trajectoryScale]);
+
   const getParachuteStrings = useCallback((x, y, isOpen, deploymentProgress, rotation) => {
     const rocketLength = mmToM(noseHeight + bodyHeight);
     return getParachuteStringPaths(
@@ -354,10 +541,25 @@ const useRocketSimulator = () => {
 
   // rocketParamsを独立してメモ化（循環依存を防ぐため）
   const rocketParams = useMemo(() => ({
-    noseShape, noseHeight, bodyHeight, bodyWidth, finHeight, finBaseWidth, finTipWidth,
-    finThickness, finSweepLength, finCount, finMaterial, centerOfGravity, weight
-  }), [noseShape, noseHeight, bodyHeight, bodyWidth, finHeight, finBaseWidth, finTipWidth,
-    finThickness, finSweepLength, finCount, finMaterial, centerOfGravity, weight]);
+    ...treeParams, centerOfGravity, weight, includeBodyLift, surfaceFinish, materialLibrary,
+    // 実測値を使う場合はフィン質量も材料からの推定に戻す
+    finMass: useMeasuredMass ? undefined : massBudget.finMassPerFin ?? undefined
+  }), [treeParams, centerOfGravity, weight, includeBodyLift, surfaceFinish, useMeasuredMass, massBudget, materialLibrary]);
+
+  // 発射地点の大気条件と地上の大気状態
+  const launchSite = useMemo(() => ({
+    elevation: launchElevation,
+    temperature: launchTemperature,
+    humidity: launchHumidity
+  }), [launchElevation, launchTemperature, launchHumidity]);
+
+  const launchAtmosphere = useMemo(() => getAtmosphere(0, launchSite), [launchSite]);
+
+  const integratorSettings = useMemo(() => ({
+    method: integratorMethod,
+    stepSize: integratorStepSize,
+    tolerance: integratorTolerance
+  }), [integratorMethod, integratorStepSize, integratorTolerance]);
 
   // 計算結果のキャッシュ
   const calculations = useMemo(() => {
@@ -382,9 +584,9 @@ const useRocketSimulator = () => {
     const standardMargin = marginsData?.standardStaticMargin || ((cp - centerOfGravity) / bodyWidth);
     const stabilityMargin = marginsData?.stabilityStaticMargin || ((stabilityCp - centerOfGravity) / bodyWidth);
 
-    // 新しい計算関数を使用してフィン限界速度を計算
-    const finDivergenceSpeed = calculateFinDivergenceSpeed(rocketParams);
-    const finFlutterSpeed = calculateFinFlutterSpeed(rocketParams);
+    // 新しい計算関数を使用してフィン限界速度を計算 (発射地点の空気密度を使用)
+    const finDivergenceSpeed = calculateFinDivergenceSpeed(rocketParams, launchAtmosphere.density);
+    const finFlutterSpeed = calculateFinFlutterSpeed(rocketParams, launchAtmosphere);
 
     return {
       totalHeight: totalHeight,
@@ -400,25 +602,50 @@ const useRocketSimulator = () => {
       // フォーマット済みの値を追加
       finDivergenceSpeedDisplay: formatSpeedValue(finDivergenceSpeed),
       finFlutterSpeedDisplay: formatSpeedValue(finFlutterSpeed),
+      // Barrowman法の部品ごとの内訳
+      barrowman: {
+        components: stabilityCpData?.components || [],
+        cnAlpha: stabilityCpData?.cnAlpha || 0
+      },
       rocketParams
     };
-  }, [noseHeight, bodyHeight, finSweepLength, finTipWidth, finBaseWidth, bodyWidth, centerOfGravity, rocketParams]);
+  }, [noseHeight, bodyHeight, finSweepLength, finTipWidth, finBaseWidth, bodyWidth, centerOfGravity, rocketParams, launchAtmosphere]);
+
+  // 部品ごとの抗力推算 (発射地点の大気状態での内訳表と Cd-速度グラフ)
+  const dragAnalysis = useMemo(() => {
+    const model = createDragModel(rocketParams, getMotor(selectedMotor).diameter);
+    return {
+      referenceSpeed: DRAG_ANALYSIS.referenceSpeed,
+      breakdown: calculateDragCoefficients(model, DRAG_ANALYSIS.referenceSpeed, launchAtmosphere, false),
+      curve: calculateDragCurve(model, launchAtmosphere, DRAG_ANALYSIS.maxSpeed, DRAG_ANALYSIS.steps)
+    };
+  }, [rocketParams, selectedMotor, launchAtmosphere]);
+
+  // 迎角に対する法線力係数と圧力中心の曲線 (大迎角のボディ揚力とフィンの失速を含む)
+  const normalForceAnalysis = useMemo(() => ({
+    curve: calculateNormalForceCurve(createNormalForceModel(rocketParams), NORMAL_FORCE_CHART.maxAngle, NORMAL_FORCE_CHART.steps),
+    centerOfGravity: rocketParams.centerOfGravity
+  }), [rocketParams]);
 
   // 物理計算のための全パラメータをまとめる
   const simulationParams = useMemo(() => ({
     ...calculations.rocketParams,
     selectedMotor,
+    motorDelay,
     selectedParachute,
     launchAngle,
     windSpeed,
-    windProfile
+    windProfile,
+    launchSite
   }), [
     calculations.rocketParams,
     selectedMotor,
+    motorDelay,
     selectedParachute,
     launchAngle,
     windSpeed,
-    windProfile
+    windProfile,
+    launchSite
   ]);
 
   // 初期化後の計算値の更新
@@ -503,7 +730,7 @@ const useRocketSimulator = () => {
     }
 
     // エンジン推力が残っているか確認
-    const thrustEndTime = MOTOR_THRUST_DATA[selectedMotor].length * 0.02;
+    const thrustEndTime = getMotorBurnTime(selectedMotor);
     if (currentTime <= thrustEndTime) {
       return "推力飛行";
     }
@@ -518,6 +745,7 @@ const useRocketSimulator = () => {
       return {
         physicsX: 0,
         physicsY: 0,
+        physicsZ: 0,
         rotation: launchAngle, // 初期角度（発射前）
         isParachuteEjected: false,
         isParachuteActive: false,
@@ -534,6 +762,7 @@ const useRocketSimulator = () => {
       return {
         physicsX: 0,
         physicsY: 0,
+        physicsZ: 0,
         rotation: launchAngle,
         isParachuteEjected: false,
         isParachuteActive: false,
@@ -550,6 +779,7 @@ const useRocketSimulator = () => {
       return {
         physicsX: 0,
         physicsY: 0,
+        physicsZ: 0,
         rotation: launchAngle,
         isParachuteEjected: false,
         isParachuteActive: false,
@@ -565,6 +795,7 @@ const useRocketSimulator = () => {
     return {
       physicsX: isNaN(currentData.physicsX) ? 0 : currentData.physicsX,
       physicsY: isNaN(currentData.physicsY) ? 0 : currentData.physicsY,
+      physicsZ: isNaN(currentData.physicsZ) ? 0 : currentData.physicsZ,
       rotation: isNaN(currentData.omega) ? launchAngle : (currentData.omega * 180 / Math.PI),
       isParachuteEjected: currentData.isParachuteEjected || false,
       isParachuteActive: currentData.isParachuteActive || false,
@@ -666,7 +897,14 @@ const useRocketSimulator = () => {
         {
           ...SVG_CONFIG,
           enhancedAttitudeControl,
-          windAngleLimitation
+          windAngleLimitation,
+          integrator: integratorSettings,
+          maxTime: maxSimulationTime,
+          gust: gustSettings,
+          disturbance: disturbanceSettings,
+          windTable: normalizedWindTable,
+          windDirection,
+          launchAzimuth
         }
       );
 
@@ -789,9 +1027,17 @@ const useRocketSimulator = () => {
 
                 // 飛行結果の評価（直接計算した最大値を使用）
                 const isDivergenceOK = maxSpeed < flight.calculations.finDivergenceSpeed;
-                const isFlutterOK = maxSpeed < flight.calculations.finFlutterSpeed;
+                // フラッターは高度ごとの気圧・音速で求めた余裕の最小値で判定する
+                const flutter = flight.flutter;
+                const isFlutterOK = flutter?.isOK ?? true;
                 const maxDeflectionPercent = (maxFinDeflection / finHeight) * 100;
                 const isDeflectionOK = maxDeflectionPercent <= 3;
+                // フィン付け根の曲げ・せん断の安全余裕 (最大荷重の時点)
+                const finStress = flight.finStress || null;
+                const isFinStressOK = finStress?.isOK ?? true;
+                // カントフィンによるロール角速度がピッチ固有振動数と一致する共振の判定
+                const roll = flight.roll || null;
+                const isRollResonanceOK = roll?.isOK ?? true;
 
                 // 姿勢安定性の判定結果 - シミュレーション結果から直接取得
                 const isAngleStableOK = flight.angleStability.isAngleStableOK;
@@ -802,7 +1048,7 @@ const useRocketSimulator = () => {
 
                 // 総合判定は全てのチェックをパスする必要がある
                 // 絶対角度判定も含める
-                const isOverallOK = isDivergenceOK && isFlutterOK && isDeflectionOK && isAngleStableOK && isAbsoluteAngleOK;
+                const isOverallOK = isDivergenceOK && isFlutterOK && isDeflectionOK && isFinStressOK && isRollResonanceOK && isAngleStableOK && isAbsoluteAngleOK;
 
                 // 結果オブジェクトの作成
                 const results = {
@@ -814,14 +1060,27 @@ const useRocketSimulator = () => {
                   maxDeflectionPercent: maxDeflectionPercent,
                   divergenceSpeed: formatSpeedValue(flight.calculations.finDivergenceSpeed),
                   flutterSpeed: formatSpeedValue(flight.calculations.finFlutterSpeed),
+                  flutter,
+                  flutterHistory: extractFlutterHistory(flight.data, FLUTTER_CHART.maxPoints), // フラッター余裕の推移
                   isDivergenceOK,
                   isFlutterOK,
                   isDeflectionOK,
+                  finStress,
+                  isFinStressOK,
+                  roll,
+                  isRollResonanceOK,
+                  dynamicStability: flight.dynamicStability || null, // 発射台離脱・燃焼終了・頂点でのピッチの動安定
                   isAngleStableOK,
                   isAbsoluteAngleOK, // 絶対角度判定を追加
                   maxAngleChangePerDt2,
                   maxAbsoluteAngle, // 最大絶対角度を追加
                   isOverallOK,
+                  minStaticMargin: flight.massProperties?.minStaticMargin ?? null, // 燃焼中を含めた最小静安定マージン
+                  minStaticMarginTime: flight.keyPoints.minStaticMargin?.time ?? null,
+                  railExit: flight.keyPoints.railExit || null, // 発射台離脱時の速度と角速度
+                  integrator: flight.integrator, // 使用した積分法と刻み幅
+                  recoveryEvents: flight.keyPoints.recoveryEvents || [], // 回収装置の放出・全開イベント
+                  openingShocks: flight.keyPoints.openingShocks || [], // 回収装置ごとの開傘衝撃
                   launchAngle,
                   windSpeed,
                   windProfile,
@@ -877,7 +1136,75 @@ const useRocketSimulator = () => {
       console.error('Launch error:', error);
       handleReset();
     }
-  }, [isLaunched, launchAngle, windSpeed, windProfile, simulationParams, handleReset, finHeight, trajectoryScale]);
+  }, [isLaunched, launchAngle, windSpeed, windProfile, simulationParams, integratorSettings, maxSimulationTime, gustSettings, disturbanceSettings, normalizedWindTable, windDirection, launchAzimuth, handleReset, finHeight, trajectoryScale]);
+
+  // 突風モデルの設定を1項目変更する
+  const updateGustSetting = useCallback((key, value) => {
+    setGustSettings(prev => ({ ...prev, [key]: value }));
+  }, []);
+
+  // 姿勢外乱の設定を1項目変更する
+  const updateDisturbanceSetting = useCallback((key, value) => {
+    setDisturbanceSettings(prev => ({ ...prev, [key]: value }));
+  }, []);
+
+  // 分散解析の設定を1項目変更する
+  const updateDispersionSetting = useCallback((key, value) => {
+    setDispersionSettings(prev => ({ ...prev, [key]: value }));
+  }, []);
+
+  // 現在の機体・発射条件を基準に分散解析を実行
+  const handleRunDispersion = useCallback(() => {
+    if (cancelDispersionRef.current) cancelDispersionRef.current();
+
+    // 数回ずつ分けて計算し、合間に進捗を表示する
+    cancelDispersionRef.current = runDispersionAnalysisInChunks({
+      rocketParams: simulationParams,
+      launchAngle,
+      windSpeed,
+      windProfile,
+      config: {
+        ...SVG_CONFIG,
+        enhancedAttitudeControl,
+        windAngleLimitation,
+        integrator: integratorSettings,
+        maxTime: maxSimulationTime,
+        gust: gustSettings,
+        disturbance: disturbanceSettings,
+        windTable: normalizedWindTable,
+        windDirection,
+        launchAzimuth
+      }
+    }, dispersionSettings, {
+      onProgress: (completed, total) => setDispersionProgress({ completed, total }),
+      onComplete: (result) => {
+        cancelDispersionRef.current = null;
+        setDispersionProgress(null);
+        setDispersionResult(result);
+        setShowDispersion(true);
+      },
+      onError: (error) => {
+        console.error('分散解析でエラーが発生しました:', error);
+        cancelDispersionRef.current = null;
+        setDispersionProgress(null);
+        setDispersionResult(null);
+      }
+    });
+  }, [simulationParams, launchAngle, windSpeed, windProfile, enhancedAttitudeControl, windAngleLimitation, integratorSettings, maxSimulationTime, gustSettings, disturbanceSettings, normalizedWindTable, windDirection, launchAzimuth, dispersionSettings]);
+
+  // 実行中の分散解析を中断する
+  const handleCancelDispersion = useCallback(() => {
+    if (cancelDispersionRef.current) {
+      cancelDispersionRef.current();
+      cancelDispersionRef.current = null;
+    }
+    setDispersionProgress(null);
+  }, []);
+
+  // 画面を離れる際は実行中の分散解析を中断する
+  useEffect(() => () => {
+    if (cancelDispersionRef.current) cancelDispersionRef.current();
+  }, []);
 
   // パラメータ変更時のスケール更新
   useEffect(() => {
@@ -892,11 +1219,19 @@ const useRocketSimulator = () => {
       {
         ...SVG_CONFIG,
         enhancedAttitudeControl, // 拡張姿勢制御フラグを渡す
-        windAngleLimitation     // 風向きによる角度制限フラグを渡す
+        windAngleLimitation,    // 風向きによる角度制限フラグを渡す
+        integrator: integratorSettings, // 数値積分の設定を渡す
+        maxTime: maxSimulationTime, // 着地しない場合の打ち切り時間
+        gust: gustSettings, // 突風モデルの設定
+        disturbance: disturbanceSettings, // 製作誤差による姿勢外乱
+        windTable: normalizedWindTable, // 測定データの風速表
+        windDirection, // 風向 (度)
+        launchAzimuth // 発射方位 (度)
       }
     );
 
     if (flight && flight.maxHeight > 0) {
+      setDynamicStability(flight.dynamicStability);
       const availableHeight = SVG_CONFIG.height - SVG_CONFIG.groundLevel;
 
       // 改良：より高いベース高さを設定
@@ -939,7 +1274,7 @@ const useRocketSimulator = () => {
       const baseRocketScale = 0.03;
       setRocketScale(baseRocketScale * powerFactor);
     }
-  }, [isLaunched, launchAngle, windSpeed, windProfile, simulationParams]);
+  }, [isLaunched, launchAngle, windSpeed, windProfile, simulationParams, integratorSettings, maxSimulationTime, gustSettings, disturbanceSettings, normalizedWindTable, windDirection, launchAzimuth]);
 
   // 初期表示時の強制スケール設定用のuseEffect追加
   useEffect(() => {
@@ -970,6 +1305,7 @@ const useRocketSimulator = () => {
     // デザインパラメータ
     noseShape, setNoseShape: setNoseShapeAndUpdate,
     noseHeight, setNoseHeight: debounce(setNoseHeight, SLIDER_DEBOUNCE_TIME),
+    noseExponent, noseOgiveRatio,
     bodyHeight, setBodyHeight: debounce(setBodyHeight, SLIDER_DEBOUNCE_TIME),
     bodyWidth, setBodyWidth: debounce(setBodyWidth, SLIDER_DEBOUNCE_TIME),
     finHeight, setFinHeight: debounce(setFinHeight, SLIDER_DEBOUNCE_TIME),
@@ -979,18 +1315,51 @@ const useRocketSimulator = () => {
     finSweepLength, setFinSweepLength: debounce(setFinSweepLength, SLIDER_DEBOUNCE_TIME),
     finMaterial, setFinMaterial,
     finCount, setFinCount,
+    finShape, finPoints,
 
     // 分析パラメータ
     weight, setWeight: debounce(setWeight, SLIDER_DEBOUNCE_TIME),
     centerOfGravity, setCenterOfGravity: debounce(setCenterOfGravity, SLIDER_DEBOUNCE_TIME),
-    selectedMotor, setSelectedMotor,
+    massBudget, useMeasuredMass, setUseMeasuredMass: setUseMeasuredMassAndInit,
+    includeBodyLift, setIncludeBodyLift,
+    surfaceFinish, setSurfaceFinish, dragAnalysis, normalForceAnalysis, dynamicStability,
+    selectedMotor, setSelectedMotor: setSelectedMotorAndDelay,
+    motorDelay, setMotorDelay,
+    availableMotors, getMotor,
+    handleMotorFileImport, motorImportError,
+    materialLibrary, materialError, saveMaterial: handleSaveMaterial, removeMaterial: handleRemoveMaterial,
     selectedParachute, setSelectedParachute,
+    rocketTree, rocketLayout, finBodyDiameter: treeParams.finBodyDiameter,
+    recoveryDevices: treeParams.recoveryDevices,
+    launchLugs: treeParams.launchLugs,
+    addRocketPart: handleAddRocketPart, updateRocketPart: handleUpdateRocketPart,
+    removeRocketPart: handleRemoveRocketPart, moveRocketPart: handleMoveRocketPart,
 
     // シミュレーションパラメータ
     launchAngle, setLaunchAngle: debounce(setLaunchAngle, SLIDER_DEBOUNCE_TIME),
     windSpeed, setWindSpeed: debounce(setWindSpeed, SLIDER_DEBOUNCE_TIME),
     windProfile, setWindProfile,
     showWindArrows, setShowWindArrows,
+    windTable, normalizedWindTable, windTableError, handleWindProfileFileImport,
+    windDirection, setWindDirection, launchAzimuth, setLaunchAzimuth,
+    updateWindTableRow, addWindTableRow, removeWindTableRow,
+    launchElevation, setLaunchElevation,
+    launchTemperature, setLaunchTemperature,
+    launchHumidity, setLaunchHumidity,
+    launchSite, launchAtmosphere,
+    integratorSettings, integratorMethod, setIntegratorMethod,
+    integratorStepSize, setIntegratorStepSize,
+    integratorTolerance, setIntegratorTolerance,
+    maxSimulationTime, setMaxSimulationTime,
+    gustSettings, updateGustSetting,
+    disturbanceSettings, updateDisturbanceSetting,
+
+    // 分散解析
+    dispersionSettings, updateDispersionSetting,
+    dispersionResult, handleRunDispersion,
+    dispersionProgress, handleCancelDispersion,
+    showDispersion, setShowDispersion,
+    getLandingEllipse,
 
     // シミュレーション状態
     isLaunched, setIsLaunched,
@@ -1034,11 +1403,24 @@ const useRocketSimulator = () => {
     windSpeedInputRef, handleWindSpeed: handleSliderChange(windSpeedInputRef, setWindSpeed),
 
     // 描画関数 - 外部のレンダリング関数を呼び出すためのラッパー
-    getNosePath: (config) => getNosePath(config, noseShape, noseHeight, bodyWidth, bodyHeight),
+    getNosePath: (config) => getNosePath(config, { noseShape, noseHeight, bodyWidth, noseExponent, noseOgiveRatio }, bodyHeight),
     getBodyPath: (config) => getBodyPath(config, bodyHeight, bodyWidth),
-    getLeftFinPath: (config) => getLeftFinPath(config, bodyWidth, finHeight, finBaseWidth, finSweepLength, finTipWidth),
-    getRightFinPath: (config) => getRightFinPath(config, bodyWidth, finHeight, finBaseWidth, finSweepLength, finTipWidth),
-    getCenterFinsPath: (config) => getCenterFinsPath(config, finThickness, finBaseWidth, finSweepLength, finTipWidth),
+    getBodyStackPaths: (config) => getBodyStackPaths(config, rocketLayout.stackParts, rocketLayout.stackLength),
+    getLaunchLugPaths: (config) => treeParams.launchLugs.map(lug => ({
+      id: lug.id,
+      path: getLaunchLugPath(config, lug, rocketLayout.stackLength, getDiameterAt(rocketLayout, lug.position + lug.length / 2))
+    })),
+    getFinConfig,
+    getLeftFinPath: (config) => getLeftFinPath(getFinConfig(config), treeParams.finBodyDiameter, finHeight, finBaseWidth, finSweepLength, finTipWidth),
+    getRightFinPath: (config) => getRightFinPath(getFinConfig(config), treeParams.finBodyDiameter, finHeight, finBaseWidth, finSweepLength, finTipWidth),
+    getCenterFinsPath: (config) => getCenterFinsPath(getFinConfig(config), finThickness, finBaseWidth, finSweepLength, finTipWidth),
+    getFinSetPaths: (config) => {
+      const finConfig = getFinConfig(config);
+      return getFinSetSidePaths(finConfig.centerX, finConfig.height, {
+        bodyWidth: treeParams.finBodyDiameter, finHeight, finBaseWidth, finSweepLength, finTipWidth, finThickness, finCount,
+        finShape, finPoints
+      });
+    },
     getParachutePath: getParachute,
     getParachuteStringPaths: getParachuteStrings,
     getWindArrow,
@@ -1055,7 +1437,7 @@ const useRocketSimulator = () => {
     // ユーティリティ関数
     getActualRocketDimensions: getRocketDimensions,
     getCurrentPosition,
-    calculateWindSpeedAtHeight,
+    calculateWindSpeedAtHeight: getWindSpeedAtHeight,
     formatFinDeflection,
     getSafeValue,
 
@@ -1094,7 +1476,25 @@ const IntegratedRocketSimulator = () => {
   
   // ロケットシミュレーターフックを使用
   const rocketSim = useRocketSimulator();
-  const preRocketSim = usePreFlightRocketSim();
+  const preRocketSim = usePreFlightRocketSim(rocketSim.rocketTree, {
+    selectedMotor: rocketSim.selectedMotor,
+    motorDelay: rocketSim.motorDelay,
+    materialLibrary: rocketSim.materialLibrary,
+    useMeasuredMass: rocketSim.useMeasuredMass,
+    measuredWeight: rocketSim.weight,
+    measuredCenterOfGravity: rocketSim.centerOfGravity,
+    launchAngle: rocketSim.launchAngle,
+    windSpeed: rocketSim.windSpeed,
+    windProfile: rocketSim.windProfile,
+    windTable: rocketSim.normalizedWindTable,
+    windDirection: rocketSim.windDirection,
+    launchAzimuth: rocketSim.launchAzimuth,
+    launchSite: rocketSim.launchSite,
+    integrator: rocketSim.integratorSettings,
+    maxTime: rocketSim.maxSimulationTime,
+    gust: rocketSim.gustSettings,
+    disturbance: rocketSim.disturbanceSettings
+  });
 
   // タブ切り替え処理関数
   const handleTabChange = useCallback((newTab) => {
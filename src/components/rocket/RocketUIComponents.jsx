@@ -1,13 +1,24 @@
 // UI関連のコンポーネント
 import React, { useState, useMemo } from 'react';
-import { NOSE_SHAPES, FIN_MATERIALS, WIND_PROFILES, PARACHUTE_SIZES, SVG_CONFIG } from './RocketConstants';
+import {
+  NOSE_SHAPES, WIND_PROFILES, CANOPY_LIBRARY, SVG_CONFIG, INTEGRATOR_METHODS,
+  ROCKET_PART_TYPES, MATERIAL_TEMPLATES, RECOVERY_DEVICE_TYPES, RECOVERY_TRIGGERS, SIMULATION_MAX_TIME,
+  GROUND_TRACK_VIEW, FIN_COUNT, FIN_SHAPES, SURFACE_FINISHES, DRAG_ANALYSIS, FLUTTER_CHART, ROLL_DYNAMICS,
+  DYNAMIC_STABILITY, DAMPING_CLASSES, NORMAL_FORCE, NORMAL_FORCE_CHART
+} from './RocketConstants';
+import { getFinOutline, getFinPlanform, parseFinPoints } from './RocketFinGeometry';
+import { calculateNoseProfile } from './RocketNoseGeometry';
+import { DRAG_COMPONENTS } from './RocketDrag';
+import { getMaterial, isFinMaterial } from './RocketMaterials';
+import { getFinSetParams, getNoseConeParams } from './RocketComponentTree';
 import { formatFinDeflection, formatSpeedValue } from './RocketPhysics';
 import {
-  getNosePath, getBodyPath, getLeftFinPath, getRightFinPath, getCenterFinsPath,
+  getNosePath, getNoseProfilePath, getBodyPath, getLeftFinPath, getRightFinPath, getCenterFinsPath,
   getParachutePath, getParachuteStringPaths, getWindArrow, getWindProfileArrows,
   metersToSvgX, metersToSvgY, getActualRocketDimensions, getSafeRotationTransform,
   getAnalysisViewBox, getDesignViewBox, getRocketTransform, getSafeValue,
-  getFinPaths, getTriFinLeftRightPaths
+  getFinPaths, getFinSetSidePaths, createGroundTrackProjection, getGroundTrackPath,
+  getGroundTrackEllipse, getGroundTrackWindArrow, getDragChart, getFlutterMarginChart, getNormalForceChart
 } from './RocketRendering';
 import { usePreFlightRocketSim } from './RocketUIPreCalu'
 
@@ -150,7 +161,55 @@ const WindAngleLimitVisualizer = ({ position, windSpeed, currentFlightPhase }) =
   );
 };
 
+// 安全余裕の表示 (荷重がない・許容応力が不明な場合は -)
+const formatMargin = (margin) => (typeof margin === 'number' && isFinite(margin) ? margin.toFixed(2) : '-');
+
 // 結果ポップアップコンポーネント
+// 発射台離脱・燃焼終了・頂点でのピッチの動安定の表
+const DynamicStabilityTable = ({ dynamicStability }) => (
+  <table className="w-full text-xs">
+    <thead>
+      <tr className="border-b border-gray-300">
+        <th className="text-left py-1">時点</th>
+        <th className="text-right py-1">対気速度 (m/s)</th>
+        <th className="text-right py-1">C1 (N·m/rad)</th>
+        <th className="text-right py-1">C2 空力+ジェット (mN·m·s/rad)</th>
+        <th className="text-right py-1">ωn (rad/s)</th>
+        <th className="text-right py-1">ζ</th>
+        <th className="text-right py-1">分類</th>
+      </tr>
+    </thead>
+    <tbody>
+      {Object.entries(DYNAMIC_STABILITY.points).map(([key, name]) => {
+        const point = dynamicStability[key];
+        if (!point) {
+          return (
+            <tr key={key} className="border-b border-gray-200">
+              <td className="py-1">{name}</td>
+              <td className="text-right py-1" colSpan={6}>-</td>
+            </tr>
+          );
+        }
+        return (
+          <tr key={key} className="border-b border-gray-200">
+            <td className="py-1">{name} ({point.time.toFixed(2)}秒)</td>
+            <td className="text-right py-1">{point.speed.toFixed(1)}</td>
+            <td className="text-right py-1">{point.correctiveMoment.toFixed(3)}</td>
+            <td className="text-right py-1">
+              {(point.aerodynamicDamping * 1000).toFixed(2)} + {(point.jetDamping * 1000).toFixed(2)}
+            </td>
+            <td className="text-right py-1">{point.naturalFrequency.toFixed(1)} ({(point.naturalFrequency / (2 * Math.PI)).toFixed(1)} Hz)</td>
+            <td className="text-right py-1">{point.dampingRatio !== null ? point.dampingRatio.toFixed(3) : '-'}</td>
+            <td className="text-right py-1" title={DAMPING_CLASSES[point.dampingClass].description}>
+              {DAMPING_CLASSES[point.dampingClass].name}
+            </td>
+          </tr>
+        );
+      })}
+    </tbody>
+  </table>
+);
+
 const ResultsPopup = ({ results, onClose }) => {
   // エラーがある場合は特別な表示
   if (results.isError) {
@@ -229,11 +288,23 @@ const ResultsPopup = ({ results, onClose }) => {
     isDivergenceOK = false,
     isFlutterOK = false,
     isDeflectionOK = false,
+    flutter = null, // フラッター余裕の最小値 (高度ごとの気圧・音速による)
+    finStress = null, // フィン付け根の強度判定 (最大荷重の時点)
+    isFinStressOK = true,
+    roll = null, // カントフィンによるロール運動と共振の判定
+    dynamicStability = null, // 発射台離脱・燃焼終了・頂点でのピッチの動安定
+    isRollResonanceOK = true,
     isAngleStableOK = false,
     isAbsoluteAngleOK = true, // 絶対角度判定の結果（デフォルトはtrue）
     isOverallOK = false,
     maxAngleChangePerDt2 = 0,
     maxAbsoluteAngle = 0, // 最大絶対角度
+    minStaticMargin = null, // 飛行中の最小静安定マージン
+    minStaticMarginTime = null,
+    railExit = null, // 発射台離脱時の速度と角速度 (ティップオフ)
+    integrator = null, // 使用した数値積分法の情報
+    recoveryEvents = [], // 回収装置の放出・全開イベント
+    openingShocks = [], // 回収装置ごとの開傘衝撃
     windProfile = 'uniform'
   } = results;
 
@@ -263,7 +334,15 @@ const ResultsPopup = ({ results, onClose }) => {
               </span>
             </div>
             <div className="text-sm text-gray-600">
-              最高速度: {maxSpeed.toFixed(1)} m/s / 限界速度: {flutterSpeed}
+              {flutter?.time !== undefined ? (
+                <>
+                  最小余裕: {formatMargin(flutter.margin * 100)}% ({flutter.time.toFixed(2)}秒, 高度 {flutter.height.toFixed(1)} m)
+                  <br />
+                  対気速度: {flutter.speed.toFixed(1)} m/s / フラッター速度: {flutter.flutterSpeed.toFixed(0)} m/s (地上 {flutterSpeed})
+                </>
+              ) : (
+                <>最高速度: {maxSpeed.toFixed(1)} m/s / 限界速度: {flutterSpeed}</>
+              )}
             </div>
           </div>
 
@@ -281,6 +360,74 @@ const ResultsPopup = ({ results, onClose }) => {
             </div>
           </div>
 
+          {finStress && (
+            <div className="mb-2">
+              <div className="flex justify-between items-center mb-1">
+                <span>フィン強度:</span>
+                <span className={`font-bold ${isFinStressOK ? 'text-green-600' : 'text-red-600'}`}>
+                  {isFinStressOK ? 'OK' : 'NG'}
+                </span>
+              </div>
+              <div className="text-sm text-gray-600">
+                {finStress.peakTime !== null ? (
+                  <>
+                    <p>
+                      最大荷重: {finStress.peakTime.toFixed(2)}秒 (高度 {finStress.peakHeight.toFixed(1)} m, 対気速度 {finStress.peakSpeed.toFixed(1)} m/s, 迎角 {finStress.angleOfAttack.toFixed(1)}°)
+                    </p>
+                    <p>
+                      付け根曲げモーメント: {(finStress.bendingMoment * 1000).toFixed(1)} N·mm / 法線力: {finStress.normalForce.toFixed(2)} N
+                    </p>
+                  </>
+                ) : (
+                  <p>迎角による荷重はありません</p>
+                )}
+                <p>
+                  曲げ応力: {(finStress.bendingStress / 1e6).toFixed(2)} MPa
+                  {finStress.allowableStress !== null && ` / 許容 ${(finStress.allowableStress / 1e6).toFixed(0)} MPa`}
+                  (MS {formatMargin(finStress.bendingMargin)})
+                </p>
+                <p>
+                  接合部せん断応力: {(finStress.shearStress / 1e6).toFixed(3)} MPa
+                  {finStress.allowableShear !== null && ` / 許容 ${(finStress.allowableShear / 1e6).toFixed(0)} MPa`}
+                  (MS {formatMargin(finStress.shearMargin)})
+                </p>
+                <p>安全率 {finStress.safetyFactor} / MS ≥ 0 で合格</p>
+              </div>
+            </div>
+          )}
+
+          {roll && (
+            <div className="mb-2">
+              <div className="flex justify-between items-center mb-1">
+                <span>ロール・ピッチ共振:</span>
+                <span className={`font-bold ${isRollResonanceOK ? 'text-green-600' : 'text-red-600'}`}>
+                  {isRollResonanceOK ? 'OK' : 'NG'}
+                </span>
+              </div>
+              <div className="text-sm text-gray-600">
+                <p>
+                  カント角 {roll.cantAngle.toFixed(1)}° / 最大ロール角速度 {roll.maxRollRate.toFixed(0)} °/s ({roll.maxSpinRate.toFixed(1)} 回転/秒)
+                </p>
+                {roll.firstResonance ? (
+                  <p>
+                    共振域: {roll.firstResonance.time.toFixed(2)}秒から合計 {roll.resonanceTime.toFixed(2)} 秒
+                    (ロール {roll.firstResonance.rollRate.toFixed(0)} °/s ≈ ピッチ固有 {roll.firstResonance.pitchNaturalFrequency.toFixed(0)} °/s)
+                  </p>
+                ) : (
+                  <p>ロール角速度はピッチ固有振動数と一致しませんでした</p>
+                )}
+                <p>共振域 (±{ROLL_DYNAMICS.resonanceBand * 100}%) の合計 {ROLL_DYNAMICS.maxResonanceTime} 秒以内で合格</p>
+              </div>
+            </div>
+          )}
+
+          {dynamicStability && (
+            <div className="mb-2">
+              <div className="mb-1">ピッチの動安定:</div>
+              <DynamicStabilityTable dynamicStability={dynamicStability} />
+            </div>
+          )}
+
           {/* 姿勢安定性の判定 - 角度変化量判定 */}
           <div className="mb-2">
             <div className="flex justify-between items-center mb-1">
@@ -328,9 +475,67 @@ const ResultsPopup = ({ results, onClose }) => {
             <div>{maxDistance.toFixed(1)} m</div>
             <div>風速プロファイル:</div>
             <div>{(WIND_PROFILES[windProfile] || {}).name || windProfile}</div>
+            {minStaticMargin !== null && (
+              <>
+                <div>最小静安定マージン:</div>
+                <div>{minStaticMargin.toFixed(2)} ({(minStaticMarginTime || 0).toFixed(2)} 秒)</div>
+              </>
+            )}
+            {railExit && (
+              <>
+                <div>発射台離脱時:</div>
+                <div>{railExit.speed.toFixed(1)} m/s, 角速度 {railExit.angularVelocity.toFixed(1)} °/s</div>
+              </>
+            )}
+            {integrator && (
+              <>
+                <div>数値積分:</div>
+                <div>
+                  {(INTEGRATOR_METHODS[integrator.method] || {}).name || integrator.method}
+                  {integrator.method === 'rk45'
+                    ? ` (刻み ${integrator.minStep.toExponential(1)}〜${integrator.maxStep.toFixed(3)} 秒, ${integrator.steps} ステップ)`
+                    : ` (刻み ${integrator.stepSize} 秒)`}
+                </div>
+                {integrator.error && (
+                  <>
+                    <div>積分エラー:</div>
+                    <div className="text-red-600">{integrator.error}</div>
+                  </>
+                )}
+              </>
+            )}
           </div>
         </div>
 
+        {recoveryEvents.length > 0 && (
+          <div className="border-t border-gray-300 pt-4 mt-4">
+            <h4 className="font-semibold mb-2">回収シーケンス</h4>
+            <div className="grid grid-cols-3 gap-2 text-sm">
+              {recoveryEvents.map((event, index) => (
+                <React.Fragment key={`${event.id}-${event.event}-${index}`}>
+                  <div>{event.name} {event.event === 'ejection' ? '放出' : '全開'}</div>
+                  <div>{event.time.toFixed(2)} 秒</div>
+                  <div>高度 {event.height.toFixed(1)} m</div>
+                </React.Fragment>
+              ))}
+            </div>
+            {openingShocks.length > 0 && (
+              <>
+                <h4 className="font-semibold mt-3 mb-2">開傘衝撃 (ショックコードの強度目安)</h4>
+                <div className="grid grid-cols-3 gap-2 text-sm">
+                  {openingShocks.map(shock => (
+                    <React.Fragment key={shock.id}>
+                      <div>{shock.name}</div>
+                      <div className="font-semibold">{shock.force.toFixed(1)} N</div>
+                      <div>膨張 {shock.fillTime.toFixed(2)} 秒</div>
+                    </React.Fragment>
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
         <button
           onClick={onClose}
           className="mt-4 bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded"
@@ -353,6 +558,8 @@ const LastFlightResults = ({ results }) => {
     isDivergenceOK = false,
     isFlutterOK = false,
     isDeflectionOK = false,
+    isFinStressOK = true,
+    isRollResonanceOK = true,
     isAngleStableOK = false,
     isAbsoluteAngleOK = true, // 絶対角度判定の結果
     isOverallOK = false,
@@ -407,6 +614,20 @@ const LastFlightResults = ({ results }) => {
           </span>
         </div>
 
+        <div className="text-sm">
+          <span>フィン強度:</span>
+          <span className={`ml-1 font-medium ${isFinStressOK ? 'text-green-600' : 'text-red-600'}`}>
+            {isFinStressOK ? 'OK' : 'NG'}
+          </span>
+        </div>
+
+        <div className="text-sm">
+          <span>ロール共振:</span>
+          <span className={`ml-1 font-medium ${isRollResonanceOK ? 'text-green-600' : 'text-red-600'}`}>
+            {isRollResonanceOK ? 'OK' : 'NG'}
+          </span>
+        </div>
+
         {/* 姿勢安定性の判定に関する表示を修正 - 角度変化と絶対角度を個別に表示 */}
         <div className="text-sm">
           <span>角度変化安定性:</span>
@@ -470,7 +691,362 @@ const ParameterSlider = ({
   );
 };
 
+// 部品の種類ごとの編集項目 (長さ・直径はmm、質量はg)
+const PART_FIELDS = {
+  noseCone: [
+    { key: 'length', label: '長さ', unit: 'mm', min: 25, max: 150 },
+    { key: 'diameter', label: '直径', unit: 'mm', min: 10, max: 100 },
+    { key: 'thickness', label: '肉厚', unit: 'mm', min: 0.1, max: 5, step: 0.1 },
+    // noseShape: NOSE_SHAPES の該当フラグが真の形状でのみ使用
+    { key: 'exponent', label: 'べき指数', unit: '-', min: 0.05, max: 1, step: 0.05, noseShape: 'usesExponent' },
+    { key: 'ogiveRatio', label: '曲率半径比 (正接オジブ=1)', unit: '-', min: 0.1, max: 5, step: 0.1, noseShape: 'usesOgiveRatio' }
+  ],
+  bodyTube: [
+    { key: 'length', label: '長さ', unit: 'mm', min: 10, max: 1000 },
+    { key: 'diameter', label: '直径', unit: 'mm', min: 10, max: 100 },
+    { key: 'thickness', label: '肉厚', unit: 'mm', min: 0.1, max: 5, step: 0.1 }
+  ],
+  transition: [
+    { key: 'length', label: '長さ', unit: 'mm', min: 1, max: 200 },
+    { key: 'foreDiameter', label: '前端直径', unit: 'mm', min: 5, max: 100 },
+    { key: 'aftDiameter', label: '後端直径', unit: 'mm', min: 5, max: 100 },
+    { key: 'thickness', label: '肉厚', unit: 'mm', min: 0.1, max: 5, step: 0.1 }
+  ],
+  // planform: 平面形の寸法 (true: 座標入力以外で使用、文字列: FIN_SHAPES の該当フラグが真の形状で使用)
+  finSet: [
+    { key: 'span', label: '翼幅', unit: 'mm', min: 10, max: 250, step: 0.5, planform: true },
+    { key: 'rootChord', label: '翼付け根長さ', unit: 'mm', min: 10, max: 150, planform: true },
+    { key: 'tipChord', label: '翼端長', unit: 'mm', min: 0, max: 75, planform: 'usesTipChord' },
+    { key: 'sweepLength', label: '前縁後退代', unit: 'mm', min: -50, max: 150, planform: 'usesSweep' },
+    { key: 'thickness', label: '厚さ', unit: 'mm', min: 1, max: 10, step: 0.5 },
+    { key: 'cantAngle', label: 'カント角', unit: '°', min: -10, max: 10, step: 0.1 },
+    { key: 'position', label: '取付位置 (空欄で後端揃え)', unit: 'mm', min: 0, max: 1500, optional: true }
+  ],
+  launchLug: [
+    { key: 'length', label: '長さ', unit: 'mm', min: 5, max: 100 },
+    { key: 'diameter', label: '直径', unit: 'mm', min: 2, max: 20 },
+    { key: 'position', label: '取付位置', unit: 'mm', min: 0, max: 1500 }
+  ],
+  massItem: [
+    { key: 'mass', label: '質量', unit: 'g', min: 0, max: 1000, step: 0.1 },
+    { key: 'length', label: '長さ', unit: 'mm', min: 0, max: 500 },
+    { key: 'position', label: '取付位置', unit: 'mm', min: 0, max: 1500 }
+  ],
+  shockCord: [
+    { key: 'cordLength', label: 'コード長', unit: 'mm', min: 0, max: 5000 },
+    { key: 'cordDiameter', label: 'コード径', unit: 'mm', min: 0.5, max: 10, step: 0.5 },
+    { key: 'length', label: '収納長', unit: 'mm', min: 5, max: 200 },
+    { key: 'position', label: '取付位置', unit: 'mm', min: 0, max: 1500 }
+  ],
+  ballast: [
+    { key: 'length', label: '長さ', unit: 'mm', min: 1, max: 200 },
+    { key: 'diameter', label: '直径', unit: 'mm', min: 1, max: 100 },
+    { key: 'position', label: '取付位置', unit: 'mm', min: 0, max: 1500 }
+  ],
+  recovery: [
+    { key: 'canopyThickness', label: 'キャノピー布厚', unit: 'mm', min: 0.01, max: 0.5, step: 0.005 },
+    { key: 'length', label: '収納長', unit: 'mm', min: 5, max: 200 },
+    { key: 'diameter', label: '収納径', unit: 'mm', min: 5, max: 100 },
+    { key: 'position', label: '取付位置', unit: 'mm', min: 0, max: 1500 }
+  ]
+};
+
+// 自由形状フィンの座標入力 (1行に x, y)
+const FinPointsEditor = ({ points, onChange }) => {
+  const [text, setText] = useState(() => points.map(point => `${point.x}, ${point.y}`).join('\n'));
+  const [error, setError] = useState(null);
+
+  const handleChange = (value) => {
+    setText(value);
+    try {
+      onChange(parseFinPoints(value));
+      setError(null);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  return (
+    <label className="flex flex-col col-span-2">
+      外形の座標 (mm, 1行に x, y - 付け根前縁を原点に x: 後方, y: スパン方向、前縁から後縁の順)
+      <textarea
+        value={text}
+        rows={6}
+        onChange={(e) => handleChange(e.target.value)}
+        className="p-1 border border-gray-300 rounded font-mono text-xs"
+      />
+      {error && <span className="text-red-600 mt-1">{error}</span>}
+    </label>
+  );
+};
+
+// 機体構成の部品1つ分の編集カード
+const RocketPartEditor = ({ part, massItem, materialLibrary, canMoveUp, canMoveDown, onUpdate, onMove, onRemove }) => {
+  const finShape = FIN_SHAPES[part.shape] || FIN_SHAPES.trapezoid;
+  const noseShape = NOSE_SHAPES[part.shape] || NOSE_SHAPES.ogive;
+  const fields = (PART_FIELDS[part.type] || []).filter(field =>
+    (!field.planform || (!finShape.isFreeform && (field.planform === true || finShape[field.planform]))) &&
+    (!field.noseShape || noseShape[field.noseShape])
+  );
+  // フィンは弾性係数のある材料のみ選択できる
+  const materials = Object.entries(materialLibrary || {}).filter(([, material]) =>
+    part.type !== 'finSet' || isFinMaterial(material)
+  );
+  const finPlanform = part.type === 'finSet' ? getFinPlanform(getFinSetParams(part)) : null;
+  const noseProfile = part.type === 'noseCone' ? calculateNoseProfile(getNoseConeParams(part)) : null;
+
+  // フィンの平面形の変更 (自由形状へ切り替える場合は現在の外形を座標の初期値にする)
+  const handleFinShapeChange = (shape) => {
+    if (FIN_SHAPES[shape]?.isFreeform && !(part.points?.length)) {
+      const points = getFinOutline(getFinSetParams(part)).map(point => ({
+        x: Math.round(point.x * 10) / 10,
+        y: Math.round(point.y * 10) / 10
+      }));
+      onUpdate({ shape, points });
+      return;
+    }
+    onUpdate({ shape });
+  };
+
+  // 数値入力の変更 (数値に変換できない場合は無視、任意項目は空欄でnull)
+  const handleNumberChange = (field, rawValue) => {
+    if (field.optional && rawValue === '') {
+      onUpdate({ [field.key]: null });
+      return;
+    }
+    const value = parseFloat(rawValue);
+    if (isNaN(value)) return;
+    onUpdate({ [field.key]: value });
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-3 bg-gray-50">
+      <div className="flex items-center justify-between mb-2">
+        <div>
+          <span className="text-xs text-gray-500 mr-2">{ROCKET_PART_TYPES[part.type].name}</span>
+          <input
+            type="text"
+            value={part.name}
+            onChange={(e) => onUpdate({ name: e.target.value })}
+            className="font-semibold bg-transparent border-b border-gray-300 w-32"
+          />
+        </div>
+        <div className="flex space-x-1">
+          <button onClick={() => onMove(-1)} disabled={!canMoveUp} className="px-2 text-sm bg-gray-200 rounded disabled:opacity-40">↑</button>
+          <button onClick={() => onMove(1)} disabled={!canMoveDown} className="px-2 text-sm bg-gray-200 rounded disabled:opacity-40">↓</button>
+          <button onClick={onRemove} className="px-2 text-sm bg-red-100 text-red-700 rounded">削除</button>
+        </div>
+      </div>
+
+      {massItem && (
+        <p className="text-xs text-gray-600 mb-2">
+          質量: {massItem.mass.toFixed(1)} g ({massItem.source === 'measured' ? '実測' : '計算'}) / 重心位置: {massItem.cg.toFixed(1)} mm
+        </p>
+      )}
+      {noseProfile && (
+        <p className="text-xs text-gray-600 mb-2">
+          体積: {(noseProfile.volume / 1000).toFixed(1)} cm³ / 圧力中心: 先端から {noseProfile.cp.toFixed(1)} mm /
+          肩の角度: {(noseProfile.shoulderAngle * 180 / Math.PI).toFixed(1)}° / 圧力抗力係数: {noseProfile.pressureCd.toFixed(3)}
+        </p>
+      )}
+      {finPlanform && (
+        <p className="text-xs text-gray-600 mb-2">
+          1枚の面積: {finPlanform.area.toFixed(0)} mm² / 平均空力翼弦: {finPlanform.mac.toFixed(1)} mm /
+          圧力中心: 付け根前縁から {finPlanform.cpX.toFixed(1)} mm
+        </p>
+      )}
+
+      <div className="grid grid-cols-2 gap-2 text-sm">
+        {part.type === 'noseCone' && (
+          <label className="flex flex-col">
+            形状
+            <select value={part.shape} onChange={(e) => onUpdate({ shape: e.target.value })} className="p-1 border border-gray-300 rounded">
+              {Object.entries(NOSE_SHAPES).map(([key, shape]) => (
+                <option key={key} value={key}>{shape.name}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        {part.type === 'finSet' && (
+          <label className="flex flex-col">
+            平面形
+            <select value={part.shape || 'trapezoid'} onChange={(e) => handleFinShapeChange(e.target.value)} className="p-1 border border-gray-300 rounded">
+              {Object.entries(FIN_SHAPES).map(([key, shape]) => (
+                <option key={key} value={key}>{shape.name}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        {part.type === 'finSet' && finShape.isFreeform && (
+          <FinPointsEditor points={part.points || []} onChange={(points) => onUpdate({ points })} />
+        )}
+        {part.type === 'finSet' && (
+          <label className="flex flex-col">
+            フィン枚数
+            <select value={part.count} onChange={(e) => onUpdate({ count: parseInt(e.target.value, 10) })} className="p-1 border border-gray-300 rounded">
+              {Array.from({ length: FIN_COUNT.max - FIN_COUNT.min + 1 }, (_, i) => FIN_COUNT.min + i).map(count => (
+                <option key={count} value={count}>{count}枚</option>
+              ))}
+            </select>
+          </label>
+        )}
+        {part.type === 'recovery' && (
+          <label className="flex flex-col">
+            キャノピー
+            <select value={part.parachute} onChange={(e) => onUpdate({ parachute: e.target.value })} className="p-1 border border-gray-300 rounded">
+              {Object.entries(CANOPY_LIBRARY).map(([key, canopy]) => (
+                <option key={key} value={key}>{canopy.name}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        {fields.map(field => (
+          <label key={field.key} className="flex flex-col">
+            {field.label} ({field.unit})
+            <input
+              type="number"
+              value={part[field.key] ?? ''}
+              min={field.min}
+              max={field.max}
+              step={field.step || 1}
+              onChange={(e) => handleNumberChange(field, e.target.value)}
+              className="p-1 border border-gray-300 rounded"
+            />
+          </label>
+        ))}
+        {part.type !== 'massItem' && (
+          <label className="flex flex-col">
+            実測質量 (g, 空欄で計算値)
+            <input
+              type="number"
+              value={part.measuredMass ?? ''}
+              min={0}
+              step={0.1}
+              placeholder={massItem ? massItem.calculatedMass.toFixed(1) : ''}
+              onChange={(e) => handleNumberChange({ key: 'measuredMass', optional: true }, e.target.value)}
+              className="p-1 border border-gray-300 rounded"
+            />
+          </label>
+        )}
+        {part.type !== 'massItem' && (
+          <label className="flex flex-col">
+            材料
+            <select value={part.material} onChange={(e) => onUpdate({ material: e.target.value })} className="p-1 border border-gray-300 rounded">
+              {materials.map(([key, material]) => (
+                <option key={key} value={key}>{material.name}</option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+    </div>
+  );
+};
+
 // デザインタブコンポーネント
+// 材料ライブラリの入力欄 (scale: 入力単位から Pa・kg/m³ への換算係数)
+const MATERIAL_FIELDS = [
+  { key: 'density', label: '密度', unit: 'kg/m³', scale: 1 },
+  { key: 'E', label: '縦弾性係数', unit: 'GPa', scale: 1e9 },
+  { key: 'G', label: '横弾性係数', unit: 'GPa', scale: 1e9 },
+  { key: 'allowableStress', label: '許容応力', unit: 'MPa', scale: 1e6 }
+];
+
+const EMPTY_MATERIAL = { name: '', density: '', E: '', G: '', allowableStress: '' };
+
+// 材料ライブラリの編集 (ひな形から値を入れてユーザー定義の材料を追加・削除)
+const MaterialLibraryEditor = ({ rocketSim }) => {
+  const [draft, setDraft] = useState(EMPTY_MATERIAL);
+  const library = rocketSim.materialLibrary || {};
+
+  const handleTemplateChange = (templateKey) => {
+    const template = MATERIAL_TEMPLATES[templateKey];
+    if (!template) return;
+    setDraft({
+      name: template.name,
+      ...Object.fromEntries(MATERIAL_FIELDS.map(field => [field.key, String(template[field.key] / field.scale)]))
+    });
+  };
+
+  const handleAdd = () => {
+    const material = {
+      name: draft.name,
+      ...Object.fromEntries(MATERIAL_FIELDS.map(field => [field.key, parseFloat(draft[field.key]) * field.scale]))
+    };
+    if (rocketSim.saveMaterial(material)) {
+      setDraft(EMPTY_MATERIAL);
+    }
+  };
+
+  return (
+    <div className="border border-gray-200 rounded p-3 mb-4 text-sm">
+      <h4 className="font-semibold mb-2">材料ライブラリ</h4>
+      <div className="grid grid-cols-5 gap-1 mb-2">
+        <div className="font-semibold col-span-2">材料</div>
+        <div className="font-semibold">密度</div>
+        <div className="font-semibold">E / G (GPa)</div>
+        <div className="font-semibold">許容応力</div>
+        {Object.entries(library).map(([key, material]) => (
+          <React.Fragment key={key}>
+            <div className="col-span-2 flex items-center gap-1">
+              {material.name}
+              {material.isCustom && (
+                <button onClick={() => rocketSim.removeMaterial(key)} className="text-red-600 hover:underline">削除</button>
+              )}
+            </div>
+            <div>{material.density} kg/m³</div>
+            <div>{isFinMaterial(material) ? `${(material.E / 1e9).toFixed(2)} / ${(material.G / 1e9).toFixed(2)}` : '-'}</div>
+            <div>{material.allowableStress ? `${(material.allowableStress / 1e6).toFixed(0)} MPa` : '-'}</div>
+          </React.Fragment>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-3 gap-2">
+        <label className="flex flex-col">
+          ひな形
+          <select value="" onChange={(e) => handleTemplateChange(e.target.value)} className="p-1 border border-gray-300 rounded">
+            <option value="">選択してください</option>
+            {Object.entries(MATERIAL_TEMPLATES).map(([key, template]) => (
+              <option key={key} value={key}>{template.name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col col-span-2">
+          材料名
+          <input
+            type="text"
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            className="p-1 border border-gray-300 rounded"
+          />
+        </label>
+        {MATERIAL_FIELDS.map(field => (
+          <label key={field.key} className="flex flex-col">
+            {field.label} ({field.unit})
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={draft[field.key]}
+              onChange={(e) => setDraft({ ...draft, [field.key]: e.target.value })}
+              className="p-1 border border-gray-300 rounded"
+            />
+          </label>
+        ))}
+      </div>
+      <button
+        onClick={handleAdd}
+        className="mt-2 bg-indigo-500 hover:bg-indigo-600 text-white py-1 px-3 rounded"
+      >
+        材料を追加
+      </button>
+      {rocketSim.materialError && (
+        <p className="text-red-600 mt-1">{rocketSim.materialError}</p>
+      )}
+    </div>
+  );
+};
+
 const DesignTab = ({ rocketSim }) => {
   // 実際のロケット寸法を取得
   const defaultDimensions = { totalHeight: 0 };
@@ -488,184 +1064,51 @@ const DesignTab = ({ rocketSim }) => {
       </div>
     );
   }
+
+  // フィン枚数と取付角に応じた側面図のフィン
+  const finSetPaths = rocketSim.getFinSetPaths(rocketSim.design || {});
+
   return (
     <div className="bg-white rounded-lg shadow-lg p-6 mb-4">
       <div className="grid grid-cols-2 gap-6">
         <div>
-          <h3 className="text-xl font-bold mb-4">形状設計</h3>
-
-          <div className="mb-6">
-            <h4 className="text-lg font-semibold mb-2">ノーズ設定</h4>
-            <div className="flex space-x-4 mb-2">
-              <label className="flex items-center">
-                <input
-                  type="radio"
-                  value="cone"
-                  checked={rocketSim.noseShape === "cone"}
-                  onChange={() => rocketSim.setNoseShape("cone")}
-                  className="mr-2"
-                />
-                円錐
-              </label>
-              <label className="flex items-center">
-                <input
-                  type="radio"
-                  value="parabola"
-                  checked={rocketSim.noseShape === "parabola"}
-                  onChange={() => rocketSim.setNoseShape("parabola")}
-                  className="mr-2"
-                />
-                放物線
-              </label>
-              <label className="flex items-center">
-                <input
-                  type="radio"
-                  value="ogive"
-                  checked={rocketSim.noseShape === "ogive"}
-                  onChange={() => rocketSim.setNoseShape("ogive")}
-                  className="mr-2"
-                />
-                オジブ
-              </label>
-            </div>
-
-            <ParameterSlider
-              label="長さ"
-              value={rocketSim.noseHeight}
-              min={25}
-              max={150}
-              inputRef={rocketSim.noseHeightInputRef}
-              handleSlider={rocketSim.handleNoseHeight}
-              unit="mm"
-              minLabel="25"
-              maxLabel="150"
-            />
+          <h3 className="text-xl font-bold mb-4">機体構成</h3>
+
+          <div className="space-y-3 mb-4">
+            {(rocketSim.rocketTree || []).map((part, index, tree) => (
+              <RocketPartEditor
+                key={part.id}
+                part={part}
+                canMoveUp={ROCKET_PART_TYPES[part.type].isStack && part.type !== 'noseCone' && tree.slice(0, index).some(p => ROCKET_PART_TYPES[p.type].isStack && p.type !== 'noseCone')}
+                canMoveDown={ROCKET_PART_TYPES[part.type].isStack && part.type !== 'noseCone' && tree.slice(index + 1).some(p => ROCKET_PART_TYPES[p.type].isStack)}
+                massItem={rocketSim.massBudget?.items.find(item => item.id === part.id)}
+                materialLibrary={rocketSim.materialLibrary}
+                onUpdate={(changes) => rocketSim.updateRocketPart(part.id, changes)}
+                onMove={(offset) => rocketSim.moveRocketPart(part.id, offset)}
+                onRemove={() => rocketSim.removeRocketPart(part.id)}
+              />
+            ))}
           </div>
 
-          <div className="mb-6">
-            <h4 className="text-lg font-semibold mb-2">ボディ設定</h4>
-            <ParameterSlider
-              label="長さ"
-              value={rocketSim.bodyHeight}
-              min={100}
-              max={500}
-              inputRef={rocketSim.bodyHeightInputRef}
-              handleSlider={rocketSim.handleBodyHeight}
-              unit="mm"
-              minLabel="100"
-              maxLabel="300"
-            />
-
-            <ParameterSlider
-              label="直径"
-              value={rocketSim.bodyWidth}
-              min={24}
-              max={50}
-              inputRef={rocketSim.bodyWidthInputRef}
-              handleSlider={rocketSim.handleBodyWidth}
-              unit="mm"
-              minLabel="24"
-              maxLabel="50"
-            />
+          <div className="flex items-center space-x-2 mb-4">
+            <span className="font-medium">部品を追加:</span>
+            <select
+              value=""
+              onChange={(e) => e.target.value && rocketSim.addRocketPart(e.target.value)}
+              className="p-2 border border-gray-300 rounded"
+            >
+              <option value="">選択してください</option>
+              {Object.entries(ROCKET_PART_TYPES).map(([type, info]) => (
+                <option key={type} value={type}>{info.name}</option>
+              ))}
+            </select>
           </div>
 
-          <div>
-            <h4 className="text-lg font-semibold mb-2">フィン設定</h4>
-            {/* フィン枚数選択UI追加 */}
-            <div className="mb-4">
-              <h5 className="font-medium mb-2">フィン枚数:</h5>
-              <div className="flex space-x-4 mb-2">
-                <label className="flex items-center">
-                  <input
-                    type="radio"
-                    value="4"
-                    checked={rocketSim.finCount === 4}
-                    onChange={() => rocketSim.setFinCount(4)}
-                    className="mr-2"
-                  />
-                  4枚
-                </label>
-
-                {/* 3枚オプション - シンプルに無効化 */}
-                <div className="flex items-center">
-                  <label className="flex items-center">
-                    <input
-                      type="radio"
-                      value="3"
-                      checked={rocketSim.finCount === 3}
-                      onChange={() => rocketSim.setFinCount(3)}
-                      className="mr-2"
-                    />
-                    3枚
-                  </label>
-
+          <MaterialLibraryEditor rocketSim={rocketSim} />
 
-                </div>
-              </div>
-            </div>
-
-            <ParameterSlider
-              label="翼幅"
-              value={rocketSim.finHeight}
-              min={10}
-              max={250}
-              step={0.5}
-              inputRef={rocketSim.finHeightInputRef}
-              handleSlider={rocketSim.handleFinHeight}
-              unit="mm"
-              displayValue={rocketSim.finHeight.toFixed(1)}
-            />
-
-            <ParameterSlider
-              label="翼付け根長さ"
-              value={rocketSim.finBaseWidth}
-              min={10}
-              max={150}
-              inputRef={rocketSim.finBaseWidthInputRef}
-              handleSlider={rocketSim.handleFinBaseWidth}
-              unit="mm"
-            />
-
-            <ParameterSlider
-              label="翼端長"
-              value={rocketSim.finTipWidth}
-              min={0}
-              max={75}
-              inputRef={rocketSim.finTipWidthInputRef}
-              handleSlider={rocketSim.handleFinTipWidth}
-              unit="mm"
-            />
-
-            <ParameterSlider
-              label="厚さ"
-              value={rocketSim.finThickness}
-              min={1}
-              max={10}
-              step={0.5}
-              inputRef={rocketSim.finThicknessInputRef}
-              handleSlider={rocketSim.handleFinThickness}
-              unit="mm"
-              displayValue={rocketSim.finThickness.toFixed(1)}
-              minLabel="1.0"
-              maxLabel="10.0"
-            />
-
-            <ParameterSlider
-              label="前縁後退代"
-              value={rocketSim.finSweepLength}
-              min={-50}
-              max={150}
-              inputRef={rocketSim.finSweepLengthInputRef}
-              handleSlider={rocketSim.handleFinSweepLength}
-              unit="mm"
-              minLabel="-50"
-              maxLabel="150"
-            />
-
-            <div className="mt-4 text-sm text-gray-600">
-              <p><strong className="font-semibold">機体全長:</strong> {totalHeight}mm</p>
-              <p>（ノーズ+ボディ+フィン後端部分）</p>
-            </div>
+          <div className="mt-4 text-sm text-gray-600">
+            <p><strong className="font-semibold">機体全長:</strong> {totalHeight}mm</p>
+            <p>（ノーズ+ボディ+フィン後端部分）</p>
           </div>
         </div>
 
@@ -677,50 +1120,45 @@ const DesignTab = ({ rocketSim }) => {
             viewBox={rocketSim.getDesignViewBox ? rocketSim.getDesignViewBox() : "0 0 200 500"}
             className="overflow-visible"
           >
-            {/* 3枚フィンの場合は先に左右フィンを描画してボディの後ろに表示 */}
-            {rocketSim.finCount === 3 && (
-              <>
-                <path
-                  d={getTriFinLeftRightPaths(
-                    rocketSim.design || {},
-                    rocketSim.bodyWidth,
-                    rocketSim.finHeight,
-                    rocketSim.finBaseWidth,
-                    rocketSim.finSweepLength,
-                    rocketSim.finTipWidth
-                  ).leftFin}
-                  fill="#6B7280" stroke="#374151"
-                />
-                <path
-                  d={getTriFinLeftRightPaths(
-                    rocketSim.design || {},
-                    rocketSim.bodyWidth,
-                    rocketSim.finHeight,
-                    rocketSim.finBaseWidth,
-                    rocketSim.finSweepLength,
-                    rocketSim.finTipWidth
-                  ).rightFin}
-                  fill="#6B7280" stroke="#374151"
-                />
-              </>
-            )}
-
-            {/* 次にボディを描画 */}
-            <path d={rocketSim.getBodyPath ? rocketSim.getBodyPath(rocketSim.design || {}) : ""} fill="#9CA3AF" stroke="#374151" />
-
-            {/* 中央フィンを描画 */}
-            <path d={rocketSim.getCenterFinsPath ? rocketSim.getCenterFinsPath(rocketSim.design || {}) : ""} fill="#6B7280" stroke="#374151" />
-
-            {/* 4枚フィンの場合は左右フィンを中央フィンの後に描画 */}
-            {rocketSim.finCount === 4 && (
-              <>
-                <path d={rocketSim.getLeftFinPath ? rocketSim.getLeftFinPath(rocketSim.design || {}) : ""} fill="#6B7280" stroke="#374151" />
-                <path d={rocketSim.getRightFinPath ? rocketSim.getRightFinPath(rocketSim.design || {}) : ""} fill="#6B7280" stroke="#374151" />
-              </>
+            {/* 奥側のフィンを先に描画してボディの後ろに表示 */}
+            {finSetPaths.backFins.map((path, index) => (
+              <path key={`back-fin-${index}`} d={path} fill="#6B7280" stroke="#374151" />
+            ))}
+
+            {/* 次にボディ (ボディチューブ・トランジション) とランチラグを描画 */}
+            {rocketSim.getBodyStackPaths(rocketSim.design || {}).map(body => (
+              <path key={body.id} d={body.path} fill={body.type === 'transition' ? "#B0B7C3" : "#9CA3AF"} stroke="#374151" />
+            ))}
+            {rocketSim.getLaunchLugPaths(rocketSim.design || {}).map(lug => (
+              <path key={lug.id} d={lug.path} fill="#D1D5DB" stroke="#374151" />
+            ))}
+
+            {/* 手前側のフィン (中央フィンと左右に見えるフィン) を描画 */}
+            {finSetPaths.centerFins && (
+              <path d={finSetPaths.centerFins} fill="#6B7280" stroke="#374151" />
             )}
+            {finSetPaths.frontFins.map((path, index) => (
+              <path key={`front-fin-${index}`} d={path} fill="#6B7280" stroke="#374151" />
+            ))}
 
             {/* 最後にノーズを描画 */}
             <path d={rocketSim.getNosePath ? rocketSim.getNosePath(rocketSim.design || {}) : ""} fill="#D1D5DB" stroke="#374151" />
+
+            {/* 重心マーカー (機体後端を基準にノーズ先端からの距離を変換) */}
+            {rocketSim.rocketLayout && (() => {
+              const design = rocketSim.design || {};
+              const cgY = design.height - rocketSim.rocketLayout.stackLength + getSafeNumber(rocketSim.centerOfGravity, 0);
+              const halfWidth = getSafeNumber(rocketSim.bodyWidth, 30) / 2 + 15;
+              return (
+                <g>
+                  <line x1={design.centerX - halfWidth} y1={cgY} x2={design.centerX + halfWidth} y2={cgY} stroke="#EF4444" strokeWidth="2" />
+                  <circle cx={design.centerX} cy={cgY} r={4} fill="#EF4444" />
+                  <text x={design.centerX + halfWidth + 4} y={cgY + 4} fontSize="10" fill="#EF4444">
+                    CG {getSafeNumber(rocketSim.centerOfGravity, 0)}mm
+                  </text>
+                </g>
+              );
+            })()}
           </svg>
         </div>
       </div>
@@ -729,6 +1167,147 @@ const DesignTab = ({ rocketSim }) => {
 };
 
 // 分析タブコンポーネント
+// 部品ごとの抗力の内訳表と Cd-速度グラフ
+const DragAnalysisPanel = ({ rocketSim }) => {
+  const { dragAnalysis } = rocketSim;
+  const chart = useMemo(() => getDragChart(dragAnalysis.curve, DRAG_ANALYSIS), [dragAnalysis]);
+  const { breakdown } = dragAnalysis;
+  const speedTicks = [0, 0.25, 0.5, 0.75, 1].map(ratio => chart.maxSpeed * ratio);
+  const cdTicks = [0, 0.5, 1].map(ratio => chart.maxCd * ratio);
+
+  return (
+    <div className="mt-4 bg-gray-50 p-4 rounded-lg">
+      <h4 className="text-lg font-semibold mb-2">抗力の内訳</h4>
+      <label className="flex items-center text-sm mb-2">
+        <span className="mr-2">表面仕上げ:</span>
+        <select
+          value={rocketSim.surfaceFinish}
+          onChange={(e) => rocketSim.setSurfaceFinish(e.target.value)}
+          className="p-1 border border-gray-300 rounded"
+        >
+          {Object.entries(SURFACE_FINISHES).map(([key, finish]) => (
+            <option key={key} value={key}>{finish.name} ({finish.roughness} μm)</option>
+          ))}
+        </select>
+      </label>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b border-gray-300">
+            <th className="text-left py-1">成分 ({dragAnalysis.referenceSpeed} m/s、慣性飛行)</th>
+            <th className="text-right py-1">Cd</th>
+            <th className="text-right py-1">割合</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(DRAG_COMPONENTS).map(([key, name]) => (
+            <tr key={key} className="border-b border-gray-200">
+              <td className="py-1">{name}</td>
+              <td className="text-right py-1">{breakdown.components[key].toFixed(3)}</td>
+              <td className="text-right py-1">
+                {breakdown.total > 0 ? (breakdown.components[key] / breakdown.total * 100).toFixed(0) : 0} %
+              </td>
+            </tr>
+          ))}
+          <tr className="font-semibold">
+            <td className="py-1">合計</td>
+            <td className="text-right py-1">{breakdown.total.toFixed(3)}</td>
+            <td></td>
+          </tr>
+        </tbody>
+      </table>
+      <p className="text-xs text-gray-500 mt-1">
+        レイノルズ数 {breakdown.reynoldsNumber.toExponential(2)} / 摩擦係数 {breakdown.skinFrictionCoefficient.toFixed(4)} / 基準面積は最大胴体断面積
+      </p>
+
+      <svg viewBox={`0 0 ${DRAG_ANALYSIS.chartWidth} ${DRAG_ANALYSIS.chartHeight}`} className="w-full mt-2 bg-white border border-gray-200">
+        {speedTicks.map(speed => {
+          const { x } = chart.toSvg(speed, 0);
+          return (
+            <g key={`speed-${speed}`}>
+              <line x1={x} y1={chart.toSvg(0, chart.maxCd).y} x2={x} y2={chart.toSvg(0, 0).y} stroke="#e5e7eb" />
+              <text x={x} y={DRAG_ANALYSIS.chartHeight - 4} textAnchor="middle" fontSize="9" fill="#6b7280">{speed.toFixed(0)}</text>
+            </g>
+          );
+        })}
+        {cdTicks.map(cd => {
+          const { y } = chart.toSvg(0, cd);
+          return (
+            <g key={`cd-${cd}`}>
+              <line x1={chart.toSvg(0, 0).x} y1={y} x2={chart.toSvg(chart.maxSpeed, 0).x} y2={y} stroke="#e5e7eb" />
+              <text x={DRAG_ANALYSIS.padding - 4} y={y + 3} textAnchor="end" fontSize="9" fill="#6b7280">{cd.toFixed(2)}</text>
+            </g>
+          );
+        })}
+        <path d={chart.coastPath} fill="none" stroke="#2563eb" strokeWidth="1.5" />
+        <path d={chart.thrustPath} fill="none" stroke="#f97316" strokeWidth="1.5" strokeDasharray="4,2" />
+        <text x={DRAG_ANALYSIS.chartWidth - 4} y={DRAG_ANALYSIS.chartHeight - 14} textAnchor="end" fontSize="9" fill="#374151">速度 (m/s)</text>
+      </svg>
+      <div className="flex justify-center space-x-4 text-xs mt-1">
+        <span className="text-blue-600">― 慣性飛行</span>
+        <span className="text-orange-500">- - 燃焼中</span>
+      </div>
+    </div>
+  );
+};
+
+// 迎角に対する CN または CP のグラフ (フィンの失速角に縦線、CPのグラフには重心位置を破線で描く)
+const NormalForceChart = ({ curve, valueKey, label, digits, centerOfGravity = null }) => {
+  const chart = useMemo(
+    () => getNormalForceChart(curve, valueKey, NORMAL_FORCE_CHART, centerOfGravity !== null ? [centerOfGravity] : []),
+    [curve, valueKey, centerOfGravity]
+  );
+  const angleTicks = [0, 0.25, 0.5, 0.75, 1].map(ratio => chart.maxAngle * ratio);
+  const valueTicks = [chart.minValue, (chart.minValue + chart.maxValue) / 2, chart.maxValue];
+  const stallX = chart.toSvg(NORMAL_FORCE.finStallAngle, 0).x;
+
+  return (
+    <svg viewBox={`0 0 ${NORMAL_FORCE_CHART.chartWidth} ${NORMAL_FORCE_CHART.chartHeight}`} className="w-full mt-1 bg-white border border-gray-200">
+      {angleTicks.map(angle => {
+        const { x } = chart.toSvg(angle, chart.minValue);
+        return (
+          <text key={`angle-${angle}`} x={x} y={NORMAL_FORCE_CHART.chartHeight - 4} textAnchor="middle" fontSize="9" fill="#6b7280">{angle.toFixed(0)}</text>
+        );
+      })}
+      {valueTicks.map(value => {
+        const { y } = chart.toSvg(0, value);
+        return (
+          <g key={`value-${value}`}>
+            <line x1={chart.toSvg(0, 0).x} y1={y} x2={chart.toSvg(chart.maxAngle, 0).x} y2={y} stroke="#e5e7eb" />
+            <text x={NORMAL_FORCE_CHART.padding - 4} y={y + 3} textAnchor="end" fontSize="9" fill="#6b7280">{value.toFixed(digits)}</text>
+          </g>
+        );
+      })}
+      <line x1={stallX} y1={chart.toSvg(0, chart.maxValue).y} x2={stallX} y2={chart.toSvg(0, chart.minValue).y} stroke="#9ca3af" strokeDasharray="2,2" />
+      {centerOfGravity !== null && (
+        <line
+          x1={chart.toSvg(0, centerOfGravity).x} y1={chart.toSvg(0, centerOfGravity).y}
+          x2={chart.toSvg(chart.maxAngle, centerOfGravity).x} y2={chart.toSvg(0, centerOfGravity).y}
+          stroke="#dc2626" strokeDasharray="4,2"
+        />
+      )}
+      <path d={chart.path} fill="none" stroke="#2563eb" strokeWidth="1.5" />
+      <text x={NORMAL_FORCE_CHART.chartWidth - 4} y={NORMAL_FORCE_CHART.chartHeight - 14} textAnchor="end" fontSize="9" fill="#374151">{label}</text>
+    </svg>
+  );
+};
+
+// 迎角に対する法線力係数と圧力中心のグラフ
+const NormalForcePanel = ({ rocketSim }) => {
+  const { curve, centerOfGravity } = rocketSim.normalForceAnalysis;
+  return (
+    <div className="mt-4 bg-gray-50 p-4 rounded-lg">
+      <h4 className="text-lg font-semibold mb-2">迎角に対する法線力と圧力中心</h4>
+      <div className="text-sm">法線力係数 CN</div>
+      <NormalForceChart curve={curve} valueKey="normalForce" label="迎角 (°)" digits={1} />
+      <div className="text-sm mt-2">圧力中心 (ノーズ先端から mm、赤の破線は重心)</div>
+      <NormalForceChart curve={curve} valueKey="centerOfPressure" label="迎角 (°)" digits={0} centerOfGravity={centerOfGravity} />
+      <p className="text-xs text-gray-500 mt-1">
+        大迎角ではボディ揚力で圧力中心が前進し、フィンは {NORMAL_FORCE.finStallAngle}° (灰色の線) で失速します
+      </p>
+    </div>
+  );
+};
+
 const AnalysisTab = ({ rocketSim, getSafeValue }) => {
   // rocketSimオブジェクトが適切に初期化されているか確認
   if (!rocketSim || !rocketSim.getActualRocketDimensions) {
@@ -761,6 +1340,12 @@ const AnalysisTab = ({ rocketSim, getSafeValue }) => {
   // 全長はノーズ + ボディ + フィン後端部分（フィン後端がボディ後端より後ろに出る場合）
   const totalRocketLength = noseHeight + bodyHeight + finExtension;
 
+  // フィン枚数と取付角に応じた側面図のフィン (ボディ後端中央が原点)
+  const finSetPaths = getFinSetSidePaths(0, 0, {
+    bodyWidth, finHeight, finBaseWidth, finSweepLength, finTipWidth, finThickness, finCount: rocketSim.finCount,
+    finShape: rocketSim.finShape, finPoints: rocketSim.finPoints
+  });
+
   // 重心位置スライダーの最大値は全長と同じ
   const maxCGPosition = totalRocketLength;
 
@@ -774,12 +1359,58 @@ const AnalysisTab = ({ rocketSim, getSafeValue }) => {
         <div>
           <h3 className="text-xl font-bold mb-4">重量・空力特性</h3>
 
+          {rocketSim.massBudget && (
+            <div className="mb-4">
+              <h4 className="text-lg font-semibold mb-2">質量内訳</h4>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-300 text-left">
+                    <th className="py-1">部品</th>
+                    <th className="py-1 text-right">質量</th>
+                    <th className="py-1 text-right">重心位置</th>
+                    <th className="py-1 text-right">区分</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rocketSim.massBudget.items.map(item => (
+                    <tr key={item.id} className="border-b border-gray-100">
+                      <td className="py-1">{item.name}</td>
+                      <td className="py-1 text-right">{item.mass.toFixed(1)} g</td>
+                      <td className="py-1 text-right">{item.cg.toFixed(1)} mm</td>
+                      <td className="py-1 text-right text-gray-500">
+                        {item.source === 'measured' ? '実測' : item.source === 'motor' ? 'モーター諸元' : '計算'}
+                      </td>
+                    </tr>
+                  ))}
+                  <tr className="font-semibold">
+                    <td className="py-1">合計</td>
+                    <td className="py-1 text-right">{rocketSim.massBudget.totalMass.toFixed(1)} g</td>
+                    <td className="py-1 text-right">{rocketSim.massBudget.centerOfGravity.toFixed(1)} mm</td>
+                    <td></td>
+                  </tr>
+                </tbody>
+              </table>
+              <p className="text-xs text-gray-500 mt-1">部品ごとの実測質量はデザインタブで入力できます</p>
+            </div>
+          )}
+
+          <label className="flex items-center mb-2">
+            <input
+              type="checkbox"
+              checked={!!rocketSim.useMeasuredMass}
+              onChange={(e) => rocketSim.setUseMeasuredMass(e.target.checked)}
+              className="mr-2"
+            />
+            機体全体の重量・重心に実測値を使用する
+          </label>
+
           <ParameterSlider
             label="機体総重量"
             value={getSafeNumber(rocketSim.weight, 0)}
             min={15}
             max={150}
             step={0.1}
+            disabled={!rocketSim.useMeasuredMass}
             inputRef={rocketSim.weightInputRef}
             handleSlider={rocketSim.handleWeight}
             unit="g"
@@ -799,6 +1430,7 @@ const AnalysisTab = ({ rocketSim, getSafeValue }) => {
                   min={0}
                   max={maxCGPosition}
                   step={1}
+                  disabled={!rocketSim.useMeasuredMass}
                   {...(rocketSim.handleCenterOfGravity || {})}
                   className="w-full cursor-pointer"
                 />
@@ -818,9 +1450,11 @@ const AnalysisTab = ({ rocketSim, getSafeValue }) => {
               onChange={(e) => rocketSim.setFinMaterial && rocketSim.setFinMaterial(e.target.value)}
               className="w-full p-2 border border-gray-300 rounded mb-4"
             >
-              <option value="light_balsa">軽量バルサ</option>
-              <option value="balsa">バルサ</option>
-              <option value="light_veneer">軽量ベニア</option>
+              {Object.entries(rocketSim.materialLibrary || {})
+                .filter(([, material]) => isFinMaterial(material))
+                .map(([key, material]) => (
+                  <option key={key} value={key}>{material.name}</option>
+                ))}
             </select>
           </div>
 
@@ -831,10 +1465,54 @@ const AnalysisTab = ({ rocketSim, getSafeValue }) => {
               onChange={(e) => rocketSim.setSelectedMotor && rocketSim.setSelectedMotor(e.target.value)}
               className="w-full p-2 border border-gray-300 rounded mb-4"
             >
-              <option value="1/2A6-2">1/2A6-2</option>
-              <option value="A8-3">A8-3</option>
-              <option value="B6-4">B6-4</option>
+              {(rocketSim.availableMotors || ['1/2A6-2', 'A8-3', 'B6-4']).map((motorName) => (
+                <option key={motorName} value={motorName}>{motorName}</option>
+              ))}
             </select>
+
+            {/* 遅延秒の選択 - 複数の遅延を持つモーターのみ */}
+            {rocketSim.getMotor && rocketSim.getMotor(rocketSim.selectedMotor).delays.length > 1 && (
+              <div className="flex items-center mb-4">
+                <label className="mr-2">遅延秒:</label>
+                <select
+                  value={rocketSim.motorDelay}
+                  onChange={(e) => rocketSim.setMotorDelay(parseFloat(e.target.value))}
+                  className="p-2 border border-gray-300 rounded"
+                >
+                  {rocketSim.getMotor(rocketSim.selectedMotor).delays.map((delay) => (
+                    <option key={delay} value={delay}>{delay} s</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {/* 推力曲線ファイルの読み込み */}
+            {rocketSim.handleMotorFileImport && (
+              <div className="text-sm">
+                <label className="block mb-1">推力曲線ファイル (.eng / .rse) を読み込む</label>
+                <input
+                  type="file"
+                  accept=".eng,.rse"
+                  onChange={(e) => {
+                    rocketSim.handleMotorFileImport(e.target.files[0]);
+                    e.target.value = '';
+                  }}
+                  className="w-full"
+                />
+                {rocketSim.motorImportError && (
+                  <p className="text-red-600 mt-1">{rocketSim.motorImportError}</p>
+                )}
+              </div>
+            )}
+
+            {rocketSim.getMotor && (() => {
+              const motor = rocketSim.getMotor(rocketSim.selectedMotor);
+              return (
+                <p className="text-sm text-gray-600 mt-2">
+                  総推力 {motor.totalImpulse.toFixed(2)} N·s / 燃焼時間 {motor.burnTime.toFixed(2)} s / 全備質量 {motor.totalMass.toFixed(1)} g / 推進剤 {motor.propellantMass.toFixed(2)} g / 直径 {motor.diameter} mm
+                </p>
+              );
+            })()}
           </div>
 
           <div className="mb-6">
@@ -844,24 +1522,73 @@ const AnalysisTab = ({ rocketSim, getSafeValue }) => {
               onChange={(e) => rocketSim.setSelectedParachute && rocketSim.setSelectedParachute(e.target.value)}
               className="w-full p-2 border border-gray-300 rounded"
             >
-              <option value="φ180">φ180</option>
-              <option value="φ250">φ250</option>
-              <option value="φ300">φ300</option>
-              <option value="φ600">φ600</option>
-              <option value="φ900">φ900</option>
+              {Object.entries(CANOPY_LIBRARY).map(([key, canopy]) => (
+                <option key={key} value={key}>{canopy.name}</option>
+              ))}
             </select>
           </div>
 
           <div className="space-y-2 bg-gray-50 p-4 rounded-lg">
             <h4 className="text-lg font-semibold mb-2">設計値</h4>
             <p><strong className="font-semibold">機体全長:</strong> {safeCalculations.totalHeight || 0} mm</p>
-            <p><strong className="font-semibold">空力中心位置:</strong> {safeCalculations.aerodynamicCenter || 0} mm</p>
-            <p><strong className="font-semibold">圧力中心位置:</strong> {safeCalculations.pressureCenter || 0} mm</p>
-            <p><strong className="font-semibold">静安定用CP:</strong> {safeCalculations.stabilityCenterOfPressure || 0} mm</p>
+            <p><strong className="font-semibold">圧力中心位置 (Barrowman法):</strong> {safeCalculations.stabilityCenterOfPressure || 0} mm</p>
             <p><strong className="font-semibold">静安定マージン:</strong> {safeCalculations.stabilityStaticMargin || 0}</p>
             <p><strong className="font-semibold">フィンダイバージェンス速度:</strong> {safeCalculations.finDivergenceSpeedDisplay || "計算中..."}</p>
             <p><strong className="font-semibold">フィンフラッター速度:</strong> {safeCalculations.finFlutterSpeedDisplay || "計算中..."}</p>
           </div>
+
+          {/* Barrowman法による部品ごとの内訳 */}
+          {safeCalculations.barrowman && (
+            <div className="mt-4 bg-gray-50 p-4 rounded-lg">
+              <h4 className="text-lg font-semibold mb-2">Barrowman法の内訳</h4>
+              <label className="flex items-center text-sm mb-2">
+                <input
+                  type="checkbox"
+                  checked={rocketSim.includeBodyLift || false}
+                  onChange={(e) => rocketSim.setIncludeBodyLift && rocketSim.setIncludeBodyLift(e.target.checked)}
+                  className="mr-2"
+                />
+                ボディ揚力を含める (拡張Barrowman法)
+              </label>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-300">
+                    <th className="text-left py-1">部品</th>
+                    <th className="text-right py-1">CNα (1/rad)</th>
+                    <th className="text-right py-1">CP位置 (mm)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {safeCalculations.barrowman.components.map(component => (
+                    <tr key={component.key} className="border-b border-gray-200">
+                      <td className="py-1">{component.name}</td>
+                      <td className="text-right py-1">{component.cnAlpha.toFixed(2)}</td>
+                      <td className="text-right py-1">{component.cnAlpha !== 0 ? component.cp.toFixed(1) : '-'}</td>
+                    </tr>
+                  ))}
+                  <tr className="font-semibold">
+                    <td className="py-1">合計</td>
+                    <td className="text-right py-1">{safeCalculations.barrowman.cnAlpha.toFixed(2)}</td>
+                    <td className="text-right py-1">{safeCalculations.stabilityCenterOfPressure || 0}</td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* 予測飛行 (現在の発射条件) でのピッチの動安定 */}
+          {rocketSim.dynamicStability && (
+            <div className="mt-4 bg-gray-50 p-4 rounded-lg">
+              <h4 className="text-lg font-semibold mb-2">ピッチの動安定 (予測飛行)</h4>
+              <DynamicStabilityTable dynamicStability={rocketSim.dynamicStability} />
+              <p className="text-xs text-gray-500 mt-1">
+                C1: 復元モーメント係数 / C2: 減衰モーメント係数 / ωn: 固有角振動数 / ζ: 減衰比 (頂点は回収装置を除く機体単体の値)
+              </p>
+            </div>
+          )}
+
+          {rocketSim.dragAnalysis && <DragAnalysisPanel rocketSim={rocketSim} />}
+          {rocketSim.normalForceAnalysis && <NormalForcePanel rocketSim={rocketSim} />}
         </div>
 
         {/* 右側: ロケット表示 - サイズを調整可能に変更 */}
@@ -877,10 +1604,6 @@ const AnalysisTab = ({ rocketSim, getSafeValue }) => {
                 <div className="w-10 h-0.5 mr-2" style={{ borderTop: '2px dashed #3B82F6' }}></div>
                 <span className="text-sm font-medium">圧力中心 (CP)</span>
               </div>
-              <div className="flex items-center">
-                <div className="w-10 h-0.5 mr-2" style={{ borderTop: '2px dotted #10B981' }}></div>
-                <span className="text-sm font-medium">静安定用CP</span>
-              </div>
             </div>
 
             {/* ロケット表示エリア - 縦向きロケットを中央に配置 */}
@@ -894,69 +1617,28 @@ const AnalysisTab = ({ rocketSim, getSafeValue }) => {
               <g transform={`translate(0, ${totalRocketLength + 100})`}>
                 {/* ロケットを全長に基づいて中央に配置するための計算と変換 */}
                 <g transform={`translate(0, ${-totalRocketLength / 2 - 50})`}>
-                  {/* 3枚フィンの場合は先に左右フィンを描画してボディの後ろに表示 */}
-                  {rocketSim.finCount === 3 && (
-                    <>
-                      {/* 左フィン - 位置と幅を調整 */}
-                      <path
-                        d={`M ${-(bodyWidth / 2) * 1.73 / 2} ${-finBaseWidth}
-                L ${-(bodyWidth / 2) * 1.73 / 2} ${0}
-                L ${-(bodyWidth / 2) * 1.73 / 2 - finHeight * 1.73 / 2} ${-finBaseWidth + finSweepLength + finTipWidth}
-                L ${-(bodyWidth / 2) * 1.73 / 2 - finHeight * 1.73 / 2} ${-finBaseWidth + finSweepLength} Z`}
-                        fill="#6B7280"
-                        stroke="#374151"
-                        strokeWidth="1.5"
-                      />
-
-                      {/* 右フィン - 位置と幅を調整 */}
-                      <path
-                        d={`M ${(bodyWidth / 2) * 1.73 / 2} ${-finBaseWidth}
-                L ${(bodyWidth / 2) * 1.73 / 2} ${0}
-                L ${(bodyWidth / 2) * 1.73 / 2 + finHeight * 1.73 / 2} ${-finBaseWidth + finSweepLength + finTipWidth}
-                L ${(bodyWidth / 2) * 1.73 / 2 + finHeight * 1.73 / 2} ${-finBaseWidth + finSweepLength} Z`}
-                        fill="#6B7280"
-                        stroke="#374151"
-                        strokeWidth="1.5"
-                      />
-                    </>
-                  )}
+                  {/* 奥側のフィンを先に描画してボディの後ろに表示 */}
+                  {finSetPaths.backFins.map((path, index) => (
+                    <path key={`back-fin-${index}`} d={path} fill="#6B7280" stroke="#374151" strokeWidth="1.5" />
+                  ))}
 
                   {/* ボディ - 座標系を底部(0,0)として上方向に負のy座標 */}
-                  <rect
-                    x={-(getSafeNumber(rocketSim.bodyWidth, 30) / 2)}
-                    y={-getSafeNumber(rocketSim.bodyHeight, 200)}
-                    width={getSafeNumber(rocketSim.bodyWidth, 30)}
-                    height={getSafeNumber(rocketSim.bodyHeight, 200)}
-                    fill="#9CA3AF"
-                    stroke="#374151"
-                    strokeWidth="1.5"
-                  />
+                  {rocketSim.getBodyStackPaths({ centerX: 0, height: 0 }).map(body => (
+                    <path
+                      key={body.id}
+                      d={body.path}
+                      fill={body.type === 'transition' ? "#B0B7C3" : "#9CA3AF"}
+                      stroke="#374151"
+                      strokeWidth="1.5"
+                    />
+                  ))}
 
                   {/* ノーズ - 選択した形状タイプに基づいて描画 */}
                   {(() => {
-                    const baseX1 = -(bodyWidth / 2);
-                    const baseX2 = bodyWidth / 2;
-                    const baseY = -bodyHeight;
-                    const topX = 0;
-                    const topY = baseY - noseHeight;
-
-                    let nosePath;
-                    if (rocketSim.noseShape === 'cone') {
-                      // 円錐ノーズ
-                      nosePath = `M ${baseX1} ${baseY} L ${topX} ${topY} L ${baseX2} ${baseY} Z`;
-                    } else if (rocketSim.noseShape === 'parabola') {
-                      // 放物線ノーズ
-                      const controlY = topY + noseHeight * 0.15;
-                      nosePath = `M ${baseX1} ${baseY} 
-                      C ${baseX1} ${controlY}, ${topX} ${topY}, ${topX} ${topY}
-                      C ${topX} ${topY}, ${baseX2} ${controlY}, ${baseX2} ${baseY} Z`;
-                    } else {
-                      // オジブノーズ (デフォルト)
-                      const halfWidth = bodyWidth / 2;
-                      nosePath = `M ${baseX1} ${baseY}
-                      Q ${baseX1 + halfWidth * 0.1} ${topY + noseHeight * 0.4}, ${topX} ${topY}
-                      Q ${baseX2 - halfWidth * 0.1} ${topY + noseHeight * 0.4}, ${baseX2} ${baseY} Z`;
-                    }
+                    const nosePath = getNoseProfilePath({
+                      noseShape: rocketSim.noseShape, noseHeight, bodyWidth,
+                      noseExponent: rocketSim.noseExponent, noseOgiveRatio: rocketSim.noseOgiveRatio
+                    }, 0, -bodyHeight);
 
                     return (
                       <path
@@ -968,102 +1650,438 @@ const AnalysisTab = ({ rocketSim, getSafeValue }) => {
                     );
                   })()}
 
-                  {/* 4枚フィンの場合のみ、左右フィンを表示 */}
-                  {rocketSim.finCount === 4 && (
-                    <>
-                      {/* 左フィン */}
-                      <path
-                        d={`M ${-(bodyWidth / 2)} ${-finBaseWidth}
-                L ${-(bodyWidth / 2)} ${0}
-                L ${-(bodyWidth / 2) - finHeight} ${-finBaseWidth + finSweepLength + finTipWidth}
-                L ${-(bodyWidth / 2) - finHeight} ${-finBaseWidth + finSweepLength} Z`}
-                        fill="#6B7280"
-                        stroke="#374151"
-                        strokeWidth="1.5"
-                      />
+                  {/* 手前側のフィン (左右に見えるフィンと中央フィン) */}
+                  {finSetPaths.frontFins.map((path, index) => (
+                    <path key={`front-fin-${index}`} d={path} fill="#6B7280" stroke="#374151" strokeWidth="1.5" />
+                  ))}
+                  {finSetPaths.centerFins && (
+                    <path d={finSetPaths.centerFins} fill="#6B7280" stroke="#374151" strokeWidth="1.5" />
+                  )}
+
+                  {/* 重心マーカー - ノーズ先端からの距離を座標系に変換 */}
+                  <line
+                    x1={-60}
+                    y1={-(bodyHeight + noseHeight) + centerOfGravity}
+                    x2={60}
+                    y2={-(bodyHeight + noseHeight) + centerOfGravity}
+                    stroke="#EF4444"
+                    strokeWidth="2.5"
+                  />
+
+                  {/* 圧力中心マーカー */}
+                  <line
+                    x1={-60}
+                    y1={-(getSafeNumber(rocketSim.bodyHeight, 200) + getSafeNumber(rocketSim.noseHeight, 50)) + Math.min(
+                      totalRocketLength,
+                      Math.max(0, getSafeNumber(safeCalculations.pressureCenter, 0))
+                    )}
+                    x2={60}
+                    y2={-(getSafeNumber(rocketSim.bodyHeight, 200) + getSafeNumber(rocketSim.noseHeight, 50)) + Math.min(
+                      totalRocketLength,
+                      Math.max(0, getSafeNumber(safeCalculations.pressureCenter, 0))
+                    )}
+                    stroke="#3B82F6"
+                    strokeWidth="2"
+                    strokeDasharray="6,3"
+                  />
+                </g>
+              </g>
+            </svg>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// シミュレーションタブコンポーネント - 修正版
+// 回収装置1つ分の放出条件の編集行
+const RecoveryDeviceEditor = ({ device, otherDevices, disabled, onUpdate, onRemove }) => {
+  const trigger = device.trigger || { type: 'motorDelay' };
+  const updateTrigger = (changes) => onUpdate({ trigger: { ...trigger, ...changes } });
+  const parseNumber = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? fallback : parsed;
+  };
+
+  return (
+    <div className="grid grid-cols-4 gap-2 text-sm mb-2 items-end">
+      <div>
+        <span className="block text-gray-600">{device.name}</span>
+        <select
+          value={device.deviceType}
+          onChange={(e) => onUpdate({ deviceType: e.target.value })}
+          disabled={disabled}
+          className="w-full p-1 border border-gray-300 rounded"
+        >
+          {Object.entries(RECOVERY_DEVICE_TYPES).map(([key, type]) => (
+            <option key={key} value={key}>{type.name}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        {device.deviceType === 'streamer' ? (
+          <>
+            <span className="block text-gray-600">長さ×幅 (mm)</span>
+            <div className="flex space-x-1">
+              <input
+                type="number"
+                value={device.streamerLength}
+                onChange={(e) => onUpdate({ streamerLength: parseNumber(e.target.value, device.streamerLength) })}
+                disabled={disabled}
+                className="w-1/2 p-1 border border-gray-300 rounded"
+              />
+              <input
+                type="number"
+                value={device.streamerWidth}
+                onChange={(e) => onUpdate({ streamerWidth: parseNumber(e.target.value, device.streamerWidth) })}
+                disabled={disabled}
+                className="w-1/2 p-1 border border-gray-300 rounded"
+              />
+            </div>
+          </>
+        ) : (
+          <>
+            <span className="block text-gray-600">キャノピー</span>
+            <select
+              value={device.parachute}
+              onChange={(e) => onUpdate({ parachute: e.target.value })}
+              disabled={disabled}
+              className="w-full p-1 border border-gray-300 rounded"
+            >
+              {Object.entries(CANOPY_LIBRARY).map(([key, canopy]) => (
+                <option key={key} value={key}>{canopy.name}</option>
+              ))}
+            </select>
+          </>
+        )}
+      </div>
+      <div>
+        <span className="block text-gray-600">放出条件</span>
+        <select
+          value={trigger.type}
+          onChange={(e) => updateTrigger({ type: e.target.value })}
+          disabled={disabled}
+          className="w-full p-1 border border-gray-300 rounded"
+        >
+          {Object.entries(RECOVERY_TRIGGERS).map(([key, type]) => (
+            <option key={key} value={key}>{type.name}</option>
+          ))}
+        </select>
+      </div>
+      <div className="flex items-end space-x-1">
+        {trigger.type === 'altitude' && (
+          <label className="flex-1">
+            <span className="block text-gray-600">高度 (m)</span>
+            <input
+              type="number"
+              value={trigger.altitude}
+              onChange={(e) => updateTrigger({ altitude: parseNumber(e.target.value, trigger.altitude) })}
+              disabled={disabled}
+              className="w-full p-1 border border-gray-300 rounded"
+            />
+          </label>
+        )}
+        {trigger.type === 'afterEvent' && (
+          <label className="flex-1">
+            <span className="block text-gray-600">起点</span>
+            <select
+              value={trigger.eventId || ''}
+              onChange={(e) => updateTrigger({ eventId: e.target.value || null })}
+              disabled={disabled}
+              className="w-full p-1 border border-gray-300 rounded"
+            >
+              <option value="">選択</option>
+              {otherDevices.map(other => (
+                <option key={other.id} value={other.id}>{other.name}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        {(trigger.type === 'apogee' || trigger.type === 'afterEvent') && (
+          <label className="flex-1">
+            <span className="block text-gray-600">遅延 (s)</span>
+            <input
+              type="number"
+              step={0.1}
+              value={trigger.delay}
+              onChange={(e) => updateTrigger({ delay: parseNumber(e.target.value, trigger.delay) })}
+              disabled={disabled}
+              className="w-full p-1 border border-gray-300 rounded"
+            />
+          </label>
+        )}
+        <button
+          onClick={onRemove}
+          disabled={disabled}
+          className="px-2 py-1 text-red-700 bg-red-100 rounded disabled:opacity-40"
+        >
+          削除
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// 分散解析の入力項目 (単位と刻み)
+const DISPERSION_FIELDS = [
+  { key: 'runs', label: '計算回数', unit: '回', step: 10, min: 1 },
+  { key: 'seed', label: '乱数シード', unit: '', step: 1, min: 0 },
+  { key: 'launchAngleSigma', label: '発射角度 σ', unit: '°', step: 0.5, min: 0 },
+  { key: 'windSpeedSigma', label: '平均風速 σ', unit: 'm/s', step: 0.1, min: 0 },
+  { key: 'windDirectionSigma', label: '風向 σ', unit: '°', step: 1, min: 0 },
+  { key: 'gustIntensity', label: '突風強度', unit: 'm/s', step: 0.5, min: 0 },
+  { key: 'impulseTolerance', label: '全力積', unit: '±%', step: 1, min: 0 },
+  { key: 'delayTolerance', label: '放出遅延', unit: '±s', step: 0.1, min: 0 },
+  { key: 'weightSigma', label: '重量 σ', unit: 'g', step: 0.5, min: 0 },
+  { key: 'cgSigma', label: '重心位置 σ', unit: 'mm', step: 1, min: 0 }
+];
+
+// 分散解析 (モンテカルロ法) の設定と統計
+const DispersionPanel = ({ rocketSim }) => {
+  const { dispersionSettings, dispersionResult, dispersionProgress } = rocketSim;
+  const statisticRows = dispersionResult ? [
+    { label: '最高高度', unit: 'm', stats: dispersionResult.statistics.apogee },
+    { label: '着地距離', unit: 'm', stats: dispersionResult.statistics.landingDistance },
+    { label: 'クロスレンジ', unit: 'm', stats: dispersionResult.statistics.landingY },
+    { label: '滞空時間', unit: '秒', stats: dispersionResult.statistics.flightTime }
+  ] : [];
+
+  return (
+    <div className="mt-4">
+      <label className="block mb-2">分散解析 (モンテカルロ法)</label>
+      <div className="grid grid-cols-3 gap-2 text-sm">
+        {DISPERSION_FIELDS.map(field => (
+          <label key={field.key} className="flex flex-col">
+            <span className="text-gray-600">{field.label}{field.unit && ` (${field.unit})`}</span>
+            <input
+              type="number"
+              step={field.step}
+              min={field.min}
+              value={dispersionSettings[field.key]}
+              onChange={(e) => {
+                const value = parseFloat(e.target.value);
+                if (isFinite(value)) rocketSim.updateDispersionSetting(field.key, Math.max(field.min, value));
+              }}
+              disabled={rocketSim.isLaunched}
+              className="w-full p-1 border border-gray-300 rounded"
+            />
+          </label>
+        ))}
+      </div>
+      <div className="flex items-center gap-4 mt-2">
+        {dispersionProgress ? (
+          <>
+            <span className="text-sm">
+              計算中... {dispersionProgress.completed} / {dispersionProgress.total} 回
+            </span>
+            <progress value={dispersionProgress.completed} max={dispersionProgress.total} className="w-32" />
+            <button
+              onClick={rocketSim.handleCancelDispersion}
+              className="text-sm bg-gray-400 hover:bg-gray-500 text-white py-1 px-3 rounded"
+            >
+              中断
+            </button>
+          </>
+        ) : (
+          <button
+            onClick={rocketSim.handleRunDispersion}
+            disabled={rocketSim.isLaunched}
+            className="text-sm bg-indigo-500 hover:bg-indigo-600 text-white py-1 px-3 rounded disabled:opacity-40"
+          >
+            分散解析を実行
+          </button>
+        )}
+        {dispersionResult && !dispersionProgress && (
+          <label className="flex items-center text-sm">
+            <input
+              type="checkbox"
+              checked={rocketSim.showDispersion}
+              onChange={(e) => rocketSim.setShowDispersion(e.target.checked)}
+              className="mr-1"
+            />
+            着地点の分布を表示
+          </label>
+        )}
+      </div>
+
+      {dispersionResult && (
+        <div className="mt-2 text-sm">
+          <div className="grid grid-cols-4 gap-1">
+            <div className="font-semibold">項目</div>
+            <div className="font-semibold">平均 ± σ</div>
+            <div className="font-semibold">最小</div>
+            <div className="font-semibold">最大</div>
+            {statisticRows.map(row => (
+              <React.Fragment key={row.label}>
+                <div>{row.label}</div>
+                <div>{row.stats.mean.toFixed(1)} ± {row.stats.std.toFixed(1)} {row.unit}</div>
+                <div>{row.stats.min.toFixed(1)} {row.unit}</div>
+                <div>{row.stats.max.toFixed(1)} {row.unit}</div>
+              </React.Fragment>
+            ))}
+          </div>
+          <p className="mt-1">
+            着地点の95%楕円: 中心 ({dispersionResult.ellipse.centerX.toFixed(1)}, {dispersionResult.ellipse.centerY.toFixed(1)}) m,
+            長半径 {dispersionResult.ellipse.semiMajor.toFixed(1)} m, 短半径 {dispersionResult.ellipse.semiMinor.toFixed(1)} m
+            ({dispersionResult.landedRuns.length}回, シード {dispersionResult.settings.seed})
+          </p>
+          {dispersionResult.failedRuns > 0 && (
+            <p className="text-red-600">{dispersionResult.failedRuns}回の計算に失敗しました</p>
+          )}
+          {dispersionResult.unlandedRuns > 0 && (
+            <p className="text-red-600">{dispersionResult.unlandedRuns}回は着地前に計算が打ち切られたため、統計と楕円から除きました</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// フラッター余裕の推移グラフ (時刻・高度に対する余裕、0%未満はフラッター速度を超えている)
+const FlutterMarginChart = ({ history, xKey, label }) => {
+  const chart = useMemo(() => getFlutterMarginChart(history, xKey, FLUTTER_CHART), [history, xKey]);
+  const xTicks = [0, 0.5, 1].map(ratio => chart.maxX * ratio);
+  const marginTicks = [chart.minMargin, (chart.minMargin + chart.maxMargin) / 2, chart.maxMargin];
+
+  return (
+    <svg viewBox={`0 0 ${FLUTTER_CHART.chartWidth} ${FLUTTER_CHART.chartHeight}`} className="w-full mt-1 bg-white border border-gray-200">
+      {xTicks.map(value => {
+        const { x } = chart.toSvg(value, 0);
+        return (
+          <text key={`x-${value}`} x={x} y={FLUTTER_CHART.chartHeight - 4} textAnchor="middle" fontSize="9" fill="#6b7280">{value.toFixed(1)}</text>
+        );
+      })}
+      {marginTicks.map(margin => {
+        const { y } = chart.toSvg(0, margin);
+        return (
+          <g key={`margin-${margin}`}>
+            <line x1={chart.toSvg(0, 0).x} y1={y} x2={chart.toSvg(chart.maxX, 0).x} y2={y} stroke="#e5e7eb" />
+            <text x={FLUTTER_CHART.padding - 4} y={y + 3} textAnchor="end" fontSize="9" fill="#6b7280">{margin.toFixed(0)}%</text>
+          </g>
+        );
+      })}
+      <line x1={chart.toSvg(0, 0).x} y1={chart.zeroY} x2={chart.toSvg(chart.maxX, 0).x} y2={chart.zeroY} stroke="#dc2626" strokeDasharray="4,2" />
+      <path d={chart.path} fill="none" stroke="#2563eb" strokeWidth="1.5" />
+      <text x={FLUTTER_CHART.chartWidth - 4} y={FLUTTER_CHART.chartHeight - 14} textAnchor="end" fontSize="9" fill="#374151">{label}</text>
+    </svg>
+  );
+};
+
+const FlutterMarginPanel = ({ results }) => {
+  const { flutter, flutterHistory } = results;
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-3 mt-4 text-sm">
+      <h4 className="font-semibold mb-1">フラッター余裕 (NACA TN-4197)</h4>
+      <p className="text-gray-600">
+        余裕 = フラッター速度 / 対気速度 - 1。最小 {formatMargin(flutter.margin * 100)}% ({flutter.time.toFixed(2)}秒, 高度 {flutter.height.toFixed(1)} m)
+      </p>
+      <FlutterMarginChart history={flutterHistory} xKey="time" label="時刻 (秒)" />
+      <FlutterMarginChart history={flutterHistory} xKey="height" label="高度 (m)" />
+    </div>
+  );
+};
+
+// 地上軌跡 (北を上にした上面図) - 発射台を中心に飛行経路と着地点を表示
+const GroundTrackView = ({ rocketSim, position }) => {
+  const { flightData, landing, dispersionResult, launchAzimuth } = rocketSim;
+  const size = GROUND_TRACK_VIEW.size;
+
+  const projection = useMemo(() => {
+    const points = flightData.map(frame => ({ x: frame.physicsX, z: frame.physicsZ ?? 0 }));
+    if (landing) {
+      points.push({ x: landing.landingX, z: landing.landingCrossRange ?? 0 });
+    }
+    if (rocketSim.showDispersion && dispersionResult) {
+      dispersionResult.landedRuns.forEach(run => points.push({ x: run.landingX, z: run.landingY }));
+    }
+    return createGroundTrackProjection(points, launchAzimuth);
+  }, [flightData, landing, dispersionResult, rocketSim.showDispersion, launchAzimuth]);
 
-                      {/* 右フィン */}
-                      <path
-                        d={`M ${(bodyWidth / 2)} ${-finBaseWidth}
-                L ${(bodyWidth / 2)} ${0}
-                L ${(bodyWidth / 2) + finHeight} ${-finBaseWidth + finSweepLength + finTipWidth}
-                L ${(bodyWidth / 2) + finHeight} ${-finBaseWidth + finSweepLength} Z`}
-                        fill="#6B7280"
-                        stroke="#374151"
-                        strokeWidth="1.5"
-                      />
-                    </>
-                  )}
+  const trackPath = useMemo(() => getGroundTrackPath(flightData, projection), [flightData, projection]);
+  const pad = projection.toSvg(0, 0);
+  const railEnd = projection.toSvg(projection.extent * 0.3, 0);
+  const current = projection.toSvg(position.physicsX, position.physicsZ ?? 0);
+  const windArrow = getGroundTrackWindArrow(rocketSim.windDirection, rocketSim.windSpeed, 40, size - 40);
 
-                  {/* センターフィン - 共通で表示 */}
-                  <rect
-                    x={-(finThickness / 2)}
-                    y={finSweepLength >= 0
-                      ? -finBaseWidth
-                      : -finBaseWidth - Math.abs(finSweepLength)}
-                    width={finThickness}
-                    height={finSweepLength >= 0
-                      ? finBaseWidth + Math.max(0, finSweepLength + finTipWidth - finBaseWidth)
-                      : finBaseWidth + Math.abs(finSweepLength)}
-                    fill="#6B7280"
-                    stroke="#374151"
-                    strokeWidth="1.5"
-                  />
+  return (
+    <div className="mt-4 w-full">
+      <h4 className="font-semibold mb-2 text-center">地上軌跡 (上面図)</h4>
+      <svg viewBox={`0 0 ${size} ${size}`} className="w-full border border-gray-300 bg-green-50">
+        {/* 距離の目安 (表示範囲の半径) */}
+        <circle cx={pad.x} cy={pad.y} r={projection.extent * projection.scale} fill="none" stroke="#d1d5db" strokeDasharray="3,3" />
+        <line x1={pad.x} y1={GROUND_TRACK_VIEW.padding} x2={pad.x} y2={size - GROUND_TRACK_VIEW.padding} stroke="#e5e7eb" />
+        <line x1={GROUND_TRACK_VIEW.padding} y1={pad.y} x2={size - GROUND_TRACK_VIEW.padding} y2={pad.y} stroke="#e5e7eb" />
+        <text x={size - 6} y={size - 6} textAnchor="end" fontSize="10" fill="#6b7280">
+          半径 {projection.extent.toFixed(0)} m
+        </text>
+
+        {/* 方位 */}
+        <text x={pad.x} y={14} textAnchor="middle" fontSize="11" fontWeight="bold" fill="#374151">N</text>
+
+        {/* 発射方位 */}
+        <line x1={pad.x} y1={pad.y} x2={railEnd.x} y2={railEnd.y} stroke="#9ca3af" strokeWidth="2" strokeDasharray="6,3" />
+
+        {/* 風向 (風が吹いていく向き) */}
+        {rocketSim.windSpeed !== 0 && (
+          <g>
+            <path d={windArrow.line} stroke="#3b82f6" strokeWidth="2" />
+            <path d={windArrow.head} fill="#3b82f6" />
+            <text x={40} y={size - 8} textAnchor="middle" fontSize="10" fill="#3b82f6">風</text>
+          </g>
+        )}
 
-                  {/* 重心マーカー - ノーズ先端からの距離を座標系に変換 */}
-                  <line
-                    x1={-60}
-                    y1={-(bodyHeight + noseHeight) + centerOfGravity}
-                    x2={60}
-                    y2={-(bodyHeight + noseHeight) + centerOfGravity}
-                    stroke="#EF4444"
-                    strokeWidth="2.5"
-                  />
+        {/* 分散解析の着地点と95%楕円 */}
+        {rocketSim.showDispersion && dispersionResult && (() => {
+          const ellipse = getGroundTrackEllipse(dispersionResult.ellipse, projection);
+          return (
+            <g>
+              <ellipse
+                cx={ellipse.cx}
+                cy={ellipse.cy}
+                rx={ellipse.rx}
+                ry={ellipse.ry}
+                transform={`rotate(${ellipse.rotation} ${ellipse.cx} ${ellipse.cy})`}
+                fill="rgba(99, 102, 241, 0.15)"
+                stroke="#6366f1"
+                strokeDasharray="4,2"
+              />
+              {dispersionResult.landedRuns.map(run => {
+                const point = projection.toSvg(run.landingX, run.landingY);
+                return <circle key={run.index} cx={point.x} cy={point.y} r="1.5" fill="#4f46e5" />;
+              })}
+            </g>
+          );
+        })()}
+
+        {/* 飛行経路 */}
+        {flightData.length > 0 && (
+          <path d={trackPath} fill="none" stroke="#2563eb" strokeWidth="1.5" />
+        )}
 
-                  {/* 圧力中心マーカー */}
-                  <line
-                    x1={-60}
-                    y1={-(getSafeNumber(rocketSim.bodyHeight, 200) + getSafeNumber(rocketSim.noseHeight, 50)) + Math.min(
-                      totalRocketLength,
-                      Math.max(0, getSafeNumber(safeCalculations.pressureCenter, 0))
-                    )}
-                    x2={60}
-                    y2={-(getSafeNumber(rocketSim.bodyHeight, 200) + getSafeNumber(rocketSim.noseHeight, 50)) + Math.min(
-                      totalRocketLength,
-                      Math.max(0, getSafeNumber(safeCalculations.pressureCenter, 0))
-                    )}
-                    stroke="#3B82F6"
-                    strokeWidth="2"
-                    strokeDasharray="6,3"
-                  />
+        {/* 着地点 */}
+        {landing && (() => {
+          const point = projection.toSvg(landing.landingX, landing.landingCrossRange ?? 0);
+          return <circle cx={point.x} cy={point.y} r="4" fill="red" />;
+        })()}
 
-                  {/* 静安定マージン用圧力中心マーカー */}
-                  <line
-                    x1={-60}
-                    y1={-(getSafeNumber(rocketSim.bodyHeight, 200) + getSafeNumber(rocketSim.noseHeight, 50)) + Math.min(
-                      totalRocketLength,
-                      Math.max(0, getSafeNumber(safeCalculations.stabilityCenterOfPressure, 0))
-                    )}
-                    x2={60}
-                    y2={-(getSafeNumber(rocketSim.bodyHeight, 200) + getSafeNumber(rocketSim.noseHeight, 50)) + Math.min(
-                      totalRocketLength,
-                      Math.max(0, getSafeNumber(safeCalculations.stabilityCenterOfPressure, 0))
-                    )}
-                    stroke="#10B981"
-                    strokeWidth="2"
-                    strokeDasharray="3,3"
-                  />
-                </g>
-              </g>
-            </svg>
-          </div>
-        </div>
-      </div>
+        {/* 現在位置 */}
+        {rocketSim.isLaunched && (
+          <circle cx={current.x} cy={current.y} r="3" fill="#111827" />
+        )}
+
+        {/* 発射台 */}
+        <rect x={pad.x - 3} y={pad.y - 3} width="6" height="6" fill="#374151" />
+      </svg>
+      {landing && (
+        <p className="text-sm mt-1 text-center">
+          着地点: ダウンレンジ {landing.landingX.toFixed(1)} m / クロスレンジ {(landing.landingCrossRange ?? 0).toFixed(1)} m
+        </p>
+      )}
     </div>
   );
 };
 
-// シミュレーションタブコンポーネント - 修正版
 const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMode = false }) => {
   const position = rocketSim.getCurrentPosition();
   const windArrow = rocketSim.getWindArrow(rocketSim.windSpeed);
@@ -1154,7 +2172,10 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
     finBaseWidth: rocketSim.finBaseWidth * attitudeDisplayScale,
     finTipWidth: rocketSim.finTipWidth * attitudeDisplayScale,
     finThickness: rocketSim.finThickness * attitudeDisplayScale,
-    finSweepLength: rocketSim.finSweepLength * attitudeDisplayScale
+    finSweepLength: rocketSim.finSweepLength * attitudeDisplayScale,
+    finCount: rocketSim.finCount,
+    finShape: rocketSim.finShape,
+    finPoints: rocketSim.finPoints
   };
 
   // 実際のロケット全長（スケール適用後）
@@ -1174,9 +2195,22 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
     finBaseWidth: rocketSim.finBaseWidth * rocketSim.rocketScale,
     finTipWidth: rocketSim.finTipWidth * rocketSim.rocketScale,
     finThickness: rocketSim.finThickness * rocketSim.rocketScale,
-    finSweepLength: rocketSim.finSweepLength * rocketSim.rocketScale
+    finSweepLength: rocketSim.finSweepLength * rocketSim.rocketScale,
+    finCount: rocketSim.finCount,
+    finShape: rocketSim.finShape,
+    finPoints: rocketSim.finPoints
   };
 
+  // フィン枚数と取付角に応じた側面図のフィン (飛行中・発射前・姿勢表示)
+  const flightFinPaths = getFinSetSidePaths(
+    rocketSim.metersToSvgX(position.physicsX),
+    rocketSim.metersToSvgY(position.physicsY),
+    rocketDisplayParams,
+    position.finDeflection
+  );
+  const launchFinPaths = getFinSetSidePaths(400, 550, rocketDisplayParams);
+  const attitudeFinPaths = getFinSetSidePaths(0, 0, attitudeRocketParams);
+
   // 姿勢表示用のロケットスケールを自動計算
   // 円の表示エリアの大きさに基づいて計算
   const circleRadius = 90; // 円の有効半径（余白含む）
@@ -1213,31 +2247,14 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
 
   const getNosePathForAttitude = (x, y, params) => {
     // パラメータの安全な取得
-    const noseShape = params.noseShape || rocketSim.noseShape;
-    const bodyWidth = getSafeNumber(params.bodyWidth, 30);
-    const noseHeight = getSafeNumber(params.noseHeight, 50);
-
-    const startX = x - bodyWidth / 2;
-    const endX = x + bodyWidth / 2;
-    const baseY = y - params.bodyHeight;
-    const topY = baseY - noseHeight;
-
-    if (noseShape === "cone") {
-      // 円錐ノーズ
-      return `M ${startX} ${baseY} L ${x} ${topY} L ${endX} ${baseY} Z`;
-    } else if (noseShape === "parabola") {
-      // 放物線ノーズ - 精度向上
-      const controlY = topY + noseHeight * 0.15;
-      return `M ${startX} ${baseY} 
-              C ${startX} ${controlY}, ${x} ${topY}, ${x} ${topY}
-              C ${x} ${topY}, ${endX} ${controlY}, ${endX} ${baseY} Z`;
-    } else {
-      // オジブノーズ - 形状の精度向上
-      const halfWidth = bodyWidth / 2;
-      return `M ${startX} ${baseY}
-              Q ${startX + halfWidth * 0.1} ${topY + noseHeight * 0.4}, ${x} ${topY}
-              Q ${endX - halfWidth * 0.1} ${topY + noseHeight * 0.4}, ${endX} ${baseY} Z`;
-    }
+    const noseParams = {
+      noseShape: params.noseShape || rocketSim.noseShape,
+      noseHeight: getSafeNumber(params.noseHeight, 50),
+      bodyWidth: getSafeNumber(params.bodyWidth, 30),
+      noseExponent: rocketSim.noseExponent,
+      noseOgiveRatio: rocketSim.noseOgiveRatio
+    };
+    return getNoseProfilePath(noseParams, x, y - params.bodyHeight);
   };
 
   // 姿勢表示用に中央のフィンを描画する関数
@@ -1262,141 +2279,6 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
             L ${x + halfThickness} ${finTopY} Z`;
   };
 
-  // フィン形状描画関数の改良版
-  const getFinPathsForAttitude = (x, y, params) => {
-    // 安全にパラメータを取得
-    const bodyWidth = getSafeNumber(params.bodyWidth, 30);
-    const finHeight = getSafeNumber(params.finHeight, 40);
-    const finBaseWidth = getSafeNumber(params.finBaseWidth, 30);
-    const finSweepLength = getSafeNumber(params.finSweepLength, 0);
-    const finTipWidth = getSafeNumber(params.finTipWidth, 20);
-    const finThickness = getSafeNumber(params.finThickness, 2);
-
-    const bodyLeftX = x - bodyWidth / 2;
-    const bodyRightX = x + bodyWidth / 2;
-    const finBottomY = y;
-    const finTopY = finBottomY - finBaseWidth;
-
-    // 後退代がマイナスの場合の処理を追加
-    let tipTopY, tipBottomY;
-
-    if (finSweepLength >= 0) {
-      // 通常の正の後退代の場合
-      tipTopY = finTopY + finSweepLength;
-      tipBottomY = tipTopY + finTipWidth;
-    } else {
-      // 後退代がマイナスの場合（前進翼）
-      tipTopY = finTopY - Math.abs(finSweepLength);
-      tipBottomY = tipTopY + finTipWidth;
-    }
-
-    // フィン形状のパス作成
-    const leftFin = `M ${bodyLeftX} ${finTopY}
-                   L ${bodyLeftX} ${finBottomY}
-                   L ${bodyLeftX - finHeight} ${tipBottomY}
-                   L ${bodyLeftX - finHeight} ${tipTopY} Z`;
-
-    const rightFin = `M ${bodyRightX} ${finTopY}
-                    L ${bodyRightX} ${finBottomY}
-                    L ${bodyRightX + finHeight} ${tipBottomY}
-                    L ${bodyRightX + finHeight} ${tipTopY} Z`;
-
-    // 中央フィンの描画 - 後退代がマイナスの場合の処理を追加
-    const halfThickness = finThickness / 2;
-    let frontExtension = 0;
-    let finExtension = 0;
-
-    if (finSweepLength < 0) {
-      // 前進翼の場合
-      frontExtension = Math.abs(finSweepLength);
-    }
-
-    // フィンの後端がボディ後端より後ろに出る場合を計算
-    finExtension = Math.max(0, finSweepLength + finTipWidth - finBaseWidth);
-
-    const centerFins = `M ${x - halfThickness} ${finTopY - frontExtension}
-                      L ${x - halfThickness} ${finBottomY}
-                      L ${x - halfThickness} ${finBottomY + finExtension}
-                      L ${x + halfThickness} ${finBottomY + finExtension}
-                      L ${x + halfThickness} ${finBottomY}
-                      L ${x + halfThickness} ${finTopY - frontExtension} Z`;
-
-    return { leftFin, rightFin, centerFins };
-  };
-
-  // 3枚フィン用のフィンパス生成関数
-  const getTriFinPathsForAttitude = (x, y, params, deflection = 0) => {
-    // 安全にパラメータを取得
-    const bodyWidth = getSafeNumber(params.bodyWidth, 30);
-    const finHeight = getSafeNumber(params.finHeight, 40);
-    const finBaseWidth = getSafeNumber(params.finBaseWidth, 30);
-    const finSweepLength = getSafeNumber(params.finSweepLength, 0);
-    const finTipWidth = getSafeNumber(params.finTipWidth, 20);
-    const finThickness = getSafeNumber(params.finThickness, 2);
-
-    // ボディの中心からの左右のフィン位置のオフセット (sqrt(3)/2 = 1.73/2)
-    const offset = (bodyWidth / 2) * 1.73 / 2;
-    const leftFinRootX = x - offset;
-    const rightFinRootX = x + offset;
-
-    // フィン高さを調整 (1.73/2倍)
-    const adjustedFinHeight = finHeight * 1.73 / 2;
-
-    const finBottomY = y;
-    const finTopY = finBottomY - finBaseWidth;
-
-    // たわみを考慮した修正
-    const deflectionAngle = deflection * Math.PI / 180; // ラジアンに変換
-
-    // 後退代に応じた位置調整
-    let adjustedFinTopY, adjustedFinBottomY;
-
-    if (finSweepLength >= 0) {
-      // 通常の正の後退代の場合
-      adjustedFinTopY = finTopY + finSweepLength;
-      adjustedFinBottomY = adjustedFinTopY + finTipWidth;
-    } else {
-      // 後退代がマイナスの場合（前進翼）
-      adjustedFinTopY = finTopY - Math.abs(finSweepLength);
-      adjustedFinBottomY = adjustedFinTopY + finTipWidth;
-    }
-
-    // たわみを適用したフィン座標
-    const leftFinTipX = leftFinRootX - adjustedFinHeight * Math.cos(deflectionAngle);
-    const leftFinTipY = adjustedFinTopY + adjustedFinHeight * Math.sin(deflectionAngle);
-    const leftFinBottomTipX = leftFinRootX - adjustedFinHeight * Math.cos(deflectionAngle);
-    const leftFinBottomTipY = adjustedFinBottomY + adjustedFinHeight * Math.sin(deflectionAngle);
-
-    const rightFinTipX = rightFinRootX + adjustedFinHeight * Math.cos(deflectionAngle);
-    const rightFinTipY = adjustedFinTopY + adjustedFinHeight * Math.sin(deflectionAngle);
-    const rightFinBottomTipX = rightFinRootX + adjustedFinHeight * Math.cos(deflectionAngle);
-    const rightFinBottomTipY = adjustedFinBottomY + adjustedFinHeight * Math.sin(deflectionAngle);
-
-    const leftFin = `M ${leftFinRootX} ${finTopY}
-                  L ${leftFinRootX} ${finBottomY}
-                  L ${leftFinBottomTipX} ${leftFinBottomTipY}
-                  L ${leftFinTipX} ${leftFinTipY} Z`;
-
-    const rightFin = `M ${rightFinRootX} ${finTopY}
-                  L ${rightFinRootX} ${finBottomY}
-                  L ${rightFinBottomTipX} ${rightFinBottomTipY}
-                  L ${rightFinTipX} ${rightFinTipY} Z`;
-
-    // 中央フィンの描画 - 後退代がマイナスの場合の処理を追加
-    const halfThickness = finThickness / 2;
-    let frontExtension = 0;
-    if (finSweepLength < 0) {
-      frontExtension = Math.abs(finSweepLength);
-    }
-
-    const centerFins = `M ${x - halfThickness} ${finTopY - frontExtension}
-                    L ${x - halfThickness} ${finBottomY}
-                    L ${x + halfThickness} ${finBottomY}
-                    L ${x + halfThickness} ${finTopY - frontExtension} Z`;
-
-    return { leftFin, rightFin, centerFins };
-  };
-
   // 安全な回転属性を生成する関数
   const getSafeRotationTransform = (rotation, x, y) => {
     // 全ての値にNaNチェック
@@ -1413,7 +2295,7 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
 
     const {
       maxSpeed, maxHeight, maxDistance,
-      isDivergenceOK, isFlutterOK, isDeflectionOK, isAngleStableOK, isAbsoluteAngleOK, isOverallOK,
+      isDivergenceOK, isFlutterOK, isDeflectionOK, isFinStressOK = true, isRollResonanceOK = true, isAngleStableOK, isAbsoluteAngleOK, isOverallOK,
       launchAngle, windSpeed, windProfile, landing
     } = results;
 
@@ -1442,11 +2324,17 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
 
           {landing && (
             <>
-              <div>予測着地距離:</div>
+              <div>{landing.hasLanded ? '着地距離:' : '予測着地距離:'}</div>
               <div>{landing.landingDistance.toFixed(1)} m</div>
 
-              <div>予測滞空時間:</div>
+              <div>着地点 (ダウンレンジ / クロスレンジ):</div>
+              <div>{landing.landingX.toFixed(1)} m / {(landing.landingCrossRange ?? 0).toFixed(1)} m</div>
+
+              <div>{landing.hasLanded ? '滞空時間:' : '予測滞空時間:'}</div>
               <div>{landing.totalFlightTime.toFixed(1)} 秒</div>
+
+              <div>着地速度:</div>
+              <div>{(landing.landingSpeed ?? 0).toFixed(1)} m/s</div>
             </>
           )}
         </div>
@@ -1473,6 +2361,20 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
             </span>
           </div>
 
+          <div className="text-sm">
+            <span>フィン強度:</span>
+            <span className={`ml-1 font-medium ${isFinStressOK ? 'text-green-600' : 'text-red-600'}`}>
+              {isFinStressOK ? 'OK' : 'NG'}
+            </span>
+          </div>
+
+          <div className="text-sm">
+            <span>ロール共振:</span>
+            <span className={`ml-1 font-medium ${isRollResonanceOK ? 'text-green-600' : 'text-red-600'}`}>
+              {isRollResonanceOK ? 'OK' : 'NG'}
+            </span>
+          </div>
+
           {/* 姿勢安定性の判定に関する表示を修正 */}
           <div className="text-sm">
             <span>角度変化安定性:</span>
@@ -1536,7 +2438,7 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
                 min="-8"
                 max="8"
                 step="0.1"
-                disabled={rocketSim.isLaunched}
+                disabled={rocketSim.isLaunched || WIND_PROFILES[rocketSim.windProfile]?.isTable}
                 {...rocketSim.handleWindSpeed}
                 className="w-full cursor-pointer"
               />
@@ -1547,6 +2449,35 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
               </div>
             </div>
 
+            {/* 風向と発射方位 (度, 北0°・東90°) */}
+            <div className="mb-4 grid grid-cols-2 gap-2 text-sm">
+              {[
+                { key: 'windDirection', label: '風向 (風上の方位 °)', value: rocketSim.windDirection, onChange: rocketSim.setWindDirection },
+                { key: 'launchAzimuth', label: '発射方位 (°)', value: rocketSim.launchAzimuth, onChange: rocketSim.setLaunchAzimuth }
+              ].map(field => (
+                <label key={field.key} className="flex flex-col">
+                  <span className="text-gray-600">{field.label}</span>
+                  <input
+                    type="number"
+                    min={0}
+                    max={360}
+                    step={5}
+                    value={field.value}
+                    onChange={(e) => {
+                      const value = parseFloat(e.target.value);
+                      if (isFinite(value)) field.onChange(((value % 360) + 360) % 360);
+                    }}
+                    disabled={rocketSim.isLaunched}
+                    className="w-full p-1 border border-gray-300 rounded"
+                  />
+                </label>
+              ))}
+              <p className="col-span-2 text-gray-600">
+                風速スライダーの値は風向から吹く風の強さです。風向と発射方位が同じ場合は従来の横風 (発射面内) と同じになり、
+                ずれるとクロスレンジ方向に流されます。
+              </p>
+            </div>
+
             <div className="mt-4">
               <label className="block mb-2">風速プロファイル</label>
               <div className="flex items-center gap-4">
@@ -1576,15 +2507,315 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
               </div>
 
               <div className="mt-2 text-sm text-gray-600">
-                <p>高度が上がるにつれて風速が強くなります。地形によって変化率が異なります。</p>
-                {rocketSim.windProfile !== 'uniform' && rocketSim.windSpeed !== 0 && (
+                {WIND_PROFILES[rocketSim.windProfile]?.isTable ? (
+                  <p>高度ごとの測定風速を線形補間します。表の値をそのまま使うため、横風速度スライダーは使いません。</p>
+                ) : (
+                  <p>高度が上がるにつれて風速が強くなります。地形によって変化率が異なります。</p>
+                )}
+                {rocketSim.windProfile !== 'uniform' && (rocketSim.windSpeed !== 0 || WIND_PROFILES[rocketSim.windProfile]?.isTable) && (
                   <p className="mt-1">
-                    <span className="font-medium">現在の設定:</span> 地上風速 {rocketSim.windSpeed.toFixed(1)} m/s、
+                    <span className="font-medium">現在の設定:</span> 地上風速 {rocketSim.calculateWindSpeedAtHeight(rocketSim.windSpeed, 0, rocketSim.windProfile).toFixed(1)} m/s、
                     高度80mでは約 {rocketSim.calculateWindSpeedAtHeight(rocketSim.windSpeed, 80, rocketSim.windProfile).toFixed(1)} m/s
                   </p>
                 )}
               </div>
+
+              {/* 測定データの風速表 */}
+              {WIND_PROFILES[rocketSim.windProfile]?.isTable && (
+                <div className="mt-2 text-sm">
+                  <label className="block mb-1">風速データ (CSV: 高度m, 風速m/s, 風向° [省略可]) を読み込む</label>
+                  <input
+                    type="file"
+                    accept=".csv,.txt"
+                    disabled={rocketSim.isLaunched}
+                    onChange={(e) => {
+                      rocketSim.handleWindProfileFileImport(e.target.files[0]);
+                      e.target.value = '';
+                    }}
+                    className="w-full"
+                  />
+                  {rocketSim.windTableError && (
+                    <p className="text-red-600 mt-1">{rocketSim.windTableError}</p>
+                  )}
+                  <table className="w-full mt-2">
+                    <thead>
+                      <tr className="text-gray-600">
+                        <th className="text-left font-normal">高度 (m)</th>
+                        <th className="text-left font-normal">風速 (m/s)</th>
+                        <th className="text-left font-normal">風向 (°)</th>
+                        <th />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {rocketSim.windTable.map((row, index) => (
+                        <tr key={index}>
+                          {['altitude', 'speed', 'direction'].map(key => (
+                            <td key={key} className="pr-1">
+                              <input
+                                type="number"
+                                step={key === 'altitude' ? 10 : 0.1}
+                                value={row[key] ?? ''}
+                                placeholder={key === 'direction' ? '-' : undefined}
+                                onChange={(e) => rocketSim.updateWindTableRow(index, key, e.target.value)}
+                                disabled={rocketSim.isLaunched}
+                                className="w-full p-1 border border-gray-300 rounded"
+                              />
+                            </td>
+                          ))}
+                          <td>
+                            <button
+                              onClick={() => rocketSim.removeWindTableRow(index)}
+                              disabled={rocketSim.isLaunched}
+                              className="px-2 text-red-600"
+                            >
+                              ×
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <button
+                    onClick={rocketSim.addWindTableRow}
+                    disabled={rocketSim.isLaunched}
+                    className="mt-1 px-2 py-1 border border-gray-300 rounded"
+                  >
+                    行を追加
+                  </button>
+                  {rocketSim.windTable.length === 0 && (
+                    <p className="text-gray-600 mt-1">風速データがない場合は一定風速として計算します。</p>
+                  )}
+                </div>
+              )}
+
+              {/* 突風モデル */}
+              <div className="mt-2 text-sm">
+                <label className="flex items-center">
+                  <input
+                    type="checkbox"
+                    checked={rocketSim.gustSettings.enabled}
+                    onChange={(e) => rocketSim.updateGustSetting('enabled', e.target.checked)}
+                    disabled={rocketSim.isLaunched}
+                    className="mr-2"
+                  />
+                  突風 (乱流) を含める
+                </label>
+                {rocketSim.gustSettings.enabled && (
+                  <div className="grid grid-cols-3 gap-2 mt-1">
+                    {[
+                      { key: 'intensity', label: '突風強度 σ (m/s)', step: 0.1 },
+                      { key: 'correlationTime', label: '相関時間 (s)', step: 0.1 },
+                      { key: 'seed', label: '乱数シード', step: 1 }
+                    ].map(field => (
+                      <label key={field.key} className="flex flex-col">
+                        <span className="text-gray-600">{field.label}</span>
+                        <input
+                          type="number"
+                          min={0}
+                          step={field.step}
+                          value={rocketSim.gustSettings[field.key]}
+                          onChange={(e) => {
+                            const value = parseFloat(e.target.value);
+                            if (isFinite(value) && value >= 0) rocketSim.updateGustSetting(field.key, value);
+                          }}
+                          disabled={rocketSim.isLaunched}
+                          className="w-full p-1 border border-gray-300 rounded"
+                        />
+                      </label>
+                    ))}
+                  </div>
+                )}
+                {rocketSim.gustSettings.enabled && (
+                  <p className="mt-1 text-gray-600">
+                    相関長 (相関時間 × 平均風速) 約 {(rocketSim.gustSettings.correlationTime * Math.abs(rocketSim.windSpeed)).toFixed(1)} m
+                  </p>
+                )}
+              </div>
+
+              {/* 製作誤差による姿勢外乱 */}
+              <div className="mt-2 text-sm">
+                <span className="text-gray-600">姿勢外乱 (機首を発射方向へ回す向きが正)</span>
+                <div className="grid grid-cols-2 gap-2 mt-1">
+                  {[
+                    { key: 'thrustMisalignment', label: '推力線の傾き (°)', step: 0.1 },
+                    { key: 'lateralCgOffset', label: '重心の横ずれ (mm)', step: 0.1 }
+                  ].map(field => (
+                    <label key={field.key} className="flex flex-col">
+                      <span className="text-gray-600">{field.label}</span>
+                      <input
+                        type="number"
+                        step={field.step}
+                        value={rocketSim.disturbanceSettings[field.key]}
+                        onChange={(e) => {
+                          const value = parseFloat(e.target.value);
+                          if (isFinite(value)) rocketSim.updateDisturbanceSetting(field.key, value);
+                        }}
+                        disabled={rocketSim.isLaunched}
+                        className="w-full p-1 border border-gray-300 rounded"
+                      />
+                    </label>
+                  ))}
+                </div>
+                <label className="flex items-center mt-1">
+                  <input
+                    type="checkbox"
+                    checked={rocketSim.disturbanceSettings.railTipOff}
+                    onChange={(e) => rocketSim.updateDisturbanceSetting('railTipOff', e.target.checked)}
+                    disabled={rocketSim.isLaunched}
+                    className="mr-2"
+                  />
+                  発射台離脱時のティップオフを含める
+                </label>
+                {rocketSim.disturbanceSettings.railTipOff && rocketSim.launchLugs.length === 0 && (
+                  <p className="mt-1 text-gray-600">ランチラグがないためティップオフは計算されません。</p>
+                )}
+              </div>
+            </div>
+
+            {/* 発射地点の大気条件 */}
+            <div className="mt-4">
+              <label className="block mb-2">発射地点の条件</label>
+              <div className="grid grid-cols-3 gap-2 text-sm">
+                <div>
+                  <span className="block text-gray-600">標高 (m)</span>
+                  <input
+                    type="number"
+                    value={rocketSim.launchElevation}
+                    min="-100"
+                    max="4000"
+                    step="10"
+                    disabled={rocketSim.isLaunched}
+                    onChange={(e) => rocketSim.setLaunchElevation(getSafeNumber(parseFloat(e.target.value), 0))}
+                    className="w-full p-1 border border-gray-300 rounded"
+                  />
+                </div>
+                <div>
+                  <span className="block text-gray-600">気温 (℃)</span>
+                  <input
+                    type="number"
+                    value={rocketSim.launchTemperature}
+                    min="-20"
+                    max="45"
+                    step="0.5"
+                    disabled={rocketSim.isLaunched}
+                    onChange={(e) => rocketSim.setLaunchTemperature(getSafeNumber(parseFloat(e.target.value), 15))}
+                    className="w-full p-1 border border-gray-300 rounded"
+                  />
+                </div>
+                <div>
+                  <span className="block text-gray-600">湿度 (%)</span>
+                  <input
+                    type="number"
+                    value={rocketSim.launchHumidity}
+                    min="0"
+                    max="100"
+                    step="1"
+                    disabled={rocketSim.isLaunched}
+                    onChange={(e) => rocketSim.setLaunchHumidity(Math.max(0, Math.min(100, getSafeNumber(parseFloat(e.target.value), 0))))}
+                    className="w-full p-1 border border-gray-300 rounded"
+                  />
+                </div>
+              </div>
+              {rocketSim.launchAtmosphere && (
+                <p className="mt-1 text-sm text-gray-600">
+                  地上の空気密度 {rocketSim.launchAtmosphere.density.toFixed(3)} kg/m³、
+                  気圧 {(rocketSim.launchAtmosphere.pressure / 100).toFixed(0)} hPa、
+                  音速 {rocketSim.launchAtmosphere.speedOfSound.toFixed(0)} m/s
+                </p>
+              )}
+            </div>
+
+            {/* 数値積分の設定 */}
+            <div className="mt-4">
+              <label className="block mb-2">数値積分法</label>
+              <div className="grid grid-cols-3 gap-2 text-sm">
+                <div>
+                  <span className="block text-gray-600">積分法</span>
+                  <select
+                    value={rocketSim.integratorMethod}
+                    onChange={(e) => rocketSim.setIntegratorMethod(e.target.value)}
+                    disabled={rocketSim.isLaunched}
+                    className="w-full p-1 border border-gray-300 rounded"
+                  >
+                    {Object.entries(INTEGRATOR_METHODS).map(([key, method]) => (
+                      <option key={key} value={key}>
+                        {method.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <span className="block text-gray-600">{rocketSim.integratorMethod === 'rk45' ? '最大刻み幅 (s)' : '刻み幅 (s)'}</span>
+                  <select
+                    value={rocketSim.integratorStepSize}
+                    onChange={(e) => rocketSim.setIntegratorStepSize(parseFloat(e.target.value))}
+                    disabled={rocketSim.isLaunched}
+                    className="w-full p-1 border border-gray-300 rounded"
+                  >
+                    {[0.02, 0.01, 0.005, 0.002, 0.001].map(step => (
+                      <option key={step} value={step}>{step}</option>
+                    ))}
+                  </select>
+                </div>
+                {rocketSim.integratorMethod === 'rk45' && (
+                  <div>
+                    <span className="block text-gray-600">許容誤差</span>
+                    <select
+                      value={rocketSim.integratorTolerance}
+                      onChange={(e) => rocketSim.setIntegratorTolerance(parseFloat(e.target.value))}
+                      disabled={rocketSim.isLaunched}
+                      className="w-full p-1 border border-gray-300 rounded"
+                    >
+                      {[1e-4, 1e-5, 1e-6, 1e-7, 1e-8].map(tolerance => (
+                        <option key={tolerance} value={tolerance}>{tolerance.toExponential(0)}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+              </div>
+              {rocketSim.integratorMethod === 'euler' && rocketSim.integratorStepSize > 0.005 && (
+                <p className="mt-1 text-sm text-gray-600">
+                  オイラー法は刻み幅が大きいと横風時の姿勢振動が発散しやすくなります。
+                </p>
+              )}
+              <div className="mt-2 text-sm">
+                <span className="block text-gray-600">打ち切り時間 (着地しない場合)</span>
+                <select
+                  value={rocketSim.maxSimulationTime}
+                  onChange={(e) => rocketSim.setMaxSimulationTime(parseFloat(e.target.value))}
+                  disabled={rocketSim.isLaunched}
+                  className="w-full p-1 border border-gray-300 rounded"
+                >
+                  {SIMULATION_MAX_TIME.options.map(limit => (
+                    <option key={limit} value={limit}>{limit} 秒</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {/* 回収シーケンスの設定 */}
+            <div className="mt-4">
+              <label className="block mb-2">回収シーケンス</label>
+              {(rocketSim.recoveryDevices || []).map(device => (
+                <RecoveryDeviceEditor
+                  key={device.id}
+                  device={device}
+                  otherDevices={rocketSim.recoveryDevices.filter(other => other.id !== device.id)}
+                  disabled={rocketSim.isLaunched}
+                  onUpdate={(changes) => rocketSim.updateRocketPart(device.id, changes)}
+                  onRemove={() => rocketSim.removeRocketPart(device.id)}
+                />
+              ))}
+              <button
+                onClick={() => rocketSim.addRocketPart('recovery')}
+                disabled={rocketSim.isLaunched}
+                className="text-sm bg-gray-200 hover:bg-gray-300 py-1 px-3 rounded disabled:opacity-40"
+              >
+                回収装置を追加
+              </button>
             </div>
+
+            <DispersionPanel rocketSim={rocketSim} />
           </div>
 
           {/* 姿勢制御設定セクション - 開発モード時のみ表示 */}
@@ -1647,7 +2878,7 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
               <div>最大フィンたわみ量: {rocketSim.currentMaxFinDeflection.toFixed(2)} mm</div>
               {/* 着地予測までの時間を追加 */}
               {rocketSim.landing && (
-                <div>着地までの時間: {rocketSim.landing.timeToLanding.toFixed(1)} 秒</div>
+                <div>着地時刻: {rocketSim.landing.timeToLanding.toFixed(1)} 秒</div>
               )}
             </div>
           </div>
@@ -1917,6 +3148,53 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
                 />
               )}
 
+              {/* 回収装置の放出位置マーカー */}
+              {rocketSim.isLaunched && (rocketSim.keyPoints.recoveryEvents || [])
+                .filter(event => event.event === 'ejection' && event.time <= rocketSim.currentTime)
+                .map((event, index) => {
+                  const markerX = 400 + event.x * rocketSim.trajectoryScale;
+                  const markerY = 550 - event.height * rocketSim.trajectoryScale;
+                  return (
+                    <g key={`recovery-event-${event.id}-${index}`}>
+                      <circle cx={markerX} cy={markerY} r="4" fill={event.deviceType === 'main' ? '#F59E0B' : '#8B5CF6'} />
+                      <text x={markerX + 6} y={markerY - 6} fontSize="10" fill="#374151">
+                        {event.name} ({event.time.toFixed(1)}s)
+                      </text>
+                    </g>
+                  );
+                })}
+
+              {/* 分散解析の着地点と95%楕円 */}
+              {rocketSim.showDispersion && rocketSim.dispersionResult && (() => {
+                const ellipse = rocketSim.getLandingEllipse(rocketSim.dispersionResult.ellipse);
+                return (
+                  <g className="dispersion-landing">
+                    <ellipse
+                      cx={ellipse.cx}
+                      cy={ellipse.cy}
+                      rx={ellipse.rx}
+                      ry={ellipse.ry}
+                      fill="rgba(99, 102, 241, 0.15)"
+                      stroke="#6366f1"
+                      strokeWidth="1.5"
+                      strokeDasharray="4,2"
+                    />
+                    {rocketSim.dispersionResult.landedRuns.map(run => (
+                      <circle
+                        key={run.index}
+                        cx={rocketSim.metersToSvgX(run.landingX)}
+                        cy={SVG_CONFIG.groundLevel}
+                        r="2"
+                        fill="#4f46e5"
+                      />
+                    ))}
+                    <text x={ellipse.cx} y={ellipse.cy + ellipse.ry + 12} textAnchor="middle" fontSize="10" fill="#4338ca">
+                      95%着地範囲
+                    </text>
+                  </g>
+                );
+              })()}
+
               {/* 着地予測マーカーを追加 */}
               {rocketSim.showLandingPrediction && rocketSim.landing && (
                 <g className="landing-prediction-marker">
@@ -2008,31 +3286,10 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
 
                   {/* ロケット */}
                   <g transform={getSafeRotationTransform(position.rotation, rocketSim.metersToSvgX(position.physicsX), rocketSim.metersToSvgY(position.physicsY))}>
-                    {/* 3枚フィンの場合は先に左右フィンを描画してボディの後ろに表示 */}
-                    {rocketSim.finCount === 3 && (
-                      <>
-                        <path
-                          d={getTriFinPathsForAttitude(
-                            rocketSim.metersToSvgX(position.physicsX),
-                            rocketSim.metersToSvgY(position.physicsY),
-                            rocketDisplayParams,
-                            position.finDeflection
-                          ).leftFin}
-                          fill="#6B7280"
-                          stroke="#374151"
-                        />
-                        <path
-                          d={getTriFinPathsForAttitude(
-                            rocketSim.metersToSvgX(position.physicsX),
-                            rocketSim.metersToSvgY(position.physicsY),
-                            rocketDisplayParams,
-                            position.finDeflection
-                          ).rightFin}
-                          fill="#6B7280"
-                          stroke="#374151"
-                        />
-                      </>
-                    )}
+                    {/* 奥側のフィンを先に描画してボディの後ろに表示 */}
+                    {flightFinPaths.backFins.map((path, index) => (
+                      <path key={`back-fin-${index}`} d={path} fill="#6B7280" stroke="#374151" />
+                    ))}
 
                     {/* ボディ */}
                     <path
@@ -2045,51 +3302,13 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
                       stroke="#374151"
                     />
 
-                    {/* 中央フィン（両方のフィン設定で共通） */}
-                    <path
-                      d={rocketSim.finCount === 3
-                        ? getTriFinPathsForAttitude(
-                          rocketSim.metersToSvgX(position.physicsX),
-                          rocketSim.metersToSvgY(position.physicsY),
-                          rocketDisplayParams,
-                          position.finDeflection
-                        ).centerFins
-                        : getFinPathsForAttitude(
-                          rocketSim.metersToSvgX(position.physicsX),
-                          rocketSim.metersToSvgY(position.physicsY),
-                          rocketDisplayParams,
-                          position.finDeflection
-                        ).centerFins
-                      }
-                      fill="#6B7280"
-                      stroke="#374151"
-                    />
-
-                    {/* 4枚フィンの場合のみ左右フィン */}
-                    {rocketSim.finCount === 4 && (
-                      <>
-                        <path
-                          d={getFinPathsForAttitude(
-                            rocketSim.metersToSvgX(position.physicsX),
-                            rocketSim.metersToSvgY(position.physicsY),
-                            rocketDisplayParams,
-                            position.finDeflection
-                          ).leftFin}
-                          fill="#6B7280"
-                          stroke="#374151"
-                        />
-                        <path
-                          d={getFinPathsForAttitude(
-                            rocketSim.metersToSvgX(position.physicsX),
-                            rocketSim.metersToSvgY(position.physicsY),
-                            rocketDisplayParams,
-                            position.finDeflection
-                          ).rightFin}
-                          fill="#6B7280"
-                          stroke="#374151"
-                        />
-                      </>
+                    {/* 手前側のフィン (中央フィンと左右に見えるフィン) */}
+                    {flightFinPaths.centerFins && (
+                      <path d={flightFinPaths.centerFins} fill="#6B7280" stroke="#374151" />
                     )}
+                    {flightFinPaths.frontFins.map((path, index) => (
+                      <path key={`front-fin-${index}`} d={path} fill="#6B7280" stroke="#374151" />
+                    ))}
 
                     {/* ノーズ */}
                     <path
@@ -2108,29 +3327,10 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
               {/* 未発射時のロケット表示 */}
               {!rocketSim.isLaunched && (
                 <g transform={getSafeRotationTransform(rocketSim.launchAngle, 400, 550)}>
-                  {/* 3枚フィンの場合は先に左右フィンを描画してボディの後ろに表示 */}
-                  {rocketSim.finCount === 3 && (
-                    <>
-                      <path
-                        d={getTriFinPathsForAttitude(
-                          400,
-                          550,
-                          rocketDisplayParams
-                        ).leftFin}
-                        fill="#6B7280"
-                        stroke="#374151"
-                      />
-                      <path
-                        d={getTriFinPathsForAttitude(
-                          400,
-                          550,
-                          rocketDisplayParams
-                        ).rightFin}
-                        fill="#6B7280"
-                        stroke="#374151"
-                      />
-                    </>
-                  )}
+                  {/* 奥側のフィンを先に描画してボディの後ろに表示 */}
+                  {launchFinPaths.backFins.map((path, index) => (
+                    <path key={`back-fin-${index}`} d={path} fill="#6B7280" stroke="#374151" />
+                  ))}
 
                   {/* ボディ */}
                   <path
@@ -2139,31 +3339,13 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
                     stroke="#374151"
                   />
 
-                  {/* 中央フィン（両方のフィン設定で共通） */}
-                  <path
-                    d={rocketSim.finCount === 3
-                      ? getTriFinPathsForAttitude(400, 550, rocketDisplayParams).centerFins
-                      : getFinPathsForAttitude(400, 550, rocketDisplayParams).centerFins
-                    }
-                    fill="#6B7280"
-                    stroke="#374151"
-                  />
-
-                  {/* 4枚フィンの場合のみ左右フィン */}
-                  {rocketSim.finCount === 4 && (
-                    <>
-                      <path
-                        d={getFinPathsForAttitude(400, 550, rocketDisplayParams).leftFin}
-                        fill="#6B7280"
-                        stroke="#374151"
-                      />
-                      <path
-                        d={getFinPathsForAttitude(400, 550, rocketDisplayParams).rightFin}
-                        fill="#6B7280"
-                        stroke="#374151"
-                      />
-                    </>
+                  {/* 手前側のフィン (中央フィンと左右に見えるフィン) */}
+                  {launchFinPaths.centerFins && (
+                    <path d={launchFinPaths.centerFins} fill="#6B7280" stroke="#374151" />
                   )}
+                  {launchFinPaths.frontFins.map((path, index) => (
+                    <path key={`front-fin-${index}`} d={path} fill="#6B7280" stroke="#374151" />
+                  ))}
 
                   {/* ノーズ */}
                   <path
@@ -2324,68 +3506,10 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
                   <g transform={`translate(0, 0)`}>
                     {/* ロケット本体 - 重心が中心に来るように配置調整 */}
                     <g transform={`translate(0, ${scaledRocketNoseHeight + scaledRocketBodyHeight - scaledCogY})`}>
-                      {/* 3枚フィンの場合は先に左右フィンを描画してボディの後ろに表示 */}
-                      {rocketSim.finCount === 3 && (
-                        <>
-                          {/* 左フィン - 位置と幅を調整 */}
-                          <path
-                            d={(() => {
-                              const offset = (attitudeRocketParams.bodyWidth / 2) * 1.73 / 2;
-                              const height = attitudeRocketParams.finHeight * 1.73 / 2;
-                              const leftFinRootX = -offset;
-                              const finTopY = -attitudeRocketParams.finBaseWidth;
-                              const finBottomY = 0;
-
-                              // 後退代に応じた位置調整
-                              let adjustedFinTopY, adjustedFinBottomY;
-                              if (attitudeRocketParams.finSweepLength >= 0) {
-                                adjustedFinTopY = finTopY + attitudeRocketParams.finSweepLength;
-                                adjustedFinBottomY = adjustedFinTopY + attitudeRocketParams.finTipWidth;
-                              } else {
-                                adjustedFinTopY = finTopY - Math.abs(attitudeRocketParams.finSweepLength);
-                                adjustedFinBottomY = adjustedFinTopY + attitudeRocketParams.finTipWidth;
-                              }
-
-                              return `M ${leftFinRootX} ${finTopY}
-                    L ${leftFinRootX} ${finBottomY}
-                    L ${leftFinRootX - height} ${adjustedFinBottomY}
-                    L ${leftFinRootX - height} ${adjustedFinTopY} Z`;
-                            })()}
-                            fill="#6B7280"
-                            stroke="#374151"
-                            strokeWidth="0.5"
-                          />
-
-                          {/* 右フィン - 位置と幅を調整 */}
-                          <path
-                            d={(() => {
-                              const offset = (attitudeRocketParams.bodyWidth / 2) * 1.73 / 2;
-                              const height = attitudeRocketParams.finHeight * 1.73 / 2;
-                              const rightFinRootX = offset;
-                              const finTopY = -attitudeRocketParams.finBaseWidth;
-                              const finBottomY = 0;
-
-                              // 後退代に応じた位置調整
-                              let adjustedFinTopY, adjustedFinBottomY;
-                              if (attitudeRocketParams.finSweepLength >= 0) {
-                                adjustedFinTopY = finTopY + attitudeRocketParams.finSweepLength;
-                                adjustedFinBottomY = adjustedFinTopY + attitudeRocketParams.finTipWidth;
-                              } else {
-                                adjustedFinTopY = finTopY - Math.abs(attitudeRocketParams.finSweepLength);
-                                adjustedFinBottomY = adjustedFinTopY + attitudeRocketParams.finTipWidth;
-                              }
-
-                              return `M ${rightFinRootX} ${finTopY}
-                    L ${rightFinRootX} ${finBottomY}
-                    L ${rightFinRootX + height} ${adjustedFinBottomY}
-                    L ${rightFinRootX + height} ${adjustedFinTopY} Z`;
-                            })()}
-                            fill="#6B7280"
-                            stroke="#374151"
-                            strokeWidth="0.5"
-                          />
-                        </>
-                      )}
+                      {/* 奥側のフィンを先に描画してボディの後ろに表示 */}
+                      {attitudeFinPaths.backFins.map((path, index) => (
+                        <path key={`back-fin-${index}`} d={path} fill="#6B7280" stroke="#374151" strokeWidth="0.5" />
+                      ))}
 
                       {/* ボディ */}
                       <rect
@@ -2410,96 +3534,13 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
                         strokeWidth="0.5"
                       />
 
-                      {/* 4枚フィンの場合のみ左右フィン */}
-                      {rocketSim.finCount === 4 && (
-                        <>
-                          <path
-                            d={(() => {
-                              const leftFinRootX = -attitudeRocketParams.bodyWidth / 2;
-                              const finTopY = -attitudeRocketParams.finBaseWidth;
-                              const finBottomY = 0;
-
-                              // 後退代に応じた位置調整
-                              let adjustedFinTopY, adjustedFinBottomY;
-                              if (attitudeRocketParams.finSweepLength >= 0) {
-                                adjustedFinTopY = finTopY + attitudeRocketParams.finSweepLength;
-                                adjustedFinBottomY = adjustedFinTopY + attitudeRocketParams.finTipWidth;
-                              } else {
-                                adjustedFinTopY = finTopY - Math.abs(attitudeRocketParams.finSweepLength);
-                                adjustedFinBottomY = adjustedFinTopY + attitudeRocketParams.finTipWidth;
-                              }
-
-                              return `M ${leftFinRootX} ${finTopY}
-                    L ${leftFinRootX} ${finBottomY}
-                    L ${leftFinRootX - attitudeRocketParams.finHeight} ${adjustedFinBottomY}
-                    L ${leftFinRootX - attitudeRocketParams.finHeight} ${adjustedFinTopY} Z`;
-                            })()}
-                            fill="#6B7280"
-                            stroke="#374151"
-                            strokeWidth="0.5"
-                          />
-
-                          <path
-                            d={(() => {
-                              const rightFinRootX = attitudeRocketParams.bodyWidth / 2;
-                              const finTopY = -attitudeRocketParams.finBaseWidth;
-                              const finBottomY = 0;
-
-                              // 後退代に応じた位置調整
-                              let adjustedFinTopY, adjustedFinBottomY;
-                              if (attitudeRocketParams.finSweepLength >= 0) {
-                                adjustedFinTopY = finTopY + attitudeRocketParams.finSweepLength;
-                                adjustedFinBottomY = adjustedFinTopY + attitudeRocketParams.finTipWidth;
-                              } else {
-                                adjustedFinTopY = finTopY - Math.abs(attitudeRocketParams.finSweepLength);
-                                adjustedFinBottomY = adjustedFinTopY + attitudeRocketParams.finTipWidth;
-                              }
-
-                              return `M ${rightFinRootX} ${finTopY}
-                    L ${rightFinRootX} ${finBottomY}
-                    L ${rightFinRootX + attitudeRocketParams.finHeight} ${adjustedFinBottomY}
-                    L ${rightFinRootX + attitudeRocketParams.finHeight} ${adjustedFinTopY} Z`;
-                            })()}
-                            fill="#6B7280"
-                            stroke="#374151"
-                            strokeWidth="0.5"
-                          />
-                        </>
+                      {/* 手前側のフィン (左右に見えるフィンと中央フィン) */}
+                      {attitudeFinPaths.frontFins.map((path, index) => (
+                        <path key={`front-fin-${index}`} d={path} fill="#6B7280" stroke="#374151" strokeWidth="0.5" />
+                      ))}
+                      {attitudeFinPaths.centerFins && (
+                        <path d={attitudeFinPaths.centerFins} fill="#6B7280" stroke="#374151" strokeWidth="0.5" />
                       )}
-
-                      {/* センターフィン - 共通で表示 */}
-                      {(() => {
-                        const halfThickness = attitudeRocketParams.finThickness / 2;
-                        const finTopY = -attitudeRocketParams.finBaseWidth;
-                        const finBottomY = 0;
-
-                        // 後退代がマイナスの場合の処理
-                        let frontExtension = 0;
-                        let finExtension = 0;
-
-                        if (attitudeRocketParams.finSweepLength < 0) {
-                          // 前進翼の場合
-                          frontExtension = Math.abs(attitudeRocketParams.finSweepLength);
-                        }
-
-                        // フィンの後端がボディ後端より後ろに出る場合を計算
-                        finExtension = Math.max(0, attitudeRocketParams.finSweepLength +
-                          attitudeRocketParams.finTipWidth - attitudeRocketParams.finBaseWidth);
-
-                        return (
-                          <path
-                            d={`M ${-halfThickness} ${finTopY - frontExtension}
-              L ${-halfThickness} ${finBottomY}
-              L ${-halfThickness} ${finBottomY + finExtension}
-              L ${halfThickness} ${finBottomY + finExtension}
-              L ${halfThickness} ${finBottomY}
-              L ${halfThickness} ${finTopY - frontExtension} Z`}
-                            fill="#6B7280"
-                            stroke="#374151"
-                            strokeWidth="0.5"
-                          />
-                        );
-                      })()}
                     </g>
 
                     {/* 重心位置のマーカー - 回転中心 */}
@@ -2541,10 +3582,15 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
               </div>
             </div>
 
+            <GroundTrackView rocketSim={rocketSim} position={position} />
+
             {/* 前回の飛翔結果 */}
             {rocketSim.lastFlightResults && (
               <LastFlightResults results={rocketSim.lastFlightResults} />
             )}
+            {rocketSim.lastFlightResults?.flutterHistory?.length > 0 && rocketSim.lastFlightResults.flutter?.time !== undefined && (
+              <FlutterMarginPanel results={rocketSim.lastFlightResults} />
+            )}
           </div>
 
           {/* デバッグ表示 */}
@@ -2563,18 +3609,22 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
             <ul className="list-disc pl-5">
               <li>重量: {rocketSim.weight} g</li>
               <li>モーター: {rocketSim.selectedMotor}</li>
-              <li>パラシュート: {rocketSim.selectedParachute}</li>
-              <li>ノーズ形状: {NOSE_SHAPES[rocketSim.noseShape].name}</li>
-              <li>抗力係数: {NOSE_SHAPES[rocketSim.noseShape].cd.toFixed(2)}</li>
+              <li>パラシュート: {CANOPY_LIBRARY[rocketSim.selectedParachute]?.name || rocketSim.selectedParachute}</li>
+              <li>ノーズ形状: {NOSE_SHAPES[rocketSim.noseShape]?.name}</li>
+              {rocketSim.dragAnalysis && (
+                <li>抗力係数 ({rocketSim.dragAnalysis.referenceSpeed} m/s): {rocketSim.dragAnalysis.breakdown.total.toFixed(3)}</li>
+              )}
             </ul>
             <ul className="list-disc pl-5">
               <li>ロケット全長: {rocketSim.calculations.totalHeight} mm</li>
               <li>ボディ直径: {rocketSim.bodyWidth} mm</li>
               <li>フィン翼幅: {rocketSim.finHeight} mm</li>
               <li>フィン厚み: {rocketSim.finThickness.toFixed(1)} mm</li>
-              <li>フィン材質: {FIN_MATERIALS[rocketSim.finMaterial].name}</li>
+              <li>フィン材質: {getMaterial(rocketSim.finMaterial, 'fin', rocketSim.materialLibrary).name}</li>
               <li>重心位置: {rocketSim.centerOfGravity} mm</li>
               <li>風速プロファイル: {WIND_PROFILES[rocketSim.windProfile].name}</li>
+              <li>発射地点: 標高 {rocketSim.launchElevation} m / 気温 {rocketSim.launchTemperature} ℃ / 湿度 {rocketSim.launchHumidity} %</li>
+              <li>数値積分: {(INTEGRATOR_METHODS[rocketSim.integratorMethod] || {}).name} / 刻み幅 {rocketSim.integratorStepSize} s</li>
             </ul>
           </div>
         </div>
@@ -3,10 +3,10 @@ import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react'
 import { useNavigate } from 'react-router-dom';
 // 定数とデータ定義のインポート
 import {
-  SVG_CONFIG, MOTOR_THRUST_DATA, PARACHUTE_SIZES, FIN_MATERIALS,
+  SVG_CONFIG, MOTOR_THRUST_DATA, CANOPY_LIBRARY, FIN_MATERIALS,
   NOSE_SHAPES, WIND_PROFILES, PHYSICAL_CONSTANTS, ANGLE_RESPONSE_DT,
   ANGLE_STEPS_PER_UPDATE, ANIMATION_SPEED, SLIDER_DEBOUNCE_TIME,
-  mmToM, gToKg, UI_CONFIG, ANALYSIS_VIEW_CONFIG
+  mmToM, gToKg, UI_CONFIG, ANALYSIS_VIEW_CONFIG, FLUTTER_CHART
 } from './RocketConstants';
 
 // 物理計算関連のインポート
@@ -14,9 +14,8 @@ import {
   calculateProjectedArea, calculateVolume, calculateCenterOfPressure,
   calculateAerodynamicCenter, calculateStabilityCenterOfPressure,
   calculateStaticMargin, calculateFinDivergenceSpeed, calculateFinFlutterSpeed,
-  formatFinDeflection, formatSpeedValue, calculateWindSpeedAtHeight,
-  calculateFlightPath, ENHANCED_ATTITUDE_CONTROL, WIND_ANGLE_LIMITATION,
-  PHYSICAL_ATTITUDE_CONTROL // 姿勢制御関連の定数をインポート
+  formatFinDeflection, formatSpeedValue, extractFlutterHistory, calculateWindComponentsAtHeight,
+  calculateFlightPath, ENHANCED_ATTITUDE_CONTROL, WIND_ANGLE_LIMITATION // 姿勢制御関連の定数をインポート
 } from './RocketPhysics';
 
 // SVG描画関連のインポート
@@ -36,51 +35,43 @@ import {
 // 新しい着地予測関連のインポートを追加
 import { predictLanding, calculateFlightPathWithLanding } from './RocketLandingPrediction';
 
+// 機体構成 (部品ツリー) 関連のインポート
+import { createDefaultRocketTree, deriveRocketParams } from './RocketComponentTree';
+import { calculateMassBudget } from './RocketMassBudget';
 
-// ロケットデザインとシミュレーションを統合したカスタムフック
-export const usePreFlightRocketSim = () => {
-  // 初期値を明示的に設定することで、undefinedやnullが発生しない
-  const initialRocketState = {
-    noseShape: "ogive",
-    noseHeight: 57,
-    bodyHeight: 255,
-    bodyWidth: 31,
-    finHeight: 58.5,
-    finBaseWidth: 65,
-    finTipWidth: 25,
-    finThickness: 1.5,
-    finSweepLength: 95,
-    finMaterial: "light_veneer",
-    finCount: 3,
-    weight: 50,
-    centerOfGravity: 150
-  };
 
-  // Design parameters
-  const [noseShape, setNoseShape] = useState("ogive");
-  const [noseHeight, setNoseHeight] = useState(57);   // 57mmに変更
-  const [bodyHeight, setBodyHeight] = useState(255);   // 255mmに変更
-  const [bodyWidth, setBodyWidth] = useState(31);
-  const [finHeight, setFinHeight] = useState(58.5);      // 58.5mmに変更
-  const [finBaseWidth, setFinBaseWidth] = useState(65); // 65mmに変更
-  const [finTipWidth, setFinTipWidth] = useState(25);   // 25mmに変更
-  const [finThickness, setFinThickness] = useState(1.5); // 1.5mmに変更
-  const [finSweepLength, setFinSweepLength] = useState(95); // 95mmに変更
-  const [finMaterial, setFinMaterial] = useState("light_veneer");
-  // フィン枚数状態を追加
-  const [finCount, setFinCount] = useState(3); // デフォルトは4枚
-
-  // Analysis parameters - weight変数の宣言を初期化前の参照より前に移動
-  const [weight, setWeight] = useState(50);
-  const [centerOfGravity, setCenterOfGravity] = useState(150);
-  const [selectedMotor, setSelectedMotor] = useState("A8-3");
-  const [selectedParachute, setSelectedParachute] = useState("φ300");
-
-  // Simulation parameters
-  const [launchAngle, setLaunchAngle] = useState(0);
-  const [windSpeed, setWindSpeed] = useState(0);
-  const [windProfile, setWindProfile] = useState("uniform");
-  const [showWindArrows, setShowWindArrows] = useState(true);
+// ロケットデザインとシミュレーションを統合したカスタムフック
+// flightSettings: シミュレーションタブで設定したモーターと飛行条件
+// { selectedMotor, motorDelay, materialLibrary, useMeasuredMass, measuredWeight, measuredCenterOfGravity,
+//   launchAngle, windSpeed, windProfile, windTable, windDirection, launchAzimuth, launchSite, integrator, maxTime, gust, disturbance }
+// useMeasuredMass が false の場合、重量・重心は質量バジェットの計算値を使う
+export const usePreFlightRocketSim = (rocketTree, flightSettings = {}) => {
+  // 形状パラメータは部品ツリーから導出 (未指定時は既定の機体構成)
+  const defaultRocketTree = useMemo(() => createDefaultRocketTree(), []);
+  const treeParams = useMemo(
+    () => deriveRocketParams(rocketTree || defaultRocketTree),
+    [rocketTree, defaultRocketTree]
+  );
+  const {
+    noseShape, noseHeight, bodyHeight, bodyWidth, finHeight, finBaseWidth, finTipWidth,
+    finThickness, finSweepLength, finMaterial, finCount, selectedParachute
+  } = treeParams;
+
+  // Simulation parameters (シミュレーションタブの設定をそのまま使う)
+  const {
+    selectedMotor = "A8-3", motorDelay, materialLibrary = null,
+    useMeasuredMass = false, measuredWeight, measuredCenterOfGravity,
+    launchAngle = 0, windSpeed = 0, windProfile = 'uniform', windTable = null,
+    windDirection, launchAzimuth, launchSite, integrator, maxTime, gust, disturbance
+  } = flightSettings;
+
+  // 重量・重心はシミュレーションタブと同じく部品ツリーとモーターの質量バジェットから計算する
+  const massBudget = useMemo(
+    () => calculateMassBudget(rocketTree || defaultRocketTree, selectedMotor, materialLibrary),
+    [rocketTree, defaultRocketTree, selectedMotor, materialLibrary]
+  );
+  const weight = useMeasuredMass ? measuredWeight : Number(massBudget.totalMass.toFixed(1));
+  const centerOfGravity = useMeasuredMass ? measuredCenterOfGravity : Math.round(massBudget.centerOfGravity);
 
   // rocketSimの初期状態が完全に構築されてから計算や描画を行うための状態
   const [isInitialized, setIsInitialized] = useState(false);
@@ -153,27 +144,35 @@ export const usePreFlightRocketSim = () => {
 
   // 物理計算のための全パラメータをまとめる
   const preSimParams = useMemo(() => ({
-    noseShape,
-    noseHeight,
-    bodyHeight,
-    bodyWidth,
-    finHeight,
-    finBaseWidth,
-    finTipWidth,
-    finThickness,
-    finSweepLength,
-    finMaterial,
+    ...treeParams,
     weight,
     centerOfGravity,
+    materialLibrary,
+    // 実測値を使う場合はフィン質量も材料からの推定に戻す
+    finMass: useMeasuredMass ? undefined : massBudget.finMassPerFin ?? undefined,
     selectedMotor,
-    selectedParachute,
-    finCount // finCountパラメータを追加
-  }), [
-    noseShape, noseHeight, bodyHeight, bodyWidth,
-    finHeight, finBaseWidth, finTipWidth, finThickness, finSweepLength,
-    finMaterial, weight, centerOfGravity, selectedMotor, selectedParachute,
-    finCount // 依存配列にもfinCountを追加
-  ]);
+    motorDelay,
+    launchSite
+  }), [treeParams, weight, centerOfGravity, materialLibrary, useMeasuredMass, massBudget, selectedMotor, motorDelay, launchSite]);
+
+  // 事前計算の設定 (数値積分法・風速表・風向・発射方位などはシミュレーションタブと同じ)
+  const preFlightConfig = useMemo(() => ({
+    ...SVG_CONFIG,
+    enhancedAttitudeControl,
+    windAngleLimitation,
+    integrator,
+    maxTime,
+    gust,
+    disturbance,
+    windTable,
+    windDirection,
+    launchAzimuth
+  }), [enhancedAttitudeControl, windAngleLimitation, integrator, maxTime, gust, disturbance, windTable, windDirection, launchAzimuth]);
+
+  // 風速表と風向を反映した高度ごとの発射面内の風速
+  const getWindSpeedAtHeight = useCallback((baseWindSpeed, height, profile) => {
+    return calculateWindComponentsAtHeight(baseWindSpeed, height, profile, { windTable, windDirection, launchAzimuth }).along;
+  }, [windTable, windDirection, launchAzimuth]);
 
   // Design display dimensions
   const design = useMemo(() => ({
@@ -313,11 +312,7 @@ export const usePreFlightRocketSim = () => {
         launchAngle,
         windSpeed,
         windProfile,
-        {
-          ...SVG_CONFIG,
-          enhancedAttitudeControl,
-          windAngleLimitation
-        }
+        preFlightConfig
       );
 
 
@@ -438,8 +433,7 @@ export const usePreFlightRocketSim = () => {
 
     return false;
   }, [
-    preSimParams, launchAngle, windSpeed, windProfile,
-    enhancedAttitudeControl, windAngleLimitation,
+    preSimParams, launchAngle, windSpeed, windProfile, preFlightConfig,
     isLaunched, animationId, selectedMotor
     // prec_MaxHeightとisPreLaunchedを依存配列から除外
   ]);
@@ -460,11 +454,7 @@ export const usePreFlightRocketSim = () => {
           launchAngle,
           windSpeed,
           windProfile,
-          {
-            ...SVG_CONFIG,
-            enhancedAttitudeControl,
-            windAngleLimitation
-          }
+          preFlightConfig
         );
 
         if (preFlight && preFlight.prec_MaxHeight > 0) {
@@ -492,8 +482,7 @@ export const usePreFlightRocketSim = () => {
     launchAngle,
     windSpeed,
     windProfile,
-    enhancedAttitudeControl,
-    windAngleLimitation
+    preFlightConfig
     // prec_MaxHeightは依存配列から除外して無限ループを防止
   ]);
 
@@ -567,11 +556,7 @@ export const usePreFlightRocketSim = () => {
         launchAngle,
         windSpeed,
         windProfile,
-        {
-          ...SVG_CONFIG,
-          enhancedAttitudeControl,
-          windAngleLimitation
-        }
+        preFlightConfig
       );
 
       if (!preFlight?.data?.length) {
@@ -716,9 +701,17 @@ export const usePreFlightRocketSim = () => {
 
                 // 飛行結果の評価（直接計算した最大値を使用）
                 const isDivergenceOK = maxSpeed < preFlight.calculations.finDivergenceSpeed;
-                const isFlutterOK = maxSpeed < preFlight.calculations.finFlutterSpeed;
+                // フラッターは高度ごとの気圧・音速で求めた余裕の最小値で判定する
+                const flutter = preFlight.flutter;
+                const isFlutterOK = flutter?.isOK ?? true;
                 const maxDeflectionPercent = (maxFinDeflection / finHeight) * 100;
                 const isDeflectionOK = maxDeflectionPercent <= 3;
+                // フィン付け根の曲げ・せん断の安全余裕 (最大荷重の時点)
+                const finStress = preFlight.finStress || null;
+                const isFinStressOK = finStress?.isOK ?? true;
+                // カントフィンによるロール角速度がピッチ固有振動数と一致する共振の判定
+                const roll = preFlight.roll || null;
+                const isRollResonanceOK = roll?.isOK ?? true;
 
                 // 姿勢安定性の判定結果 - シミュレーション結果から直接取得
                 const isAngleStableOK = preFlight.angleStability.isAngleStableOK;
@@ -729,7 +722,7 @@ export const usePreFlightRocketSim = () => {
 
                 // 総合判定は全てのチェックをパスする必要がある
                 // 絶対角度判定も含める
-                const isOverallOK = isDivergenceOK && isFlutterOK && isDeflectionOK && isAngleStableOK && isAbsoluteAngleOK;
+                const isOverallOK = isDivergenceOK && isFlutterOK && isDeflectionOK && isFinStressOK && isRollResonanceOK && isAngleStableOK && isAbsoluteAngleOK;
 
                 // 結果オブジェクトの作成
                 const results = {
@@ -741,9 +734,16 @@ export const usePreFlightRocketSim = () => {
                   maxDeflectionPercent: maxDeflectionPercent,
                   divergenceSpeed: formatSpeedValue(preFlight.calculations.finDivergenceSpeed),
                   flutterSpeed: formatSpeedValue(preFlight.calculations.finFlutterSpeed),
+                  flutter,
+                  flutterHistory: extractFlutterHistory(preFlight.data, FLUTTER_CHART.maxPoints), // フラッター余裕の推移
                   isDivergenceOK,
                   isFlutterOK,
                   isDeflectionOK,
+                  finStress,
+                  isFinStressOK,
+                  roll,
+                  isRollResonanceOK,
+                  dynamicStability: preFlight.dynamicStability || null, // 発射台離脱・燃焼終了・頂点でのピッチの動安定
                   isAngleStableOK,
                   isAbsoluteAngleOK, // 絶対角度判定を追加
                   maxAngleChangePerDt2,
@@ -804,7 +804,7 @@ export const usePreFlightRocketSim = () => {
       console.error('Launch error:', error);
       handleReset();
     }
-  }, [isLaunched, launchAngle, windSpeed, windProfile, preSimParams, handleReset, finHeight, trajectoryScale]);
+  }, [isLaunched, launchAngle, windSpeed, windProfile, preSimParams, preFlightConfig, handleReset, finHeight, trajectoryScale]);
 
 
   // 本フックから公開する関数とパラメータ
@@ -820,21 +820,11 @@ export const usePreFlightRocketSim = () => {
     completedFlights, keyPoints,
 
     // Setterの一覧
-    noseShape, setNoseShape,
-    noseHeight, setNoseHeight,
-    bodyHeight, setBodyHeight,
-    bodyWidth, setBodyWidth,
-    finHeight, setFinHeight,
-    finBaseWidth, setFinBaseWidth,
-    finTipWidth, setFinTipWidth,
-    finThickness, setFinThickness,
-    finSweepLength, setFinSweepLength,
-    finMaterial, setFinMaterial,
-    finCount, setFinCount,
-    weight, setWeight,
-    centerOfGravity, setCenterOfGravity,
-    selectedMotor, setSelectedMotor,
-    selectedParachute, setSelectedParachute,
+    noseShape, noseHeight, bodyHeight, bodyWidth,
+    finHeight, finBaseWidth, finTipWidth, finThickness, finSweepLength,
+    finMaterial, finCount, selectedParachute,
+    weight, centerOfGravity, massBudget,
+    selectedMotor,
 
     preCalculateFlightPath, // RocketSimulator.jsxの中のIntegretedRocketSimulator関数内で使用
     prec_MaxHeight, // prec_MaxHeightも外部に公開
@@ -853,7 +843,7 @@ export const usePreFlightRocketSim = () => {
     // ユーティリティ関数
     getActualRocketDimensions: getRocketDimensions,
     getCurrentPosition,
-    calculateWindSpeedAtHeight,
+    calculateWindSpeedAtHeight: getWindSpeedAtHeight,
     formatFinDeflection,
     getSafeValue,
 
@@ -0,0 +1,149 @@
+// 風向・発射方位と測定データによる風速プロファイル (高度 → 風速・風向の表) 関連の関数
+// 風向は風が吹いてくる方位 (度, 北0°・東90°)、発射方位はダウンレンジ (+x) 方向の方位
+// クロスレンジ (+z) はダウンレンジ方向に向かって左側とする
+// 風向のない行は全体の風向 (既定は東90°: 風速スライダーの正の値で -x 方向へ流れる向き) を使う
+import { WIND_TABLE_MAX_SPEED } from './RocketConstants';
+
+// 列名から列の種類を判定する (風速の列は風向の列名に一致しないものから探す: 例 wind_dir は風向)
+const COLUMN_PATTERNS = {
+  altitude: /alt|height|高度|高さ/i,
+  speed: /speed|spd|wind|風速/i,
+  direction: /dir|風向|方位/i
+};
+
+const DEG_TO_RAD = Math.PI / 180;
+
+// 風速と風向から風が吹いていく東向き・北向きの成分 (m/s) を求める関数
+export const getWindComponents = (speed, direction) => {
+  const rad = direction * DEG_TO_RAD;
+  return { east: -speed * Math.sin(rad), north: -speed * Math.cos(rad) };
+};
+
+// 東向き・北向きの風速成分を発射面内成分 (風速スライダーと同じ符号) とクロスレンジ成分 (+z向き) に分解する関数
+export const toLaunchFrame = ({ east, north }, launchAzimuth) => {
+  const rad = launchAzimuth * DEG_TO_RAD;
+  return {
+    along: -(east * Math.sin(rad) + north * Math.cos(rad)),
+    cross: -east * Math.cos(rad) + north * Math.sin(rad)
+  };
+};
+
+// ダウンレンジ・クロスレンジ (m) を東・北の地上座標 (m) に変換する関数
+export const toGroundCoordinates = (downrange, crossRange, launchAzimuth) => {
+  const rad = launchAzimuth * DEG_TO_RAD;
+  return {
+    east: downrange * Math.sin(rad) - crossRange * Math.cos(rad),
+    north: downrange * Math.cos(rad) + crossRange * Math.sin(rad)
+  };
+};
+
+// 風速として有り得る値か (負の値や上限を超える値は列や単位の取り違え)
+const isValidWindSpeed = (speed) => speed >= 0 && speed <= WIND_TABLE_MAX_SPEED;
+
+// 表の行を検証・整列する関数 (高度の昇順、同じ高度は後の行を優先)
+export const normalizeWindTable = (rows) => {
+  const byAltitude = new Map();
+  rows.forEach(row => {
+    const altitude = parseFloat(row.altitude);
+    const speed = parseFloat(row.speed);
+    if (!isFinite(altitude) || !isFinite(speed) || altitude < 0 || !isValidWindSpeed(speed)) {
+      console.warn('風速表の不正な行を無視します:', row);
+      return;
+    }
+    const direction = row.direction === '' || row.direction === null || row.direction === undefined
+      ? null
+      : parseFloat(row.direction);
+    byAltitude.set(altitude, { altitude, speed, direction: isFinite(direction) ? direction : null });
+  });
+  return [...byAltitude.values()].sort((a, b) => a.altitude - b.altitude);
+};
+
+// 区切り文字を判定する関数 (カンマ・タブ・セミコロンのいずれかがあればそれを使い、なければ空白で区切る)
+const detectDelimiter = (line) => {
+  if (line.includes('\t')) return /\t/;
+  if (line.includes(';')) return /;/;
+  if (line.includes(',')) return /,/;
+  return /\s+/;
+};
+
+// 列名から高度・風速・風向の列番号を求める関数 (見つからない列は -1)
+const findColumns = (header) => {
+  const findColumn = (isMatch, excluded = []) =>
+    header.findIndex((cell, index) => !excluded.includes(index) && isMatch(cell));
+  const speed = findColumn(cell => COLUMN_PATTERNS.speed.test(cell) && !COLUMN_PATTERNS.direction.test(cell));
+  const altitude = findColumn(cell => COLUMN_PATTERNS.altitude.test(cell), [speed]);
+  const direction = findColumn(cell => COLUMN_PATTERNS.direction.test(cell), [speed, altitude]);
+  return { altitude, speed, direction };
+};
+
+// CSV (高度, 風速[, 風向]) を読み込む関数
+// 区切りはカンマ・タブ・セミコロン・空白 (先頭行で判定し全行に使う)、#で始まる行はコメント
+// 先頭行が列名の場合は列名で列を判定する。風速が負または上限を超える行はエラーにする
+export const parseWindProfileCsv = (text) => {
+  const lines = text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line.length > 0 && !line.startsWith('#'));
+
+  if (lines.length === 0) {
+    throw new Error('風速データがありません');
+  }
+
+  const delimiter = detectDelimiter(lines[0]);
+  const split = (line) => line.split(delimiter).map(cell => cell.trim());
+  let columns = { altitude: 0, speed: 1, direction: 2 };
+  let dataLines = lines;
+
+  const header = split(lines[0]);
+  if (header.some(cell => isNaN(parseFloat(cell)))) {
+    columns = findColumns(header);
+    if (columns.altitude < 0 || columns.speed < 0) {
+      throw new Error('高度と風速の列が見つかりません (例: altitude,speed,direction)');
+    }
+    dataLines = lines.slice(1);
+  }
+
+  const rows = dataLines.map(line => {
+    const cells = split(line);
+    const row = {
+      altitude: cells[columns.altitude],
+      speed: cells[columns.speed],
+      direction: columns.direction >= 0 ? cells[columns.direction] : null
+    };
+    const speed = parseFloat(row.speed);
+    if (isFinite(speed) && !isValidWindSpeed(speed)) {
+      throw new Error(`風速 ${row.speed} m/s は範囲外です (0〜${WIND_TABLE_MAX_SPEED} m/s): ${line}`);
+    }
+    return row;
+  });
+
+  const table = normalizeWindTable(rows);
+  if (table.length === 0) {
+    throw new Error('有効な風速データがありません');
+  }
+  return table;
+};
+
+// 高度 (m) での風速成分を表から線形補間する関数 (表の範囲外は端の値を使用)
+// defaultDirection: 風向のない行に使う風向 (度)、directionOffset: 風向のある行に加える風向の変動 (度)
+export const getWindTableComponents = (table, height, defaultDirection = 90, directionOffset = 0) => {
+  if (!table || table.length === 0) {
+    return { east: 0, north: 0 };
+  }
+  const toWindComponents = (speed, direction) => getWindComponents(speed, direction === null ? defaultDirection : direction + directionOffset);
+  const first = table[0];
+  const last = table[table.length - 1];
+  if (height <= first.altitude) return toWindComponents(first.speed, first.direction);
+  if (height >= last.altitude) return toWindComponents(last.speed, last.direction);
+
+  const upperIndex = table.findIndex(point => point.altitude >= height);
+  const lower = table[upperIndex - 1];
+  const upper = table[upperIndex];
+  const ratio = (height - lower.altitude) / (upper.altitude - lower.altitude);
+  const lowerComponents = toWindComponents(lower.speed, lower.direction);
+  const upperComponents = toWindComponents(upper.speed, upper.direction);
+  return {
+    east: lowerComponents.east + (upperComponents.east - lowerComponents.east) * ratio,
+    north: lowerComponents.north + (upperComponents.north - lowerComponents.north) * ratio
+  };
+};
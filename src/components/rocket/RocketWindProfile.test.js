@@ -0,0 +1,114 @@
+import { parseWindProfileCsv, normalizeWindTable, getWindTableComponents } from './RocketWindProfile';
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('parseWindProfileCsv', () => {
+  test('単位付きの列名 (空白を含む) をカンマで区切る', () => {
+    const csv = [
+      'Altitude (m),Wind Speed (m/s),Direction (deg)',
+      '0,3.2,270',
+      '100,5.5,280',
+      '300,8.0,300'
+    ].join('\n');
+    expect(parseWindProfileCsv(csv)).toEqual([
+      { altitude: 0, speed: 3.2, direction: 270 },
+      { altitude: 100, speed: 5.5, direction: 280 },
+      { altitude: 300, speed: 8, direction: 300 }
+    ]);
+  });
+
+  test('wind_dir は風向の列として扱い、風速は wind_speed から読む', () => {
+    const csv = 'height,wind_dir,wind_speed\n0,270,2.5\n50,300,4.0\n';
+    expect(parseWindProfileCsv(csv)).toEqual([
+      { altitude: 0, speed: 2.5, direction: 270 },
+      { altitude: 50, speed: 4, direction: 300 }
+    ]);
+  });
+
+  test('セミコロン区切り・日本語の列名・列の順序が異なる表', () => {
+    const csv = '風向;高度 (m);風速 (m/s)\n90;0;1.5\n;200;6\n';
+    expect(parseWindProfileCsv(csv)).toEqual([
+      { altitude: 0, speed: 1.5, direction: 90 },
+      { altitude: 200, speed: 6, direction: null }
+    ]);
+  });
+
+  test('タブ区切りの表計算ソフトからの貼り付け (CRLF)', () => {
+    const csv = 'Height [m]\tSpeed [m/s]\tWind Direction\r\n10\t2\t45\r\n500\t12\t60\r\n';
+    expect(parseWindProfileCsv(csv)).toEqual([
+      { altitude: 10, speed: 2, direction: 45 },
+      { altitude: 500, speed: 12, direction: 60 }
+    ]);
+  });
+
+  test('列名のない空白区切りの表とコメント行', () => {
+    const csv = '# 2024-05-03 09:00 測定\n0   2.0  90\n100 4.5  100\n\n# 上空\n400 7.0\n';
+    expect(parseWindProfileCsv(csv)).toEqual([
+      { altitude: 0, speed: 2, direction: 90 },
+      { altitude: 100, speed: 4.5, direction: 100 },
+      { altitude: 400, speed: 7, direction: null }
+    ]);
+  });
+
+  test('高度順に並べ替え、同じ高度は後の行を使う', () => {
+    const csv = 'altitude,speed\n200,5\n0,1\n200,6\n';
+    expect(parseWindProfileCsv(csv)).toEqual([
+      { altitude: 0, speed: 1, direction: null },
+      { altitude: 200, speed: 6, direction: null }
+    ]);
+  });
+
+  test('有り得ない風速はエラー (列の取り違えや負の値)', () => {
+    // 列名がなく、風向が風速の位置にある表
+    expect(() => parseWindProfileCsv('0,270,5\n100,280,6\n')).toThrow('範囲外');
+    expect(() => parseWindProfileCsv('altitude,speed\n0,-3\n')).toThrow('範囲外');
+  });
+
+  test('高度・風速の列がない表やデータのない表はエラー', () => {
+    expect(() => parseWindProfileCsv('time,temperature\n0,15\n')).toThrow('列が見つかりません');
+    expect(() => parseWindProfileCsv('# コメントのみ\n')).toThrow('風速データがありません');
+    expect(() => parseWindProfileCsv('altitude,speed\nabc,def\n')).toThrow('有効な風速データ');
+  });
+});
+
+describe('normalizeWindTable', () => {
+  test('範囲外の風速の行は無視する', () => {
+    expect(normalizeWindTable([
+      { altitude: 0, speed: 3 },
+      { altitude: 100, speed: 300 },
+      { altitude: 200, speed: -1 }
+    ])).toEqual([{ altitude: 0, speed: 3, direction: null }]);
+  });
+});
+
+describe('getWindTableComponents', () => {
+  test('高度の間は東・北の成分で線形補間する', () => {
+    const table = [
+      { altitude: 0, speed: 2, direction: 90 }, // 東風 (西向きに流れる)
+      { altitude: 100, speed: 4, direction: 90 }
+    ];
+    const components = getWindTableComponents(table, 50);
+    expect(components.east).toBeCloseTo(-3);
+    expect(components.north).toBeCloseTo(0);
+    expect(getWindTableComponents(table, 1000).east).toBeCloseTo(-4);
+  });
+
+  test('風向の変動は風向のある行に加え、風向のない行は既定の風向を使う', () => {
+    const table = [
+      { altitude: 0, speed: 2, direction: 90 },
+      { altitude: 100, speed: 2, direction: null }
+    ];
+    const ground = getWindTableComponents(table, 0, 180, 90); // 90° + 90° = 南風
+    expect(ground.east).toBeCloseTo(0);
+    expect(ground.north).toBeCloseTo(2);
+    const aloft = getWindTableComponents(table, 100, 180, 90);
+    expect(aloft.east).toBeCloseTo(0);
+    expect(aloft.north).toBeCloseTo(2);
+  });
+});